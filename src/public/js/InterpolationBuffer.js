@@ -0,0 +1,150 @@
+/**
+ * Snapshot interpolation for remote ships and projectiles
+ *
+ * Packets don't arrive evenly spaced: they bunch up and stall. Rendering the
+ * latest packet directly makes other ships jitter and teleport. Instead we keep
+ * a short history of server frames (stamped with the server tick) and render
+ * remote entities INTERPOLATION_DELAY_MS in the past, between two known frames.
+ *
+ * Our own ship is NOT interpolated - it comes from ShipPredictor.
+ */
+const INTERPOLATION_DELAY_MS = 100;
+const INTERPOLATION_HISTORY_MS = 1000;
+
+class InterpolationBuffer {
+    constructor() {
+        this.frames = [];       // [{ time, players: {id: pose}, projectiles: {id: proj} }] oldest first
+        this.tickRate = 60;
+        this.clockOffset = null; // clientSeconds - serverSeconds (smoothed)
+        this.worldWidth = 80750;
+        this.worldHeight = 42525;
+        this.delayMs = INTERPOLATION_DELAY_MS; // Server sends its value (it lag-compensates with it)
+    }
+
+    setPhysics(physics) {
+        this.delayMs = physics.interpolationDelayMs ?? INTERPOLATION_DELAY_MS;
+        this.tickRate = physics.tickRate;
+        this.worldWidth = physics.worldWidth;
+        this.worldHeight = physics.worldHeight;
+    }
+
+    /**
+     * Record the poses of a received frame
+     * @param {Object} state - Current full game state (after applying the frame)
+     * @param {number} tick - Server tick of the frame
+     * @param {number} nowMs - performance.now() at arrival
+     */
+    push(state, tick, nowMs) {
+        const serverTime = tick / this.tickRate;
+        const sample = nowMs / 1000 - serverTime;
+
+        // Track the client/server clock offset; snap on big jumps (tab sleep, server restart)
+        if (this.clockOffset === null || Math.abs(sample - this.clockOffset) > 0.5) {
+            this.clockOffset = sample;
+            this.frames = [];
+        } else {
+            this.clockOffset += (sample - this.clockOffset) * 0.05;
+        }
+
+        const last = this.frames[this.frames.length - 1];
+        if (last && serverTime <= last.time) return; // Out of order or duplicate
+
+        const players = {};
+        for (const id in state.players) {
+            const p = state.players[id];
+            players[id] = { x: p.x, y: p.y, rotation: p.rotation };
+        }
+
+        const projectiles = {};
+        for (const proj of state.projectiles || []) {
+            if (proj.id !== undefined) projectiles[proj.id] = proj;
+        }
+
+        this.frames.push({ time: serverTime, players, projectiles });
+
+        const oldest = serverTime - INTERPOLATION_HISTORY_MS / 1000;
+        while (this.frames.length > 2 && this.frames[0].time < oldest) {
+            this.frames.shift();
+        }
+    }
+
+    /**
+     * Find the two frames around the render time
+     * @returns {{from, to, alpha}|null}
+     */
+    getBracket(nowMs) {
+        if (this.frames.length === 0 || this.clockOffset === null) return null;
+
+        const renderTime = nowMs / 1000 - this.clockOffset - this.delayMs / 1000;
+
+        // Starved (no newer frame yet): hold the newest frame rather than extrapolate
+        const newest = this.frames[this.frames.length - 1];
+        if (renderTime >= newest.time) return { from: newest, to: newest, alpha: 0 };
+
+        for (let i = this.frames.length - 1; i > 0; i--) {
+            const from = this.frames[i - 1];
+            const to = this.frames[i];
+            if (renderTime >= from.time) {
+                return { from, to, alpha: (renderTime - from.time) / (to.time - from.time) };
+            }
+        }
+        return { from: this.frames[0], to: this.frames[0], alpha: 0 };
+    }
+
+    /**
+     * Interpolated pose for one ship, or null if we have no history for it
+     */
+    samplePlayer(bracket, id) {
+        const a = bracket.from.players[id];
+        const b = bracket.to.players[id];
+        if (!a || !b) return b || null;
+
+        return {
+            x: this.lerpWrapped(a.x, b.x, bracket.alpha, this.worldWidth),
+            y: this.lerpWrapped(a.y, b.y, bracket.alpha, this.worldHeight),
+            rotation: this.lerpAngle(a.rotation, b.rotation, bracket.alpha)
+        };
+    }
+
+    /**
+     * Interpolated projectiles that exist in both bracketing frames
+     */
+    sampleProjectiles(bracket) {
+        const result = [];
+        for (const id in bracket.to.projectiles) {
+            const b = bracket.to.projectiles[id];
+            const a = bracket.from.projectiles[id];
+            if (!a) continue; // Fired after the render time - shows up next frames
+            result.push({
+                ...b,
+                x: a.x + (b.x - a.x) * bracket.alpha,
+                y: a.y + (b.y - a.y) * bracket.alpha,
+                z: (a.z || 0) + ((b.z || 0) - (a.z || 0)) * bracket.alpha
+            });
+        }
+        return result;
+    }
+
+    lerpWrapped(a, b, t, size) {
+        // Crossing the world edge: snap instead of sweeping across the map
+        if (Math.abs(b - a) > size / 2) return b;
+        return a + (b - a) * t;
+    }
+
+    lerpAngle(a, b, t) {
+        let diff = b - a;
+        while (diff > Math.PI) diff -= Math.PI * 2;
+        while (diff < -Math.PI) diff += Math.PI * 2;
+        return a + diff * t;
+    }
+
+    reset() {
+        this.frames = [];
+        this.clockOffset = null;
+    }
+}
+
+// Allow tests to load this file under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { InterpolationBuffer, INTERPOLATION_DELAY_MS };
+}
@@ -0,0 +1,205 @@
+/**
+ * Client-side prediction for the player's own ship
+ *
+ * The server stays authoritative: this class only guesses where our ship is
+ * *now*, given the last server state plus the inputs the server has not applied yet.
+ *
+ * - Every input sent to the server gets a sequence number (recordInput)
+ * - The ship is simulated locally at the server tick rate (advance)
+ * - Every server frame carries an ack { seq, age, speed, sailChangeCooldown }:
+ *   we reset to the server state and replay the inputs after that point (reconcile)
+ *
+ * simulate() is a copy of the movement part of Player.update() on the server
+ * (sails, wind, acceleration, turning, land blocking, world wrap).
+ * Keep it in sync when server movement rules change.
+ */
+class ShipPredictor {
+    constructor() {
+        this.physics = null;     // From 'physicsConfig' event
+        this.state = null;       // { x, y, rotation, speed, sailState, sailChangeCooldown }
+        this.pending = [];       // [{ seq, inputs, duration }] inputs not yet fully acked
+        this.nextSeq = 1;
+        this.accumulator = 0;
+        this.lastAdvanceTime = null;
+    }
+
+    setPhysics(physics) {
+        this.physics = physics;
+    }
+
+    // Same step size as the server's Player.update() (tick rate x substeps)
+    get fixedStep() {
+        if (!this.physics) return 1 / 60;
+        return 1 / (this.physics.tickRate * (this.physics.substeps ?? 1));
+    }
+
+    /**
+     * Register an input about to be sent to the server
+     * @returns {number} Sequence number to attach to the input event
+     */
+    recordInput(inputs) {
+        const seq = this.nextSeq++;
+        this.pending.push({ seq, inputs: { ...inputs }, duration: 0 });
+        return seq;
+    }
+
+    /**
+     * Advance the predicted state to the current time in fixed steps
+     * @param {number} nowMs - performance.now()
+     * @param {Object} env - { wind, tilemap, ship }
+     */
+    advance(nowMs, env) {
+        if (this.lastAdvanceTime === null) {
+            this.lastAdvanceTime = nowMs;
+            return;
+        }
+
+        // Clamp long pauses (background tab) - the next server frame resyncs us anyway
+        this.accumulator += Math.min(0.25, (nowMs - this.lastAdvanceTime) / 1000);
+        this.lastAdvanceTime = nowMs;
+
+        if (!this.state || !this.physics) return;
+
+        const current = this.pending[this.pending.length - 1];
+        while (this.accumulator >= this.fixedStep) {
+            this.accumulator -= this.fixedStep;
+            this.simulate(this.state, current ? current.inputs : {}, this.fixedStep, env);
+            if (current) current.duration += this.fixedStep;
+        }
+    }
+
+    /**
+     * Reset to the authoritative server state and replay unacknowledged input time
+     * @param {Object} serverShip - Our ship from the snapshot/delta (x, y, rotation, sailState)
+     * @param {Object} ack - { seq, age, speed, sailChangeCooldown }
+     * @param {Object} env - { wind, tilemap, ship }
+     */
+    reconcile(serverShip, ack, env) {
+        this.state = {
+            x: serverShip.x,
+            y: serverShip.y,
+            rotation: serverShip.rotation,
+            speed: ack.speed,
+            sailState: serverShip.sailState,
+            sailChangeCooldown: ack.sailChangeCooldown
+        };
+
+        // Inputs before the acked one will never matter again
+        this.pending = this.pending.filter(entry => entry.seq >= ack.seq);
+
+        if (!this.physics) return;
+
+        for (const entry of this.pending) {
+            // The server already simulated `age` seconds of the acked input
+            let remaining = entry.seq === ack.seq ? entry.duration - ack.age : entry.duration;
+            while (remaining > 1e-6) {
+                const dt = Math.min(this.fixedStep, remaining);
+                this.simulate(this.state, entry.inputs, dt, env);
+                remaining -= dt;
+            }
+        }
+    }
+
+    reset() {
+        this.state = null;
+        this.pending = [];
+        this.accumulator = 0;
+    }
+
+    /**
+     * Movement model (mirror of Player.update on the server)
+     */
+    simulate(state, inputs, dt, env) {
+        const p = this.physics;
+        const ship = env.ship;
+        const isInDeepWater = this.getTerrain(env.tilemap, state.x, state.y) === 0;
+
+        // Sail Management
+        state.sailChangeCooldown -= dt;
+        if (state.sailChangeCooldown <= 0) {
+            if (inputs.sailUp && state.sailState < 2) {
+                state.sailState++;
+                state.sailChangeCooldown = p.sailChangeCooldown;
+            }
+            if (inputs.sailDown && state.sailState > 0) {
+                state.sailState--;
+                state.sailChangeCooldown = p.sailChangeCooldown;
+            }
+        }
+
+        // Speed with wind
+        let targetSpeed = 0;
+        if (state.sailState > 0) {
+            const sailModifier = state.sailState === 1 ? 0.5 : 1.0;
+            if (isInDeepWater) {
+                const windStrength = p.windStrengthMultipliers[env.wind.strength] ?? p.windStrengthMultipliers.NORMAL;
+                const windAngle = this.getWindAngleModifier(env.wind.direction, state.rotation);
+                targetSpeed = ship.maxSpeed * sailModifier * windStrength * windAngle * ship.sailSpeedMultiplier;
+            } else {
+                targetSpeed = ship.maxSpeed * sailModifier * p.shallowWaterSpeedMultiplier * ship.sailSpeedMultiplier;
+            }
+        }
+
+        const accelBase = isInDeepWater ? p.acceleration : p.acceleration * 0.5;
+        const accel = accelBase * ship.sailSpeedMultiplier;
+        const decel = isInDeepWater ? p.deceleration : p.deceleration * 1.5;
+
+        if (state.speed < targetSpeed) {
+            state.speed += accel * dt;
+        } else if (state.speed > targetSpeed) {
+            state.speed -= decel * dt;
+        }
+        state.speed = Math.max(0, Math.min(state.speed, ship.maxSpeed));
+
+        // Turning
+        if (inputs.left) state.rotation -= ship.turnSpeed * dt;
+        if (inputs.right) state.rotation += ship.turnSpeed * dt;
+
+        // Move (0 rad = north, see COORDINATE_SYSTEM.md)
+        const shipHeadingRad = state.rotation - Math.PI / 2;
+        const newX = state.x + Math.cos(shipHeadingRad) * state.speed * dt;
+        const newY = state.y + Math.sin(shipHeadingRad) * state.speed * dt;
+
+        // Land stops the ship (collision damage is applied by the server only)
+        if (this.getTerrain(env.tilemap, newX, newY) === 2) {
+            state.speed = 0;
+        } else {
+            state.x = newX;
+            state.y = newY;
+        }
+
+        // Wrap around world
+        if (state.x < 0) state.x += p.worldWidth;
+        if (state.x > p.worldWidth) state.x -= p.worldWidth;
+        if (state.y < 0) state.y += p.worldHeight;
+        if (state.y > p.worldHeight) state.y -= p.worldHeight;
+    }
+
+    getWindAngleModifier(windDirection, shipRotation) {
+        const p = this.physics;
+        let diff = windDirection - shipRotation;
+        while (diff > Math.PI) diff -= Math.PI * 2;
+        while (diff < -Math.PI) diff += Math.PI * 2;
+        const absAngle = Math.abs(diff);
+
+        if (absAngle < p.windAnglePoorMax * Math.PI / 180) return p.windEfficiencyPoor;
+        if (absAngle < p.windAngleModerateMax * Math.PI / 180) return p.windEfficiencyModerate;
+        if (absAngle < p.windAngleGoodMax * Math.PI / 180) return p.windEfficiencyGood;
+        return p.windEfficiencyExcellent;
+    }
+
+    /**
+     * Terrain at world position (0 = water, 1 = shallow, 2 = land; out of bounds = land)
+     */
+    getTerrain(tilemap, x, y) {
+        const tileX = Math.floor(x / tilemap.tileSize);
+        const tileY = Math.floor(y / tilemap.tileSize);
+        if (tileX < 0 || tileX >= tilemap.width || tileY < 0 || tileY >= tilemap.height) return 2;
+        return tilemap.tiles[tileY][tileX];
+    }
+}
+
+// Allow the movement parity test to load this file under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShipPredictor;
+}
@@ -759,6 +759,70 @@ class SoundManager {
         }
     }
 
+    /**
+     * Play dull thud of a cannonball burying itself in sand or rock
+     */
+    playShoreImpact(screenX = 0.5, volumeScale = 1.0) {
+        if (!this.canPlaySound() || !this.throttleSound('shore', 0.1)) return;
+
+        try {
+            const now = this.audioContext.currentTime;
+            const duration = 0.5;
+            const baseVolume = this.config.categories.combat * volumeScale;
+
+            const panner = this.audioContext.createStereoPanner();
+            panner.pan.value = (screenX - 0.5) * 2;
+
+            // Layer 1: Low thud
+            const thudSource = this.audioContext.createBufferSource();
+            thudSource.buffer = this.brownNoiseBuffer;
+
+            const thudFilter = this.audioContext.createBiquadFilter();
+            thudFilter.type = 'lowpass';
+            thudFilter.frequency.setValueAtTime(300, now);
+            thudFilter.frequency.exponentialRampToValueAtTime(80, now + 0.3);
+
+            const thudGain = this.audioContext.createGain();
+            thudGain.gain.setValueAtTime(0, now);
+            thudGain.gain.linearRampToValueAtTime(0.5 * baseVolume, now + 0.005);
+            thudGain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+
+            // Layer 2: Scattering gravel
+            const gravelSource = this.audioContext.createBufferSource();
+            gravelSource.buffer = this.pinkNoiseBuffer;
+
+            const gravelFilter = this.audioContext.createBiquadFilter();
+            gravelFilter.type = 'bandpass';
+            gravelFilter.frequency.value = 1200;
+            gravelFilter.Q.value = 0.8;
+
+            const gravelGain = this.audioContext.createGain();
+            gravelGain.gain.setValueAtTime(0, now + 0.02);
+            gravelGain.gain.linearRampToValueAtTime(0.15 * baseVolume, now + 0.04);
+            gravelGain.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+
+            // Connect
+            thudSource.connect(thudFilter);
+            thudFilter.connect(thudGain);
+            thudGain.connect(panner);
+
+            gravelSource.connect(gravelFilter);
+            gravelFilter.connect(gravelGain);
+            gravelGain.connect(panner);
+
+            panner.connect(this.masterGain);
+
+            thudSource.start(now);
+            thudSource.stop(now + duration);
+            gravelSource.start(now + 0.02);
+            gravelSource.stop(now + 0.35);
+
+            this.trackSound({ thudSource, thudFilter, thudGain, gravelSource, gravelFilter, gravelGain, panner }, duration);
+        } catch (error) {
+            console.warn('[SoundManager] Failed to play shore impact:', error);
+        }
+    }
+
     /**
      * Play dramatic wood splintering/impact sound
      */
@@ -45,6 +45,32 @@ class SplashRenderer {
         });
     }
 
+    /**
+     * Trigger a burst of sand and rock where a ball struck the shore
+     * @param {number} x - World X position
+     * @param {number} y - World Y position
+     */
+    triggerDust(x, y) {
+        const particleCount = 10 + Math.floor(Math.random() * 4); // 10-13 particles
+
+        for (let i = 0; i < particleCount; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 15 + Math.random() * 25; // Heavier than spray, travels less
+
+            this.particles.push({
+                x: x,
+                y: y,
+                vx: Math.cos(angle) * speed,
+                vy: Math.sin(angle) * speed,
+                radius: 2 + Math.random() * 4,
+                alpha: 0.9,
+                age: 0,
+                maxAge: 0.5 + Math.random() * 0.3, // 0.5 - 0.8 seconds
+                color: '170, 140, 100' // Sandy brown
+            });
+        }
+    }
+
     update(deltaTime) {
         for (let i = this.particles.length - 1; i >= 0; i--) {
             const p = this.particles[i];
@@ -83,7 +109,7 @@ class SplashRenderer {
         ctx.save();
 
         for (const p of this.particles) {
-            ctx.fillStyle = `rgba(200, 230, 255, ${p.alpha})`;
+            ctx.fillStyle = `rgba(${p.color || '200, 230, 255'}, ${p.alpha})`;
 
             ctx.beginPath();
             if (p.isRing) {
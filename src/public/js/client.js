@@ -24,12 +24,231 @@ window.soundManager = soundManager; // Make globally accessible
 let previousPlayerState = null;
 let previousNPCStates = {};
 
-// Track projectiles for impact detection
-let previousProjectiles = [];
+// Client-side prediction for our own ship (see ShipPredictor.js)
+const shipPredictor = new ShipPredictor();
+
+// Remote ships/projectiles are rendered slightly in the past (see InterpolationBuffer.js)
+const interpolationBuffer = new InterpolationBuffer();
+let renderLoopStarted = false;
+let lastRenderTime = null;
 
 // Notification system for loot/transactions
 window.currentNotification = null; // { message: string, timestamp: number, success: boolean }
 
+// Wire format for gamestate frames (negotiated on join)
+// Binary by default; open the game with ?wire=json to get plain JSON frames for debugging
+const WIRE_VERSION = 3;
+const requestedWireFormat = new URLSearchParams(window.location.search).get('wire') === 'json' ? 'json' : 'binary';
+let wireAmmoTypes = ['CANNON_SHOT', 'CHAIN_SHOT'];
+let wireIds = new Map(); // Per-connection handle -> entity id table
+
+// Binary frame constants (must match src/server/game/network/WireProtocol.js)
+const WIRE_POSITION_SCALE = 8;
+const WIRE_ANGLE_SCALE = 65536 / (Math.PI * 2);
+const WIRE_HEALTH_SCALE = 10;
+const WIRE_Z_SCALE = 4;
+const wireTextDecoder = new TextDecoder();
+
+/**
+ * Decode a binary gamestate frame into the same shape as the JSON payload.
+ * Layout is documented in WireProtocol.js.
+ */
+function decodeWireFrame(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    let o = 0;
+
+    const version = view.getUint8(o); o += 1;
+    if (version !== WIRE_VERSION) {
+        console.error(`[Wire] Unsupported frame version ${version}`);
+        return null;
+    }
+    o += 1; // kind (snapshot/delta is already known from the event name)
+    const tick = view.getUint32(o, true); o += 4;
+    const originX = view.getFloat32(o, true); o += 4;
+    const originY = view.getFloat32(o, true); o += 4;
+    const ack = {
+        seq: view.getUint32(o, true),
+        age: view.getFloat32(o + 4, true),
+        speed: view.getFloat32(o + 8, true),
+        sailChangeCooldown: view.getFloat32(o + 12, true)
+    };
+    o += 16;
+
+    const declCount = view.getUint16(o, true); o += 2;
+    for (let i = 0; i < declCount; i++) {
+        const handle = view.getUint16(o, true);
+        const length = view.getUint8(o + 2);
+        o += 3;
+        wireIds.set(handle, wireTextDecoder.decode(bytes.subarray(o, o + length)));
+        o += length;
+    }
+
+    const state = { tick, players: {}, projectiles: [], wrecks: [], ack };
+    const shipHandles = [];
+
+    const shipCount = view.getUint16(o, true); o += 2;
+    for (let i = 0; i < shipCount; i++) {
+        const handle = view.getUint16(o, true);
+        const id = wireIds.get(handle);
+        state.players[id] = {
+            id,
+            x: originX + view.getInt16(o + 2, true) / WIRE_POSITION_SCALE,
+            y: originY + view.getInt16(o + 4, true) / WIRE_POSITION_SCALE,
+            rotation: view.getUint16(o + 6, true) / WIRE_ANGLE_SCALE,
+            health: view.getUint16(o + 8, true) / WIRE_HEALTH_SCALE,
+            sailState: view.getUint8(o + 10)
+        };
+        shipHandles.push(handle);
+        o += 11;
+    }
+
+    const projectileCount = view.getUint16(o, true); o += 2;
+    for (let i = 0; i < projectileCount; i++) {
+        state.projectiles.push({
+            id: wireIds.get(view.getUint16(o, true)),
+            x: originX + view.getInt16(o + 2, true) / WIRE_POSITION_SCALE,
+            y: originY + view.getInt16(o + 4, true) / WIRE_POSITION_SCALE,
+            z: view.getUint8(o + 6) / WIRE_Z_SCALE,
+            ammoType: wireAmmoTypes[view.getUint8(o + 7)]
+        });
+        o += 8;
+    }
+
+    const wreckCount = view.getUint16(o, true); o += 2;
+    for (let i = 0; i < wreckCount; i++) {
+        const flags = view.getUint8(o + 8);
+        state.wrecks.push({
+            id: wireIds.get(view.getUint16(o, true)),
+            type: 'WRECK',
+            x: originX + view.getInt16(o + 2, true) / WIRE_POSITION_SCALE,
+            y: originY + view.getInt16(o + 4, true) / WIRE_POSITION_SCALE,
+            rotation: view.getUint16(o + 6, true) / WIRE_ANGLE_SCALE,
+            isOwnerLoot: (flags & 1) !== 0,
+            ownerId: (flags & 2) ? wireIds.get(view.getUint16(o + 9, true)) : null
+        });
+        o += 11;
+    }
+
+    // Snapshot-only JSON block: wind + the non-hot ship fields, keyed by handle
+    const extraLength = view.getUint32(o, true); o += 4;
+    if (extraLength > 0) {
+        const extra = JSON.parse(wireTextDecoder.decode(bytes.subarray(o, o + extraLength)));
+        state.wind = extra.wind;
+        for (const handle of shipHandles) {
+            Object.assign(state.players[wireIds.get(handle)], extra.players[handle]);
+        }
+    }
+
+    return state;
+}
+
+// Gamestate events carry either a JSON object or a binary frame (ArrayBuffer)
+function readStateFrame(payload) {
+    return payload instanceof ArrayBuffer ? decodeWireFrame(payload) : payload;
+}
+
+/**
+ * Everything ShipPredictor needs besides its own state, or null when we can't
+ * predict (docked, rafted, map/config not loaded yet) and just show the server state.
+ */
+function getPredictionEnv(myShip) {
+    if (!worldTilemap || !window.gameState.wind || myShip.isRaft || myShip.inHarbor) return null;
+
+    const props = SHIP_PROPERTIES[myShip.shipClassName];
+    if (!props || props.maxSpeed === undefined) return null;
+
+    return {
+        wind: window.gameState.wind,
+        tilemap: worldTilemap,
+        ship: {
+            maxSpeed: props.maxSpeed,
+            turnSpeed: props.turnSpeed,
+            sailSpeedMultiplier: 0.5 + ((myShip.sailIntegrity ?? 100) / 100) * 0.5
+        }
+    };
+}
+
+// Replace our ship's server pose with the predicted one (server state + unacked inputs)
+function applyPrediction(state, ack) {
+    const myShip = state.players[socket.id];
+    if (!myShip || !ack) return;
+
+    const env = getPredictionEnv(myShip);
+    if (!env) {
+        shipPredictor.reset();
+        return;
+    }
+
+    shipPredictor.reconcile(myShip, ack, env);
+    shipPredictor.advance(performance.now(), env);
+
+    const predicted = shipPredictor.state;
+    myShip.x = predicted.x;
+    myShip.y = predicted.y;
+    myShip.rotation = predicted.rotation;
+    myShip.sailState = predicted.sailState;
+}
+
+/**
+ * What we draw this frame: latest server state, with our own ship at its predicted
+ * pose and every other ship/projectile interpolated between buffered frames.
+ * window.gameState itself is never modified here (UI, loot and debug tools read it).
+ */
+function buildRenderState(nowMs) {
+    const state = window.gameState;
+    const bracket = interpolationBuffer.getBracket(nowMs);
+    const players = {};
+
+    for (const id in state.players) {
+        const ship = state.players[id];
+
+        if (id === socket.id) {
+            const env = getPredictionEnv(ship);
+            if (env && shipPredictor.state) {
+                shipPredictor.advance(nowMs, env);
+                const predicted = shipPredictor.state;
+                players[id] = { ...ship, x: predicted.x, y: predicted.y, rotation: predicted.rotation, sailState: predicted.sailState };
+            } else {
+                players[id] = ship;
+            }
+            continue;
+        }
+
+        const pose = bracket ? interpolationBuffer.samplePlayer(bracket, id) : null;
+        players[id] = pose ? { ...ship, ...pose } : ship;
+    }
+
+    return {
+        ...state,
+        players,
+        projectiles: bracket ? interpolationBuffer.sampleProjectiles(bracket) : state.projectiles
+    };
+}
+
+// Render loop - runs at display refresh rate, independent of packet arrival
+function renderLoop(nowMs) {
+    requestAnimationFrame(renderLoop);
+    if (!socket || !mapData || !window.gameState || !window.gameState.players) return;
+
+    const frameDt = lastRenderTime === null ? 1 / 60 : Math.min(0.1, (nowMs - lastRenderTime) / 1000);
+    lastRenderTime = nowMs;
+
+    const renderState = buildRenderState(nowMs);
+    renderGame(renderState, mapData, socket.id, frameDt);
+
+    // Update debug minimap (if enabled)
+    if (typeof updateMinimap !== 'undefined' && worldTilemap) {
+        updateMinimap(worldTilemap, mapData, renderState.players[socket.id]);
+    }
+}
+
+function startRenderLoop() {
+    if (renderLoopStarted) return;
+    renderLoopStarted = true;
+    requestAnimationFrame(renderLoop);
+}
+
 // DEBUG: Helper function for debug tools to get player position
 function getMyShipPosition() {
     if (!window.gameState || !window.myPlayerId) return null;
@@ -51,43 +270,244 @@ document.addEventListener('DOMContentLoaded', () => {
         nameInput.value = savedName;
     }
 
+    // Kicked or banned while playing: the page reloaded, show why
+    const kickReason = sessionStorage.getItem('kickReason');
+    if (kickReason) {
+        sessionStorage.removeItem('kickReason');
+        showError(kickReason);
+    }
+
+    // Account panel: the session token is kept in localStorage and sent in the socket handshake
+    const accountUsername = document.getElementById('accountUsername');
+    const accountPassword = document.getElementById('accountPassword');
+    const loginBtn = document.getElementById('loginBtn');
+    const registerBtn = document.getElementById('registerBtn');
+    const captainList = document.getElementById('captainList');
+    const createCaptainBtn = document.getElementById('createCaptainBtn');
+    let selectedCaptainId = localStorage.getItem('pirate_captain');
+
+    function refreshAccountPanel() {
+        const username = localStorage.getItem('pirate_username');
+        const loggedIn = !!localStorage.getItem('pirate_session');
+        document.getElementById('accountLoggedOut').style.display = loggedIn ? 'none' : 'block';
+        document.getElementById('accountLoggedIn').style.display = loggedIn ? 'block' : 'none';
+        document.getElementById('accountName').textContent = username || '';
+
+        // Logged in: the name box creates captains, Set Sail takes the chosen one
+        document.getElementById('namePrompt').textContent = loggedIn
+            ? 'Choose a captain, or name a new one:'
+            : 'Enter your captain\'s name to set sail!';
+        createCaptainBtn.style.display = loggedIn ? 'block' : 'none';
+        captainList.innerHTML = '';
+        if (loggedIn) loadCaptains();
+    }
+
+    // Captain list/create/delete, authorized by the session token
+    async function captainRequest(method, path, body) {
+        const response = await fetch(`/api/accounts/captains${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${localStorage.getItem('pirate_session')}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const result = await response.json();
+        if (response.status === 401) {
+            clearSession();
+        }
+        if (!response.ok) {
+            throw new Error(result.error || 'Request failed');
+        }
+        return result;
+    }
+
+    async function loadCaptains() {
+        try {
+            const { captains } = await captainRequest('GET', '');
+            renderCaptains(captains);
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    function renderCaptains(captains) {
+        if (!captains.some(captain => captain.id === selectedCaptainId)) {
+            selectedCaptainId = captains.length > 0 ? captains[0].id : null;
+        }
+
+        captainList.innerHTML = '';
+        if (captains.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'No captains yet. Name one below.';
+            captainList.appendChild(empty);
+            return;
+        }
+
+        for (const captain of captains) {
+            const item = document.createElement('li');
+            if (captain.id === selectedCaptainId) item.className = 'selected';
+
+            const label = document.createElement('span');
+            label.textContent = captain.shipClass
+                ? `${captain.name} (Lv ${captain.level} ${captain.shipClass}, ${captain.gold} gold)`
+                : `${captain.name} (new)`;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'deleteCaptainBtn';
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Delete captain';
+            deleteBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteCaptain(captain);
+            });
+
+            item.addEventListener('click', () => {
+                selectedCaptainId = captain.id;
+                localStorage.setItem('pirate_captain', captain.id);
+                renderCaptains(captains);
+            });
+            item.append(label, deleteBtn);
+            captainList.appendChild(item);
+        }
+    }
+
+    async function createCaptain() {
+        const name = nameInput.value.trim();
+        if (!/^[a-zA-Z0-9 ]{3,20}$/.test(name)) {
+            showError('Name must be 3-20 letters, numbers or spaces');
+            return;
+        }
+
+        createCaptainBtn.disabled = true;
+        try {
+            const { captain } = await captainRequest('POST', '', { name });
+            selectedCaptainId = captain.id;
+            localStorage.setItem('pirate_captain', captain.id);
+            nameInput.value = '';
+            await loadCaptains();
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            createCaptainBtn.disabled = false;
+        }
+    }
+
+    async function deleteCaptain(captain) {
+        if (!confirm(`Delete ${captain.name}? Their fleet, gold and cargo are lost for good.`)) return;
+
+        try {
+            await captainRequest('DELETE', `/${encodeURIComponent(captain.id)}`);
+            await loadCaptains();
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    function clearSession() {
+        localStorage.removeItem('pirate_session');
+        localStorage.removeItem('pirate_username');
+        refreshAccountPanel();
+    }
+
+    async function submitAccount(action) {
+        const body = { username: accountUsername.value.trim(), password: accountPassword.value };
+        if (action === 'register') {
+            // Save from before accounts existed (browser token): moved onto the new account once
+            body.legacyToken = localStorage.getItem('pirate_token');
+        }
+
+        loginBtn.disabled = true;
+        registerBtn.disabled = true;
+        try {
+            const response = await fetch(`/api/accounts/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                showError(result.error || 'Login failed');
+                return;
+            }
+
+            localStorage.setItem('pirate_session', result.session);
+            localStorage.setItem('pirate_username', result.username);
+            if (action === 'register') localStorage.removeItem('pirate_token');
+            accountPassword.value = '';
+            refreshAccountPanel();
+            nameInput.focus();
+        } catch (error) {
+            showError('Could not reach the server');
+        } finally {
+            loginBtn.disabled = false;
+            registerBtn.disabled = false;
+        }
+    }
+
+    loginBtn.addEventListener('click', () => submitAccount('login'));
+    registerBtn.addEventListener('click', () => submitAccount('register'));
+    accountPassword.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') loginBtn.click();
+    });
+    document.getElementById('logoutBtn').addEventListener('click', clearSession);
+    createCaptainBtn.addEventListener('click', createCaptain);
+    refreshAccountPanel();
+
     // Focus on input
     nameInput.focus();
 
-    // Handle Enter key
+    // Handle Enter key (logged in, the name box is for new captains)
     nameInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
-            setSailBtn.click();
+            if (localStorage.getItem('pirate_session')) {
+                createCaptainBtn.click();
+            } else {
+                setSailBtn.click();
+            }
         }
     });
 
     // Handle Set Sail button
     setSailBtn.addEventListener('click', () => {
-        const playerName = nameInput.value.trim();
+        // Logged in: sail the chosen captain; guests sail under the typed name
+        let captain;
+        if (localStorage.getItem('pirate_session')) {
+            if (!selectedCaptainId) {
+                showError('Create a captain first');
+                return;
+            }
+            captain = { captainId: selectedCaptainId };
+        } else {
+            const playerName = nameInput.value.trim();
 
-        // Client-side validation
-        if (playerName.length < 3 || playerName.length > 20) {
-            showError('Name must be 3-20 characters long');
-            return;
-        }
+            // Client-side validation
+            if (playerName.length < 3 || playerName.length > 20) {
+                showError('Name must be 3-20 characters long');
+                return;
+            }
 
-        if (!/^[a-zA-Z0-9 ]+$/.test(playerName)) {
-            showError('Name can only contain letters, numbers, and spaces');
-            return;
+            if (!/^[a-zA-Z0-9 ]+$/.test(playerName)) {
+                showError('Name can only contain letters, numbers, and spaces');
+                return;
+            }
+
+            // Save to localStorage for convenience
+            localStorage.setItem('playerName', playerName);
+            captain = { name: playerName };
         }
 
         // Auto-fullscreen removed due to iOS Safari blocking issues
         // Players can use the manual fullscreen button in-game
 
-        // Save to localStorage for convenience
-        localStorage.setItem('playerName', playerName);
-
         // Disable button while connecting
         setSailBtn.disabled = true;
         setSailBtn.textContent = 'Connecting...';
 
-        // Initialize socket connection
-        socket = io();
+        // Initialize socket connection (logged in: the session proves the captain is ours)
+        const session = localStorage.getItem('pirate_session');
+        socket = io({ auth: session ? { session } : {} });
 
         // Get custom spawn coordinates if provided
         const spawnX = document.getElementById('spawnX').value;
@@ -102,24 +522,19 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('[DEBUG] Custom spawn requested:', customSpawn);
         }
 
-        // Fetch or create persistent player token
-        let playerToken = localStorage.getItem('pirate_token');
-        if (!playerToken) {
-            // Generate a simple UUID-like string if crypto.randomUUID is unavailable
-            playerToken = (typeof crypto !== 'undefined' && crypto.randomUUID) 
-                ? crypto.randomUUID() 
-                : 'xxxx-xxxx-xxxx-xxxx'.replace(/[x]/g, () => (Math.random() * 16 | 0).toString(16));
-            localStorage.setItem('pirate_token', playerToken);
-            console.log('[Auth] Generated new player token:', playerToken);
-        } else {
-            console.log('[Auth] Loaded existing player token:', playerToken);
-        }
+        // Send captain to server (with optional spawn and preferred wire format)
+        const joinRequest = {
+            ...captain,
+            spawn: customSpawn,
+            wire: { format: requestedWireFormat, version: WIRE_VERSION }
+        };
+        socket.emit('setPlayerName', joinRequest);
 
-        // Send player name to server (with optional spawn)
-        socket.emit('setPlayerName', {
-            name: playerName,
-            token: playerToken,
-            spawn: customSpawn
+        // Connection dropped and came back on a new socket: the server is holding
+        // our ship for a short while, the same session takes it over again
+        socket.io.on('reconnect', () => {
+            console.log('[Reconnect] Connection restored, resuming ship');
+            socket.emit('setPlayerName', joinRequest);
         });
 
         // Handle successful connection
@@ -135,6 +550,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Hide name overlay and show game
             nameOverlay.style.display = 'none';
+
+            startRenderLoop();
         });
 
         // Handle name rejection
@@ -146,6 +563,17 @@ document.addEventListener('DOMContentLoaded', () => {
             socket = null;
         });
 
+        // Session expired or signed with an old server secret: log in again
+        socket.on('connect_error', (error) => {
+            if (error.message !== 'invalid_session') return; // Network trouble: socket.io retries
+            clearSession();
+            showError('Your login has expired. Please log in again.');
+            setSailBtn.disabled = false;
+            setSailBtn.textContent = 'Set Sail! 🏴‍☠️';
+            socket.disconnect();
+            socket = null;
+        });
+
         // Handle server full
         socket.on('server_full', (data) => {
             showError(data.message);
@@ -157,13 +585,19 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Handle ban
         socket.on('banned', (data) => {
-            showError(data.reason);
+            showError(`${data.reason} (${formatBanRemaining(data.remainingMs)})`);
             setSailBtn.disabled = false;
             setSailBtn.textContent = 'Set Sail! 🏴‍☠️';
             socket.disconnect();
             socket = null;
         });
 
+        // Removed by a server admin while playing: back to the start screen with the reason
+        socket.on('kicked', (data) => {
+            sessionStorage.setItem('kickReason', data.reason);
+            window.location.reload();
+        });
+
         // Setup game event listeners
         setupGameListeners();
     });
@@ -175,27 +609,44 @@ document.addEventListener('DOMContentLoaded', () => {
             nameError.style.display = 'none';
         }, 5000);
     }
+
+    // "permanent", "45s remaining", "3h 20m remaining" (remainingMs is null for permanent bans)
+    function formatBanRemaining(remainingMs) {
+        if (remainingMs === null || remainingMs === undefined) return 'permanent';
+
+        const minutes = Math.ceil(remainingMs / 60000);
+        if (remainingMs < 60000) return `${Math.ceil(remainingMs / 1000)}s remaining`;
+        if (minutes < 60) return `${minutes}m remaining`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ${minutes % 60}m remaining`;
+        return `${Math.floor(hours / 24)}d ${hours % 24}h remaining`;
+    }
 });
 
 function setupGameListeners() {
     if (!socket) return;
 
+    // Wire format chosen by the server (falls back to JSON on version mismatch)
+    socket.on('wire_format', (data) => {
+        wireIds = new Map();
+        if (data.ammoTypes) wireAmmoTypes = data.ammoTypes;
+        console.log(`[Wire] Using ${data.format} gamestate frames`);
+    });
+
     // Game State handling
-    socket.on('gamestate_snapshot', (state) => {
+    socket.on('gamestate_snapshot', (payload) => {
+        const state = readStateFrame(payload);
+        if (!state) return;
+
         // Store state globally for debug tools
         window.gameState = state;
         window.myPlayerId = socket.id;
+        interpolationBuffer.push(state, state.tick, performance.now());
+        applyPrediction(state, state.ack);
 
-        // Pass both map data and dynamic state to the renderer
+        // Rendering happens in renderLoop(); packets only drive state-based systems
         if (mapData) {
-            renderGame(state, mapData, socket.id);
-
-            // Update debug minimap (if enabled)
-            if (typeof updateMinimap !== 'undefined' && worldTilemap) {
-                const myShip = state.players[socket.id];
-                updateMinimap(worldTilemap, mapData, myShip);
-            }
-
             // Update sound system
             updateSoundSystem(state);
 
@@ -206,8 +657,30 @@ function setupGameListeners() {
         }
     });
 
-    socket.on('gamestate_delta', (delta) => {
+    // Where projectiles hit a hull or splashed down (server-computed points)
+    socket.on('projectile_impacts', (data) => {
+        if (!mapData || !data.impacts) return;
+        playProjectileImpacts(data.impacts);
+    });
+
+    // Area of interest: ships entering/leaving our view between snapshots
+    socket.on('gamestate_enter', (data) => {
+        if (!window.gameState || !data.players) return;
+        Object.assign(window.gameState.players, data.players);
+    });
+
+    socket.on('gamestate_leave', (data) => {
+        if (!window.gameState || !data.players) return;
+        for (const id of data.players) {
+            delete window.gameState.players[id];
+            delete previousNPCStates[id];
+        }
+    });
+
+    socket.on('gamestate_delta', (payload) => {
         if (!window.gameState) return; // Wait for first snapshot
+        const delta = readStateFrame(payload);
+        if (!delta) return;
         
         // Patch players/NPCs
         if (delta.players) {
@@ -221,16 +694,11 @@ function setupGameListeners() {
         // Replace fast-moving arrays
         if (delta.projectiles) window.gameState.projectiles = delta.projectiles;
         if (delta.wrecks) window.gameState.wrecks = delta.wrecks;
-        
-        // Render as usual
+
+        interpolationBuffer.push(window.gameState, delta.tick, performance.now());
+        applyPrediction(window.gameState, delta.ack);
+
         if (mapData) {
-            renderGame(window.gameState, mapData, socket.id);
-            
-            if (typeof updateMinimap !== 'undefined' && worldTilemap) {
-                const myShip = window.gameState.players[socket.id];
-                updateMinimap(worldTilemap, mapData, myShip);
-            }
-            
             updateSoundSystem(window.gameState);
             
             if (window.updateMissionUI) {
@@ -297,6 +765,17 @@ function setupGameListeners() {
         console.log('Loaded ship metadata from server:', metadata);
     });
 
+    // Round-trip time measurement for server-side lag compensation
+    socket.on('latency_ping', (data) => {
+        socket.emit('latency_pong', data);
+    });
+
+    // Movement constants for client-side prediction
+    socket.on('physicsConfig', (physics) => {
+        shipPredictor.setPhysics(physics);
+        interpolationBuffer.setPhysics(physics);
+    });
+
     // Combat config from server (visual settings)
     socket.on('combatConfig', (config) => {
         // Store combat visuals globally
@@ -367,10 +846,27 @@ function setupGameListeners() {
         }
     });
 
+    // Price book and route advice (answer to requestPriceBook)
+    socket.on('priceBook', (data) => {
+        renderPriceBook(data);
+    });
+
+    // Economy: Stock and prices changed after someone traded at our harbor
+    socket.on('marketUpdate', ({ harborId, economy }) => {
+        const harborUI = document.getElementById('harborUI');
+        if (!economy || harborId !== window.currentHarborId || !harborUI || harborUI.style.display !== 'flex') return;
+
+        window.currentHarborEconomy = economy;
+        if (window.currentHarborCargo) {
+            renderTradeInterface(economy, window.currentHarborCargo);
+        }
+    });
+
     // Economy: Player state update (Phase 0)
     socket.on('playerStateUpdate', (state) => {
         // Update cargo display
         if (state.cargo) {
+            window.currentHarborCargo = state.cargo; // Used by the next marketUpdate render
             const cargoList = document.getElementById('cargoList');
             const cargoCapacity = document.getElementById('cargoCapacity');
 
@@ -400,6 +896,12 @@ function setupGameListeners() {
             }
         }
 
+        // Update bank display (gold aboard changes with trades too)
+        if (window.currentHarborBank) {
+            if (state.bankGold !== undefined) window.currentHarborBank.balance = state.bankGold;
+            if (state.gold !== undefined) renderBank(window.currentHarborBank.balance, state.gold);
+        }
+
         // Re-enable/disable sell buttons based on cargo
         if (state.cargo && state.cargo.goods) {
 
@@ -562,7 +1064,8 @@ document.addEventListener('keydown', (e) => {
             const { currentInput } = getCurrentInputState();
             socket.emit('input', {
                 ...currentInput,
-                toggleAmmo: true
+                toggleAmmo: true,
+                seq: shipPredictor.recordInput(currentInput)
             });
             break;
         }
@@ -629,9 +1132,9 @@ function processInput() {
     }
     lastMobileF = mobileState.f;
 
-    // 4. Send to server only if changed
+    // 4. Send to server only if changed (sequence-numbered for prediction acks)
     if (JSON.stringify(currentInput) !== JSON.stringify(lastSentInput)) {
-        socket.emit('input', currentInput);
+        socket.emit('input', { ...currentInput, seq: shipPredictor.recordInput(currentInput) });
         lastSentInput = currentInput;
     }
 }
@@ -778,6 +1281,32 @@ function sellGood(goodId, quantityOverride) {
     });
 }
 
+// Price book: ask the server for what this captain knows, shown when it answers
+function openPriceBook() {
+    showHarborView('pricebook');
+    socket.emit('requestPriceBook');
+}
+
+// Harbor bank: the typed amount, or everything (-1)
+function depositGold(all) {
+    sendBankRequest('depositGold', all);
+}
+
+function withdrawGold(all) {
+    sendBankRequest('withdrawGold', all);
+}
+
+function sendBankRequest(event, all) {
+    if (!window.currentHarborId) return;
+
+    const amountInput = document.getElementById('bankAmount');
+    const amount = all ? -1 : parseInt(amountInput.value) || 0;
+    socket.emit(event, {
+        harborId: window.currentHarborId,
+        amount: amount
+    });
+}
+
 // Make functions global for HTML onclick
 window.repairShip = repairShip;
 window.hireCrew = hireCrew;
@@ -786,6 +1315,9 @@ window.switchFlagship = switchFlagship;
 window.upgradeShip = upgradeShip;
 window.buyGood = buyGood;
 window.sellGood = sellGood;
+window.depositGold = depositGold;
+window.openPriceBook = openPriceBook;
+window.withdrawGold = withdrawGold;
 
 // Buy Max Logic
 function buyAll(goodId, price) {
@@ -1001,9 +1533,6 @@ function updateSoundSystem(state) {
         }
     });
 
-    // Detect projectile impacts
-    detectProjectileImpacts(state, myShip);
-
     // --- 3. STORE STATES FOR NEXT FRAME ---
 
     // Store my state
@@ -1030,52 +1559,34 @@ function updateSoundSystem(state) {
 }
 
 /**
- * Detect projectile impacts by tracking projectile lifecycle
+ * Play hit/splash effects at the exact points reported by the server.
+ * Remote projectiles are drawn interpolationBuffer.delayMs in the past, so the
+ * effects wait the same delay to line up with the ball reaching the spot.
  */
-function detectProjectileImpacts(state, myShip) {
-    if (!state.projectiles) return;
-
-    const currentProjectiles = state.projectiles;
-
-    // Find projectiles that disappeared (hit something or expired)
-    previousProjectiles.forEach(prevProj => {
-        const stillExists = currentProjectiles.find(p =>
-            Math.abs(p.x - prevProj.x) < 5 &&
-            Math.abs(p.y - prevProj.y) < 5
-        );
-
-        if (!stillExists) {
-            // Projectile disappeared - check if it hit a ship
-            let hitShip = false;
-
-            // Check all players for hits
-            for (const id in state.players) {
-                const player = state.players[id];
-                const dist = Math.hypot(player.x - prevProj.x, player.y - prevProj.y);
-
-                if (dist < 30) { // Within ship hitbox range
-                    hitShip = true;
-                    break;
-                }
-            }
+function playProjectileImpacts(impacts) {
+    setTimeout(() => {
+        const myShip = window.gameState && window.gameState.players[socket.id];
 
+        for (const impact of impacts) {
             // Calculate screen position for panning
-            const screenX = myShip ? (prevProj.x - myShip.x + canvas.width / 2) / canvas.width : 0.5;
+            const screenX = myShip ? (impact.x - myShip.x + canvas.width / 2) / canvas.width : 0.5;
 
-            if (hitShip) {
+            if (impact.kind === 'hull') {
                 soundManager.playWoodImpact(screenX);
+            } else if (impact.kind === 'shore') {
+                soundManager.playShoreImpact(screenX);
+                if (window.splashRenderer) {
+                    window.splashRenderer.triggerDust(impact.x, impact.y);
+                }
             } else {
                 soundManager.playWaterSplash(screenX);
                 // Trigger visual splash
                 if (window.splashRenderer) {
-                    window.splashRenderer.triggerSplash(prevProj.x, prevProj.y);
+                    window.splashRenderer.triggerSplash(impact.x, impact.y);
                 }
             }
         }
-    });
-
-    // Store current projectiles for next frame
-    previousProjectiles = currentProjectiles.map(p => ({ x: p.x, y: p.y }));
+    }, interpolationBuffer.delayMs);
 }
 
 // Wreck Loot Interaction
@@ -161,15 +161,17 @@ fetch('/assets/world_map.json')
     })
     .catch(err => console.warn('[Visual Adapter] Could not load tilemap:', err));
 
-function renderGame(state, mapData, myId) {
+// Called from the requestAnimationFrame loop in client.js
+// frameDt: seconds since the previous rendered frame (drives wake/splash animation)
+function renderGame(state, mapData, myId, frameDt = 0.016) {
     frameCount++;  // Increment for debug logging
 
     // Clear screen
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     // Update visual systems
-    wakeRenderer.update(0.016); // Approx 60fps dt
-    splashRenderer.update(0.016);
+    wakeRenderer.update(frameDt);
+    splashRenderer.update(frameDt);
 
     // Find my ship for camera tracking
     const myShip = state.players[myId];
@@ -434,7 +436,7 @@ function renderGame(state, mapData, myId) {
         if (player.inHarbor) continue;
 
         // Spawn wake particles if moving
-        wakeRenderer.spawnFor(player, getShipProperties(player.shipClassName), 0.016);
+        wakeRenderer.spawnFor(player, getShipProperties(player.shipClassName), frameDt);
 
         // Draw ship at its actual position
         drawShip(player, id === myId);
@@ -1053,6 +1055,7 @@ function showHarborUI(harborData) {
     // Store harbor ID for trade requests (accessed by client.js)
     if (typeof window !== 'undefined') {
         window.currentHarborId = harborData.harborId;
+        window.currentHarborEconomy = harborData.economy; // Re-rendered on marketUpdate
     }
 
     harborTitle.textContent = `🏴‍☠️ ${harborData.harborName}`;
@@ -1116,6 +1119,13 @@ function showHarborUI(harborData) {
         }
     }
 
+    // Bank (only at harbors with services.bank)
+    window.currentHarborBank = harborData.bank;
+    document.getElementById('bankBtn').style.display = harborData.bank ? 'block' : 'none';
+    if (harborData.bank) {
+        renderBank(harborData.bank.balance, player ? player.gold || 0 : 0);
+    }
+
     // Display economy/trade section (Phase 0: Economy)
     const tradeSection = document.getElementById('tradeSection');
     if (harborData.economy && harborData.cargo) {
@@ -1154,8 +1164,59 @@ function hideHarborUI() {
     document.getElementById('harborUI').style.display = 'none';
 }
 
+function renderBank(balance, goldAboard) {
+    document.getElementById('bankBalance').textContent = `Balance: ${balance} gold`;
+    document.getElementById('bankGoldAboard').textContent = `Gold aboard: ${goldAboard}`;
+}
+
+// Price book: routes from this harbor and the prices of visited harbors (as last seen)
+function renderPriceBook(data) {
+    const routeList = document.getElementById('routeAdvisorList');
+    if (data.routes.length > 0) {
+        routeList.innerHTML = data.routes.map(route => `
+            <div class="route-row">
+                <span class="route-profit">+${route.profit}g</span>
+                ${route.units} ${route.goodName} to ${route.destinationName}
+                (buy for ${route.cost}g, sell for ~${route.revenue}g, ${route.profitPerDistance}g per 1000 sailed)
+            </div>
+        `).join('');
+    } else {
+        routeList.innerHTML = '<p style="color: #888; font-size: 12px;">No profitable routes known. Visit more harbors to learn their prices.</p>';
+    }
+
+    const bookList = document.getElementById('priceBookList');
+    if (data.harbors.length === 0) {
+        bookList.innerHTML = '<p style="color: #888; font-size: 12px;">No prices recorded yet.</p>';
+        return;
+    }
+
+    bookList.innerHTML = data.harbors.map(harbor => {
+        const latest = harbor.samples[harbor.samples.length - 1];
+        const first = harbor.samples[0];
+        const isHere = harbor.harborId === data.originHarborId;
+        const goods = Object.entries(latest.prices).map(([goodId, price]) => {
+            // Trend of the buy price over the history this captain knows
+            const before = first.prices[goodId];
+            let trend = '';
+            if (before && price.buy > before.buy) trend = ' <span class="price-up">▲</span>';
+            if (before && price.buy < before.buy) trend = ' <span class="price-down">▼</span>';
+            return `${goodId}: ${price.buy}g / ${price.sell}g${trend}`;
+        }).join(' · ');
+        const seen = isHere ? 'here now' : `seen ${new Date(latest.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+        return `
+            <div class="pricebook-harbor">
+                <h5>${harbor.harborName} <span style="color: #888; font-weight: normal;">(${seen})</span></h5>
+                ${goods}
+            </div>
+        `;
+    }).join('');
+}
+
 // Trade Interface Rendering (Phase 0: Economy)
 function renderTradeInterface(economy, cargo) {
+    window.currentHarborCargo = cargo;
+
     // Render cargo inventory
     const cargoList = document.getElementById('cargoList');
     if (cargo.goods && Object.keys(cargo.goods).length > 0) {
@@ -1178,6 +1239,10 @@ function renderTradeInterface(economy, cargo) {
 
     economy.goods.forEach(good => {
         const playerQuantity = cargo.goods[good.id] || 0;
+        const soldOut = good.stock === 0;
+        // Keep what the player typed when another trade re-renders the list
+        const quantityInput = document.getElementById(`qty-${good.id}`);
+        const quantity = quantityInput ? quantityInput.value : 1;
         goodsHTML += `
             <div class="trade-good-row">
                 <div class="trade-good-info">
@@ -1185,26 +1250,29 @@ function renderTradeInterface(economy, cargo) {
                         ${good.name}
                         ${good.tier === 'EXPORT' ? '<span class="tier-badge tier-export">CHEAP</span>' : ''}
                         ${good.tier === 'IMPORT' ? '<span class="tier-badge tier-import">EXPENSIVE</span>' : ''}
+                        ${soldOut ? '<span class="tier-badge stock-soldout">SOLD OUT</span>' : ''}
                     </div>
                     <div class="trade-good-prices">
-                        Buy: ${good.buyPrice}g | Sell: ${good.sellPrice}g | Space: ${good.space}
+                        Buy: ${good.buyPrice}g | Sell: ${good.sellPrice}g | Space: ${good.space} | Stock: ${good.stock}
                     </div>
                 </div>
                 <div class="trade-good-controls">
                     <input type="number" 
                            id="qty-${good.id}" 
                            class="trade-quantity-input" 
-                           value="1" 
+                           value="${quantity}" 
                            min="1" 
                            max="100">
                     <div class="trade-btn-group">
                         <button class="trade-btn buy" 
-                                onclick="buyGood('${good.id}')">
+                                onclick="buyGood('${good.id}')"
+                                ${soldOut ? 'disabled' : ''}>
                             Buy
                         </button>
                         <button class="trade-btn buy-all" 
                                 title="Buy Max"
-                                onclick="buyAll('${good.id}', ${good.buyPrice})">
+                                onclick="buyAll('${good.id}', ${good.buyPrice})"
+                                ${soldOut ? 'disabled' : ''}>
                             All
                         </button>
                     </div>
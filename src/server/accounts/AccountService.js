@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const DatabaseService = require('../database/DatabaseService');
+const { hashPassword, verifyPassword } = require('./Passwords');
+const { createSessionToken, verifySessionToken } = require('./SessionTokens');
+const { CURRENT_VERSION } = require('../database/PlayerStateSerializer');
+const { SHIP_CLASSES } = require('../game/entities/ShipClass');
+
+/**
+ * AccountService - player accounts, logins and sessions
+ *
+ * An account (username + password hash) owns up to MAX_CAPTAINS captains:
+ * saved player records whose `accountId` points back to it. Logging in
+ * returns a signed session token; the client passes it in the socket.io
+ * handshake with the id of the captain to sail, and server.js only loads
+ * captains of the verified account, so a client can no longer claim a save
+ * by sending someone else's token.
+ *
+ * Captain names are unique server-wide regardless of case: a captain's
+ * record holds its lowercase `nameKey` from creation until it is deleted,
+ * and guests cannot join under a reserved name.
+ *
+ * Accounts need a database (DatabaseService with any backend but none).
+ * Errors are thrown with an HTTP `status` for AccountsApi.
+ *
+ * Account: { accountId, username, usernameKey, passwordHash, createdAt }
+ */
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,20}$/;
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128; // scrypt cost grows with input length
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const CAPTAIN_NAME_PATTERN = /^[a-zA-Z0-9 ]{3,20}$/; // Same rule as GameLoop.isValidPlayerName
+const MAX_CAPTAINS = 5;
+
+class AccountService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.db - Persistence (default DatabaseService)
+     * @param {string} options.secret - Signs session tokens (default SESSION_SECRET from .env)
+     * @param {number} options.sessionTtlMs - Session lifetime
+     * @param {function(): number} options.now - Clock in ms (tests)
+     */
+    constructor(options = {}) {
+        this.db = options.db ?? DatabaseService;
+        this.secret = options.secret ?? process.env.SESSION_SECRET ?? null;
+        this.sessionTtlMs = options.sessionTtlMs ?? SESSION_TTL_MS;
+        this.now = options.now ?? Date.now;
+        this.dummyHash = null; // Compared against for unknown usernames, see login()
+
+        if (!this.secret) {
+            // Works, but every restart logs everyone out
+            this.secret = crypto.randomBytes(32).toString('hex');
+            console.warn('[Accounts] SESSION_SECRET not found in .env. Sessions end when the server restarts.');
+        }
+    }
+
+    /**
+     * @param {Object} params
+     * @param {string} params.username
+     * @param {string} params.password
+     * @param {string|null} params.legacyToken - Browser token of a save made before accounts existed
+     * @returns {Promise<{session: string, username: string}>}
+     */
+    async register({ username, password, legacyToken = null }) {
+        this.requireDatabase();
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw accountError(400, 'Username must be 3-20 letters, numbers or underscores');
+        }
+        if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+            throw accountError(400, `Password must be ${PASSWORD_MIN_LENGTH}-${PASSWORD_MAX_LENGTH} characters`);
+        }
+
+        const account = {
+            accountId: crypto.randomUUID(),
+            username,
+            usernameKey: username.toLowerCase(),
+            passwordHash: await hashPassword(password),
+            createdAt: this.now()
+        };
+        if (!(await this.db.createAccount(account))) {
+            throw accountError(409, 'Username is already taken');
+        }
+        console.log(`[Accounts] Registered ${username}`);
+
+        // One-time move of an anonymous save onto the new account; a save that
+        // already belongs to an account cannot be claimed again
+        if (typeof legacyToken === 'string' && legacyToken) {
+            if (await this.db.linkPlayerToAccount(legacyToken, account.accountId)) {
+                console.log(`[Accounts] ${username} claimed their earlier save`);
+            }
+        }
+
+        return { session: this.createSession(account), username };
+    }
+
+    /**
+     * @returns {Promise<{session: string, username: string}>}
+     */
+    async login({ username, password }) {
+        this.requireDatabase();
+        if (typeof username !== 'string' || typeof password !== 'string' || password.length > PASSWORD_MAX_LENGTH) {
+            throw accountError(400, 'Username and password are required');
+        }
+
+        const account = await this.db.loadAccount(username.toLowerCase());
+
+        // Hash even for unknown names, so response times do not reveal which usernames exist
+        if (!account) {
+            this.dummyHash = this.dummyHash ?? await hashPassword(crypto.randomBytes(16).toString('hex'));
+            await verifyPassword(password, this.dummyHash);
+            throw accountError(401, 'Wrong username or password');
+        }
+        if (!(await verifyPassword(password, account.passwordHash))) {
+            throw accountError(401, 'Wrong username or password');
+        }
+
+        console.log(`[Accounts] ${account.username} logged in`);
+        return { session: this.createSession(account), username: account.username };
+    }
+
+    createSession(account) {
+        return createSessionToken(account, { secret: this.secret, ttlMs: this.sessionTtlMs, now: this.now() });
+    }
+
+    /**
+     * @param {string} token - Session token from the socket handshake
+     * @returns {{accountId: string, username: string, expiresAt: number}|null}
+     */
+    verifySession(token) {
+        return verifySessionToken(token, { secret: this.secret, now: this.now() });
+    }
+
+    /**
+     * @returns {Promise<Array<CaptainSummary>>} The account's captains
+     */
+    async listCaptains(accountId) {
+        this.requireDatabase();
+        const records = await this.db.listCaptains(accountId);
+        return records.map(captainSummary);
+    }
+
+    /**
+     * Create a captain for the account. It gets a record (and its name) right
+     * away; its ship, gold and position come with the first voyage.
+     * @returns {Promise<CaptainSummary>}
+     */
+    async createCaptain(accountId, name) {
+        this.requireDatabase();
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!CAPTAIN_NAME_PATTERN.test(trimmed)) {
+            throw accountError(400, 'Captain name must be 3-20 letters, numbers or spaces');
+        }
+        if ((await this.db.listCaptains(accountId)).length >= MAX_CAPTAINS) {
+            throw accountError(400, `An account can have at most ${MAX_CAPTAINS} captains`);
+        }
+
+        const record = {
+            schemaVersion: CURRENT_VERSION,
+            token: crypto.randomUUID(),
+            accountId,
+            name: trimmed,
+            nameKey: trimmed.toLowerCase()
+        };
+        if (!(await this.db.createCaptain(record))) {
+            throw accountError(409, 'That captain name is already taken');
+        }
+        console.log(`[Accounts] New captain ${trimmed} for account ${accountId}`);
+        return captainSummary(record);
+    }
+
+    /**
+     * Delete one of the account's captains for good. The caller makes sure
+     * the captain is not at sea, or its next save would bring it back.
+     */
+    async deleteCaptain(accountId, captainId) {
+        this.requireDatabase();
+        if (typeof captainId !== 'string' || !(await this.db.deleteCaptain(captainId, accountId))) {
+            throw accountError(404, 'No such captain');
+        }
+        console.log(`[Accounts] Deleted captain ${captainId} of account ${accountId}`);
+    }
+
+    /**
+     * The account's captain with this id, or null (also for other accounts' captains)
+     * @returns {Promise<CaptainSummary|null>}
+     */
+    async getCaptain(accountId, captainId) {
+        if (typeof captainId !== 'string') return null;
+        const captains = await this.listCaptains(accountId);
+        return captains.find(captain => captain.id === captainId) || null;
+    }
+
+    /**
+     * True if a saved captain has this name (any case). Without a database
+     * nothing is saved, so nothing is reserved.
+     */
+    async isCaptainNameTaken(name) {
+        if (!this.db.isConnected || typeof name !== 'string') return false;
+        return this.db.isCaptainNameTaken(name.trim().toLowerCase());
+    }
+
+    requireDatabase() {
+        if (!this.db.isConnected) {
+            throw accountError(503, 'Accounts are not available: this server has no database');
+        }
+    }
+}
+
+/**
+ * What the login screen shows of a captain. The id is the record key (token);
+ * it only loads a captain together with the owning account's session.
+ * @typedef {{id: string, name: string, level: number, gold: number|null, shipClass: string|null}} CaptainSummary
+ */
+function captainSummary(record) {
+    const fleet = record.fleet || [];
+    const flagship = fleet[record.flagshipIndex] || fleet[0];
+    const shipClass = flagship && Object.values(SHIP_CLASSES).find(shipClass => shipClass.id === flagship.classId);
+
+    // Not sailed yet: no ship and no purse until the first save
+    const hasSailed = Number.isFinite(record.x);
+    return {
+        id: record.token,
+        name: record.name,
+        level: record.level || 1,
+        gold: hasSailed ? record.gold ?? 0 : null,
+        shipClass: shipClass ? shipClass.name : null
+    };
+}
+
+function accountError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+module.exports = AccountService;
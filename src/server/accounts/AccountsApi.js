@@ -0,0 +1,122 @@
+const express = require('express');
+
+/**
+ * AccountsApi - public HTTP endpoints for accounts
+ *
+ * Mounted at /api/accounts by server.js. Responses are
+ * `{ ok: true, session, username }` or `{ error }` with a 4xx/5xx status.
+ * The session token goes into the socket.io handshake (`auth.session`).
+ *
+ *   POST /register  { username, password, legacyToken? }
+ *   POST /login     { username, password }
+ *
+ * Captain routes need `Authorization: Bearer <session>` and answer 401 without it:
+ *
+ *   GET    /captains              -> { captains }
+ *   POST   /captains { name }     -> { captain }
+ *   DELETE /captains/:captainId
+ *
+ * Failed logins and registrations are limited per IP to slow down password
+ * guessing.
+ */
+
+const MAX_FAILURES = 10;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * @param {Object} deps
+ * @param {AccountService} deps.accounts
+ * @param {function(string): boolean} deps.isCaptainAtSea - True while a captain is in the world (held ones too)
+ * @param {function(): number} deps.now - Clock in ms (tests)
+ * @returns {express.Router}
+ */
+function createAccountsApi({ accounts, isCaptainAtSea = () => false, now = Date.now }) {
+    const router = express.Router();
+    const failures = new Map(); // ip -> { count, resetAt }
+
+    router.use(express.json());
+
+    const handle = (action) => async (req, res) => {
+        // Forget windows that ran out, for every IP, so the map stays small
+        for (const [address, expired] of failures) {
+            if (expired.resetAt <= now()) failures.delete(address);
+        }
+
+        const ip = clientIP(req);
+        const entry = failures.get(ip);
+        if (entry && entry.count >= MAX_FAILURES) {
+            return res.status(429).json({ error: 'Too many failed attempts. Please wait a few minutes.' });
+        }
+
+        try {
+            const result = await action(req.body || {});
+            res.json({ ok: true, ...result });
+        } catch (error) {
+            if (error.status === 401 || error.status === 409) {
+                const current = failures.get(ip) || { count: 0, resetAt: now() + FAILURE_WINDOW_MS };
+                current.count++;
+                failures.set(ip, current);
+            }
+            sendError(res, error);
+        }
+    };
+
+    // Logged-in routes: the action gets the verified session ({ accountId, username })
+    const authenticated = (action) => async (req, res) => {
+        const session = accounts.verifySession(bearerToken(req));
+        if (!session) {
+            return res.status(401).json({ error: 'Your login has expired. Please log in again.' });
+        }
+
+        try {
+            const result = await action(session, req);
+            res.json({ ok: true, ...result });
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+
+    router.post('/register', handle(({ username, password, legacyToken }) =>
+        accounts.register({ username, password, legacyToken })));
+    router.post('/login', handle(({ username, password }) =>
+        accounts.login({ username, password })));
+
+    router.get('/captains', authenticated(async (session) => ({
+        captains: await accounts.listCaptains(session.accountId)
+    })));
+    router.post('/captains', authenticated(async (session, req) => ({
+        captain: await accounts.createCaptain(session.accountId, (req.body || {}).name)
+    })));
+    router.delete('/captains/:captainId', authenticated(async (session, req) => {
+        // Removing a ship that is still out would only last until its next save
+        if (isCaptainAtSea(req.params.captainId)) {
+            throw Object.assign(new Error('That captain is at sea. Come ashore first.'), { status: 409 });
+        }
+        await accounts.deleteCaptain(session.accountId, req.params.captainId);
+        return {};
+    }));
+
+    return router;
+}
+
+function sendError(res, error) {
+    if (!error.status) {
+        console.error('[Accounts] Unexpected error:', error);
+        return res.status(500).json({ error: 'Something went wrong. Please try again.' });
+    }
+    res.status(error.status).json({ error: error.message });
+}
+
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Same rule as socket connections in server.js. Render.com's proxy appends the
+// address it saw to X-Forwarded-For; earlier entries come from the client.
+function clientIP(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    return forwardedFor ? forwardedFor.split(',').pop().trim() : req.socket.remoteAddress;
+}
+
+module.exports = { createAccountsApi };
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+/**
+ * Passwords - salted password hashes with Node's built-in scrypt
+ *
+ * Stored format: "scrypt$N$r$p$<salt base64>$<hash base64>". The cost
+ * parameters travel with each hash, so they can be raised later without
+ * breaking existing accounts.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} Hash to store on the account
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const hash = await scrypt(password, salt, KEY_BYTES, COST);
+    return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * @param {string} password
+ * @param {string} stored - Value from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const parts = typeof stored === 'string' ? stored.split('$') : [];
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [, N, r, p, salt, expectedBase64] = parts;
+    const expected = Buffer.from(expectedBase64, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return crypto.timingSafeEqual(hash, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+
+/**
+ * SessionTokens - signed, expiring session tokens (HMAC-SHA256)
+ *
+ * Format: "v1.<payload>.<signature>", both parts base64url. The payload is
+ * { sub: accountId, name: username, iat, exp } with times in epoch ms.
+ * Tokens are not stored anywhere: any server with the same SESSION_SECRET
+ * can check them, and they stop working when the secret changes.
+ */
+
+const VERSION = 'v1';
+
+/**
+ * @param {{accountId: string, username: string}} account
+ * @param {Object} options
+ * @param {string} options.secret
+ * @param {number} options.ttlMs
+ * @param {number} options.now - Epoch ms
+ * @returns {string}
+ */
+function createSessionToken(account, { secret, ttlMs, now }) {
+    const payload = { sub: account.accountId, name: account.username, iat: now, exp: now + ttlMs };
+    const body = `${VERSION}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    return `${body}.${sign(body, secret)}`;
+}
+
+/**
+ * @param {string} token
+ * @param {Object} options
+ * @param {string} options.secret
+ * @param {number} options.now - Epoch ms
+ * @returns {{accountId: string, username: string, expiresAt: number}|null} null when invalid or expired
+ */
+function verifySessionToken(token, { secret, now }) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3 || parts[0] !== VERSION) return null;
+
+    const body = `${parts[0]}.${parts[1]}`;
+    const expected = Buffer.from(sign(body, secret));
+    const actual = Buffer.from(parts[2]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+    if (!payload || typeof payload.sub !== 'string' || !(payload.exp > now)) return null;
+
+    return { accountId: payload.sub, username: payload.name, expiresAt: payload.exp };
+}
+
+function sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+}
+
+module.exports = { createSessionToken, verifySessionToken };
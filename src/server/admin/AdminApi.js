@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ROLES, isValidRole } = require('./Roles');
+const { formatRemaining, describeRemaining } = require('./SanctionList');
+const { ledgerState, checkLedger } = require('../game/economy/TransactionLedger');
+
+/**
+ * AdminApi - local HTTP endpoints for server operators
+ *
+ * Mounted at /admin/api by server.js, only when ADMIN_SECRET is set in .env.
+ * Every request must:
+ * - come from this machine (loopback address; proxied requests are refused)
+ * - carry `Authorization: Bearer <ADMIN_SECRET>`
+ *
+ * Players are addressed by socket id or name in the JSON body (`player`).
+ * Responses are `{ ok: true, ... }` or `{ error }` with a 4xx status.
+ *
+ * Sanctions take a `target`: `player` (online, by socket id or name - both
+ * their token and IP are sanctioned), or `token` and/or `ip` for players who
+ * are offline. Without `minutes` a sanction is permanent.
+ *
+ *   GET  /players                                   Online players with role and position
+ *   POST /kick       { player, reason? }            409 if held for a reconnect
+ *   POST /ban        { target, reason?, minutes? }  Bans token and IP, kicks if online
+ *   POST /unban      { target }
+ *   POST /mute       { target, reason?, minutes? }  Blocks chat messages
+ *   POST /unmute     { target }
+ *   GET  /sanctions                                 Active bans and mutes
+ *   DELETE /sanctions/:id
+ *   POST /teleport   { player, x, y }
+ *   POST /spawn      { type: trader|pirate, count?, player | x, y }
+ *   POST /gold       { player, amount }
+ *   POST /broadcast  { message }                    System chat message to everyone
+ *   POST /role       { player, role }               player | moderator | admin
+ *   GET  /ledger?player=|captain=&from=&to=&limit=  Transaction ledger entries, oldest first
+ *   GET  /ledger/check?player=|captain=             Recompute balances and list where they break
+ *
+ * Ledger routes take `player` (online, socket id or name) or `captain` (saved
+ * record token, online or not); `from`/`to` are ms timestamps or ISO dates.
+ */
+
+const MAX_SPAWN = 10; // Same safety limit as the in-game spawn commands
+const DEFAULT_LEDGER_LIMIT = 1000;
+const MAX_LEDGER_LIMIT = 10000;
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * @param {Object} deps
+ * @param {GameLoop} deps.gameLoop
+ * @param {Object} deps.io - Socket.IO server
+ * @param {string} deps.secret - ADMIN_SECRET
+ * @param {SanctionList} deps.sanctions - Bans and mutes, checked by server.js
+ * @returns {express.Router}
+ */
+function createAdminApi({ gameLoop, io, secret, sanctions }) {
+    const router = express.Router();
+    const expectedDigest = digest(secret);
+
+    router.use((req, res, next) => {
+        if (!LOOPBACK_ADDRESSES.has(req.socket.remoteAddress) || req.headers['x-forwarded-for']) {
+            return res.status(403).json({ error: 'Admin API is only available locally' });
+        }
+
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        if (!crypto.timingSafeEqual(digest(token), expectedDigest)) {
+            console.warn(`[Admin] Rejected request to ${req.path}: bad secret`);
+            return res.status(401).json({ error: 'Invalid admin secret' });
+        }
+        next();
+    });
+    router.use(express.json());
+
+    // Resolve body.player to an online Player, or answer 400/404
+    const withPlayer = (handler) => (req, res) => {
+        const query = req.body && req.body.player;
+        if (!query) return res.status(400).json({ error: 'Missing "player" (socket id or name)' });
+
+        const player = gameLoop.findPlayer(String(query));
+        if (!player) return res.status(404).json({ error: `Player not online: ${query}` });
+        return handler(req, res, player);
+    };
+
+    // Resolve a sanction target to { token, ip, player }, or answer 400/404
+    const withTarget = (handler) => async (req, res) => {
+        const body = req.body || {};
+        let target;
+        if (body.player) {
+            const player = gameLoop.findPlayer(String(body.player));
+            if (!player) return res.status(404).json({ error: `Player not online: ${body.player}` });
+
+            const socket = io.sockets.sockets.get(player.id);
+            target = { token: player.token || null, ip: (socket && socket.data.clientIP) || null, player };
+        } else {
+            target = {
+                token: typeof body.token === 'string' && body.token ? body.token : null,
+                ip: typeof body.ip === 'string' && body.ip ? body.ip : null,
+                player: null
+            };
+        }
+        if (!target.token && !target.ip) {
+            return res.status(400).json({ error: 'Give "player", "token" or "ip"' });
+        }
+        return handler(req, res, target);
+    };
+
+    // Sanction duration from body.minutes: null (permanent), ms, or undefined when invalid
+    const parseDuration = (minutes) => {
+        if (minutes === undefined || minutes === null) return null;
+        const value = Number(minutes);
+        return Number.isFinite(value) && value > 0 ? value * 60000 : undefined;
+    };
+
+    const addSanction = (type) => withTarget(async (req, res, target) => {
+        const durationMs = parseDuration(req.body.minutes);
+        if (durationMs === undefined) {
+            return res.status(400).json({ error: 'minutes must be a positive number' });
+        }
+
+        const sanction = await sanctions.add({
+            type,
+            token: target.token,
+            ip: target.ip,
+            reason: typeof req.body.reason === 'string' ? req.body.reason.trim() : '',
+            durationMs,
+            createdBy: 'admin-api'
+        });
+
+        if (target.player) {
+            if (type === 'ban') {
+                const reason = sanction.reason || 'You have been banned from this server.';
+                // A ship held for a reconnect has no connection to close: remove it now
+                if (!gameLoop.kickPlayer(target.player.id, `${reason} (${describeRemaining(durationMs)})`)) {
+                    gameLoop.releaseHeldPlayer(target.player.id);
+                }
+            } else {
+                io.to(target.player.id).emit('chatMessage', {
+                    type: 'system',
+                    timestamp: Date.now(),
+                    text: `🔇 You have been muted (${describeRemaining(durationMs)})${sanction.reason ? `: ${sanction.reason}` : ''}`
+                });
+            }
+        }
+        res.json({ ok: true, sanction });
+    });
+
+    const liftSanction = (type) => withTarget(async (req, res, target) => {
+        const lifted = await sanctions.lift(type, target);
+        if (lifted === 0) return res.status(404).json({ error: `No active ${type} for that target` });
+        res.json({ ok: true, lifted });
+    });
+
+    router.get('/players', (req, res) => {
+        const players = Object.values(gameLoop.world.entities)
+            .filter(entity => entity.type === 'PLAYER')
+            .map(player => ({
+                id: player.id,
+                name: player.name,
+                role: player.role,
+                x: Math.round(player.x),
+                y: Math.round(player.y),
+                gold: player.gold,
+                inHarbor: player.inHarbor
+            }));
+        res.json({ ok: true, players });
+    });
+
+    router.post('/kick', withPlayer((req, res, player) => {
+        // A ship held for a reconnect has no connection to close
+        if (!gameLoop.kickPlayer(player.id, req.body.reason || undefined)) {
+            return res.status(409).json({ error: `${player.name} is not connected` });
+        }
+        console.log(`[Admin] Kicked ${player.name}`);
+        res.json({ ok: true });
+    }));
+
+    router.post('/ban', addSanction('ban'));
+    router.post('/unban', liftSanction('ban'));
+    router.post('/mute', addSanction('mute'));
+    router.post('/unmute', liftSanction('mute'));
+
+    router.get('/sanctions', (req, res) => {
+        const list = sanctions.list().map(sanction => ({
+            ...sanction,
+            remaining: formatRemaining(sanctions.remainingMs(sanction))
+        }));
+        res.json({ ok: true, sanctions: list });
+    });
+
+    router.delete('/sanctions/:id', async (req, res) => {
+        if (!(await sanctions.remove(req.params.id))) {
+            return res.status(404).json({ error: `No active sanction ${req.params.id}` });
+        }
+        res.json({ ok: true });
+    });
+
+    router.post('/teleport', withPlayer((req, res, player) => {
+        const x = Number(req.body.x);
+        const y = Number(req.body.y);
+        if (!gameLoop.teleportPlayer(player.id, x, y)) {
+            return res.status(400).json({ error: 'Invalid coordinates' });
+        }
+        res.json({ ok: true, x: player.x, y: player.y });
+    }));
+
+    router.post('/spawn', (req, res) => {
+        const { type } = req.body || {};
+        if (type !== 'trader' && type !== 'pirate') {
+            return res.status(400).json({ error: 'type must be "trader" or "pirate"' });
+        }
+        const count = Math.min(Math.max(parseInt(req.body.count) || 1, 1), MAX_SPAWN);
+
+        // Near a player, or at explicit coordinates
+        let x = Number(req.body.x);
+        let y = Number(req.body.y);
+        let target = null;
+        if (req.body.player) {
+            target = gameLoop.findPlayer(String(req.body.player));
+            if (!target) return res.status(404).json({ error: `Player not online: ${req.body.player}` });
+            x = target.x;
+            y = target.y;
+        }
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return res.status(400).json({ error: 'Give "player" or numeric "x" and "y"' });
+        }
+
+        const npcManager = gameLoop.world.npcManager;
+        let spawned = 0;
+        for (let i = 0; i < count; i++) {
+            if (type === 'trader') {
+                if (npcManager.spawnTrader(x, y)) spawned++;
+            } else {
+                const position = npcManager.findDeepWaterSpawn(x, y, 200);
+                if (position && npcManager.spawnPirate(position.x, position.y, target ? target.id : null)) spawned++;
+            }
+        }
+        console.log(`[Admin] Spawned ${spawned}/${count} ${type}(s) at (${x.toFixed(0)}, ${y.toFixed(0)})`);
+        res.json({ ok: true, spawned });
+    });
+
+    router.post('/gold', withPlayer((req, res, player) => {
+        const amount = Number(req.body.amount);
+        if (!Number.isInteger(amount) || amount <= 0) {
+            return res.status(400).json({ error: 'amount must be a positive integer' });
+        }
+        player.addGold(amount, { source: 'ADMIN', counterparty: 'admin' });
+        player.needsSave = true;
+        res.json({ ok: true, gold: player.gold });
+    }));
+
+    router.post('/broadcast', (req, res) => {
+        const message = req.body && typeof req.body.message === 'string' ? req.body.message.trim() : '';
+        if (!message) return res.status(400).json({ error: 'Missing "message"' });
+
+        const chatMessage = {
+            type: 'system',
+            timestamp: Date.now(),
+            text: `📢 ${message}`
+        };
+        io.emit('chatMessage', chatMessage);
+        console.log(`[Admin] Broadcast: ${message}`);
+        res.json({ ok: true });
+    });
+
+    router.post('/role', withPlayer((req, res, player) => {
+        const { role } = req.body;
+        if (!isValidRole(role)) {
+            return res.status(400).json({ error: `role must be one of: ${Object.values(ROLES).join(', ')}` });
+        }
+        gameLoop.setPlayerRole(player.id, role);
+        res.json({ ok: true, role });
+    }));
+
+    // Resolve ?player= or ?captain= to { captain, player (online or null) }, or answer 400/404
+    const withCaptain = (handler) => async (req, res) => {
+        let player = null;
+        let captain = null;
+        if (req.query.player) {
+            player = gameLoop.findPlayer(String(req.query.player));
+            if (!player) return res.status(404).json({ error: `Player not online: ${req.query.player}` });
+            if (!player.token) return res.status(400).json({ error: `${player.name} is a guest: guests are not recorded` });
+            captain = player.token;
+        } else if (req.query.captain) {
+            captain = String(req.query.captain);
+            player = gameLoop.findPlayerByToken(captain);
+        } else {
+            return res.status(400).json({ error: 'Give "player" (socket id or name) or "captain" (token)' });
+        }
+
+        try {
+            await handler(req, res, { captain, player });
+        } catch (error) {
+            console.error(`[Admin] Ledger query for ${captain} failed:`, error);
+            res.status(500).json({ error: 'Ledger query failed, see the server log' });
+        }
+    };
+
+    router.get('/ledger', withCaptain(async (req, res, { captain }) => {
+        const from = parseTime(req.query.from);
+        const to = parseTime(req.query.to);
+        const limit = req.query.limit === undefined ? DEFAULT_LEDGER_LIMIT : Number(req.query.limit);
+        if (from === undefined || to === undefined) {
+            return res.status(400).json({ error: 'from/to must be ms timestamps or ISO dates' });
+        }
+        if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LEDGER_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_LEDGER_LIMIT}` });
+        }
+
+        const entries = await gameLoop.ledger.query({ captain, from, to, limit });
+        res.json({ ok: true, captain, entries });
+    }));
+
+    // The whole history: balances only add up from the first entry on
+    router.get('/ledger/check', withCaptain(async (req, res, { captain, player }) => {
+        const entries = await gameLoop.ledger.query({ captain });
+        const result = checkLedger(entries, player ? ledgerState(player) : null);
+        if (result.issues.length > 0) {
+            console.warn(`[Admin] Ledger check for ${captain}: ${result.issues.length} issue(s)`);
+        }
+        res.json({ ok: true, captain, online: player !== null, entries: entries.length, ...result });
+    }));
+
+    return router;
+}
+
+// null when absent, undefined when invalid
+function parseTime(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : undefined;
+}
+
+// Fixed-length digests so timingSafeEqual works for secrets of any length
+function digest(value) {
+    return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+module.exports = { createAdminApi };
@@ -0,0 +1,64 @@
+/**
+ * Roles - who may use privileged socket events
+ *
+ * Every player has one role, stored on the persisted player record
+ * (PlayerModel.role) and copied onto the Player entity at join. Roles are
+ * ordered: a higher role can do everything a lower one can.
+ *
+ * Privileged events are listed in EVENT_ROLES with the minimum role they need.
+ * server.js registers them through onPrivileged(), so the check runs on the
+ * server for every single event - the client is never trusted to hide them.
+ */
+
+const ROLES = {
+    PLAYER: 'player',
+    MODERATOR: 'moderator',
+    ADMIN: 'admin'
+};
+
+const ROLE_RANK = {
+    [ROLES.PLAYER]: 0,
+    [ROLES.MODERATOR]: 1,
+    [ROLES.ADMIN]: 2
+};
+
+// Minimum role per privileged socket event
+const EVENT_ROLES = {
+    debug_teleport: ROLES.MODERATOR,      // Moderators jump to reported players
+    spawnNPC: ROLES.ADMIN,
+    spawnCombatNPC: ROLES.ADMIN,
+    debug_spawn_npcs: ROLES.ADMIN,
+    debug_spawn_pirates: ROLES.ADMIN,
+    debug_start_mission: ROLES.ADMIN
+};
+
+function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+}
+
+/**
+ * @param {string} role - Role of the acting player (unknown roles count as player)
+ * @param {string} required - Minimum role
+ */
+function hasRole(role, required) {
+    const rank = isValidRole(role) ? ROLE_RANK[role] : ROLE_RANK[ROLES.PLAYER];
+    return rank >= ROLE_RANK[required];
+}
+
+/**
+ * @param {string} role - Role of the acting player
+ * @param {string} event - Socket event name
+ * @returns {boolean} False for privileged events the role may not use
+ */
+function canUseEvent(role, event) {
+    const required = EVENT_ROLES[event];
+    return required === undefined || hasRole(role, required);
+}
+
+module.exports = {
+    ROLES,
+    EVENT_ROLES,
+    isValidRole,
+    hasRole,
+    canUseEvent
+};
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const DatabaseService = require('../database/DatabaseService');
+
+/**
+ * SanctionList - active bans and mutes
+ *
+ * A sanction targets a player token, an IP address, or both; it matches a
+ * connection when either key matches. Sanctions are kept in memory for fast
+ * checks (every connect, every chat message) and written through to
+ * DatabaseService, so they survive restarts. Without a database they last
+ * until the server stops.
+ *
+ * Sanction: { id, type: 'ban'|'mute', token, ip, reason, createdBy, createdAt, expiresAt }
+ * Times are epoch milliseconds; expiresAt null means permanent.
+ */
+
+const SANCTION_TYPES = ['ban', 'mute'];
+
+class SanctionList {
+    /**
+     * @param {Object} options
+     * @param {Object} options.db - Persistence (default DatabaseService)
+     * @param {function(): number} options.now - Clock in ms (tests)
+     */
+    constructor(options = {}) {
+        this.db = options.db ?? DatabaseService;
+        this.now = options.now ?? Date.now;
+        this.sanctions = new Map(); // id -> sanction
+    }
+
+    /**
+     * Load active sanctions saved by earlier runs
+     */
+    async load() {
+        const saved = await this.db.loadSanctions();
+        for (const sanction of saved) {
+            if (!this.isExpired(sanction)) {
+                this.sanctions.set(sanction.id, sanction);
+            }
+        }
+        console.log(`[Sanctions] Loaded ${this.sanctions.size} active bans/mutes`);
+    }
+
+    /**
+     * @param {Object} params
+     * @param {string} params.type - 'ban' | 'mute'
+     * @param {string|null} params.token - Player token
+     * @param {string|null} params.ip - Client IP
+     * @param {string} params.reason
+     * @param {number|null} params.durationMs - null or 0 for permanent
+     * @param {string} params.createdBy
+     * @returns {Promise<Object>} The new sanction
+     */
+    async add({ type, token = null, ip = null, reason = '', durationMs = null, createdBy = 'admin' }) {
+        if (!SANCTION_TYPES.includes(type)) throw new Error(`Unknown sanction type: ${type}`);
+        if (!token && !ip) throw new Error('A sanction needs a token or an IP');
+
+        const now = this.now();
+        const sanction = {
+            id: crypto.randomUUID(),
+            type,
+            token,
+            ip,
+            reason,
+            createdBy,
+            createdAt: now,
+            expiresAt: durationMs ? now + durationMs : null
+        };
+
+        this.sanctions.set(sanction.id, sanction);
+        await this.db.saveSanction(sanction);
+        console.log(`[Sanctions] ${type} ${describeTarget(sanction)} ${formatRemaining(durationMs || null)}: ${reason || 'no reason'}`);
+        return sanction;
+    }
+
+    /**
+     * Lift one sanction by id
+     */
+    async remove(id) {
+        const sanction = this.sanctions.get(id);
+        if (!sanction) return false;
+
+        this.sanctions.delete(id);
+        await this.db.deleteSanction(id);
+        console.log(`[Sanctions] Lifted ${sanction.type} ${describeTarget(sanction)}`);
+        return true;
+    }
+
+    /**
+     * Lift every sanction of a type that matches the token or IP
+     * @returns {Promise<number>} Number of sanctions lifted
+     */
+    async lift(type, keys) {
+        const matches = this.list(type).filter(sanction => matchesKeys(sanction, keys));
+        for (const sanction of matches) {
+            await this.remove(sanction.id);
+        }
+        return matches.length;
+    }
+
+    /**
+     * Active sanction of a type for a connection, if any
+     * @param {string} type - 'ban' | 'mute'
+     * @param {{token?: string, ip?: string}} keys
+     * @returns {Object|null}
+     */
+    find(type, keys) {
+        return this.list(type).find(sanction => matchesKeys(sanction, keys)) || null;
+    }
+
+    /**
+     * Active sanctions, optionally of one type (expired ones are dropped here)
+     */
+    list(type = null) {
+        const active = [];
+        for (const [id, sanction] of this.sanctions) {
+            if (this.isExpired(sanction)) {
+                this.sanctions.delete(id);
+                continue;
+            }
+            if (!type || sanction.type === type) active.push(sanction);
+        }
+        return active;
+    }
+
+    isExpired(sanction) {
+        return sanction.expiresAt !== null && sanction.expiresAt <= this.now();
+    }
+
+    /**
+     * Milliseconds left, or null for permanent sanctions
+     */
+    remainingMs(sanction) {
+        return sanction.expiresAt === null ? null : Math.max(0, sanction.expiresAt - this.now());
+    }
+}
+
+function matchesKeys(sanction, { token = null, ip = null } = {}) {
+    return (sanction.token !== null && sanction.token === token) ||
+        (sanction.ip !== null && sanction.ip === ip);
+}
+
+function describeTarget(sanction) {
+    return [sanction.token && `token ${sanction.token}`, sanction.ip && `IP ${sanction.ip}`].filter(Boolean).join(' / ');
+}
+
+/**
+ * Human-readable time left: "permanent", "45s", "12m", "3h 20m", "2d 4h"
+ * @param {number|null} ms
+ */
+function formatRemaining(ms) {
+    if (ms === null) return 'permanent';
+
+    const minutes = Math.ceil(ms / 60000);
+    if (ms < 60000) return `${Math.ceil(ms / 1000)}s`;
+    if (minutes < 60) return `${minutes}m`;
+
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Suffix for player-facing messages: "permanent" or "12m remaining"
+ */
+function describeRemaining(ms) {
+    return ms === null ? 'permanent' : `${formatRemaining(ms)} remaining`;
+}
+
+module.exports = SanctionList;
+module.exports.formatRemaining = formatRemaining;
+module.exports.describeRemaining = describeRemaining;
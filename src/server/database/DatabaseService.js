@@ -1,31 +1,104 @@
-const mongoose = require('mongoose');
-const PlayerModel = require('./models/PlayerModel');
+const path = require('path');
+const MongoStore = require('./stores/MongoStore');
+const FileStore = require('./stores/FileStore');
+const MemoryStore = require('./stores/MemoryStore');
 require('dotenv').config();
 
+/**
+ * DatabaseService - persistence for player records, accounts, sanctions and the world checkpoint
+ *
+ * The storage backend is chosen at connect() by DB_BACKEND in .env:
+ * - mongo:  MongoDB at MONGODB_URI (stores/MongoStore.js)
+ * - file:   JSON snapshot + append log in DB_FILE_DIR, default ./data (stores/FileStore.js)
+ * - memory: this process only, lost on restart (stores/MemoryStore.js)
+ * - none:   persistence disabled
+ * Without DB_BACKEND, mongo is used when MONGODB_URI is set, otherwise none.
+ *
+ * A store implements connect(), close(), loadPlayer(token, name),
+ * savePlayer(data), savePlayers(list), setPlayerRole(token, role),
+ * loadSanctions(), saveSanction(sanction), deleteSanction(id), for accounts
+ * createAccount(account), loadAccount(usernameKey) and
+ * linkPlayerToAccount(token, accountId), and for the captains of an account
+ * listCaptains(accountId), createCaptain(record), deleteCaptain(token, accountId)
+ * and isCaptainNameTaken(nameKey), and for the transaction ledger
+ * saveLedgerEntries(entries) and queryLedger(filter), and for the world
+ * saveWorldCheckpoint(checkpoint) and loadWorldCheckpoint().
+ * Stores may throw; this service logs errors and returns the "nothing
+ * happened" value, so game code never has to care which backend (if any) is
+ * active. Account, captain and ledger lookups are the exception: their
+ * errors are passed on, so a database outage is never mistaken for a wrong
+ * password, an empty captain list, a free name or a clean audit.
+ */
+
+const BACKENDS = ['mongo', 'file', 'memory', 'none'];
+const DEFAULT_FILE_DIR = path.join(__dirname, '../../../data');
+
 class DatabaseService {
     constructor() {
-        this.isConnected = false;
+        this.store = null;
+    }
+
+    get isConnected() {
+        return this.store !== null;
     }
 
-    async connect() {
-        const uri = process.env.MONGODB_URI;
-        if (!uri) {
-            console.warn('[DB] WARNING: MONGODB_URI not found in .env. Database persistence is disabled.');
+    /**
+     * @param {Object} options - Overrides for the .env settings (tests)
+     * @param {string} options.backend - mongo | file | memory | none
+     * @param {string} options.dir - Data directory of the file store
+     * @returns {Promise<boolean>} True when a store is active
+     */
+    async connect(options = {}) {
+        const backend = options.backend ?? process.env.DB_BACKEND ?? (process.env.MONGODB_URI ? 'mongo' : 'none');
+        if (!BACKENDS.includes(backend)) {
+            console.error(`[DB] Unknown DB_BACKEND "${backend}" (expected ${BACKENDS.join(', ')}). Database persistence is disabled.`);
+            return false;
+        }
+
+        let store;
+        if (backend === 'mongo') {
+            const uri = process.env.MONGODB_URI;
+            if (!uri) {
+                console.warn('[DB] WARNING: MONGODB_URI not found in .env. Database persistence is disabled.');
+                return false;
+            }
+            store = new MongoStore(uri);
+        } else if (backend === 'file') {
+            store = new FileStore(options.dir ?? process.env.DB_FILE_DIR ?? DEFAULT_FILE_DIR);
+        } else if (backend === 'memory') {
+            store = new MemoryStore();
+        } else {
+            console.warn('[DB] WARNING: No database configured (DB_BACKEND / MONGODB_URI). Database persistence is disabled.');
             return false;
         }
 
         try {
-            console.log('[DB] Connecting to MongoDB Atlas...');
-            await mongoose.connect(uri);
-            this.isConnected = true;
-            console.log('[DB] Successfully connected to MongoDB Atlas');
+            console.log(`[DB] Connecting to ${store.name}...`);
+            await store.connect();
+            this.store = store;
+            console.log(`[DB] Successfully connected to ${store.name}`);
             return true;
         } catch (error) {
-            console.error('[DB] Failed to connect to MongoDB:', error);
+            console.error(`[DB] Failed to connect to ${store.name}:`, error);
             return false;
         }
     }
 
+    /**
+     * Flush pending writes and disconnect (graceful shutdown)
+     */
+    async close() {
+        if (!this.store) return;
+
+        const store = this.store;
+        this.store = null;
+        try {
+            await store.close();
+        } catch (error) {
+            console.error(`[DB] Error closing ${store.name}:`, error);
+        }
+    }
+
     /**
      * Loads a player from the database using their token.
      * If they don't exist, returns null (caller should create new).
@@ -34,18 +107,12 @@ class DatabaseService {
         if (!this.isConnected) return null;
 
         try {
-            // Find by token. We update the name just in case they changed it on login screen
-            const playerDoc = await PlayerModel.findOneAndUpdate(
-                { token },
-                { $set: { name } }, // Ensure latest name is saved
-                { returnDocument: 'after' }
-            );
-            
-            if (playerDoc) {
+            const playerData = await this.store.loadPlayer(token, name);
+            if (playerData) {
                 console.log(`[DB] Loaded existing player: ${name} (${token})`);
-                return playerDoc.toObject();
+                return playerData;
             }
-            
+
             console.log(`[DB] No existing save found for: ${name} (${token})`);
             return null;
         } catch (error) {
@@ -62,19 +129,205 @@ class DatabaseService {
         if (!this.isConnected || !playerData || !playerData.token) return false;
 
         try {
-            playerData.lastSaved = new Date();
-            
-            await PlayerModel.findOneAndUpdate(
-                { token: playerData.token },
-                { $set: playerData },
-                { upsert: true, returnDocument: 'after' }
-            );
+            await this.store.savePlayer(playerData);
             return true;
         } catch (error) {
             console.error(`[DB] Error saving player ${playerData.token}:`, error);
             return false;
         }
     }
+
+    /**
+     * Upserts many players at once (graceful shutdown).
+     * @returns {Promise<{saved: string[], failed: string[]}>} Player tokens
+     */
+    async savePlayers(playerDataList) {
+        const tokens = playerDataList.map(data => data.token);
+        if (!this.isConnected) return { saved: [], failed: tokens };
+        if (playerDataList.length === 0) return { saved: [], failed: [] };
+
+        try {
+            return await this.store.savePlayers(playerDataList);
+        } catch (error) {
+            console.error('[DB] Error in bulk player save:', error.message);
+            return { saved: [], failed: tokens };
+        }
+    }
+
+    /**
+     * Sets the role on a saved player (see admin/Roles.js).
+     * Players without a save yet keep the role for their session only.
+     */
+    async setPlayerRole(token, role) {
+        if (!this.isConnected || !token) return false;
+
+        try {
+            return await this.store.setPlayerRole(token, role);
+        } catch (error) {
+            console.error(`[DB] Error setting role for ${token}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Captain records owned by an account. Throws on database errors.
+     */
+    async listCaptains(accountId) {
+        if (!this.isConnected) return [];
+        return this.store.listCaptains(accountId);
+    }
+
+    /**
+     * Creates a captain record before its first voyage: { token, accountId, name, nameKey, schemaVersion }.
+     * @returns {Promise<boolean>} False if the name is taken. Throws on database errors.
+     */
+    async createCaptain(record) {
+        if (!this.isConnected) return false;
+        return this.store.createCaptain(record);
+    }
+
+    /**
+     * Deletes a captain record, which frees its name.
+     * @returns {Promise<boolean>} False if the account has no such captain. Throws on database errors.
+     */
+    async deleteCaptain(token, accountId) {
+        if (!this.isConnected) return false;
+        return this.store.deleteCaptain(token, accountId);
+    }
+
+    /**
+     * @param {string} nameKey - Lowercase captain name
+     * Throws on database errors.
+     */
+    async isCaptainNameTaken(nameKey) {
+        if (!this.isConnected) return false;
+        return this.store.isCaptainNameTaken(nameKey);
+    }
+
+    /**
+     * Links a saved captain that has no account yet to an account, reserving its name if it is free.
+     * @returns {Promise<boolean>} False if there is no such save or it is already linked
+     */
+    async linkPlayerToAccount(token, accountId) {
+        if (!this.isConnected || !token) return false;
+
+        try {
+            return await this.store.linkPlayerToAccount(token, accountId);
+        } catch (error) {
+            console.error(`[DB] Error linking player ${token} to account ${accountId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} False if the username is taken. Throws on database errors.
+     */
+    async createAccount(account) {
+        if (!this.isConnected) return false;
+        return this.store.createAccount(account);
+    }
+
+    /**
+     * @param {string} usernameKey - Lowercase username
+     * Throws on database errors.
+     */
+    async loadAccount(usernameKey) {
+        if (!this.isConnected) return null;
+        return this.store.loadAccount(usernameKey);
+    }
+
+    /**
+     * Appends a batch of transaction ledger entries.
+     * @returns {Promise<boolean>} False if nothing was written (the caller keeps the batch)
+     */
+    async saveLedgerEntries(entries) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.store.saveLedgerEntries(entries);
+            return true;
+        } catch (error) {
+            console.error(`[DB] Error saving ${entries.length} ledger entries:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Ledger entries of one captain, oldest first. Throws on database errors.
+     * @param {Object} filter - { captain, from?, to?, limit? } (from/to in ms, inclusive)
+     */
+    async queryLedger(filter) {
+        if (!this.isConnected) return [];
+        return this.store.queryLedger(filter);
+    }
+
+    /**
+     * Replaces the stored world checkpoint (see WorldCheckpoint.js).
+     */
+    async saveWorldCheckpoint(checkpoint) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.store.saveWorldCheckpoint(checkpoint);
+            return true;
+        } catch (error) {
+            console.error('[DB] Error saving world checkpoint:', error);
+            return false;
+        }
+    }
+
+    /**
+     * The last saved world checkpoint, or null (the world then starts fresh).
+     */
+    async loadWorldCheckpoint() {
+        if (!this.isConnected) return null;
+
+        try {
+            return await this.store.loadWorldCheckpoint();
+        } catch (error) {
+            console.error('[DB] Error loading world checkpoint:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Loads all bans and mutes that have not expired.
+     * Returns plain sanction objects (see admin/SanctionList.js).
+     */
+    async loadSanctions() {
+        if (!this.isConnected) return [];
+
+        try {
+            return await this.store.loadSanctions();
+        } catch (error) {
+            console.error('[DB] Error loading sanctions:', error);
+            return [];
+        }
+    }
+
+    async saveSanction(sanction) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.store.saveSanction(sanction);
+            return true;
+        } catch (error) {
+            console.error(`[DB] Error saving sanction ${sanction.id}:`, error);
+            return false;
+        }
+    }
+
+    async deleteSanction(id) {
+        if (!this.isConnected) return false;
+
+        try {
+            await this.store.deleteSanction(id);
+            return true;
+        } catch (error) {
+            console.error(`[DB] Error deleting sanction ${id}:`, error);
+            return false;
+        }
+    }
 }
 
 // Export as singleton
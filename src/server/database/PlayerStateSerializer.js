@@ -0,0 +1,258 @@
+const Ship = require('../game/entities/Ship');
+const { SHIP_CLASSES } = require('../game/entities/ShipClass');
+const { GAME, COMBAT } = require('../game/config/GameConfig');
+const { ROLES, isValidRole } = require('../admin/Roles');
+const SailToHarborMission = require('../game/missions/SailToHarborMission');
+const StayInAreaMission = require('../game/missions/StayInAreaMission');
+const DefeatNPCsMission = require('../game/missions/DefeatNPCsMission');
+const EscortMission = require('../game/missions/EscortMission');
+
+/**
+ * PlayerStateSerializer - the one mapping between a Player and its saved record
+ *
+ * serializePlayer() builds the PlayerModel document for every save path
+ * (disconnect, harbor entry, autosave, shutdown); deserializePlayer() restores
+ * it at join. Records carry a schemaVersion: older ones are upgraded step by
+ * step through MIGRATIONS before they are read, so the restore code only ever
+ * deals with CURRENT_VERSION.
+ *
+ * To change the format: bump CURRENT_VERSION, add MIGRATIONS[old] that turns
+ * an old record into the new shape, then update both functions below.
+ *
+ * Not written here: role (set through DatabaseService.setPlayerRole).
+ * Not restored here: token and accountId, which identify the record and are
+ * set by GameLoop.addPlayer before it is loaded.
+ */
+
+const CURRENT_VERSION = 3;
+
+// MIGRATIONS[n] upgrades a version n record to version n + 1
+const MIGRATIONS = {
+    // v1: no version field, cargo stored on fleet[0] only, no ammo/shield/mission
+    1: (data) => {
+        const fleet = data.fleet || [];
+        return {
+            ...data,
+            fleet: fleet.map(({ cargo, ...ship }) => ship),
+            cargo: (fleet[0] && fleet[0].cargo) || {},
+            flagshipIndex: 0,
+            selectedAmmoType: COMBAT.AMMO_TYPES.CANNON_SHOT,
+            shieldRemaining: 0,
+            mission: null
+        };
+    },
+    // v2: no bank account or price book (records written before the bump may have them)
+    2: (data) => ({
+        ...data,
+        bankGold: data.bankGold || 0,
+        visitedHarbors: data.visitedHarbors || {}
+    })
+};
+
+/**
+ * Upgrade a saved record to CURRENT_VERSION
+ * @param {Object} data - Record as loaded (any version)
+ * @returns {Object} A new object at CURRENT_VERSION
+ */
+function migrate(data) {
+    let version = data.schemaVersion || 1;
+    if (version > CURRENT_VERSION) {
+        throw new Error(`Player save version ${version} is newer than this server (${CURRENT_VERSION})`);
+    }
+
+    let result = data;
+    while (version < CURRENT_VERSION) {
+        result = { ...MIGRATIONS[version](result), schemaVersion: version + 1 };
+        version++;
+    }
+    return result;
+}
+
+// Saved mission state per mission type. Missions with spawned NPCs (escort
+// trader, target pirates) resume in their DEPARTURE phase: the NPCs are not
+// saved, so they are spawned again once the player is back at the spawn point.
+const MISSION_CODECS = {
+    SAIL_TO_HARBOR: {
+        save: (mission) => ({
+            targetHarborId: mission.targetHarborId,
+            targetHarborName: mission.targetHarborName
+        }),
+        restore: (data, playerId) => new SailToHarborMission(null, playerId, data.targetHarborId, data.targetHarborName)
+    },
+    STAY_IN_AREA: {
+        save: (mission) => ({
+            targetX: mission.targetX,
+            targetY: mission.targetY,
+            radius: mission.radius,
+            duration: mission.duration
+        }),
+        // Time in the area resets anyway once the player leaves it
+        restore: (data, playerId) => new StayInAreaMission(null, playerId, data.targetX, data.targetY, data.radius, data.duration)
+    },
+    DEFEAT_NPCS: {
+        save: (mission) => ({
+            targetCount: mission.targetCount,
+            defeatedCount: mission.defeatedCount,
+            targetX: mission.targetX,
+            targetY: mission.targetY,
+            spawnPoint: mission.spawnPoint
+        }),
+        restore: (data, playerId) => {
+            const mission = new DefeatNPCsMission(null, playerId, data.targetCount, data.targetX ?? null, data.targetY ?? null);
+            mission.defeatedCount = data.defeatedCount || 0;
+            mission.spawnPoint = data.spawnPoint || null;
+            return mission;
+        }
+    },
+    ESCORT: {
+        save: (mission) => ({
+            targetHarborId: mission.targetHarborId,
+            targetHarborName: mission.targetHarborName,
+            maxDistance: mission.maxDistance,
+            spawnPoint: mission.spawnPoint
+        }),
+        restore: (data, playerId) => {
+            const mission = new EscortMission(null, playerId, data.targetHarborId, data.targetHarborName, data.maxDistance);
+            mission.spawnPoint = data.spawnPoint || null;
+            return mission;
+        }
+    }
+};
+
+/**
+ * Saved record of a player (PlayerModel fields)
+ * @param {Player} player
+ * @param {Object} [options]
+ * @param {MissionManager} [options.missionManager] - To include the active mission
+ * @returns {Object}
+ */
+function serializePlayer(player, { missionManager = null } = {}) {
+    return {
+        schemaVersion: CURRENT_VERSION,
+        token: player.token,
+        accountId: player.accountId || null,
+        name: player.name,
+        x: player.x,
+        y: player.y,
+        rotation: player.rotation,
+        lastHarborId: player.dockedHarborId || player.lastHarborId || null,
+        spawnMode: player.inHarbor ? 'HARBOR' : 'AT_SEA',
+        gold: player.gold,
+        bankGold: player.bankGold,
+        xp: player.xp,
+        level: player.level,
+        crewCount: player.crewCount,
+        flagshipIndex: player.flagshipIndex,
+        selectedAmmoType: player.selectedAmmoType,
+        shieldRemaining: serializeShield(player),
+        fleet: player.fleet.map(ship => ({
+            classId: ship.shipClass.id,
+            hullHP: ship.health,
+            sailIntegrity: ship.sailIntegrity,
+            customName: ship.customName || null
+        })),
+        cargo: { ...player.fleetCargo.goods },
+        visitedHarbors: { ...player.visitedHarbors },
+        mission: missionManager ? serializeMission(missionManager.getPlayerMission(player.id)) : null
+    };
+}
+
+// Seconds of shield left. The docked shield (Infinity) is not saved: docking sets it again.
+function serializeShield(player) {
+    if (!Number.isFinite(player.shieldEndTime)) return 0;
+    return Math.max(0, player.shieldEndTime - player.getSimulationTime());
+}
+
+/**
+ * Saved record of an active mission, or null (also used by the world checkpoint)
+ * @param {Mission|null} mission
+ */
+function serializeMission(mission) {
+    if (!mission || mission.state !== 'ACTIVE') return null;
+
+    const codec = MISSION_CODECS[mission.type];
+    return codec ? { type: mission.type, ...codec.save(mission) } : null;
+}
+
+/**
+ * Restore a saved record onto a freshly created Player
+ * @param {Object} data - Record as loaded (any version)
+ * @param {Player} player
+ * @param {Object} [options]
+ * @param {Object} [options.harborRegistry] - Snaps HARBOR spawns onto the harbor
+ * @param {MissionManager} [options.missionManager] - Re-assigns the saved mission
+ * @param {Object|null} [options.mission] - Mission record to restore instead of the saved one
+ *   (from a newer world checkpoint, see MissionManager.takeCheckpointMission)
+ */
+function deserializePlayer(data, player, { harborRegistry = null, missionManager = null, mission = undefined } = {}) {
+    const state = migrate(data);
+
+    player.role = isValidRole(state.role) ? state.role : ROLES.PLAYER;
+    player.gold = state.gold || 0;
+    player.bankGold = state.bankGold || 0;
+    player.xp = state.xp || 0;
+    player.level = state.level || 1;
+
+    if (state.fleet && state.fleet.length > 0) {
+        player.fleet = state.fleet.map(restoreShip);
+        player.fleetCargo.setFleet(player.fleet);
+    }
+    player.flagshipIndex = clampIndex(state.flagshipIndex, player.fleet.length);
+    player.fleetCargo.goods = { ...(state.cargo || {}) };
+    player.visitedHarbors = { ...(state.visitedHarbors || {}) };
+    player._crewCount = state.crewCount !== undefined ? state.crewCount : player.getFleetMaxCrew(player.fleet);
+    player.clampCrewCount();
+
+    if (Object.values(COMBAT.AMMO_TYPES).includes(state.selectedAmmoType)) {
+        player.selectedAmmoType = state.selectedAmmoType;
+    }
+    if (state.shieldRemaining > 0) {
+        player.shieldEndTime = player.getSimulationTime() + state.shieldRemaining;
+    }
+
+    // Restore position (fallback logic will be handled if spawn is invalid)
+    player.x = state.x;
+    player.y = state.y;
+    if (Number.isFinite(state.rotation)) player.rotation = state.rotation;
+
+    // If they spawned in a harbor, snap them to the harbor's exact coordinate as safety
+    if (state.spawnMode === 'HARBOR' && state.lastHarborId && harborRegistry) {
+        const harbor = harborRegistry.getHarborById(state.lastHarborId);
+        if (harbor) {
+            player.x = harbor.tileX * GAME.TILE_SIZE;
+            player.y = harbor.tileY * GAME.TILE_SIZE;
+        }
+    }
+
+    const savedMission = mission !== undefined ? mission : state.mission;
+    if (savedMission && missionManager) {
+        const codec = MISSION_CODECS[savedMission.type];
+        if (codec) {
+            missionManager.assignMission(player.id, codec.restore(savedMission, player.id));
+        } else {
+            console.warn(`[DB] Dropping saved mission of unknown type ${savedMission.type} for ${player.name}`);
+        }
+    }
+}
+
+function restoreShip(saved) {
+    const className = Object.keys(SHIP_CLASSES).find(key => SHIP_CLASSES[key].id === saved.classId) || 'FLUYT';
+    const ship = new Ship(className);
+    ship.health = saved.hullHP !== undefined ? Math.min(saved.hullHP, ship.maxHealth) : ship.maxHealth;
+    ship.sailIntegrity = saved.sailIntegrity !== undefined ? saved.sailIntegrity : 100;
+    ship.customName = saved.customName || null;
+    return ship;
+}
+
+function clampIndex(index, length) {
+    return Number.isInteger(index) && index >= 0 && index < length ? index : 0;
+}
+
+module.exports = {
+    CURRENT_VERSION,
+    MIGRATIONS,
+    migrate,
+    serializePlayer,
+    serializeMission,
+    deserializePlayer
+};
@@ -0,0 +1,161 @@
+const Wreck = require('../game/entities/Wreck');
+const { PHYSICS } = require('../game/config/GameConfig');
+const { serializeMission } = require('./PlayerStateSerializer');
+
+/**
+ * WorldCheckpoint - the shared sea that outlives a restart
+ *
+ * Player records only hold each captain's own state. The checkpoint holds the
+ * rest of the world: wrecks and their loot, how far the strategic traffic has
+ * sailed along its routes, the wind, harbor stock and price history, and the
+ * missions of the captains at sea.
+ * GameLoop takes one every minute and at shutdown, and restores the last one
+ * at boot before anyone can join.
+ *
+ * Timers are stored as time left rather than clock values, because the
+ * simulation clock starts over on every boot. The sea is paused while the
+ * server is down: a wreck with 90 seconds left still has them afterwards.
+ *
+ * A checkpoint with a different CHECKPOINT_VERSION is discarded as a whole and
+ * the world starts fresh, as it did before checkpoints existed. Within a
+ * matching checkpoint each section is checked on its own, so traffic on routes
+ * that changed with a new map is dropped without losing the wrecks, and a
+ * section missing from an older checkpoint starts fresh. Adding a section
+ * needs no new version; bump CHECKPOINT_VERSION when an existing section
+ * changes shape.
+ *
+ * Not covered: NPC entities (materialized again from the traffic near
+ * players), projectiles, and the missions of guests, who cannot be recognised
+ * after a restart. Missions with NPCs resume in their DEPARTURE phase, like
+ * missions restored from a player record.
+ */
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * @param {World} world
+ * @param {Object} [options]
+ * @param {number} [options.now] - Wall-clock ms of the checkpoint (tests)
+ * @returns {Object} Plain data for DatabaseService.saveWorldCheckpoint
+ */
+function createWorldCheckpoint(world, { now = Date.now() } = {}) {
+    const nowMs = world.clock.nowMs();
+    const missionManager = world.missionManager;
+
+    // Every captain at sea has an entry, null included: a mission finished
+    // since the captain's last save must not come back from that save
+    const captainMissions = {};
+    for (const id in world.entities) {
+        const player = world.entities[id];
+        if (player.type !== 'PLAYER' || !player.token) continue;
+        captainMissions[player.token] = serializeMission(missionManager.getPlayerMission(player.id));
+    }
+
+    return {
+        version: CHECKPOINT_VERSION,
+        savedAt: now,
+        wind: {
+            direction: world.wind.direction,
+            strength: world.wind.strength,
+            changeTimer: world.wind.changeTimer,
+            changeInterval: world.wind.changeInterval
+        },
+        wreckIdCounter: world.wreckIdCounter,
+        wrecks: world.wrecks.map(wreck => ({
+            id: wreck.id,
+            x: wreck.x,
+            y: wreck.y,
+            rotation: wreck.rotation,
+            loot: structuredClone(wreck.loot),
+            remainingMs: Math.max(0, wreck.despawnTime - nowMs)
+        })),
+        traffic: world.strategicTrafficManager.exportState(),
+        markets: world.harborMarkets.exportState(),
+        prices: world.priceHistory.exportState(),
+        missions: {
+            nextMissionId: missionManager.nextMissionId,
+            captains: captainMissions
+        }
+    };
+}
+
+/**
+ * Apply a checkpoint to a freshly created world
+ * @param {World} world
+ * @param {Object} checkpoint - As loaded
+ * @returns {Object|null} What was restored { savedAt, wind, wrecks, traffic, markets, prices, missions },
+ *   null if the checkpoint was discarded
+ */
+function restoreWorldCheckpoint(world, checkpoint) {
+    if (!checkpoint || checkpoint.version !== CHECKPOINT_VERSION) {
+        const version = checkpoint ? checkpoint.version : 'none';
+        console.warn(`[World] Discarding world checkpoint version ${version} (this server uses ${CHECKPOINT_VERSION}), starting fresh`);
+        return null;
+    }
+
+    return {
+        savedAt: checkpoint.savedAt,
+        wind: restoreWind(world.wind, checkpoint.wind),
+        wrecks: restoreWrecks(world, checkpoint.wrecks, checkpoint.wreckIdCounter),
+        traffic: world.strategicTrafficManager.importState(checkpoint.traffic, world.clock.now()),
+        markets: world.harborMarkets.importState(checkpoint.markets),
+        prices: world.priceHistory.importState(checkpoint.prices),
+        missions: restoreMissions(world.missionManager, checkpoint.missions, checkpoint.savedAt)
+    };
+}
+
+function restoreWind(wind, saved) {
+    if (!saved || !Number.isFinite(saved.direction) || !(saved.strength in PHYSICS.WIND_STRENGTH_MULTIPLIERS)
+        || !Number.isFinite(saved.changeTimer) || !Number.isFinite(saved.changeInterval)) {
+        return false;
+    }
+
+    wind.direction = saved.direction;
+    wind.strength = saved.strength;
+    wind.changeTimer = saved.changeTimer;
+    wind.changeInterval = saved.changeInterval;
+    return true;
+}
+
+// The killer's claim on the loot is not restored: their socket id is gone with the old server
+function restoreWrecks(world, savedWrecks, savedIdCounter) {
+    const nowMs = world.clock.nowMs();
+    let restored = 0;
+
+    for (const saved of savedWrecks || []) {
+        if (!saved || !Number.isFinite(saved.x) || !Number.isFinite(saved.y) || !(saved.remainingMs > 0) || !saved.loot) {
+            continue;
+        }
+
+        // Built with a fixed roll, so restoring draws nothing from the loot stream
+        const wreck = new Wreck(saved.id, saved.x, saved.y, null, {}, world.clock, () => 0);
+        wreck.rng = world.random.stream('loot');
+        wreck.rotation = Number.isFinite(saved.rotation) ? saved.rotation : 0;
+        wreck.loot = saved.loot;
+        wreck.despawnTime = nowMs + saved.remainingMs;
+        wreck.ownerLootExpireTime = nowMs;
+        world.wrecks.push(wreck);
+        restored++;
+    }
+
+    if (Number.isInteger(savedIdCounter)) {
+        world.wreckIdCounter = Math.max(world.wreckIdCounter, savedIdCounter);
+    }
+    return restored;
+}
+
+function restoreMissions(missionManager, saved, savedAt) {
+    if (!saved || !saved.captains) return 0;
+
+    if (Number.isInteger(saved.nextMissionId)) {
+        missionManager.nextMissionId = Math.max(missionManager.nextMissionId, saved.nextMissionId);
+    }
+    missionManager.restoreCheckpointMissions(saved.captains, savedAt);
+    return Object.values(saved.captains).filter(Boolean).length;
+}
+
+module.exports = {
+    CHECKPOINT_VERSION,
+    createWorldCheckpoint,
+    restoreWorldCheckpoint
+};
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Login accounts (see accounts/AccountService.js). Captains link back through PlayerModel.accountId.
+const AccountSchema = new mongoose.Schema({
+    accountId: { type: String, required: true, unique: true, index: true },
+    username: { type: String, required: true },
+    usernameKey: { type: String, required: true, unique: true, index: true }, // Lowercase, for case-insensitive names
+    passwordHash: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Account', AccountSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Transaction ledger entries (see game/economy/TransactionLedger.js), append-only
+const LedgerEntrySchema = new mongoose.Schema({
+    captain: { type: String, required: true }, // PlayerModel.token
+    playerName: { type: String, required: true },
+    at: { type: Date, required: true },
+    seq: { type: Number, required: true }, // Order within the same millisecond
+    kind: { type: String, enum: ['GOLD', 'CARGO', 'SHIP', 'XP', 'BANK'], required: true },
+    item: { type: String, default: null }, // Good id or ship class name
+    delta: { type: Number, required: true },
+    balance: { type: Number, required: true },
+    source: { type: String, required: true },
+    counterparty: { type: String, default: null },
+    harborId: { type: String, default: null }
+});
+
+LedgerEntrySchema.index({ captain: 1, at: 1, seq: 1 });
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema);
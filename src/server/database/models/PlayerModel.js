@@ -1,25 +1,43 @@
 const mongoose = require('mongoose');
 
+// Captain document: one per captain, an account (AccountModel) can own several.
+// Written and read through PlayerStateSerializer, which migrates old records.
+// Records saved before schemaVersion existed read as version 1.
 const PlayerSchema = new mongoose.Schema({
+    schemaVersion: { type: Number, default: 1 },
     token: { type: String, required: true, unique: true, index: true },
+    accountId: { type: String, default: null, index: true }, // Owning account (AccountModel), null for old anonymous saves
     name: { type: String, required: true },
-    x: { type: Number, required: true },
-    y: { type: Number, required: true },
+    nameKey: { type: String, default: undefined }, // Lowercase name, reserves it server-wide (unique, see below)
+    role: { type: String, enum: ['player', 'moderator', 'admin'], default: 'player' },
+    x: { type: Number, default: null }, // Null until the captain's first voyage is saved
+    y: { type: Number, default: null },
+    rotation: { type: Number, default: 0 },
     lastHarborId: { type: String, default: null }, // Fallback spawn safety
     spawnMode: { type: String, enum: ['HARBOR', 'AT_SEA'], default: 'HARBOR' },
     gold: { type: Number, default: 1000 },
+    bankGold: { type: Number, default: 0 }, // Deposited at harbor banks, safe from sinking
     xp: { type: Number, default: 0 },
     level: { type: Number, default: 1 },
     crewCount: { type: Number, default: 0 },
+    flagshipIndex: { type: Number, default: 0 },
+    selectedAmmoType: { type: String, default: null },
+    shieldRemaining: { type: Number, default: 0 }, // Seconds
     fleet: [{
         id: String,
         classId: Number,
         hullHP: Number,
         sailIntegrity: Number,
-        cargo: mongoose.Schema.Types.Mixed, // Use Mixed for flexible object
+        cargo: mongoose.Schema.Types.Mixed, // Version 1 only: fleet cargo on fleet[0]
         customName: String
     }],
+    cargo: { type: mongoose.Schema.Types.Mixed, default: undefined }, // Fleet hold { goodId: quantity }
+    mission: { type: mongoose.Schema.Types.Mixed, default: null }, // Active mission { type, ... }
+    visitedHarbors: { type: mongoose.Schema.Types.Mixed, default: undefined }, // { harborId: ms of the last visit }
     lastSaved: { type: Date, default: Date.now }
 });
 
+// Anonymous saves from before accounts have no nameKey and reserve nothing
+PlayerSchema.index({ nameKey: 1 }, { unique: true, partialFilterExpression: { nameKey: { $type: 'string' } } });
+
 module.exports = mongoose.model('Player', PlayerSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Bans and mutes (see admin/SanctionList.js). Keyed by player token and/or IP.
+const SanctionSchema = new mongoose.Schema({
+    sanctionId: { type: String, required: true, unique: true, index: true },
+    type: { type: String, enum: ['ban', 'mute'], required: true },
+    token: { type: String, default: null, index: true },
+    ip: { type: String, default: null, index: true },
+    reason: { type: String, default: '' },
+    createdBy: { type: String, default: 'admin' },
+    createdAt: { type: Date, default: Date.now },
+    // null = permanent. MongoDB deletes the document once this date has passed (TTL index).
+    expiresAt: { type: Date, default: null, expires: 0 }
+});
+
+module.exports = mongoose.model('Sanction', SanctionSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Latest world checkpoint (see database/WorldCheckpoint.js), one document replaced on every save
+const WorldCheckpointSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // Always 'world'
+    savedAt: { type: Date, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, required: true }
+});
+
+module.exports = mongoose.model('WorldCheckpoint', WorldCheckpointSchema);
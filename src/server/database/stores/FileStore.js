@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+
+/**
+ * FileStore - embedded store for local servers, selected with DB_BACKEND=file
+ *
+ * All data is held in memory (MemoryStore) and kept on disk in DB_FILE_DIR as:
+ * - store.json: snapshot of every player record, account and active sanction,
+ *   and the latest world checkpoint
+ * - store.log:  one JSON operation per line, appended on every change
+ * - ledger.log: one transaction ledger entry per line, append only
+ *
+ * At startup the snapshot is loaded and the log replayed on top of it. The log
+ * is folded into a new snapshot every `compactEvery` operations and on close().
+ * Snapshots are written to a temporary file and renamed, so a crash never
+ * leaves a half-written snapshot; a crash during an append leaves at most an
+ * incomplete last log line, which is skipped on the next start.
+ *
+ * The ledger only ever grows, so it is kept out of the snapshot: compaction
+ * would rewrite all of it every time. Ledger entries in the snapshot or log of
+ * an older store are moved to ledger.log at startup.
+ *
+ * Only one server process may use a directory at a time.
+ */
+
+const SNAPSHOT_FILE = 'store.json';
+const LOG_FILE = 'store.log';
+const LEDGER_FILE = 'ledger.log';
+const SNAPSHOT_VERSION = 2; // 2: ledger in its own file
+
+class FileStore extends MemoryStore {
+    /**
+     * @param {string} dir - Data directory (created if missing)
+     * @param {Object} options
+     * @param {number} options.compactEvery - Log operations between snapshots
+     * @param {function(): number} options.now - Clock in ms (tests)
+     */
+    constructor(dir, options = {}) {
+        super(options);
+        this.name = `file store (${dir})`;
+        this.dir = dir;
+        this.snapshotPath = path.join(dir, SNAPSHOT_FILE);
+        this.logPath = path.join(dir, LOG_FILE);
+        this.ledgerPath = path.join(dir, LEDGER_FILE);
+        this.compactEvery = options.compactEvery ?? 1000;
+        this.logLength = 0;
+        this.writes = Promise.resolve(); // Disk writes run one at a time, in order
+    }
+
+    async connect() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        const snapshot = await readIfExists(this.snapshotPath);
+        if (snapshot) {
+            const data = JSON.parse(snapshot);
+            data.players.forEach(record => this.apply({ op: 'player', data: record }));
+            data.sanctions.forEach(sanction => this.apply({ op: 'sanction', data: sanction }));
+            (data.accounts || []).forEach(account => this.apply({ op: 'account', data: account }));
+            this.apply({ op: 'ledger', entries: data.ledger || [] }); // Snapshot version 1
+            this.apply({ op: 'world', data: data.world ?? null });
+        }
+
+        const log = await readLines(this.logPath);
+        log.lines.forEach(op => this.apply(op));
+        const olderLedger = this.ledger.length;
+
+        const ledger = await readLines(this.ledgerPath);
+        this.apply({ op: 'ledger', entries: ledger.lines });
+
+        // Rewrite the ledger file with the entries of an older store, or without an
+        // incomplete last line, which the next append would run on from
+        if (olderLedger > 0 || ledger.incomplete) {
+            await writeLines(this.ledgerPath, this.ledger);
+        }
+
+        console.log(`[DB] Loaded ${this.players.size} players, ${this.accounts.size} accounts, ${this.sanctions.size} sanctions and ${this.ledger.length} ledger entries (${log.lines.length} log entries replayed)`);
+        await this.enqueue(() => this.compact());
+    }
+
+    async close() {
+        await this.enqueue(() => this.compact());
+    }
+
+    record(op) {
+        if (op.op === 'ledger') {
+            const lines = op.entries.map(entry => JSON.stringify(entry) + '\n').join('');
+            return this.enqueue(() => fs.promises.appendFile(this.ledgerPath, lines));
+        }
+
+        this.logLength++;
+        const append = this.enqueue(() => fs.promises.appendFile(this.logPath, JSON.stringify(op) + '\n'));
+        if (this.logLength >= this.compactEvery) {
+            this.logLength = 0;
+            this.enqueue(() => this.compact()).catch(error => {
+                console.error('[DB] Error compacting file store:', error);
+            });
+        }
+        return append;
+    }
+
+    enqueue(write) {
+        const next = this.writes.catch(() => { }).then(write);
+        this.writes = next;
+        return next;
+    }
+
+    /**
+     * Replace the snapshot with the current state and empty the log.
+     * Operations applied meanwhile may end up both in the snapshot and in the
+     * new log; replaying them again is harmless.
+     */
+    async compact() {
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            savedAt: this.now(),
+            players: [...this.players.values()],
+            accounts: [...this.accounts.values()],
+            world: this.worldCheckpoint,
+            sanctions: [...this.sanctions.values()].filter(sanction => !this.isExpired(sanction))
+        };
+        const temporaryPath = `${this.snapshotPath}.tmp`;
+        await fs.promises.writeFile(temporaryPath, JSON.stringify(snapshot));
+        await fs.promises.rename(temporaryPath, this.snapshotPath);
+        await fs.promises.writeFile(this.logPath, '');
+    }
+}
+
+/**
+ * Read a file of one JSON value per line
+ * @returns {Promise<Object>} { lines: parsed values, incomplete: true if an
+ *   incomplete last line (a crash during an append) was skipped }
+ */
+async function readLines(filePath) {
+    const text = await readIfExists(filePath);
+    const lines = text ? text.split('\n').filter(line => line.trim()) : [];
+    const parsed = [];
+    let incomplete = false;
+    lines.forEach((line, index) => {
+        try {
+            parsed.push(JSON.parse(line));
+        } catch (error) {
+            if (index === lines.length - 1 && !text.endsWith('\n')) {
+                console.warn(`[DB] Skipping incomplete last entry in ${filePath}`);
+                incomplete = true;
+                return;
+            }
+            throw new Error(`Corrupt entry on line ${index + 1} of ${filePath}: ${error.message}`);
+        }
+    });
+    return { lines: parsed, incomplete };
+}
+
+// Replace a file of one JSON value per line, through a temporary file like snapshots
+async function writeLines(filePath, values) {
+    const temporaryPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(temporaryPath, values.map(value => JSON.stringify(value) + '\n').join(''));
+    await fs.promises.rename(temporaryPath, filePath);
+}
+
+async function readIfExists(filePath) {
+    try {
+        return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,201 @@
+/**
+ * MemoryStore - keeps everything in this process, selected with DB_BACKEND=memory
+ *
+ * Meant for tests and throwaway local servers: nothing survives a restart.
+ * Records go in and come out as copies, so callers never share objects with
+ * the store (the same as a real database).
+ *
+ * Every change is a small operation passed to apply(). FileStore extends this
+ * class and writes the same operations to its log.
+ */
+class MemoryStore {
+    /**
+     * @param {Object} options
+     * @param {function(): number} options.now - Clock in ms (tests)
+     */
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.now = options.now ?? Date.now;
+        this.players = new Map();   // token -> record
+        this.sanctions = new Map(); // id -> sanction
+        this.accounts = new Map();  // usernameKey -> account
+        this.ledger = [];           // Transaction ledger entries, in write order
+        this.ledgerKeys = new Set(); // captain:at:seq of every entry in this.ledger
+        this.worldCheckpoint = null; // Latest world checkpoint
+    }
+
+    async connect() { }
+
+    async close() { }
+
+    /**
+     * Apply one change to the in-memory state
+     * @param {Object} op - { op: 'player', data } | { op: 'unplayer', token } | { op: 'sanction', data }
+     *   | { op: 'unsanction', id } | { op: 'account', data } | { op: 'ledger', entries } | { op: 'world', data }
+     */
+    apply(op) {
+        switch (op.op) {
+            case 'player': {
+                // Same merge as an upsert with $set: missing fields keep their stored value
+                const existing = this.players.get(op.data.token) || {};
+                this.players.set(op.data.token, { ...existing, ...op.data });
+                break;
+            }
+            case 'unplayer':
+                this.players.delete(op.token);
+                break;
+            case 'sanction':
+                this.sanctions.set(op.data.id, op.data);
+                break;
+            case 'unsanction':
+                this.sanctions.delete(op.id);
+                break;
+            case 'account':
+                this.accounts.set(op.data.usernameKey, op.data);
+                break;
+            case 'ledger':
+                // Unlike the other operations an append is not idempotent, and FileStore
+                // may replay one that is already in its ledger file (moving an older store's
+                // ledger there)
+                for (const entry of op.entries) {
+                    const key = `${entry.captain}:${entry.at}:${entry.seq}`;
+                    if (this.ledgerKeys.has(key)) continue;
+                    this.ledgerKeys.add(key);
+                    this.ledger.push(entry);
+                }
+                break;
+            case 'world':
+                this.worldCheckpoint = op.data;
+                break;
+            default:
+                throw new Error(`Unknown store operation: ${op.op}`);
+        }
+    }
+
+    // Persist an applied operation (FileStore)
+    async record(op) { }
+
+    async commit(op) {
+        this.apply(op);
+        await this.record(op);
+    }
+
+    async loadPlayer(token, name) {
+        if (!this.players.has(token)) return null;
+
+        await this.commit({ op: 'player', data: { token, name } });
+        return structuredClone(this.players.get(token));
+    }
+
+    async savePlayer(playerData) {
+        await this.commit({ op: 'player', data: { ...structuredClone(playerData), lastSaved: this.now() } });
+    }
+
+    async savePlayers(playerDataList) {
+        for (const playerData of playerDataList) {
+            await this.savePlayer(playerData);
+        }
+        return { saved: playerDataList.map(data => data.token), failed: [] };
+    }
+
+    async setPlayerRole(token, role) {
+        if (!this.players.has(token)) return false;
+
+        await this.commit({ op: 'player', data: { token, role } });
+        return true;
+    }
+
+    async listCaptains(accountId) {
+        return [...this.players.values()]
+            .filter(record => record.accountId === accountId)
+            .map(record => structuredClone(record));
+    }
+
+    async createCaptain(record) {
+        if (await this.isCaptainNameTaken(record.nameKey)) return false;
+
+        await this.commit({ op: 'player', data: { ...structuredClone(record), lastSaved: this.now() } });
+        return true;
+    }
+
+    async deleteCaptain(token, accountId) {
+        const record = this.players.get(token);
+        if (!record || record.accountId !== accountId) return false;
+
+        await this.commit({ op: 'unplayer', token });
+        return true;
+    }
+
+    async isCaptainNameTaken(nameKey) {
+        for (const record of this.players.values()) {
+            if (record.nameKey === nameKey) return true;
+        }
+        return false;
+    }
+
+    async linkPlayerToAccount(token, accountId) {
+        const record = this.players.get(token);
+        if (!record || record.accountId) return false;
+
+        // The claimed captain reserves its name too, unless someone else already has it
+        const data = { token, accountId };
+        const nameKey = record.name.trim().toLowerCase();
+        if (!(await this.isCaptainNameTaken(nameKey))) data.nameKey = nameKey;
+
+        await this.commit({ op: 'player', data });
+        return true;
+    }
+
+    async createAccount(account) {
+        if (this.accounts.has(account.usernameKey)) return false;
+
+        await this.commit({ op: 'account', data: { ...account } });
+        return true;
+    }
+
+    async loadAccount(usernameKey) {
+        const account = this.accounts.get(usernameKey);
+        return account ? { ...account } : null;
+    }
+
+    async saveLedgerEntries(entries) {
+        await this.commit({ op: 'ledger', entries: structuredClone(entries) });
+    }
+
+    async queryLedger({ captain, from = null, to = null, limit = null }) {
+        const entries = this.ledger
+            .filter(entry => entry.captain === captain
+                && (from === null || entry.at >= from)
+                && (to === null || entry.at <= to))
+            .sort((a, b) => a.at - b.at || a.seq - b.seq);
+        return structuredClone(limit === null ? entries : entries.slice(0, limit));
+    }
+
+    async saveWorldCheckpoint(checkpoint) {
+        await this.commit({ op: 'world', data: structuredClone(checkpoint) });
+    }
+
+    async loadWorldCheckpoint() {
+        return this.worldCheckpoint ? structuredClone(this.worldCheckpoint) : null;
+    }
+
+    async loadSanctions() {
+        return [...this.sanctions.values()]
+            .filter(sanction => !this.isExpired(sanction))
+            .map(sanction => ({ ...sanction }));
+    }
+
+    async saveSanction(sanction) {
+        await this.commit({ op: 'sanction', data: { ...sanction } });
+    }
+
+    async deleteSanction(id) {
+        await this.commit({ op: 'unsanction', id });
+    }
+
+    isExpired(sanction) {
+        return sanction.expiresAt !== null && sanction.expiresAt <= this.now();
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const PlayerModel = require('../models/PlayerModel');
+const SanctionModel = require('../models/SanctionModel');
+const AccountModel = require('../models/AccountModel');
+const LedgerEntryModel = require('../models/LedgerEntryModel');
+const WorldCheckpointModel = require('../models/WorldCheckpointModel');
+
+/**
+ * MongoStore - MongoDB (Atlas) backend, selected with DB_BACKEND=mongo
+ *
+ * Records are upserted with $set, so fields a save does not carry (such as
+ * role) keep their stored value. See DatabaseService for the store interface.
+ */
+class MongoStore {
+    constructor(uri) {
+        this.uri = uri;
+        this.name = 'MongoDB';
+    }
+
+    async connect() {
+        await mongoose.connect(this.uri);
+    }
+
+    async close() {
+        await mongoose.disconnect();
+    }
+
+    async loadPlayer(token, name) {
+        // Find by token. We update the name just in case they changed it on login screen
+        const playerDoc = await PlayerModel.findOneAndUpdate(
+            { token },
+            { $set: { name } }, // Ensure latest name is saved
+            { returnDocument: 'after' }
+        );
+        return playerDoc ? playerDoc.toObject() : null;
+    }
+
+    async savePlayer(playerData) {
+        playerData.lastSaved = new Date();
+
+        await PlayerModel.findOneAndUpdate(
+            { token: playerData.token },
+            { $set: playerData },
+            { upsert: true, returnDocument: 'after' }
+        );
+    }
+
+    /**
+     * Writes are unordered, so one bad document does not stop the others.
+     */
+    async savePlayers(playerDataList) {
+        const tokens = playerDataList.map(data => data.token);
+        const lastSaved = new Date();
+        const operations = playerDataList.map(data => ({
+            updateOne: {
+                filter: { token: data.token },
+                update: { $set: { ...data, lastSaved } },
+                upsert: true
+            }
+        }));
+
+        try {
+            await PlayerModel.bulkWrite(operations, { ordered: false });
+            return { saved: tokens, failed: [] };
+        } catch (error) {
+            console.error('[DB] Error in bulk player save:', error.message);
+
+            // Per-document errors name the failed operations; anything else failed them all
+            const failedIndexes = new Set((error.writeErrors || []).map(writeError => writeError.index));
+            if (failedIndexes.size === 0) return { saved: [], failed: tokens };
+
+            return {
+                saved: tokens.filter((token, index) => !failedIndexes.has(index)),
+                failed: tokens.filter((token, index) => failedIndexes.has(index))
+            };
+        }
+    }
+
+    async setPlayerRole(token, role) {
+        const result = await PlayerModel.updateOne({ token }, { $set: { role } });
+        return result.matchedCount > 0;
+    }
+
+    async listCaptains(accountId) {
+        return PlayerModel.find({ accountId }).lean();
+    }
+
+    async createCaptain(record) {
+        try {
+            await PlayerModel.create({ ...record, lastSaved: new Date() });
+            return true;
+        } catch (error) {
+            if (error.code === 11000) return false; // Duplicate nameKey
+            throw error;
+        }
+    }
+
+    async deleteCaptain(token, accountId) {
+        const result = await PlayerModel.deleteOne({ token, accountId });
+        return result.deletedCount > 0;
+    }
+
+    async isCaptainNameTaken(nameKey) {
+        return (await PlayerModel.exists({ nameKey })) !== null;
+    }
+
+    async linkPlayerToAccount(token, accountId) {
+        // accountId: null also matches records saved before accounts existed
+        const doc = await PlayerModel.findOneAndUpdate(
+            { token, accountId: null },
+            { $set: { accountId } },
+            { returnDocument: 'after' }
+        ).lean();
+        if (!doc) return false;
+
+        // The claimed captain reserves its name too, unless someone else already has it
+        try {
+            await PlayerModel.updateOne({ token }, { $set: { nameKey: doc.name.trim().toLowerCase() } });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+        return true;
+    }
+
+    async createAccount(account) {
+        try {
+            await AccountModel.create({ ...account, createdAt: new Date(account.createdAt) });
+            return true;
+        } catch (error) {
+            if (error.code === 11000) return false; // Duplicate usernameKey
+            throw error;
+        }
+    }
+
+    async loadAccount(usernameKey) {
+        const doc = await AccountModel.findOne({ usernameKey }).lean();
+        if (!doc) return null;
+
+        return {
+            accountId: doc.accountId,
+            username: doc.username,
+            usernameKey: doc.usernameKey,
+            passwordHash: doc.passwordHash,
+            createdAt: doc.createdAt.getTime()
+        };
+    }
+
+    async saveLedgerEntries(entries) {
+        await LedgerEntryModel.insertMany(entries.map(entry => ({ ...entry, at: new Date(entry.at) })), { ordered: false });
+    }
+
+    async queryLedger({ captain, from = null, to = null, limit = null }) {
+        const at = {};
+        if (from !== null) at.$gte = new Date(from);
+        if (to !== null) at.$lte = new Date(to);
+
+        let query = LedgerEntryModel.find({ captain, ...(from !== null || to !== null ? { at } : {}) })
+            .sort({ at: 1, seq: 1 });
+        if (limit !== null) query = query.limit(limit);
+
+        const docs = await query.lean();
+        return docs.map(({ _id, __v, ...entry }) => ({ ...entry, at: entry.at.getTime() }));
+    }
+
+    async saveWorldCheckpoint(checkpoint) {
+        await WorldCheckpointModel.updateOne(
+            { key: 'world' },
+            { $set: { savedAt: new Date(checkpoint.savedAt), data: checkpoint } },
+            { upsert: true }
+        );
+    }
+
+    async loadWorldCheckpoint() {
+        const doc = await WorldCheckpointModel.findOne({ key: 'world' }).lean();
+        return doc ? doc.data : null;
+    }
+
+    async loadSanctions() {
+        const docs = await SanctionModel.find({
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }).lean();
+
+        return docs.map(doc => ({
+            id: doc.sanctionId,
+            type: doc.type,
+            token: doc.token,
+            ip: doc.ip,
+            reason: doc.reason,
+            createdBy: doc.createdBy,
+            createdAt: doc.createdAt.getTime(),
+            expiresAt: doc.expiresAt ? doc.expiresAt.getTime() : null
+        }));
+    }
+
+    async saveSanction(sanction) {
+        await SanctionModel.create({
+            sanctionId: sanction.id,
+            type: sanction.type,
+            token: sanction.token,
+            ip: sanction.ip,
+            reason: sanction.reason,
+            createdBy: sanction.createdBy,
+            createdAt: new Date(sanction.createdAt),
+            expiresAt: sanction.expiresAt ? new Date(sanction.expiresAt) : null
+        });
+    }
+
+    async deleteSanction(id) {
+        await SanctionModel.deleteOne({ sanctionId: id });
+    }
+}
+
+module.exports = MongoStore;
@@ -1,18 +1,49 @@
 const World = require('./world/World');
 const Player = require('./entities/Player');
 const GameConfig = require('./config/GameConfig');
-const { GAME, COMBAT } = GameConfig;
+const { GAME, PHYSICS, COMBAT, NETWORK } = GameConfig;
 const { NPCCombatOverlay } = require('./npc/NPCBehavior');
 const EconomySystem = require('./economy/EconomySystem');
+const BankSystem = require('./economy/BankSystem');
+const TradeAdvisor = require('./economy/TradeAdvisor');
+const { TransactionLedger } = require('./economy/TransactionLedger');
 const DatabaseService = require('../database/DatabaseService');
-const Ship = require('./entities/Ship'); // Added to reconstruct fleet
+const { serializePlayer, deserializePlayer } = require('../database/PlayerStateSerializer');
+const { createWorldCheckpoint, restoreWorldCheckpoint } = require('../database/WorldCheckpoint');
+const InterestManager = require('./network/InterestManager');
+const { WIRE_VERSION, AMMO_TYPE_LIST, WireEncoder } = require('./network/WireProtocol');
+const { SimulationClock } = require('./world/SimulationClock');
+const RandomStreams = require('./world/RandomStreams');
+const { isValidRole } = require('../admin/Roles');
 
 class GameLoop {
-    constructor(io) {
+    /**
+     * @param {Object} io - Socket.IO server
+     * @param {Object} options
+     * @param {number} options.seed - World seed (default GAME.RANDOM_SEED, else a fresh one)
+     * @param {number} options.reconnectGraceMs - How long dropped players are held (default NETWORK.RECONNECT_GRACE_MS)
+     */
+    constructor(io, options = {}) {
         this.io = io;
-        this.world = new World();
+
+        // Simulation time only advances in fixed steps (see advanceSimulation)
+        this.clock = new SimulationClock();
+
+        // All simulation randomness comes from per-subsystem streams of one seed
+        this.seed = options.seed ?? GAME.RANDOM_SEED ?? RandomStreams.randomSeed();
+        this.random = new RandomStreams(this.seed);
+        console.log(`[GameLoop] World seed: ${this.seed}`);
+
+        // Audit trail of every gold, cargo, ship and XP change, written in batches
+        this.ledger = new TransactionLedger();
+
+        this.world = new World({ clock: this.clock, random: this.random, ledger: this.ledger });
         this.lastTime = Date.now();
         this.tickRate = GAME.TICK_RATE;
+        this.fixedStep = 1 / this.tickRate;
+        this.substeps = GAME.SIMULATION_SUBSTEPS;
+        this.maxStepsPerFrame = GAME.MAX_STEPS_PER_FRAME;
+        this.accumulator = 0;
         this.interval = null;
         this.tickCount = 0;
 
@@ -25,15 +56,35 @@ class GameLoop {
         this.firstTickLogged = false;
         this.firstProjectileLogged = false;
 
-        // DB Autosave loop (60s)
-        this.autosaveInterval = setInterval(() => this.dirtyAutosave(), 60000);
+        // Background saves, run while the loop is started
+        this.autosaveInterval = null;
+        this.ledgerFlushInterval = null;
+        this.worldCheckpointInterval = null;
 
         // Economy system (Phase 0: Harbor Master)
-        this.economySystem = new EconomySystem(this.world.harborRegistry);
+        this.economySystem = new EconomySystem(this.world.harborMarkets);
+
+        // Harbor banks
+        this.bankSystem = new BankSystem(this.world.harborRegistry);
+
+        // Price books and route advice
+        this.tradeAdvisor = new TradeAdvisor(this.world);
 
         // Harbor Occupants (Phase 1: Multiplayer)
         // Map<harborId, Set<socketId>>
         this.harborOccupants = new Map();
+
+        // Per-player area of interest for state broadcasts
+        this.interestManager = new InterestManager(this.world);
+
+        // Binary wire encoders for clients that negotiated them (absent = JSON)
+        // Map<socketId, WireEncoder>
+        this.wireEncoders = new Map();
+
+        // Players whose connection dropped, kept in the world until a reconnect or expiry
+        // Map<playerId, expiresAt (wall-clock ms)>
+        this.reconnectGraceMs = options.reconnectGraceMs ?? NETWORK.RECONNECT_GRACE_MS;
+        this.heldPlayers = new Map();
     }
     start() {
         if (this.interval || this.monitoringInterval) {
@@ -48,17 +99,23 @@ class GameLoop {
         this.monitoringInterval = setInterval(() => {
             this.logPerformance();
         }, GAME.PERFORMANCE_LOG_INTERVAL_MS);
+
+        // DB Autosave loop (60s)
+        this.autosaveInterval = setInterval(() => this.dirtyAutosave(), 60000);
+
+        // Ledger batch writes (10s, or sooner when a batch fills up)
+        this.ledgerFlushInterval = setInterval(() => this.ledger.flush(), 10000);
+
+        // World checkpoint: wrecks, traffic, wind, harbor stock and prices, and missions (60s)
+        this.worldCheckpointInterval = setInterval(() => this.saveWorldCheckpoint(), 60000);
     }
 
     stop() {
-        if (this.interval) {
-            clearInterval(this.interval);
-            this.interval = null;
-        }
-
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
-            this.monitoringInterval = null;
+        for (const timer of ['interval', 'monitoringInterval', 'autosaveInterval', 'ledgerFlushInterval', 'worldCheckpointInterval']) {
+            if (this[timer]) {
+                clearInterval(this[timer]);
+                this[timer] = null;
+            }
         }
     }
 
@@ -92,26 +149,78 @@ class GameLoop {
 
     update() {
         const tickStart = Date.now();
-        const now = tickStart;
-        const deltaTime = (now - this.lastTime) / 1000; // in seconds
-        this.lastTime = now;
+        const frameTime = (tickStart - this.lastTime) / 1000; // in seconds
+        this.lastTime = tickStart;
+
+        this.advanceSimulation(frameTime);
+        this.releaseExpiredPlayers(tickStart);
+
+        // Track tick performance
+        const tickDuration = Date.now() - tickStart;
+        this.tickTimes.push(tickDuration);
+    }
+
+    /**
+     * Run as many fixed simulation steps as the elapsed wall time allows.
+     *
+     * The interval timer fires with jitter, so real time is collected in an
+     * accumulator and consumed in steps of exactly 1/TICK_RATE. The world never
+     * sees a variable deltaTime. After a long stall at most MAX_STEPS_PER_FRAME
+     * steps are run and the rest of the backlog is dropped (the server slows
+     * down instead of spiralling).
+     *
+     * @param {number} frameTime - Wall-clock seconds since the previous call
+     * @returns {number} Number of steps simulated
+     */
+    advanceSimulation(frameTime) {
+        this.accumulator += frameTime;
+
+        let steps = 0;
+        let snapshotDue = false;
+        while (this.accumulator >= this.fixedStep && steps < this.maxStepsPerFrame) {
+            this.accumulator -= this.fixedStep;
+            this.step();
+            steps++;
+            snapshotDue = snapshotDue || this.tickCount % NETWORK.SNAPSHOT_INTERVAL_TICKS === 0;
+        }
+
+        if (this.accumulator >= this.fixedStep) {
+            console.warn(`[GameLoop] Simulation fell behind, dropping ${(this.accumulator * 1000).toFixed(0)}ms`);
+            this.accumulator = 0;
+        }
+
+        // Send interest-filtered game state to each player (once, after catching up)
+        if (steps > 0) {
+            this.broadcastState(snapshotDue);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Advance the world by exactly one fixed step (optionally split into substeps)
+     */
+    step() {
+        const subDelta = this.fixedStep / this.substeps;
 
         // DEBUG ONLY: Track first tick for early-session collision diagnosis
         // NO gameplay behavior change
         if (COMBAT.DEBUG_INITIALIZATION && !this.firstTickLogged) {
             const entityCount = Object.keys(this.world.entities).length;
             const projectileCount = this.world.projectiles.length;
-            console.log(`[INIT] First tick executed | DeltaTime: ${deltaTime.toFixed(4)} | Entities: ${entityCount} | Projectiles: ${projectileCount}`);
+            console.log(`[INIT] First tick executed | DeltaTime: ${subDelta.toFixed(4)} | Entities: ${entityCount} | Projectiles: ${projectileCount}`);
             this.firstTickLogged = true;
         }
 
-        this.world.update(deltaTime);
+        for (let i = 0; i < this.substeps; i++) {
+            this.world.update(subDelta);
+        }
 
         // Process NPC firing inputs (NPCs set inputs, but need GameLoop to fire)
+        const now = this.clock.now();
         for (const id in this.world.entities) {
             const entity = this.world.entities[id];
             if (entity.type === 'NPC' && !entity.isRaft) {
-                const now = Date.now() / 1000;
 
                 // Handle NPC Left Broadside (Port) - NPCs don't have shields
                 if (entity.inputs.shootLeft && !entity.hasActiveShield?.()) {
@@ -137,20 +246,105 @@ class GameLoop {
             }
         }
 
-        // Send game state to all connected clients
         this.tickCount++;
-        if (this.tickCount % 10 === 0) {
-            this.io.emit('gamestate_snapshot', this.world.getSnapshot());
-        } else {
-            this.io.emit('gamestate_delta', this.world.getDelta());
+
+        if (this.tickCount % NETWORK.LATENCY_PING_INTERVAL_TICKS === 0) {
+            this.sendLatencyPings();
         }
+    }
 
-        // Track tick performance
-        const tickDuration = Date.now() - tickStart;
-        this.tickTimes.push(tickDuration);
+    /**
+     * Ask every player to echo a wall-clock timestamp; the reply gives their round-trip time
+     */
+    sendLatencyPings() {
+        const t = Date.now();
+        for (const id in this.world.entities) {
+            if (this.world.entities[id].type === 'PLAYER') {
+                this.io.to(id).emit('latency_ping', { t });
+            }
+        }
     }
 
-    async addPlayer(socket, playerName = 'Anonymous', playerToken = null, customSpawn = null) {
+    handleLatencyPong(socketId, data) {
+        const player = this.world.getEntity(socketId);
+        if (!player || !Number.isFinite(data?.t)) return;
+
+        const rtt = (Date.now() - data.t) / 1000;
+        if (rtt < 0 || rtt > 5) return; // Forged or stale reply
+
+        player.latency = player.latency
+            ? player.latency + (rtt - player.latency) * NETWORK.LATENCY_SMOOTHING
+            : rtt;
+    }
+
+    /**
+     * Send each player only the part of the world inside their area of interest.
+     * Ships crossing the AOI boundary are announced with gamestate_enter / gamestate_leave
+     * before the regular snapshot or delta, so deltas always patch a known ship.
+     * Each frame also carries the player's own input ack for client-side prediction.
+     */
+    broadcastState(isSnapshot) {
+        const frame = isSnapshot ? this.world.getSnapshot() : this.world.getDelta();
+        const views = this.interestManager.buildViews(frame);
+
+        for (const [socketId, view] of views) {
+            const target = this.io.to(socketId);
+
+            if (view.left.length > 0) {
+                target.emit('gamestate_leave', { players: view.left });
+            }
+            if (Object.keys(view.entered).length > 0) {
+                target.emit('gamestate_enter', { players: view.entered });
+            }
+
+            const player = this.world.getEntity(socketId);
+            view.state.ack = player.serializeInputAck();
+            view.state.tick = this.tickCount; // Client interpolation timeline
+
+            const encoder = this.wireEncoders.get(socketId);
+            const payload = encoder
+                ? encoder.encode(view.state, isSnapshot, socketId, this.tickCount)
+                : view.state;
+            target.emit(isSnapshot ? 'gamestate_snapshot' : 'gamestate_delta', payload);
+
+            // Exact hit/splash points for effects; rare enough to stay plain JSON
+            if (view.impacts.length > 0) {
+                target.emit('projectile_impacts', { tick: this.tickCount, impacts: view.impacts });
+            }
+        }
+    }
+
+    /**
+     * Pick the state encoding for a client.
+     * Binary is used only when the client asks for it with a matching protocol version;
+     * anything else (debug tools, outdated clients) gets plain JSON.
+     */
+    negotiateWireFormat(socket, requested) {
+        if (requested && requested.format === 'binary' && requested.version === WIRE_VERSION) {
+            this.wireEncoders.set(socket.id, new WireEncoder());
+            socket.emit('wire_format', { format: 'binary', version: WIRE_VERSION, ammoTypes: AMMO_TYPE_LIST });
+        } else {
+            this.wireEncoders.delete(socket.id);
+            socket.emit('wire_format', { format: 'json' });
+        }
+    }
+
+    /**
+     * @param {Object} socket
+     * @param {string} playerName - Captain name shown in game
+     * @param {string|null} playerToken - Key of the selected captain's record, checked by
+     *   server.js against the logged-in account (null for guests, who are never saved)
+     * @param {{x: number, y: number}|null} customSpawn - Testing only
+     * @param {string|null} accountId - Owning account, written with every save
+     */
+    async addPlayer(socket, playerName = 'Anonymous', playerToken = null, customSpawn = null, accountId = null) {
+        // Same token as a ship still in the world (held after a drop, or an old socket
+        // that has not timed out yet): take that ship over instead of loading a new one
+        const existing = this.findPlayerByToken(playerToken);
+        if (existing) {
+            return this.resumePlayer(socket, existing);
+        }
+
         // Validate player name
         if (!this.isValidPlayerName(playerName)) {
             console.log(`Rejected invalid name from ${socket.id}: "${playerName}"`);
@@ -170,54 +364,22 @@ class GameLoop {
         // Pass io and world references for kill message emission
         const player = new Player(socket.id, playerName, 'FLUYT', this.io, this.world);
         
-        // Attach DB token
+        // Attach DB token and owning account
         player.token = playerToken;
+        player.accountId = accountId;
 
-        // Load existing player from database
+        // Load existing player from database. A captain created on the login
+        // screen has a record before its first voyage, but nothing to restore yet.
         const savedData = await DatabaseService.loadPlayer(playerToken, playerName);
+        const hasSavedState = savedData !== null && Number.isFinite(savedData.x);
 
-        if (savedData) {
+        if (hasSavedState) {
             console.log(`[DB] Restoring player state for ${playerName}`);
-            player.gold = savedData.gold || 0;
-            player.xp = savedData.xp || 0;
-            player.level = savedData.level || 1;
-            player._crewCount = savedData.crewCount !== undefined ? savedData.crewCount : player.getFleetMaxCrew(player.fleet);
-            
-            // Reconstruct fleet
-            if (savedData.fleet && savedData.fleet.length > 0) {
-                const { SHIP_CLASSES } = require('./entities/ShipClass');
-                player.fleet = savedData.fleet.map(s => {
-                    let className = 'FLUYT';
-                    for (const key in SHIP_CLASSES) {
-                        if (SHIP_CLASSES[key].id === s.classId) {
-                            className = key;
-                            break;
-                        }
-                    }
-                    const ship = new Ship(className);
-                    ship.health = s.hullHP !== undefined ? s.hullHP : ship.maxHealth;
-                    ship.sailIntegrity = s.sailIntegrity !== undefined ? s.sailIntegrity : 100;
-                    return ship;
-                });
-                player.fleetCargo.setFleet(player.fleet);
-                if (savedData.fleet[0].cargo) {
-                    player.fleetCargo.goods = savedData.fleet[0].cargo;
-                }
-                player.clampCrewCount();
-            }
-
-            // Restore position (fallback logic will be handled if spawn is invalid)
-            player.x = savedData.x;
-            player.y = savedData.y;
-            
-            // If they spawned in a harbor, snap them to the harbor's exact coordinate as safety
-            if (savedData.spawnMode === 'HARBOR' && savedData.lastHarborId) {
-                const harbor = this.world.harborRegistry.getHarborById(savedData.lastHarborId);
-                if (harbor) {
-                    player.x = harbor.tileX * GAME.TILE_SIZE;
-                    player.y = harbor.tileY * GAME.TILE_SIZE;
-                }
-            }
+            deserializePlayer(savedData, player, {
+                harborRegistry: this.world.harborRegistry,
+                missionManager: this.world.missionManager,
+                mission: this.world.missionManager.takeCheckpointMission(playerToken, savedData.lastSaved)
+            });
         } else {
             // New player spawn logic
             let spawnPosition;
@@ -229,6 +391,7 @@ class GameLoop {
             }
             player.x = spawnPosition.x;
             player.y = spawnPosition.y;
+            player.recordShipChange(player.flagship.shipClass.name, 1, { source: 'NEW_CAPTAIN' });
         }
 
         this.world.addEntity(player);
@@ -264,7 +427,10 @@ class GameLoop {
                 spriteRotation: shipClass.spriteRotation,
                 spriteFile: shipClass.spriteFile,
                 hitboxWidthFactor: shipClass.hitboxWidthFactor,
-                hitboxHeightFactor: shipClass.hitboxHeightFactor
+                hitboxHeightFactor: shipClass.hitboxHeightFactor,
+                // Movement stats for client-side prediction
+                maxSpeed: shipClass.maxSpeed,
+                turnSpeed: shipClass.turnSpeed
             };
         }
 
@@ -272,6 +438,35 @@ class GameLoop {
 
         // Send combat config for visual rendering
         this.sendCombatConfig(socket);
+
+        // Send movement constants for client-side prediction
+        this.sendPhysicsConfig(socket);
+    }
+
+    sendPhysicsConfig(socket) {
+        // Only what the client needs to replicate Player.update() movement
+        const physics = {
+            tickRate: GAME.TICK_RATE,
+            substeps: this.substeps,
+            interpolationDelayMs: NETWORK.CLIENT_INTERPOLATION_DELAY_MS,
+            worldWidth: GAME.WORLD_WIDTH,
+            worldHeight: GAME.WORLD_HEIGHT,
+            acceleration: PHYSICS.ACCELERATION,
+            deceleration: PHYSICS.DECELERATION,
+            sailChangeCooldown: PHYSICS.SAIL_CHANGE_COOLDOWN,
+            shallowWaterSpeedMultiplier: PHYSICS.SHALLOW_WATER_SPEED_MULTIPLIER,
+            windStrengthMultipliers: PHYSICS.WIND_STRENGTH_MULTIPLIERS,
+            windAnglePoorMax: PHYSICS.WIND_ANGLE_POOR_MAX,
+            windAngleModerateMax: PHYSICS.WIND_ANGLE_MODERATE_MAX,
+            windAngleGoodMax: PHYSICS.WIND_ANGLE_GOOD_MAX,
+            windEfficiencyPoor: PHYSICS.WIND_EFFICIENCY_POOR,
+            windEfficiencyModerate: PHYSICS.WIND_EFFICIENCY_MODERATE,
+            windEfficiencyGood: PHYSICS.WIND_EFFICIENCY_GOOD,
+            windEfficiencyExcellent: PHYSICS.WIND_EFFICIENCY_EXCELLENT,
+            speedToKnotsMultiplier: PHYSICS.SPEED_TO_KNOTS_MULTIPLIER
+        };
+
+        socket.emit('physicsConfig', physics);
     }
 
     sendCombatConfig(socket) {
@@ -315,8 +510,214 @@ class GameLoop {
         return false;
     }
 
+    /**
+     * Players in the world, including those held for a reconnect (they keep their slot)
+     */
+    getPlayerCount() {
+        let count = 0;
+        for (const id in this.world.entities) {
+            if (this.world.entities[id].type === 'PLAYER') count++;
+        }
+        return count;
+    }
+
+    findPlayerByAccount(accountId) {
+        if (!accountId) return null;
+
+        for (const id in this.world.entities) {
+            const entity = this.world.entities[id];
+            if (entity.type === 'PLAYER' && entity.accountId === accountId) {
+                return entity;
+            }
+        }
+        return null;
+    }
+
+    findPlayerByToken(token) {
+        if (!token) return null;
+
+        for (const id in this.world.entities) {
+            const entity = this.world.entities[id];
+            if (entity.type === 'PLAYER' && entity.token === token) {
+                return entity;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Keep a dropped player's ship in the world for the reconnect grace window.
+     * Players without a token could never resume, so they are not held.
+     * @returns {boolean} True if held (the caller must not remove the player)
+     */
+    holdPlayer(id, now = Date.now()) {
+        const player = this.world.getEntity(id);
+        if (!player || player.type !== 'PLAYER' || !player.token || !(this.reconnectGraceMs > 0)) {
+            return false;
+        }
+
+        player.holdForReconnect(now);
+        this.heldPlayers.set(id, now + this.reconnectGraceMs);
+        this.interestManager.removeViewer(id);
+        this.wireEncoders.delete(id);
+        console.log(`[Reconnect] Holding ${player.name} (${id}) for ${this.reconnectGraceMs / 1000}s`);
+        return true;
+    }
+
+    /**
+     * Remove held players whose grace window has run out
+     */
+    releaseExpiredPlayers(now = Date.now()) {
+        for (const [id, expiresAt] of this.heldPlayers) {
+            if (now < expiresAt) continue;
+
+            const player = this.world.getEntity(id);
+            if (player) console.log(`[Reconnect] ${player.name} did not return in time`);
+            this.releaseHeldPlayer(id, now);
+        }
+    }
+
+    /**
+     * End a held player's grace window now (saved and removed like a normal leave)
+     * @returns {boolean} False if the player is not being held
+     */
+    releaseHeldPlayer(id, now = Date.now()) {
+        if (!this.heldPlayers.has(id)) return false;
+
+        const player = this.world.getEntity(id);
+        if (player) {
+            this.io.emit('chatMessage', {
+                type: 'system',
+                timestamp: now,
+                text: `🚪 ${player.name} left the game`
+            });
+        }
+        this.removePlayer(id);
+        return true;
+    }
+
+    /**
+     * Rebind a returning player to their new socket: the ship, mission and harbor
+     * berth carry over, and the client gets the same bootstrap data as a fresh join.
+     */
+    resumePlayer(socket, player) {
+        const oldId = player.id;
+        const newId = socket.id;
+        const oldSocket = oldId !== newId ? this.io.sockets.sockets.get(oldId) : null;
+
+        this.heldPlayers.delete(oldId);
+        this.interestManager.removeViewer(oldId);
+        this.wireEncoders.delete(oldId);
+        this.world.renameEntity(oldId, newId);
+
+        const harbor = player.dockedHarborId
+            ? this.world.harbors.find(h => h.id === player.dockedHarborId)
+            : null;
+        if (harbor) {
+            const occupants = this.harborOccupants.get(harbor.id);
+            if (occupants) {
+                occupants.delete(oldId);
+                occupants.add(newId);
+            }
+            socket.join(`harbor_${harbor.id}`);
+        }
+
+        // Renamed first, so the old socket's disconnect no longer finds a player to remove
+        if (oldSocket) {
+            oldSocket.emit('kicked', { reason: 'You joined from another window.' });
+            oldSocket.disconnect(true);
+        }
+
+        player.resumeControl();
+
+        socket.emit('map_data', this.world.getMapData());
+        this.sendShipMetadata(socket);
+        if (harbor) {
+            this.sendHarborData(newId, player, harbor);
+            this.broadcastHarborOccupants(harbor.id);
+        }
+
+        const message = {
+            type: 'system',
+            timestamp: Date.now(),
+            text: `🔌 ${player.name} reconnected`
+        };
+        this.io.emit('chatMessage', message);
+        console.log(`[Reconnect] ${player.name} resumed (${oldId} -> ${newId})`);
+        return true;
+    }
+
+    /**
+     * Find an online player by socket id or (case-insensitive) name
+     * @returns {Player|null}
+     */
+    findPlayer(idOrName) {
+        if (!idOrName || typeof idOrName !== 'string') return null;
+
+        const byId = this.world.getEntity(idOrName);
+        if (byId && byId.type === 'PLAYER') return byId;
+
+        const normalizedName = idOrName.toLowerCase().trim();
+        for (const id in this.world.entities) {
+            const entity = this.world.entities[id];
+            if (entity.type === 'PLAYER' && entity.name.toLowerCase().trim() === normalizedName) {
+                return entity;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move a player's ship, clamped to the world bounds
+     * @returns {boolean} False if the player or coordinates are invalid
+     */
+    teleportPlayer(playerId, x, y) {
+        const player = this.world.getEntity(playerId);
+        if (!player) return false;
+
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            console.warn('[Admin] Invalid teleport coordinates:', { x, y });
+            return false;
+        }
+
+        player.x = Math.max(0, Math.min(x, GAME.WORLD_WIDTH));
+        player.y = Math.max(0, Math.min(y, GAME.WORLD_HEIGHT));
+        player.velocityX = 0;
+        player.velocityY = 0;
+        console.log(`[Admin] Teleported ${player.name} to (${player.x.toFixed(0)}, ${player.y.toFixed(0)})`);
+        return true;
+    }
+
+    /**
+     * Change a player's role for this session and on their saved record
+     */
+    setPlayerRole(playerId, role) {
+        const player = this.world.getEntity(playerId);
+        if (!player || !isValidRole(role)) return false;
+
+        player.role = role;
+        if (player.token) {
+            DatabaseService.setPlayerRole(player.token, role);
+        }
+        console.log(`[Admin] ${player.name} is now ${role}`);
+        return true;
+    }
+
+    /**
+     * Tell a player why and disconnect them (removePlayer runs on disconnect)
+     */
+    kickPlayer(playerId, reason = 'You have been kicked from the server.') {
+        const socket = this.io.sockets.sockets.get(playerId);
+        if (!socket) return false;
+
+        socket.emit('kicked', { reason });
+        socket.disconnect(true);
+        return true;
+    }
+
     findSafeSpawnPosition() {
         const maxAttempts = 50;
+        const rng = this.random.stream('spawn');
 
         // Nassau area spawn (Bahamas - many nearby harbors)
         // Nassau corrected coordinates: tile (1661, 420) = world (41525, 10500)
@@ -325,8 +726,8 @@ class GameLoop {
         const spawnRange = 500;  // 500 pixel radius to find water near Nassau
 
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-            const x = spawnCenterX + (Math.random() - 0.5) * spawnRange * 2;
-            const y = spawnCenterY + (Math.random() - 0.5) * spawnRange * 2;
+            const x = spawnCenterX + (rng() - 0.5) * spawnRange * 2;
+            const y = spawnCenterY + (rng() - 0.5) * spawnRange * 2;
 
             // Check if position is safe (tile-based: must be water, not land or shallow)
             const isWater = this.world.worldMap.isWater(x, y);
@@ -353,29 +754,13 @@ class GameLoop {
             
             // Disconnect Save (Best Effort)
             if (player.token && !player.isRaft) {
-                const playerData = {
-                    token: player.token,
-                    name: player.name,
-                    x: player.x,
-                    y: player.y,
-                    lastHarborId: player.dockedHarborId || player.lastHarborId || null,
-                    spawnMode: player.inHarbor ? 'HARBOR' : 'AT_SEA',
-                    gold: player.gold,
-                    xp: player.xp,
-                    level: player.level,
-                    crewCount: player.crewCount,
-                    fleet: player.fleet.map((ship, index) => ({
-                        id: ship.id,
-                        classId: ship.shipClass.id,
-                        hullHP: ship.health,
-                        sailIntegrity: ship.sailIntegrity,
-                        cargo: index === 0 ? player.fleetCargo.goods : {}
-                    }))
-                };
-                DatabaseService.savePlayer(playerData);
+                DatabaseService.savePlayer(this.buildSaveData(player));
             }
         }
         this.world.removeEntity(id);
+        this.interestManager.removeViewer(id);
+        this.wireEncoders.delete(id);
+        this.heldPlayers.delete(id);
     }
 
     handleInput(id, inputData) {
@@ -383,7 +768,7 @@ class GameLoop {
         if (player) {
             player.handleInput(inputData);
 
-            const now = Date.now() / 1000;
+            const now = this.clock.now();
 
             // Handle Broadside Left (Q) - Rafts cannot fire, shields prevent firing
             if (inputData.shootLeft && !player.isRaft && !player.hasActiveShield()) {
@@ -580,10 +965,11 @@ class GameLoop {
 
         // Grant Loot
         let message = 'Looted: ';
+        const lootReason = { source: 'LOOT', counterparty: `wreck:${wreckId}` };
 
         // 1. Gold
         if (loot.gold > 0) {
-            player.addGold(loot.gold);
+            player.addGold(loot.gold, lootReason);
             message += `${loot.gold} gold`;
         }
 
@@ -593,7 +979,7 @@ class GameLoop {
         let cargoAddedString = '';
         if (loot.cargo) {
             for (const [goodId, amount] of Object.entries(loot.cargo)) {
-                const success = player.fleetCargo.addGood(goodId, amount);
+                const success = player.addCargo(goodId, amount, lootReason);
                 if (success) {
                     cargoAddedString += `, ${amount} ${goodId}`;
                 }
@@ -648,6 +1034,7 @@ class GameLoop {
             player.fleet = [new Ship('SLOOP')];
             player.flagshipIndex = 0;
             player.isRaft = false;
+            player.recordShipChange(player.flagship.shipClass.name, 1, { source: 'RAFT_RECOVERY', counterparty: `harbor:${harbor.id}` });
 
             // Update FleetCargo reference to new fleet
             // FIX: Prevent 0 capacity bug after raft recovery
@@ -657,6 +1044,9 @@ class GameLoop {
             console.log(`Player ${player.id} received a new Sloop at ${harbor.name}`);
         }
 
+        // Customs: the harbor may search the hold for contraband
+        this.world.customs.inspectAtHarbor(player, harbor.id);
+
         // Force mission update to check completion logic IMMEDIATELY
         this.world.missionManager.update(0);
 
@@ -665,26 +1055,7 @@ class GameLoop {
 
         // DB Harbor Save
         if (player.token) {
-            const playerData = {
-                token: player.token,
-                name: player.name,
-                x: player.x, // Saved at harbor entrance
-                y: player.y,
-                lastHarborId: harbor.id,
-                spawnMode: 'HARBOR',
-                gold: player.gold,
-                xp: player.xp,
-                level: player.level,
-                crewCount: player.crewCount,
-                fleet: player.fleet.map((ship, index) => ({
-                    id: ship.id,
-                    classId: ship.shipClass.id,
-                    hullHP: ship.health,
-                    sailIntegrity: ship.sailIntegrity,
-                    cargo: index === 0 ? player.fleetCargo.goods : {}
-                }))
-            };
-            DatabaseService.savePlayer(playerData);
+            DatabaseService.savePlayer(this.buildSaveData(player)); // Docked: saved at the harbor entrance
         }
     }
 
@@ -694,7 +1065,8 @@ class GameLoop {
     sendHarborData(socketId, player, harbor) {
         if (!player || !harbor) return;
 
-        const economy = this.world.harborRegistry.getHarborEconomy(harbor.id);
+        this.tradeAdvisor.recordVisit(player, harbor.id);
+        const economy = this.world.harborMarkets.getEconomy(harbor.id);
         const crewCount = player.crewCount || 0;
         const maxCrew = player.maxCrew || 0;
         const hireCrewCost = Math.max(0, maxCrew - crewCount);
@@ -708,6 +1080,7 @@ class GameLoop {
             hireCrewCost,
             economy: economy,
             cargo: player.fleetCargo.serialize(),
+            bank: this.bankSystem.hasBank(harbor.id) ? { balance: player.bankGold } : null,
             availableMissions: this.world.missionManager.generateAvailableMissions(socketId, harbor.id),
             occupants: this.getHarborOccupantsList(harbor.id)
         };
@@ -746,7 +1119,7 @@ class GameLoop {
         }
 
         // Deduct gold and repair flagship
-        player.removeGold(repairCost);
+        player.removeGold(repairCost, { source: 'REPAIR', counterparty: `harbor:${player.dockedHarborId}` });
         player.flagship.health = Math.min(player.flagship.health + hpToRepair, player.flagship.maxHealth);
         
         // Always fully repair sails when repairing hull
@@ -781,10 +1154,17 @@ class GameLoop {
         // Create new ship with selected class
         const newShip = new Ship(shipClass);
 
-        // Replace flagship (index 0) with new ship
-        player.fleet[0] = newShip;
+        // Replace flagship (index 0) with new ship. The old one leaves first
+        // so each ledger entry carries the right count for its class.
+        const shipyard = { source: 'SHIPYARD', counterparty: `harbor:${player.dockedHarborId}` };
+        const [oldShip] = player.fleet.splice(0, 1);
+        if (oldShip) {
+            player.recordShipChange(oldShip.shipClass.name, -1, shipyard);
+        }
+        player.fleet.unshift(newShip);
         player.flagshipIndex = 0;
         player.clampCrewCount();
+        player.recordShipChange(newShip.shipClass.name, 1, shipyard);
         player.needsSave = true;
 
         console.log(`Player ${playerId} switched flagship to ${shipClass}`);
@@ -805,6 +1185,9 @@ class GameLoop {
             const harborId = player.dockedHarborId;
             const harbor = this.world.harbors.find(h => h.id === harborId);
 
+            // The captain sails off knowing the prices as they are now
+            this.tradeAdvisor.recordVisit(player, harborId);
+
             // Remove from harbor occupants tracking
             this.removePlayerFromHarbor(playerId, harborId);
 
@@ -853,7 +1236,7 @@ class GameLoop {
                 }
 
                 // Grant 10-second shield when leaving harbor (no firing allowed)
-                player.shieldEndTime = Date.now() / 1000 + COMBAT.HARBOR_EXIT_SHIELD_DURATION;
+                player.shieldEndTime = this.clock.now() + COMBAT.HARBOR_EXIT_SHIELD_DURATION;
                 player.needsSave = true;
 
                 console.log(`Player ${playerId} left ${harbor.name} with 10s shield (no firing)`);
@@ -895,13 +1278,20 @@ class GameLoop {
         }
 
         // Deduct cost
-        player.removeGold(shipClass.goldCost);
+        const shipyard = { source: 'SHIPYARD', counterparty: `harbor:${player.dockedHarborId}` };
+        player.removeGold(shipClass.goldCost, shipyard);
 
-        // Replace flagship (simple swap, no resale)
+        // Replace flagship (simple swap, no resale). The old ships leave one at
+        // a time so each ledger entry carries the right count for its class.
         const Ship = require('./entities/Ship');
+        while (player.fleet.length > 0) {
+            const [oldShip] = player.fleet.splice(0, 1);
+            player.recordShipChange(oldShip.shipClass.name, -1, shipyard);
+        }
         player.fleet = [new Ship(targetShipClass)];
         player.flagshipIndex = 0;
         player.clampCrewCount();
+        player.recordShipChange(shipClass.name, 1, shipyard);
 
         // Update FleetCargo reference to new fleet
         player.fleetCargo.setFleet(player.fleet);
@@ -939,7 +1329,7 @@ class GameLoop {
             return;
         }
 
-        player.removeGold(hireCost);
+        player.removeGold(hireCost, { source: 'CREW', counterparty: `harbor:${player.dockedHarborId}` });
         player.refillCrew();
         player.needsSave = true;
 
@@ -977,6 +1367,7 @@ class GameLoop {
                 gold: player.gold,
                 cargo: player.fleetCargo.serialize()
             });
+            this.broadcastMarketUpdate(harborId);
         }
     }
 
@@ -1003,6 +1394,45 @@ class GameLoop {
                 gold: player.gold,
                 cargo: player.fleetCargo.serialize()
             });
+            this.broadcastMarketUpdate(harborId);
+        }
+    }
+
+    /**
+     * Handle a bank deposit
+     * @param {string} socketId - Player socket ID
+     * @param {string} harborId - Harbor ID
+     * @param {number} amount - Gold to deposit (-1: all gold aboard)
+     */
+    handleDepositGold(socketId, harborId, amount) {
+        const player = this.world.getEntity(socketId);
+        if (!player) return;
+
+        this.sendBankResult(player, this.bankSystem.deposit(player, harborId, amount));
+    }
+
+    /**
+     * Handle a bank withdrawal
+     * @param {string} socketId - Player socket ID
+     * @param {string} harborId - Harbor ID
+     * @param {number} amount - Gold to withdraw (-1: the whole balance)
+     */
+    handleWithdrawGold(socketId, harborId, amount) {
+        const player = this.world.getEntity(socketId);
+        if (!player) return;
+
+        this.sendBankResult(player, this.bankSystem.withdraw(player, harborId, amount));
+    }
+
+    sendBankResult(player, result) {
+        this.io.to(player.id).emit('transactionResult', result);
+
+        if (result.success) {
+            player.needsSave = true;
+            this.io.to(player.id).emit('playerStateUpdate', {
+                gold: player.gold,
+                bankGold: player.bankGold
+            });
         }
     }
 
@@ -1057,6 +1487,119 @@ class GameLoop {
         this.io.to(roomName).emit('updateHarborOccupants', occupantsList);
     }
 
+    /**
+     * Stock and prices after a trade, to everyone docked at the harbor
+     */
+    broadcastMarketUpdate(harborId) {
+        const economy = this.world.harborMarkets.getEconomy(harborId);
+        this.world.priceHistory.record(harborId, economy);
+        this.io.to(`harbor_${harborId}`).emit('marketUpdate', { harborId, economy });
+    }
+
+    /**
+     * Send a captain their price book, and route advice if they are docked
+     * @param {string} socketId - Player socket ID
+     */
+    handleRequestPriceBook(socketId) {
+        const player = this.world.getEntity(socketId);
+        if (!player) return;
+
+        const originHarborId = player.inHarbor ? player.dockedHarborId : null;
+        this.io.to(socketId).emit('priceBook', {
+            originHarborId,
+            harbors: this.tradeAdvisor.getPriceBook(player),
+            routes: originHarborId ? this.tradeAdvisor.rankRoutes(player, originHarborId) : []
+        });
+    }
+
+    /**
+     * Persisted state of a player (PlayerModel fields, see PlayerStateSerializer)
+     */
+    buildSaveData(player) {
+        return serializePlayer(player, { missionManager: this.world.missionManager });
+    }
+
+    /**
+     * Graceful shutdown: stop the simulation and hold every ship where it is
+     * (docked players stay docked), so the state saved next is final.
+     */
+    freezePlayers() {
+        this.stop();
+        for (const id in this.world.entities) {
+            const player = this.world.entities[id];
+            if (player.type !== 'PLAYER') continue;
+
+            player.speed = 0;
+            player.sailState = 0;
+            player.inputs = {
+                left: false,
+                right: false,
+                sailUp: false,
+                sailDown: false,
+                shootLeft: false,
+                shootRight: false
+            };
+        }
+    }
+
+    /**
+     * Save every player in one bulk write and wait for it (graceful shutdown).
+     * Players not confirmed within timeoutMs are reported as failed.
+     * Rafts are skipped, like in every other save.
+     * @returns {Promise<{saved: Player[], failed: Player[], timedOut: boolean}>}
+     */
+    async saveAllPlayers(timeoutMs) {
+        const players = Object.values(this.world.entities)
+            .filter(entity => entity.type === 'PLAYER' && entity.token && !entity.isRaft);
+        if (players.length === 0) return { saved: [], failed: [], timedOut: false };
+
+        let timer = null;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(null), timeoutMs);
+        });
+        const result = await Promise.race([
+            DatabaseService.savePlayers(players.map(player => this.buildSaveData(player))),
+            timeout
+        ]);
+        clearTimeout(timer);
+
+        if (!result) {
+            return { saved: [], failed: players, timedOut: true };
+        }
+
+        const savedTokens = new Set(result.saved);
+        const saved = players.filter(player => savedTokens.has(player.token));
+        saved.forEach(player => { player.needsSave = false; });
+        return { saved, failed: players.filter(player => !savedTokens.has(player.token)), timedOut: false };
+    }
+
+    /**
+     * Save the world outside the players (see database/WorldCheckpoint.js)
+     * @returns {Promise<boolean>} False if nothing was saved
+     */
+    async saveWorldCheckpoint() {
+        if (!DatabaseService.isConnected) return false;
+        return DatabaseService.saveWorldCheckpoint(createWorldCheckpoint(this.world));
+    }
+
+    /**
+     * Restore the last world checkpoint (boot, before players can join)
+     * @returns {Promise<Object|null>} What was restored, null if there was nothing usable
+     */
+    async restoreWorldCheckpoint() {
+        const checkpoint = await DatabaseService.loadWorldCheckpoint();
+        if (!checkpoint) return null;
+
+        const restored = restoreWorldCheckpoint(this.world, checkpoint);
+        if (restored) {
+            console.log(`[World] Restored checkpoint from ${new Date(restored.savedAt).toISOString()}: ` +
+                `${restored.wrecks} wrecks, ${restored.missions} missions, ${restored.markets} harbor markets, ` +
+                `${restored.prices} harbor price histories, ` +
+                `traffic ${restored.traffic ? 'restored' : 'fresh'}, wind ${restored.wind ? 'restored' : 'fresh'}`);
+        }
+        return restored;
+    }
+
     dirtyAutosave() {
         if (!DatabaseService.isConnected) return;
         let savedCount = 0;
@@ -1064,26 +1607,7 @@ class GameLoop {
         for (const id in this.world.entities) {
             const player = this.world.entities[id];
             if (player.type === 'PLAYER' && player.token && player.needsSave && !player.isRaft) {
-                const playerData = {
-                    token: player.token,
-                    name: player.name,
-                    x: player.x,
-                    y: player.y,
-                    lastHarborId: player.dockedHarborId || player.lastHarborId || null,
-                    spawnMode: player.inHarbor ? 'HARBOR' : 'AT_SEA',
-                    gold: player.gold,
-                    xp: player.xp,
-                    level: player.level,
-                    crewCount: player.crewCount,
-                    fleet: player.fleet.map((ship, index) => ({
-                        id: ship.id,
-                        classId: ship.shipClass.id,
-                        hullHP: ship.health,
-                        sailIntegrity: ship.sailIntegrity,
-                        cargo: index === 0 ? player.fleetCargo.goods : {}
-                    }))
-                };
-                DatabaseService.savePlayer(playerData);
+                DatabaseService.savePlayer(this.buildSaveData(player));
                 player.needsSave = false;
                 savedCount++;
             }
@@ -29,9 +29,18 @@ const GameConfig = {
 
         // Game loop
         TICK_RATE: 60, // Updates per second
+        SIMULATION_SUBSTEPS: 1,   // world.update() calls per tick (raise for finer physics)
+        MAX_STEPS_PER_FRAME: 5,   // Catch-up limit after a stall; any older backlog is dropped
+        RANDOM_SEED: null,        // World seed (null = new seed each start; WORLD_SEED env var overrides)
         PERFORMANCE_LOG_INTERVAL_MS: 10000,
         MAX_TICK_TIME_MS: 16.67,
 
+        // Graceful shutdown (SIGTERM on redeploy): warn players, then save everyone.
+        // Keep the sum well under the host's kill timeout (Render.com: 30 s).
+        // SHUTDOWN_WARNING_SECONDS / SHUTDOWN_SAVE_TIMEOUT_MS env vars override
+        SHUTDOWN_WARNING_SECONDS: 10,
+        SHUTDOWN_SAVE_TIMEOUT_MS: 10000,
+
         // World Map (tile-based, replaces procedural generation)
         WORLD_MAP_PATH: './src/server/assets/world_map.json',
         TILE_SIZE: 25,  // Pixels per tile (production map)
@@ -59,6 +68,37 @@ const GameConfig = {
         PLAYER_SPAWN_RANGE: 5000,     // Spawn within 5000 pixels of center
     },
 
+    // ========================================
+    // NETWORK: State replication to clients
+    // ========================================
+    NETWORK: {
+        // Full snapshot every N ticks, small deltas in between
+        SNAPSHOT_INTERVAL_TICKS: 10,
+
+        // Area of interest: each client only receives ships, projectiles and wrecks
+        // within this radius of its own ship. Same value as the traffic
+        // materialization radius, so strategic NPCs are spawned before they become visible.
+        AOI_RADIUS: 2500,
+
+        // Hysteresis: a ship already in view stays until it is this far beyond AOI_RADIUS
+        AOI_LEAVE_BUFFER: 250,
+
+        // Remote ships are drawn this far in the past on clients (InterpolationBuffer.js, sent in physicsConfig)
+        CLIENT_INTERPOLATION_DELAY_MS: 100,
+
+        // Lag compensation: a player's cannonballs are tested against targets rewound by the
+        // shooter's round-trip time + CLIENT_INTERPOLATION_DELAY_MS, never more than this
+        LAG_COMPENSATION_MAX_MS: 250,
+
+        // Round-trip time measurement (latency_ping / latency_pong)
+        LATENCY_PING_INTERVAL_TICKS: 120, // Every 2 seconds at 60 Hz
+        LATENCY_SMOOTHING: 0.25,          // Weight of a new sample in the moving average
+
+        // A dropped player's ship stays in the world (shielded, sails struck) this long,
+        // so a reconnect with the same token resumes it. RECONNECT_GRACE_SECONDS overrides, 0 disables
+        RECONNECT_GRACE_MS: 30000
+    },
+
     // ========================================
     // PHYSICS: Movement and physics constants
     // ========================================
@@ -85,6 +125,13 @@ const GameConfig = {
         WIND_CHANGE_INTERVAL_MAX: 60, // Seconds
         WIND_CHANGE_RATE: 0.5, // Radians per second
 
+        // Wind strength speed multipliers (also sent to clients for movement prediction)
+        WIND_STRENGTH_MULTIPLIERS: {
+            LOW: 0.6,
+            NORMAL: 0.8,
+            FULL: 1.0
+        },
+
         // Wind angle zones (in degrees) and efficiency multipliers
         WIND_ANGLE_POOR_MAX: 60,        // 0-60° = headwind
         WIND_ANGLE_MODERATE_MAX: 100,   // 60-100° = beam reach
@@ -236,7 +283,8 @@ const GameConfig = {
         LOCAL_ROUTE_LENGTH: 2800,
         LOCAL_MAX_SHIPS: 24,
         LOCAL_COMBAT_RETENTION_SECONDS: 15,
-        LOCAL_DEBUG_DESPAWNS: true
+        LOCAL_DEBUG_DESPAWNS: true,
+        TRADER_CARGO_UNITS: 40    // Export goods a strategic trader loads per voyage (harbor stock permitting)
     },
 
     // ========================================
@@ -275,7 +323,52 @@ const GameConfig = {
         // Local Price Variation
         // Deterministic variation per harbor to add flavor
         // Applied after all other calculations
-        PRICE_VARIATION: 0.05 // ±5%
+        PRICE_VARIATION: 0.05, // ±5%
+
+        // Harbor Stock (see economy/HarborMarkets.js)
+        // Every harbor holds a stock of each good it trades, starting at the tier's baseline.
+        // Buying empties it, selling fills it, and it drifts back to the baseline over time.
+        // Prices above follow the stock: Price * (baseline / stock) ^ ELASTICITY, clamped.
+        STOCK_BASELINE: {
+            EXPORT: 400,    // Produced here: plenty on hand
+            STANDARD: 200,
+            IMPORT: 80      // Wanted here: little on hand, and every unit sold in moves the price
+        },
+        STOCK_CAPACITY_FACTOR: 3,       // Warehouse holds 3x the baseline; the harbor buys no more beyond that
+        STOCK_RECOVERY_SECONDS: 1800,   // Drift time constant: ~63% of the gap to the baseline closes in 30 min
+        STOCK_PRICE_ELASTICITY: 0.5,
+        STOCK_PRICE_FACTOR_MIN: 0.5,    // Glutted market: half price at most
+        STOCK_PRICE_FACTOR_MAX: 2.5,    // Sold out market: 2.5x price at most
+
+        // Price History and Route Advisor (see economy/PriceHistory.js, economy/TradeAdvisor.js)
+        // Prices are sampled whenever a captain sees or trades at a harbor, two samples per window at most.
+        // Captains only know the samples of harbors they docked at, up to their last visit.
+        PRICE_HISTORY_SAMPLE_SECONDS: 600,  // 10 min windows; a window keeps its first and latest observation
+        PRICE_HISTORY_MAX_SAMPLES: 72,      // 6 hours of history per harbor
+        ROUTE_ADVISOR_RESULTS: 5            // Best routes offered from the harbor a captain is docked at
+    },
+
+    // ========================================
+    // CONTRABAND: Illegal goods and customs (see economy/Customs.js)
+    // ========================================
+    CONTRABAND: {
+        // Trade profiles of the harbors where illegal goods change hands freely
+        BLACK_MARKET_PROFILES: ['PIRATE_HAVEN'],
+
+        // Chance that a harbor searches a docking ship, by harbor defenses
+        DOCK_INSPECTION_CHANCE: { none: 0.2, walls: 0.4, fort: 0.6, fort_2: 0.8 },
+
+        // Fine per illegal unit found (contraband trades around 120-200g), by harbor defenses
+        FINE_PER_UNIT: 100,
+        FINE_MULTIPLIER: { none: 1, walls: 1.5, fort: 2, fort_2: 3 },
+
+        // Nation patrols at sea
+        PATROL_CHECK_INTERVAL: 1.0,       // Seconds between hail checks
+        PATROL_HAIL_RANGE: 600,           // Patrols hail captains within this distance
+        PATROL_HAIL_SECONDS: 10,          // Time to get away before the boarding party arrives
+        PATROL_ESCAPE_RANGE: 1200,        // Beyond this distance the hail is given up
+        PATROL_FINE_MULTIPLIER: 1.5,
+        INSPECTION_COOLDOWN_SECONDS: 300  // A searched captain is left alone this long
     },
 
     // ========================================
@@ -287,6 +380,7 @@ const GameConfig = {
         BASE_GOLD_MIN: 10,        // Minimum gold from wreck
         BASE_GOLD_MAX: 50,        // Maximum gold from wreck
         CARGO_SALVAGE_PERCENT: 0.3, // 30% of cargo is recoverable
+        PLAYER_GOLD_DROP_PERCENT: 0.25, // Share of a captain's carried gold that goes down with each sunk flagship (banked gold is safe)
         MIN_CLOTH: 1,             // Always drop at least 1 cloth (sails)
         MIN_WOOD: 2               // Always drop at least 2 wood (hull)
     }
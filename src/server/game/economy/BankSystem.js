@@ -0,0 +1,88 @@
+/**
+ * BankSystem - harbor banks keeping captains' gold safe
+ *
+ * Harbors with `services.bank` (harbors.json) hold one account per captain,
+ * the same at every bank. Gold carried at sea is at risk: part of it goes
+ * down with each sunk flagship (WRECKS.PLAYER_GOLD_DROP_PERCENT). Banked
+ * gold is not, but it can only be spent after withdrawing it at a bank.
+ *
+ * Like EconomySystem, requests are validated here and executed through
+ * Player methods, which record both sides in the transaction ledger.
+ * An amount of -1 means everything (all gold aboard, or the whole balance).
+ */
+class BankSystem {
+    /**
+     * @param {HarborRegistry} harborRegistry - Which harbors have a bank
+     */
+    constructor(harborRegistry) {
+        this.harborRegistry = harborRegistry;
+    }
+
+    hasBank(harborId) {
+        const harbor = this.harborRegistry.getHarborById(harborId);
+        return !!(harbor && harbor.services && harbor.services.bank);
+    }
+
+    /**
+     * Deposit gold from the hold into the captain's account
+     * @returns {Object} { success, message, amount? }
+     */
+    deposit(player, harborId, amount) {
+        const error = this._validate(player, harborId, amount);
+        if (error) return { success: false, message: error };
+
+        const quantity = amount === -1 ? player.gold : amount;
+        if (quantity <= 0) {
+            return { success: false, message: 'You have no gold aboard to deposit.' };
+        }
+        if (quantity > player.gold) {
+            return { success: false, message: `You only have ${player.gold} gold aboard.` };
+        }
+
+        player.depositGold(quantity, { source: 'BANK', counterparty: `harbor:${harborId}` });
+        return {
+            success: true,
+            message: `Deposited ${quantity} gold. Balance: ${player.bankGold} gold.`,
+            amount: quantity
+        };
+    }
+
+    /**
+     * Withdraw gold from the captain's account into the hold
+     * @returns {Object} { success, message, amount? }
+     */
+    withdraw(player, harborId, amount) {
+        const error = this._validate(player, harborId, amount);
+        if (error) return { success: false, message: error };
+
+        const quantity = amount === -1 ? player.bankGold : amount;
+        if (quantity <= 0) {
+            return { success: false, message: 'Your account is empty.' };
+        }
+        if (quantity > player.bankGold) {
+            return { success: false, message: `Your account only holds ${player.bankGold} gold.` };
+        }
+
+        player.withdrawGold(quantity, { source: 'BANK', counterparty: `harbor:${harborId}` });
+        return {
+            success: true,
+            message: `Withdrew ${quantity} gold. Balance: ${player.bankGold} gold.`,
+            amount: quantity
+        };
+    }
+
+    _validate(player, harborId, amount) {
+        if (!player.inHarbor || player.dockedHarborId !== harborId) {
+            return 'You must be docked at this harbor to use its bank.';
+        }
+        if (!this.hasBank(harborId)) {
+            return 'This harbor has no bank.';
+        }
+        if (!Number.isInteger(amount) || (amount <= 0 && amount !== -1)) {
+            return 'Invalid amount.';
+        }
+        return null;
+    }
+}
+
+module.exports = BankSystem;
@@ -0,0 +1,237 @@
+const GameConfig = require('../config/GameConfig');
+const { GOODS, getGood } = require('../entities/Goods');
+
+const ILLEGAL_GOOD_IDS = Object.values(GOODS)
+    .filter(good => good.properties.legality === 'ILLEGAL')
+    .map(good => good.id);
+
+/**
+ * Customs - the law catching up with illegal goods
+ *
+ * Illegal goods (Goods legality ILLEGAL) trade freely only at black markets
+ * (CONTRABAND.BLACK_MARKET_PROFILES, see EconomySystem). Elsewhere a captain
+ * carrying them can be searched in two places:
+ * - Docking at any other harbor: searched with a chance set by the harbor's
+ *   defenses (none, walls, fort, fort_2), which also scale the fine.
+ * - At sea: a nation patrol (PATROL role) within hailing range orders the
+ *   captain to heave to. Still in range when the hail runs out means a
+ *   search; getting beyond PATROL_ESCAPE_RANGE first means getting away.
+ *
+ * A search confiscates every illegal good aboard and fines the captain per
+ * unit, never more gold than they have. Patrols hail everyone, smuggler or
+ * not, and leave a searched captain alone for INSPECTION_COOLDOWN_SECONDS.
+ * Captains held for a reconnect or under a shield are neither hailed nor
+ * searched at sea; a pending hail on them is dropped.
+ */
+class Customs {
+    /**
+     * @param {World} world
+     * @param {Object} options
+     * @param {function(): number} options.rng - World 'customs' stream
+     */
+    constructor(world, options = {}) {
+        this.world = world;
+        this.rng = options.rng ?? Math.random;
+        this.accumulator = 0;
+
+        this.hails = new Map();         // playerId -> { patrolId, patrolName, expiresAt (s) }
+        this.lastInspected = new Map(); // playerId -> simulation seconds of the last patrol search
+    }
+
+    isBlackMarket(harbor) {
+        return !!harbor && GameConfig.CONTRABAND.BLACK_MARKET_PROFILES.includes(harbor.harborTradeId);
+    }
+
+    /**
+     * Illegal goods in a captain's hold
+     * @returns {Object} goodId -> quantity (empty if clean)
+     */
+    findContraband(player) {
+        const found = {};
+        for (const goodId of ILLEGAL_GOOD_IDS) {
+            const quantity = player.fleetCargo.getQuantity(goodId);
+            if (quantity > 0) found[goodId] = quantity;
+        }
+        return found;
+    }
+
+    /**
+     * Harbor search of a docking captain (GameLoop.handleEnterHarbor)
+     * @returns {Object|null} Search result (see _search), null if not searched
+     */
+    inspectAtHarbor(player, harborId) {
+        const harbor = this.world.harborRegistry.getHarborById(harborId);
+        if (!harbor || this.isBlackMarket(harbor) || Object.keys(this.findContraband(player)).length === 0) {
+            return null;
+        }
+
+        const { DOCK_INSPECTION_CHANCE, FINE_MULTIPLIER } = GameConfig.CONTRABAND;
+        const defenses = harbor.defenses in DOCK_INSPECTION_CHANCE ? harbor.defenses : 'none';
+        if (this.rng() >= DOCK_INSPECTION_CHANCE[defenses]) {
+            return null;
+        }
+
+        return this._search(player, {
+            authority: `The harbor master of ${harbor.name}`,
+            counterparty: `harbor:${harbor.id}`,
+            fineMultiplier: FINE_MULTIPLIER[defenses]
+        });
+    }
+
+    update(deltaTime) {
+        this.accumulator += deltaTime;
+        if (this.accumulator < GameConfig.CONTRABAND.PATROL_CHECK_INTERVAL) {
+            return;
+        }
+        this.accumulator = 0;
+
+        const nowSeconds = this.world.clock.now();
+        this._resolveHails(nowSeconds);
+        this._hailCaptains(nowSeconds);
+    }
+
+    /**
+     * Forget a captain who left the game
+     */
+    removePlayer(playerId) {
+        this.hails.delete(playerId);
+        this.lastInspected.delete(playerId);
+    }
+
+    // A reconnect does not reset the search cooldown
+    renamePlayer(oldId, newId) {
+        for (const map of [this.hails, this.lastInspected]) {
+            if (!map.has(oldId)) continue;
+            map.set(newId, map.get(oldId));
+            map.delete(oldId);
+        }
+    }
+
+    _hailCaptains(nowSeconds) {
+        const { PATROL_HAIL_RANGE, PATROL_HAIL_SECONDS, INSPECTION_COOLDOWN_SECONDS } = GameConfig.CONTRABAND;
+        const patrols = this._getPatrols();
+        if (patrols.length === 0) return;
+
+        for (const player of this._getCaptainsAtSea()) {
+            if (this.hails.has(player.id)) continue;
+            const lastInspected = this.lastInspected.get(player.id);
+            if (lastInspected !== undefined && nowSeconds - lastInspected < INSPECTION_COOLDOWN_SECONDS) continue;
+
+            const patrol = patrols.find(npc => Math.hypot(npc.x - player.x, npc.y - player.y) <= PATROL_HAIL_RANGE);
+            if (!patrol) continue;
+
+            this.hails.set(player.id, {
+                patrolId: patrol.id,
+                patrolName: patrol.name,
+                expiresAt: nowSeconds + PATROL_HAIL_SECONDS
+            });
+            this._notify(player, `⚓ The ${patrol.name} hails you: heave to and prepare to be boarded for inspection!`);
+        }
+    }
+
+    _resolveHails(nowSeconds) {
+        const { PATROL_ESCAPE_RANGE, PATROL_FINE_MULTIPLIER } = GameConfig.CONTRABAND;
+
+        for (const [playerId, hail] of this.hails) {
+            const player = this.world.getEntity(playerId);
+            const patrol = this.world.getEntity(hail.patrolId);
+
+            // Gone, docked (the harbor does its own search), out of reach or the patrol is gone
+            if (!this._isAtSea(player) || !patrol || patrol.state === 'DESPAWNING') {
+                this.hails.delete(playerId);
+                continue;
+            }
+
+            if (Math.hypot(patrol.x - player.x, patrol.y - player.y) > PATROL_ESCAPE_RANGE) {
+                this.hails.delete(playerId);
+                this._notify(player, `⛵ You slipped away from the ${hail.patrolName}.`);
+                continue;
+            }
+
+            if (nowSeconds >= hail.expiresAt) {
+                this.hails.delete(playerId);
+                this.lastInspected.set(playerId, nowSeconds);
+                this._search(player, {
+                    authority: `The ${hail.patrolName}`,
+                    counterparty: `patrol:${patrol.regionId ?? 'unknown'}`,
+                    fineMultiplier: PATROL_FINE_MULTIPLIER
+                });
+            }
+        }
+    }
+
+    /**
+     * Confiscate all illegal goods and fine the captain, then tell them
+     * @returns {Object} { goods: goodId -> quantity confiscated, units, fine }
+     */
+    _search(player, { authority, counterparty, fineMultiplier }) {
+        const goods = this.findContraband(player);
+        const units = Object.values(goods).reduce((sum, quantity) => sum + quantity, 0);
+        if (units === 0) {
+            this._notify(player, `🔍 ${authority} searched your hold and found nothing.`);
+            return { goods, units, fine: 0 };
+        }
+
+        const reason = { source: 'CUSTOMS', counterparty };
+        for (const [goodId, quantity] of Object.entries(goods)) {
+            player.removeCargo(goodId, quantity, reason);
+        }
+
+        const fine = Math.min(player.gold, Math.round(units * GameConfig.CONTRABAND.FINE_PER_UNIT * fineMultiplier));
+        if (fine > 0) {
+            player.removeGold(fine, reason);
+        }
+        player.needsSave = true;
+
+        const list = Object.entries(goods).map(([goodId, quantity]) => `${quantity} ${getGood(goodId).name}`).join(', ');
+        console.log(`[Customs] ${authority} confiscated ${list} from ${player.name} and fined ${fine} gold`);
+        this._notify(player, `🚨 ${authority} found ${list} in your hold. Confiscated, and fined ${fine} gold.`);
+        if (player.io) {
+            player.io.to(player.id).emit('playerStateUpdate', {
+                gold: player.gold,
+                cargo: player.fleetCargo.serialize()
+            });
+        }
+
+        return { goods, units, fine };
+    }
+
+    _notify(player, text) {
+        if (!player.io) return;
+
+        player.io.to(player.id).emit('chatMessage', {
+            type: 'system',
+            timestamp: Date.now(),
+            text
+        });
+    }
+
+    _getPatrols() {
+        const patrols = [];
+        for (const id in this.world.entities) {
+            const entity = this.world.entities[id];
+            if (entity.type === 'NPC' && entity.roleName === 'PATROL' && entity.state !== 'DESPAWNING') {
+                patrols.push(entity);
+            }
+        }
+        return patrols;
+    }
+
+    _getCaptainsAtSea() {
+        const captains = [];
+        for (const id in this.world.entities) {
+            const entity = this.world.entities[id];
+            if (entity.type === 'PLAYER' && this._isAtSea(entity)) {
+                captains.push(entity);
+            }
+        }
+        return captains;
+    }
+
+    // Within a patrol's reach: not held for a reconnect or shielded (hasActiveShield covers both)
+    _isAtSea(player) {
+        return !!player && !player.inHarbor && !player.isRaft && !player.hasActiveShield();
+    }
+}
+
+module.exports = Customs;
@@ -14,13 +14,18 @@ const { getGood } = require('../entities/Goods');
  * Responsibilities:
  * - Validate docking state
  * - Validate goods availability
- * - Validate prices (from harbor trade profiles)
+ * - Validate legality (illegal goods trade only at black markets)
+ * - Validate prices (trade profile reference prices moved by harbor stock, see HarborMarkets)
+ * - Validate harbor stock and warehouse room
  * - Validate fleet cargo capacity
  * - Execute atomic buy/sell transactions
  */
 class EconomySystem {
-    constructor(harborRegistry) {
-        this.harborRegistry = harborRegistry;
+    /**
+     * @param {HarborMarkets} harborMarkets - Harbor stock and prices
+     */
+    constructor(harborMarkets) {
+        this.harborMarkets = harborMarkets;
     }
 
     /**
@@ -65,19 +70,29 @@ class EconomySystem {
             };
         }
 
+        // Validation: Illegal goods only change hands on a black market
+        if (!this.isLegalAt(good, harborId)) {
+            return {
+                success: false,
+                message: `${good.name} can only be traded at pirate havens.`
+            };
+        }
+
         // Validation: Quantity must be positive and within limits (unless -1 for "Buy Max")
         let finalQuantity = quantity;
 
         if (quantity === -1) {
             // "Buy Max" Logic
-            const harborEconomy = this.harborRegistry.getHarborEconomy(harborId);
+            const harborEconomy = this.harborMarkets.getEconomy(harborId);
             if (!harborEconomy) return { success: false, message: 'Harbor has no economy.' };
 
             const harborGood = harborEconomy.goods.find(g => g.id === goodId);
             if (!harborGood || !harborGood.buyPrice) return { success: false, message: 'Good not sold here.' };
+            if (harborGood.stock <= 0) return { success: false, message: `${good.name} is sold out here.` };
 
-            // 1. Calculate max affordable
-            const maxAffordable = Math.floor(player.gold / harborGood.buyPrice);
+            // 1. Calculate max affordable (each unit dearer than the last as the stock runs down)
+            const limit = GameConfig.ECONOMY.MAX_TRANSACTION_QUANTITY;
+            const maxAffordable = this.harborMarkets.getMaxAffordable(harborId, goodId, player.gold, limit);
 
             // 2. Calculate max cargo space
             // We need to know specific space per unit. Look up good config.
@@ -86,10 +101,8 @@ class EconomySystem {
             const spaceAvailable = player.fleetCargo.getAvailableSpace();
             const maxStorable = Math.floor(spaceAvailable / spacePerUnit);
 
-            // 3. Apply transaction limit
-            const limit = GameConfig.ECONOMY.MAX_TRANSACTION_QUANTITY;
-
-            finalQuantity = Math.min(maxAffordable, maxStorable, limit); // Cap at 100 for now
+            // 3. Transaction limit and stock are already part of maxAffordable
+            finalQuantity = Math.min(maxAffordable, maxStorable);
 
             if (finalQuantity <= 0) {
                 return {
@@ -104,8 +117,8 @@ class EconomySystem {
             };
         }
 
-        // Get harbor economy data (resolved from trade profile)
-        const harborEconomy = this.harborRegistry.getHarborEconomy(harborId);
+        // Get harbor economy data (resolved from trade profile and current stock)
+        const harborEconomy = this.harborMarkets.getEconomy(harborId);
         if (!harborEconomy) {
             return {
                 success: false,
@@ -122,8 +135,18 @@ class EconomySystem {
             };
         }
 
-        // Calculate cost
-        const totalCost = harborGood.buyPrice * finalQuantity;
+        // Validation: Harbor must have the goods in stock
+        if (finalQuantity > harborGood.stock) {
+            return {
+                success: false,
+                message: harborGood.stock === 0
+                    ? `${good.name} is sold out here.`
+                    : `Only ${harborGood.stock} ${good.name} left in stock.`
+            };
+        }
+
+        // Calculate cost (unit by unit along the stock level)
+        const totalCost = this.harborMarkets.quoteBuy(harborId, goodId, finalQuantity);
 
         // Validation: Player must have enough gold
         if (player.gold < totalCost) {
@@ -144,8 +167,10 @@ class EconomySystem {
         }
 
         // Execute transaction (atomic)
-        player.removeGold(totalCost);
-        player.fleetCargo.addGood(goodId, finalQuantity);
+        const reason = { source: 'TRADE', counterparty: `harbor:${harborId}` };
+        player.removeGold(totalCost, reason);
+        player.addCargo(goodId, finalQuantity, reason);
+        this.harborMarkets.changeStock(harborId, goodId, -finalQuantity);
 
         return {
             success: true,
@@ -183,6 +208,14 @@ class EconomySystem {
             };
         }
 
+        // Validation: Illegal goods only change hands on a black market
+        if (!this.isLegalAt(good, harborId)) {
+            return {
+                success: false,
+                message: `${good.name} can only be traded at pirate havens.`
+            };
+        }
+
         // Determine quantity
         let finalQuantity = quantity;
 
@@ -218,8 +251,8 @@ class EconomySystem {
             };
         }
 
-        // Get harbor economy data (resolved from trade profile)
-        const harborEconomy = this.harborRegistry.getHarborEconomy(harborId);
+        // Get harbor economy data (resolved from trade profile and current stock)
+        const harborEconomy = this.harborMarkets.getEconomy(harborId);
         if (!harborEconomy) {
             return {
                 success: false,
@@ -236,12 +269,28 @@ class EconomySystem {
             };
         }
 
-        // Calculate revenue
-        const totalRevenue = harborGood.sellPrice * finalQuantity;
+        // Validation: Harbor warehouse must have room ("Sell All" sells what fits)
+        const room = this.harborMarkets.getSellCapacity(harborId, goodId);
+        if (quantity === -1 && room > 0) {
+            finalQuantity = Math.min(finalQuantity, room);
+        }
+        if (finalQuantity > room) {
+            return {
+                success: false,
+                message: room === 0
+                    ? `The harbor warehouse is full of ${good.name}.`
+                    : `The harbor only has room for ${room} more ${good.name}.`
+            };
+        }
+
+        // Calculate revenue (unit by unit along the stock level)
+        const totalRevenue = this.harborMarkets.quoteSell(harborId, goodId, finalQuantity);
 
         // Execute transaction (atomic)
-        player.fleetCargo.removeGood(goodId, finalQuantity);
-        player.addGold(totalRevenue);
+        const reason = { source: 'TRADE', counterparty: `harbor:${harborId}` };
+        player.removeCargo(goodId, finalQuantity, reason);
+        player.addGold(totalRevenue, reason);
+        this.harborMarkets.changeStock(harborId, goodId, finalQuantity);
 
         return {
             success: true,
@@ -250,6 +299,17 @@ class EconomySystem {
             cargoRemoved: { goodId, quantity: finalQuantity }
         };
     }
+
+    /**
+     * Whether a good may be traded at a harbor: legal goods anywhere,
+     * illegal goods only at black markets (CONTRABAND.BLACK_MARKET_PROFILES)
+     */
+    isLegalAt(good, harborId) {
+        if (good.properties.legality !== 'ILLEGAL') return true;
+
+        const harborEconomy = this.harborMarkets.getEconomy(harborId);
+        return !!harborEconomy && GameConfig.CONTRABAND.BLACK_MARKET_PROFILES.includes(harborEconomy.profileId);
+    }
 }
 
 module.exports = EconomySystem;
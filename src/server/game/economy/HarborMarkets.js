@@ -0,0 +1,241 @@
+const GameConfig = require('../config/GameConfig');
+const { systemClock } = require('../world/SimulationClock');
+
+/**
+ * HarborMarkets - stock on hand and stock-driven prices at every harbor
+ *
+ * HarborRegistry resolves which goods a harbor trades and their reference
+ * prices from the static trade profile. This class adds what changes while
+ * the server runs: how much of each good the harbor holds.
+ *
+ * - Each good starts at the baseline of its tier (ECONOMY.STOCK_BASELINE) and
+ *   the warehouse holds up to STOCK_CAPACITY_FACTOR times that.
+ * - Players buying empties the stock, players selling fills it.
+ * - Left alone, stock drifts back toward the baseline (STOCK_RECOVERY_SECONDS).
+ *   The drift is applied lazily, for the simulation time since the market was
+ *   last read, so idle harbors cost nothing per tick.
+ *
+ * Pricing: the unit that moves the stock between level k - 1 and k is worth
+ * reference price * (baseline / k) ^ STOCK_PRICE_ELASTICITY (clamped), and
+ * harbors pay HARBOR_SELL_MARGIN of that when buying. Trades are priced unit
+ * by unit, so a large purchase gets dearer as it goes, and buying and selling
+ * the same goods back in one harbor always loses the margin.
+ */
+class HarborMarkets {
+    /**
+     * @param {HarborRegistry} harborRegistry
+     * @param {Object} options
+     * @param {SimulationClock} options.clock - World simulation clock (stock recovery)
+     */
+    constructor(harborRegistry, options = {}) {
+        this.harborRegistry = harborRegistry;
+        this.clock = options.clock ?? systemClock;
+
+        // harborId -> { updatedAt (s), goods: Map<goodId, { stock, baseline, capacity, referencePrice }> }
+        this.markets = new Map();
+    }
+
+    /**
+     * Harbor economy as sent to clients: HarborRegistry.getHarborEconomy() with
+     * current prices, and stock, baseline and capacity per good
+     * @returns {Object|null} Null if the harbor does not trade
+     */
+    getEconomy(harborId) {
+        const economy = this.harborRegistry.getHarborEconomy(harborId);
+        if (!economy) return null;
+
+        const market = this._getMarket(harborId, economy);
+        return {
+            ...economy,
+            goods: economy.goods.map(good => {
+                const entry = market.goods.get(good.id);
+                return {
+                    ...good,
+                    buyPrice: this._buyUnitPrice(entry, entry.stock),
+                    sellPrice: this._sellUnitPrice(entry, entry.stock + 1),
+                    stock: Math.floor(entry.stock),
+                    baseline: entry.baseline,
+                    capacity: entry.capacity
+                };
+            })
+        };
+    }
+
+    /**
+     * Units the harbor can sell right now (0 if it does not trade the good)
+     */
+    getStock(harborId, goodId) {
+        const entry = this._getEntry(harborId, goodId);
+        return entry ? Math.floor(entry.stock) : 0;
+    }
+
+    /**
+     * Units the harbor still has warehouse room for
+     */
+    getSellCapacity(harborId, goodId) {
+        const entry = this._getEntry(harborId, goodId);
+        return entry ? Math.max(0, Math.floor(entry.capacity - entry.stock)) : 0;
+    }
+
+    /**
+     * Total price of buying `quantity` units from the harbor
+     * @returns {number|null} Null if the harbor does not have that many
+     */
+    quoteBuy(harborId, goodId, quantity) {
+        const entry = this._getEntry(harborId, goodId);
+        if (!entry || quantity > Math.floor(entry.stock)) return null;
+
+        let total = 0;
+        for (let i = 0; i < quantity; i++) {
+            total += this._buyUnitPrice(entry, entry.stock - i);
+        }
+        return total;
+    }
+
+    /**
+     * Total the harbor pays for `quantity` units
+     * @returns {number|null} Null if its warehouse has no room for that many
+     */
+    quoteSell(harborId, goodId, quantity) {
+        const entry = this._getEntry(harborId, goodId);
+        if (!entry || quantity > this.getSellCapacity(harborId, goodId)) return null;
+
+        let total = 0;
+        for (let i = 1; i <= quantity; i++) {
+            total += this._sellUnitPrice(entry, entry.stock + i);
+        }
+        return total;
+    }
+
+    /**
+     * Most units affordable with `gold`, up to `limit` and the stock on hand
+     */
+    getMaxAffordable(harborId, goodId, gold, limit) {
+        const entry = this._getEntry(harborId, goodId);
+        if (!entry) return 0;
+
+        const available = Math.min(limit, Math.floor(entry.stock));
+        let quantity = 0;
+        let total = 0;
+        while (quantity < available) {
+            const price = this._buyUnitPrice(entry, entry.stock - quantity);
+            if (total + price > gold) break;
+            total += price;
+            quantity++;
+        }
+        return quantity;
+    }
+
+    /**
+     * Change a harbor's stock (positive: goods delivered, negative: goods taken).
+     * Callers check availability first; the stock is kept within 0 and capacity.
+     */
+    changeStock(harborId, goodId, delta) {
+        const entry = this._getEntry(harborId, goodId);
+        if (!entry) return false;
+
+        entry.stock = Math.min(entry.capacity, Math.max(0, entry.stock + delta));
+        return true;
+    }
+
+    /**
+     * Stock of every market opened so far, for the world checkpoint
+     * @returns {Object} harborId -> goodId -> stock
+     */
+    exportState() {
+        const state = {};
+        for (const [harborId, market] of this.markets) {
+            this._recover(market);
+            state[harborId] = {};
+            for (const [goodId, entry] of market.goods) {
+                state[harborId][goodId] = entry.stock;
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Restore stock from exportState(). Harbors and goods that no longer trade are skipped.
+     * @returns {number} Harbors restored
+     */
+    importState(state) {
+        let restored = 0;
+        for (const [harborId, goods] of Object.entries(state || {})) {
+            const economy = this.harborRegistry.getHarborEconomy(harborId);
+            if (!economy || !goods) continue;
+
+            const market = this._getMarket(harborId, economy);
+            for (const [goodId, entry] of market.goods) {
+                if (Number.isFinite(goods[goodId])) {
+                    entry.stock = Math.min(entry.capacity, Math.max(0, goods[goodId]));
+                }
+            }
+            restored++;
+        }
+        return restored;
+    }
+
+    _getEntry(harborId, goodId) {
+        const market = this.markets.get(harborId) ?? this._openMarket(harborId);
+        if (!market) return null;
+
+        this._recover(market);
+        return market.goods.get(goodId) || null;
+    }
+
+    _getMarket(harborId, economy) {
+        const market = this.markets.get(harborId) ?? this._openMarket(harborId, economy);
+        this._recover(market);
+        return market;
+    }
+
+    // Every harbor opens at its baselines the first time anyone trades or looks
+    _openMarket(harborId, economy = this.harborRegistry.getHarborEconomy(harborId)) {
+        if (!economy) return null;
+
+        const { STOCK_BASELINE, STOCK_CAPACITY_FACTOR } = GameConfig.ECONOMY;
+        const goods = new Map();
+        for (const good of economy.goods) {
+            const baseline = STOCK_BASELINE[good.tier] ?? STOCK_BASELINE.STANDARD;
+            goods.set(good.id, {
+                stock: baseline,
+                baseline,
+                capacity: baseline * STOCK_CAPACITY_FACTOR,
+                referencePrice: good.buyPrice
+            });
+        }
+
+        const market = { updatedAt: this.clock.now(), goods };
+        this.markets.set(harborId, market);
+        return market;
+    }
+
+    _recover(market) {
+        const now = this.clock.now();
+        const elapsed = now - market.updatedAt;
+        market.updatedAt = now;
+        if (elapsed <= 0) return;
+
+        const remaining = Math.exp(-elapsed / GameConfig.ECONOMY.STOCK_RECOVERY_SECONDS);
+        for (const entry of market.goods.values()) {
+            entry.stock = entry.baseline + (entry.stock - entry.baseline) * remaining;
+        }
+    }
+
+    _priceFactor(entry, level) {
+        const { STOCK_PRICE_ELASTICITY, STOCK_PRICE_FACTOR_MIN, STOCK_PRICE_FACTOR_MAX } = GameConfig.ECONOMY;
+        const factor = Math.pow(entry.baseline / Math.max(level, 1), STOCK_PRICE_ELASTICITY);
+        return Math.min(STOCK_PRICE_FACTOR_MAX, Math.max(STOCK_PRICE_FACTOR_MIN, factor));
+    }
+
+    _buyUnitPrice(entry, level) {
+        return Math.max(1, Math.round(entry.referencePrice * this._priceFactor(entry, level)));
+    }
+
+    _sellUnitPrice(entry, level) {
+        const margin = GameConfig.ECONOMY.HARBOR_SELL_MARGIN;
+        return Math.max(1, Math.round(entry.referencePrice * this._priceFactor(entry, level) * margin));
+    }
+}
+
+module.exports = HarborMarkets;
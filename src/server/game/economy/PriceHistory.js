@@ -0,0 +1,106 @@
+const GameConfig = require('../config/GameConfig');
+
+/**
+ * PriceHistory - prices captains have seen at each harbor, over time
+ *
+ * HarborMarkets only knows prices now. This keeps samples of them: every
+ * time a captain is shown a harbor's market or trades there, its prices are
+ * recorded. Samples are bucketed into fixed windows of
+ * ECONOMY.PRICE_HISTORY_SAMPLE_SECONDS: a window keeps its first observation
+ * and its latest, later ones replacing the latest, and the oldest samples
+ * are dropped beyond PRICE_HISTORY_MAX_SAMPLES, so a busy harbor costs no
+ * more than a quiet one. Samples keep the time they were observed, so
+ * reading up to a captain's visit never shows prices seen after it.
+ *
+ * Times are wall-clock ms, not simulation time: samples are kept in the world
+ * checkpoint and compared against captains' saved visits (Player.visitedHarbors),
+ * both of which outlive the simulation clock.
+ *
+ * Sample: { at (ms, observed), prices: goodId -> { buy, sell, stock } }
+ */
+class PriceHistory {
+    /**
+     * @param {Object} options
+     * @param {function(): number} options.now - Clock in ms (tests)
+     */
+    constructor(options = {}) {
+        this.now = options.now ?? Date.now;
+        this.harbors = new Map(); // harborId -> samples, oldest first
+    }
+
+    /**
+     * Record a harbor's current prices
+     * @param {string} harborId
+     * @param {Object|null} economy - HarborMarkets.getEconomy() of the harbor
+     */
+    record(harborId, economy) {
+        if (!economy) return;
+
+        const windowMs = GameConfig.ECONOMY.PRICE_HISTORY_SAMPLE_SECONDS * 1000;
+        const at = this.now();
+        const window = Math.floor(at / windowMs);
+        const prices = {};
+        for (const good of economy.goods) {
+            prices[good.id] = { buy: good.buyPrice, sell: good.sellPrice, stock: good.stock };
+        }
+
+        const samples = this.harbors.get(harborId) ?? [];
+        const last = samples[samples.length - 1];
+        const first = samples[samples.length - 2];
+        const inWindow = (sample) => sample && Math.floor(sample.at / windowMs) === window;
+        if (inWindow(first) && inWindow(last)) {
+            samples[samples.length - 1] = { at, prices };
+        } else {
+            samples.push({ at, prices });
+        }
+        samples.splice(0, samples.length - GameConfig.ECONOMY.PRICE_HISTORY_MAX_SAMPLES);
+        this.harbors.set(harborId, samples);
+    }
+
+    /**
+     * Samples of a harbor up to a point in time, oldest first
+     * @param {string} harborId
+     * @param {number} [until] - Latest sample time to include (ms)
+     * @returns {Array<Object>}
+     */
+    getSamples(harborId, until = Infinity) {
+        return (this.harbors.get(harborId) ?? []).filter(sample => sample.at <= until);
+    }
+
+    /**
+     * Most recent sample of a harbor up to a point in time
+     * @returns {Object|null}
+     */
+    getLatest(harborId, until = Infinity) {
+        const samples = this.getSamples(harborId, until);
+        return samples.length > 0 ? samples[samples.length - 1] : null;
+    }
+
+    /**
+     * Every harbor's samples, for the world checkpoint
+     * @returns {Object} harborId -> samples
+     */
+    exportState() {
+        return Object.fromEntries(this.harbors);
+    }
+
+    /**
+     * Restore samples from exportState(). Malformed samples are skipped.
+     * @returns {number} Harbors restored
+     */
+    importState(state) {
+        let restored = 0;
+        for (const [harborId, samples] of Object.entries(state || {})) {
+            if (!Array.isArray(samples)) continue;
+
+            const valid = samples.filter(sample => sample && Number.isFinite(sample.at) && sample.prices);
+            if (valid.length === 0) continue;
+
+            this.harbors.set(harborId, valid.slice(-GameConfig.ECONOMY.PRICE_HISTORY_MAX_SAMPLES));
+            restored++;
+        }
+        return restored;
+    }
+}
+
+module.exports = PriceHistory;
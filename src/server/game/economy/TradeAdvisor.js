@@ -0,0 +1,117 @@
+const GameConfig = require('../config/GameConfig');
+
+/**
+ * TradeAdvisor - what a captain knows about prices, and where to take cargo
+ *
+ * Price knowledge is local: a captain only sees the price history
+ * (PriceHistory) of harbors they have docked at, up to their last visit
+ * there (Player.visitedHarbors). The harbor they are docked at is always
+ * current.
+ *
+ * The route advisor ranks trades from the captain's harbor to the harbors
+ * they know: buy as much of one good here as the captain can stow and pay
+ * for, the limits of "Buy Max" (live prices and stock, priced unit by unit
+ * like a real purchase), and sell it there at the last price the captain
+ * saw. Routes are ranked by profit per distance sailed along the
+ * RoutePlanner route. Estimates only: the destination's price may have
+ * moved since, and selling a large load lowers it as it goes.
+ */
+class TradeAdvisor {
+    /**
+     * @param {World} world - harborRegistry, harborMarkets, priceHistory, routePlanner
+     */
+    constructor(world) {
+        this.world = world;
+    }
+
+    /**
+     * Record a captain seeing a harbor's market: its prices go into the
+     * history, and the captain knows them from now on
+     */
+    recordVisit(player, harborId) {
+        const priceHistory = this.world.priceHistory;
+        priceHistory.record(harborId, this.world.harborMarkets.getEconomy(harborId));
+        player.visitedHarbors[harborId] = priceHistory.now();
+    }
+
+    /**
+     * Price history of every harbor the captain knows, most recently visited first
+     * @returns {Array<Object>} { harborId, harborName, visitedAt, samples }
+     */
+    getPriceBook(player) {
+        const book = [];
+        for (const [harborId, visitedAt] of Object.entries(player.visitedHarbors)) {
+            const harbor = this.world.harborRegistry.getHarborById(harborId);
+            const samples = this.world.priceHistory.getSamples(harborId, this._knownUntil(player, harborId, visitedAt));
+            if (!harbor || samples.length === 0) continue;
+
+            book.push({ harborId, harborName: harbor.name, visitedAt, samples });
+        }
+        return book.sort((a, b) => b.visitedAt - a.visitedAt);
+    }
+
+    /**
+     * Most profitable trades from a harbor to the other harbors the captain knows
+     * @param {Player} player
+     * @param {string} originHarborId - Where the captain would buy (their docked harbor)
+     * @returns {Array<Object>} Best first: { destinationId, destinationName, goodId, goodName,
+     *   units, cost, revenue, profit, distance, profitPerDistance (gold per 1000 units sailed), pricesFrom (ms) }
+     */
+    rankRoutes(player, originHarborId) {
+        const { harborMarkets, harborRegistry, priceHistory, routePlanner } = this.world;
+        const origin = harborMarkets.getEconomy(originHarborId);
+        if (!origin) return [];
+
+        const space = player.fleetCargo.getAvailableSpace();
+        const limit = GameConfig.ECONOMY.MAX_TRANSACTION_QUANTITY;
+        const routes = [];
+
+        for (const [harborId, visitedAt] of Object.entries(player.visitedHarbors)) {
+            if (harborId === originHarborId) continue;
+
+            const destination = harborRegistry.getHarborById(harborId);
+            const known = priceHistory.getLatest(harborId, visitedAt);
+            const route = destination && known ? routePlanner.getRoute(originHarborId, harborId) : null;
+            if (!route || !(route.totalDistance > 0)) continue;
+
+            for (const good of origin.goods) {
+                const price = known.prices[good.id];
+                const units = Math.min(
+                    Math.floor(space / (good.space || 1)),
+                    harborMarkets.getMaxAffordable(originHarborId, good.id, player.gold, limit)
+                );
+                if (!price || units <= 0) continue;
+
+                const cost = harborMarkets.quoteBuy(originHarborId, good.id, units);
+                const revenue = units * price.sell;
+                const profit = revenue - cost;
+                if (cost === null || profit <= 0) continue;
+
+                routes.push({
+                    destinationId: harborId,
+                    destinationName: destination.name,
+                    goodId: good.id,
+                    goodName: good.name,
+                    units,
+                    cost,
+                    revenue,
+                    profit,
+                    distance: Math.round(route.totalDistance),
+                    profitPerDistance: Math.round(profit / route.totalDistance * 1000),
+                    pricesFrom: known.at
+                });
+            }
+        }
+
+        return routes
+            .sort((a, b) => b.profitPerDistance - a.profitPerDistance || b.profit - a.profit)
+            .slice(0, GameConfig.ECONOMY.ROUTE_ADVISOR_RESULTS);
+    }
+
+    // The harbor a captain is docked at is known as it is now
+    _knownUntil(player, harborId, visitedAt) {
+        return player.inHarbor && player.dockedHarborId === harborId ? Infinity : visitedAt;
+    }
+}
+
+module.exports = TradeAdvisor;
@@ -0,0 +1,234 @@
+const DatabaseService = require('../../database/DatabaseService');
+
+/**
+ * TransactionLedger - audit trail of every change to a captain's holdings
+ *
+ * Gold, cargo, ships and XP only change through Player methods
+ * (addGold/removeGold, addCargo/removeCargo, addXP, recordShipChange), and
+ * each of them records a typed entry here with why it happened and who was on
+ * the other side. Entries are buffered and written in batches: when
+ * `batchSize` are waiting, on every flush() from the GameLoop timer, and once
+ * more at shutdown. A failed write keeps the batch for the next flush.
+ *
+ * Only captains with a saved record (a token) are recorded: guest progress
+ * ends with the session, so there is nothing to audit later.
+ *
+ * Entry: {
+ *   captain, playerName, at (ms), seq,
+ *   kind: GOLD | CARGO | SHIP | XP | BANK,
+ *   item: good id (CARGO), ship class name (SHIP), null otherwise,
+ *   delta: signed change, balance: amount of that item after the change,
+ *   source: one of SOURCES, counterparty: e.g. 'harbor:tortuga', 'wreck:12', or null,
+ *   harborId: where the player was docked, or null
+ * }
+ *
+ * checkLedger() replays a captain's entries and reports every place where
+ * the balances do not add up, which is where something changed the player
+ * without going through the ledger (or changed it twice).
+ */
+
+const KINDS = ['GOLD', 'CARGO', 'SHIP', 'XP', 'BANK'];
+
+const SOURCES = {
+    TRADE: 'TRADE',                 // Harbor market buy/sell
+    LOOT: 'LOOT',                   // Wreck salvage
+    REWARD: 'REWARD',               // Missions and other RewardSystem grants
+    REPAIR: 'REPAIR',
+    CREW: 'CREW',                   // Hiring crew
+    SHIPYARD: 'SHIPYARD',           // Ship purchase (gold out, old fleet out, new ship in) and flagship switches
+    SUNK: 'SUNK',                   // Flagship lost in combat
+    RAFT_RECOVERY: 'RAFT_RECOVERY', // Free sloop for a rafted player reaching harbor
+    NEW_CAPTAIN: 'NEW_CAPTAIN',     // Starting ship of a captain's first voyage
+    CUSTOMS: 'CUSTOMS',             // Contraband confiscated and fines paid to a harbor or patrol
+    BANK: 'BANK',                   // Deposits and withdrawals (gold and bank balance move together)
+    ADMIN: 'ADMIN'                  // Admin API grants
+};
+
+const DEFAULT_BATCH_SIZE = 100;
+const MAX_PENDING = 10000; // Entries kept while the database is failing; the oldest are dropped beyond this
+
+class TransactionLedger {
+    /**
+     * @param {Object} options
+     * @param {Object} options.db - Persistence (default DatabaseService)
+     * @param {number} options.batchSize - Pending entries that trigger a write
+     * @param {function(): number} options.now - Clock in ms (tests)
+     */
+    constructor(options = {}) {
+        this.db = options.db ?? DatabaseService;
+        this.batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+        this.now = options.now ?? Date.now;
+        this.pending = [];
+        this.seq = 0;            // Orders entries recorded in the same millisecond
+        this.flushing = null;    // Promise of the write in progress
+    }
+
+    /**
+     * @param {Player} player
+     * @param {Object} change - { kind, item?, delta, balance, source, counterparty? }
+     */
+    record(player, { kind, item = null, delta, balance, source, counterparty = null }) {
+        if (!player.token || !delta) return;
+
+        this.pending.push({
+            captain: player.token,
+            playerName: player.name,
+            at: this.now(),
+            seq: this.seq++,
+            kind,
+            item,
+            delta,
+            balance,
+            source,
+            counterparty,
+            harborId: player.dockedHarborId || null
+        });
+
+        // Without a database the recent entries are kept for query() only
+        if (this.pending.length > MAX_PENDING) {
+            this.pending.splice(0, this.pending.length - MAX_PENDING);
+            if (this.db.isConnected) {
+                console.warn(`[Ledger] More than ${MAX_PENDING} entries waiting for the database, dropping the oldest`);
+            }
+        }
+        if (this.pending.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Write everything recorded so far. Concurrent calls wait for the same write.
+     * @returns {Promise<boolean>} False if the write failed (entries are kept)
+     */
+    async flush() {
+        while (this.flushing) {
+            await this.flushing;
+        }
+        if (this.pending.length === 0 || !this.db.isConnected) return this.pending.length === 0;
+
+        const batch = this.pending;
+        this.pending = [];
+        this.flushing = this.db.saveLedgerEntries(batch);
+        const saved = await this.flushing;
+        this.flushing = null;
+
+        if (!saved) {
+            this.pending = batch.concat(this.pending);
+        }
+        return saved;
+    }
+
+    /**
+     * Entries of one captain, oldest first, including ones not written yet.
+     * Throws on database errors.
+     * @param {Object} filter - { captain, from?, to?, limit? } (from/to in ms, inclusive)
+     */
+    async query(filter) {
+        await this.flush();
+        if (!this.db.isConnected) {
+            return this.pending.filter(entry => matchesFilter(entry, filter)).slice(0, filter.limit ?? Infinity);
+        }
+        return this.db.queryLedger(filter);
+    }
+}
+
+function matchesFilter(entry, { captain, from = null, to = null }) {
+    return entry.captain === captain
+        && (from === null || entry.at >= from)
+        && (to === null || entry.at <= to);
+}
+
+/**
+ * What the ledger tracks of a player right now, in the shape checkLedger() compares against
+ * @returns {{GOLD: Object, CARGO: Object, SHIP: Object, XP: Object, BANK: Object}} item -> amount per kind
+ */
+function ledgerState(player) {
+    const ships = {};
+    for (const ship of player.fleet) {
+        ships[ship.shipClass.name] = (ships[ship.shipClass.name] || 0) + 1;
+    }
+    return {
+        GOLD: { gold: player.gold },
+        CARGO: { ...player.fleetCargo.goods },
+        SHIP: ships,
+        XP: { xp: player.xp },
+        BANK: { bank: player.bankGold }
+    };
+}
+
+/**
+ * Replay a captain's entries and report where the balances break.
+ *
+ * Each (kind, item) is its own running balance. The first entry opens it at
+ * `balance - delta`; after that every entry must start where the previous one
+ * ended. With `state`, the last balances must also match the player's
+ * current holdings. Holdings with no entries at all (from before the ledger,
+ * or never changed since) cannot be checked and are listed as untracked.
+ *
+ * A break is not always an exploit: a crash rolls the player back to their
+ * last save while the entries after it were already written.
+ *
+ * @param {Array<Object>} entries - One captain's entries
+ * @param {Object|null} state - ledgerState() of the captain, if online
+ * @returns {{balances: Object, issues: Array<Object>, untracked: Array<Object>}}
+ *   balances as kind -> item -> amount; issues as { kind, item, at, expected, actual, reason };
+ *   untracked as { kind, item, amount }
+ */
+function checkLedger(entries, state = null) {
+    const sorted = [...entries].sort((a, b) => a.at - b.at || a.seq - b.seq);
+    const balances = Object.fromEntries(KINDS.map(kind => [kind, {}]));
+    const issues = [];
+    const untracked = [];
+
+    for (const entry of sorted) {
+        const item = entry.item ?? entry.kind.toLowerCase();
+        const running = balances[entry.kind];
+        const opening = entry.balance - entry.delta;
+
+        if (item in running && running[item] !== opening) {
+            issues.push({
+                kind: entry.kind,
+                item,
+                at: entry.at,
+                expected: running[item],
+                actual: opening,
+                reason: `changed by ${opening - running[item]} outside the ledger before this ${entry.source} entry`
+            });
+        }
+        running[item] = entry.balance;
+    }
+
+    if (state) {
+        for (const kind of KINDS) {
+            const held = state[kind] || {};
+            for (const [item, amount] of Object.entries(held)) {
+                if (!(item in balances[kind]) && amount) untracked.push({ kind, item, amount });
+            }
+
+            for (const item of Object.keys(balances[kind])) {
+                const expected = balances[kind][item];
+                const actual = held[item] ?? 0;
+                if (expected !== actual) {
+                    issues.push({
+                        kind,
+                        item,
+                        at: null,
+                        expected,
+                        actual,
+                        reason: `current holdings differ from the ledger by ${actual - expected}`
+                    });
+                }
+            }
+        }
+    }
+
+    return { balances, issues, untracked };
+}
+
+module.exports = {
+    TransactionLedger,
+    SOURCES,
+    KINDS,
+    ledgerState,
+    checkLedger
+};
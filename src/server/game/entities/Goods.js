@@ -13,7 +13,8 @@
  * - name: Display name
  * - category: Semantic category (material, luxury, food, weapon, etc.)
  * - intents: What can be done with the good (TRADE, USE)
- * - properties.legality: LEGAL or ILLEGAL (not enforced in Phase 0)
+ * - properties.legality: LEGAL or ILLEGAL (ILLEGAL goods trade only at black markets
+ *   and are confiscated by customs, see economy/Customs.js)
  * - tags: Optional special behaviors (e.g., MISSION_ONLY)
  * - space: Cargo space cost (integer)
  */
@@ -73,14 +74,13 @@ const GOODS = {
         space: 1
     },
 
-    // Illegal goods (semantic only, no enforcement in Phase 0)
+    // Illegal goods
     CONTRABAND: {
         id: 'contraband',
         name: 'Contraband',
         category: 'luxury',
         intents: ['TRADE'],
         properties: { legality: 'ILLEGAL' },
-        tags: ['MISSION_ONLY'],
         space: 1
     },
 
@@ -107,7 +107,18 @@ function getGood(goodId) {
     return GOODS[key] || null;
 }
 
+/**
+ * Whether a good is illegal outside black markets
+ * @param {string} goodId - Good ID
+ * @returns {boolean}
+ */
+function isIllegalGood(goodId) {
+    const good = getGood(goodId);
+    return !!good && good.properties.legality === 'ILLEGAL';
+}
+
 module.exports = {
     GOODS,
-    getGood
+    getGood,
+    isIllegalGood
 };
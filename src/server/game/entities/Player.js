@@ -3,28 +3,31 @@ const FleetCargo = require('./FleetCargo');
 const NavigationSkill = require('../progression/NavigationSkill');
 const GameConfig = require('../config/GameConfig');
 const { GAME, PHYSICS, COMBAT } = GameConfig;
+const { systemClock } = require('../world/SimulationClock');
+const { ROLES } = require('../../admin/Roles');
 
 class Player {
     constructor(id, name = 'Anonymous', startingShipClass = 'FLUYT', io = null, world = null) {
         // Identity
         this.id = id;  // Socket ID (temporary session identifier)
         this.name = name;  // Display name
+        this.role = ROLES.PLAYER; // Privilege level, restored from the saved record (admin/Roles.js)
 
-        // Future: Add these when implementing persistence
-        // this.accountId = null;     // Database user ID (permanent)
-        // this.sessionToken = null;  // JWT authentication token
-        // this.lastSaveTime = null;  // For auto-save functionality
+        // Persistence identity, set by GameLoop.addPlayer. Both stay null for guests (never saved).
+        this.token = null;      // Key of the captain's saved record (PlayerModel.token)
+        this.accountId = null;  // Owning account (accounts/AccountService.js)
 
         this.type = 'PLAYER';
-        this.x = GAME.PLAYER_SPAWN_MIN + Math.random() * GAME.PLAYER_SPAWN_RANGE;
-        this.y = GAME.PLAYER_SPAWN_MIN + Math.random() * GAME.PLAYER_SPAWN_RANGE;
+        const rng = world?.random ? world.random.stream('spawn') : Math.random;
+        this.x = GAME.PLAYER_SPAWN_MIN + rng() * GAME.PLAYER_SPAWN_RANGE;
+        this.y = GAME.PLAYER_SPAWN_MIN + rng() * GAME.PLAYER_SPAWN_RANGE;
 
         // DESIGN CONTRACT: Rotation convention
         // - 0 radians = north (up, -Y direction)
         // - Increases clockwise (standard nautical heading)
         // - Range: [-PI, +PI] after normalization
         // DO NOT CHANGE: Entire coordinate system depends on this convention
-        this.rotation = Math.random() * Math.PI * 2;
+        this.rotation = rng() * Math.PI * 2;
         this.speed = 0;
 
         // Navigation & Fleet
@@ -35,6 +38,11 @@ class Player {
 
         // Shield (temporary invulnerability after flagship loss)
         this.shieldEndTime = 0; // Timestamp when shield expires
+        this.latency = 0; // Smoothed round-trip time in seconds (GameLoop latency pings)
+
+        // Connection lost: wall-clock ms when the socket dropped (null while connected).
+        // The ship is held for a reconnect (GameLoop.holdPlayer) and cannot be damaged.
+        this.disconnectedAt = null;
 
         // Damage tracking for kill attribution
         // lastDamageSource: { type: 'player', playerId: string, timestamp: number }
@@ -47,10 +55,12 @@ class Player {
         // Harbor state
         this.inHarbor = false; // True when docked
         this.dockedHarborId = null; // Which harbor
+        this.visitedHarbors = {}; // harborId -> ms of the last visit: the prices this captain knows (see TradeAdvisor)
 
         // Progression (session-based, Phase 1)
         // FUTURE: Persist to database
         this.gold = 0;              // Currency for ship upgrades
+        this.bankGold = 0;          // Deposited at harbor banks (see BankSystem), safe from sinking
         this.xp = 0;                // Experience points
         this.level = 1;             // Derived from XP
 
@@ -69,8 +79,8 @@ class Player {
         this.sailChangeCooldown = 0;
 
         // Combat stats from flagship
-        this.lastShotTimeLeft = 0;
-        this.lastShotTimeRight = 0;
+        this.lastShotTimeLeft = -Infinity; // Never fired: the clock starts at 0
+        this.lastShotTimeRight = -Infinity;
         this.baseFireRate = COMBAT.CANNON_FIRE_RATE;
         this.selectedAmmoType = COMBAT.AMMO_TYPES.CANNON_SHOT;
 
@@ -78,6 +88,12 @@ class Player {
         this.speedInKnots = 0;
         this.isInDeepWater = true;
 
+        // Client-side prediction acks
+        // lastInputSeq: sequence number of the last input received from the client
+        // inputAge: simulated seconds since that input was applied (client replays the rest)
+        this.lastInputSeq = 0;
+        this.inputAge = 0;
+
         // Input state
         this.inputs = {
             left: false,
@@ -185,31 +201,94 @@ class Player {
     }
 
     // Progression & Gold Methods (server-authoritative)
+    // Every change goes into the world's transaction ledger. `reason` says why:
+    // { source, counterparty? } with a source from TransactionLedger.SOURCES.
 
     /**
      * Add gold. Logs the grant for debugging progression.
      * @param {number} amount - Gold to add
+     * @param {Object} reason - Ledger source and counterparty
      */
-    addGold(amount) {
+    addGold(amount, reason = {}) {
         this.gold += amount;
+        this.recordTransaction('GOLD', null, amount, this.gold, reason);
         console.log(`[Progression] ${this.name}: +${amount} gold (total: ${this.gold})`);
     }
 
     /**
      * Remove gold. Logs the deduction for debugging.
      * @param {number} amount - Gold to remove
+     * @param {Object} reason - Ledger source and counterparty
      */
-    removeGold(amount) {
+    removeGold(amount, reason = {}) {
         this.gold -= amount;
+        this.recordTransaction('GOLD', null, -amount, this.gold, reason);
         console.log(`[Progression] ${this.name}: -${amount} gold (total: ${this.gold})`);
     }
 
+    /**
+     * Move carried gold into the bank account. Callers validate the amount.
+     * @param {number} amount - Gold to deposit
+     * @param {Object} reason - Ledger source and counterparty
+     */
+    depositGold(amount, reason = {}) {
+        this.gold -= amount;
+        this.bankGold += amount;
+        this.recordTransaction('GOLD', null, -amount, this.gold, reason);
+        this.recordTransaction('BANK', null, amount, this.bankGold, reason);
+    }
+
+    /**
+     * Move gold from the bank account into the hold. Callers validate the amount.
+     * @param {number} amount - Gold to withdraw
+     * @param {Object} reason - Ledger source and counterparty
+     */
+    withdrawGold(amount, reason = {}) {
+        this.bankGold -= amount;
+        this.gold += amount;
+        this.recordTransaction('BANK', null, -amount, this.bankGold, reason);
+        this.recordTransaction('GOLD', null, amount, this.gold, reason);
+    }
+
+    /**
+     * Add goods to the fleet hold
+     * @returns {boolean} False if they do not fit (nothing changes)
+     */
+    addCargo(goodId, quantity, reason = {}) {
+        if (!this.fleetCargo.addGood(goodId, quantity)) return false;
+
+        this.recordTransaction('CARGO', goodId, quantity, this.fleetCargo.getQuantity(goodId), reason);
+        return true;
+    }
+
+    /**
+     * Remove goods from the fleet hold
+     * @returns {boolean} False if there are not enough (nothing changes)
+     */
+    removeCargo(goodId, quantity, reason = {}) {
+        if (!this.fleetCargo.removeGood(goodId, quantity)) return false;
+
+        this.recordTransaction('CARGO', goodId, -quantity, this.fleetCargo.getQuantity(goodId), reason);
+        return true;
+    }
+
+    /**
+     * Record a ship joining (+1) or leaving (-1) the fleet, after this.fleet has changed
+     * @param {string} shipClassName - e.g. 'Sloop'
+     */
+    recordShipChange(shipClassName, delta, reason = {}) {
+        const count = this.fleet.filter(ship => ship.shipClass.name === shipClassName).length;
+        this.recordTransaction('SHIP', shipClassName, delta, count, reason);
+    }
+
     /**
      * Add XP and recalculate level
      * @param {number} amount - XP to add
+     * @param {Object} reason - Ledger source and counterparty
      */
-    addXP(amount) {
+    addXP(amount, reason = {}) {
         this.xp += amount;
+        this.recordTransaction('XP', null, amount, this.xp, reason);
         const oldLevel = this.level;
         this.level = this.calculateLevel();
         if (this.level > oldLevel) {
@@ -217,6 +296,13 @@ class Player {
         }
     }
 
+    recordTransaction(kind, item, delta, balance, { source = 'UNSPECIFIED', counterparty = null } = {}) {
+        const ledger = this.world && this.world.ledger;
+        if (ledger) {
+            ledger.record(this, { kind, item, delta, balance, source, counterparty });
+        }
+    }
+
     /**
      * Calculate level from XP
      * Simple formula: level = floor(sqrt(xp / 100)) + 1
@@ -239,12 +325,17 @@ class Player {
     }
 
     handleInput(data) {
+        if (Number.isFinite(data.seq)) {
+            this.lastInputSeq = data.seq;
+            this.inputAge = 0;
+        }
+
         if (data.toggleAmmo) {
             this.selectedAmmoType = this.selectedAmmoType === COMBAT.AMMO_TYPES.CHAIN_SHOT
                 ? COMBAT.AMMO_TYPES.CANNON_SHOT
                 : COMBAT.AMMO_TYPES.CHAIN_SHOT;
 
-            const now = Date.now() / 1000;
+            const now = this.getSimulationTime();
             this.lastShotTimeLeft = now;
             this.lastShotTimeRight = now;
         }
@@ -310,8 +401,41 @@ class Player {
         }
     }
 
+    /**
+     * Current simulation time in seconds - shields and reloads are measured against it.
+     * Falls back to wall-clock time when the player is not attached to a World.
+     */
+    getSimulationTime() {
+        return (this.world?.clock ?? systemClock).now();
+    }
+
     hasActiveShield() {
-        return Date.now() / 1000 < this.shieldEndTime;
+        return this.disconnectedAt !== null || this.getSimulationTime() < this.shieldEndTime;
+    }
+
+    /**
+     * Keep the ship safe while nobody controls it: stop steering and firing,
+     * strike the sails so it drifts to a halt. Inputs resume on reconnect.
+     */
+    holdForReconnect(now = Date.now()) {
+        this.disconnectedAt = now;
+        this.inputs = {
+            left: false,
+            right: false,
+            sailUp: false,
+            sailDown: true,
+            shootLeft: false,
+            shootRight: false
+        };
+    }
+
+    resumeControl() {
+        this.disconnectedAt = null;
+        this.inputs.sailDown = false;
+
+        // The new client numbers its inputs from scratch
+        this.lastInputSeq = 0;
+        this.inputAge = 0;
     }
 
     /**
@@ -370,13 +494,32 @@ class Player {
             console.log(`[Chat] ${killMessage.text}`);
         }
 
-        // Create Wreck for every sunk flagship before fleet state changes
+        const killer = shipSunkEvent.killerId && this.world ? this.world.getEntity(shipSunkEvent.killerId) : null;
+        const sunkReason = {
+            source: 'SUNK',
+            counterparty: killer && killer.token ? `captain:${killer.token}` : null
+        };
+
+        // Create Wreck for every sunk flagship before fleet state changes.
+        // Part of the gold aboard goes down with it, for whoever salvages the wreck.
         if (this.world) {
-            this.world.createWreck(this.x, this.y, shipSunkEvent.killerId, this.fleetCargo.serialize());
+            const droppedGold = Math.floor(this.gold * GameConfig.WRECKS.PLAYER_GOLD_DROP_PERCENT);
+            if (droppedGold > 0) {
+                this.removeGold(droppedGold, sunkReason);
+                if (this.io) {
+                    this.io.to(this.id).emit('chatMessage', {
+                        type: 'system',
+                        timestamp: shipSunkEvent.timestamp,
+                        text: `💰 ${droppedGold} gold went down with your ${sunkShipClass}. Bank your gold in harbor to keep it safe.`
+                    });
+                }
+            }
+            this.world.createWreck(this.x, this.y, shipSunkEvent.killerId, this.fleetCargo.serialize(), { gold: droppedGold });
         }
 
         // Remove sunk ship from fleet
-        this.fleet.splice(this.flagshipIndex, 1);
+        const [sunkShip] = this.fleet.splice(this.flagshipIndex, 1);
+        this.recordShipChange(sunkShip.shipClass.name, -1, sunkReason);
         this.clampCrewCount();
 
         if (this.fleet.length > 0) {
@@ -396,7 +539,7 @@ class Player {
             }
 
             // Grant shield when switching flagship
-            this.shieldEndTime = Date.now() / 1000 + COMBAT.FLAGSHIP_SWITCH_SHIELD_DURATION;
+            this.shieldEndTime = this.getSimulationTime() + COMBAT.FLAGSHIP_SWITCH_SHIELD_DURATION;
             console.log(`Player ${this.id} switched to ${newShipClass} with ${COMBAT.FLAGSHIP_SWITCH_SHIELD_DURATION}s shield`);
         } else {
             // PLAYER_RAFTED EVENT: Player lost their last active ship
@@ -442,6 +585,8 @@ class Player {
 
 
     update(deltaTime, wind, worldMap) {
+        this.inputAge += deltaTime;
+
         // Skip movement if docked in harbor
         if (this.inHarbor) {
             return;
@@ -573,6 +718,19 @@ class Player {
         if (this.y > GAME.WORLD_HEIGHT) this.y -= GAME.WORLD_HEIGHT;
     }
 
+    /**
+     * Reconciliation data for the owning client only (not part of the shared ship state).
+     * Together with x/y/rotation/sailState this is the full movement state the client predicts.
+     */
+    serializeInputAck() {
+        return {
+            seq: this.lastInputSeq,
+            age: this.inputAge,
+            speed: this.speed,
+            sailChangeCooldown: Math.max(0, this.sailChangeCooldown)
+        };
+    }
+
     serialize() {
         this.clampCrewCount();
 
@@ -600,8 +758,8 @@ class Player {
             navigationSkill: this.navigationSkill,
             nearHarbor: this.nearHarbor,
             inHarbor: this.inHarbor,
-            reloadLeft: Math.max(0, this.fireRate - ((Date.now() / 1000) - this.lastShotTimeLeft)),
-            reloadRight: Math.max(0, this.fireRate - ((Date.now() / 1000) - this.lastShotTimeRight)),
+            reloadLeft: Math.max(0, this.fireRate - (this.getSimulationTime() - this.lastShotTimeLeft)),
+            reloadRight: Math.max(0, this.fireRate - (this.getSimulationTime() - this.lastShotTimeRight)),
             maxReload: this.fireRate,
             ammoType: this.ammoType,
             // Progression (Phase 1)
@@ -33,6 +33,7 @@ class Projectile {
         this.damageProfile = COMBAT.DAMAGE_PROFILES[ammoType] || COMBAT.DAMAGE_PROFILES[COMBAT.AMMO_TYPES.CANNON_SHOT];
         this.maxDistance = COMBAT.PROJECTILE_MAX_DISTANCE;
         this.toRemove = false;
+        this.rewind = 0; // Lag compensation in seconds (set by World.createProjectile)
 
         // DESIGN CONTRACT: Gravity calculation for perfect parabolic arc
         // GOAL: Projectile reaches water (z=0) exactly at maxDistance
@@ -60,9 +61,8 @@ class Projectile {
         this.zSpeed = initialZSpeed;
         this.gravity = (2 * (initialZ + initialZSpeed * timeToMaxDistance)) / (timeToMaxDistance * timeToMaxDistance);
 
-        // DEBUG ONLY: Track previous position for delta logging
-        // Used to diagnose intermittent collision misses
-        // NO gameplay behavior change
+        // Position at the start of the current step: World sweeps the segment
+        // prev -> current against hitboxes so fast balls cannot skip over a hull
         this.prevX = x;
         this.prevY = y;
 
@@ -75,6 +75,9 @@ class Projectile {
         const distanceTraveled = Math.hypot(this.x - this.startX, this.y - this.startY);
         if (distanceTraveled >= this.maxDistance) {
             this.toRemove = true;
+            // Did not move this step - the segment already swept last step must not be re-tested
+            this.prevX = this.x;
+            this.prevY = this.y;
             return;
         }
 
@@ -101,8 +104,7 @@ class Projectile {
 
         // Water impact
         if (this.z <= 0) {
-            this.toRemove = true; // Splashed into water
-            // TODO: Create splash event/effect?
+            this.toRemove = true; // Splashed into water (World reports the splash point)
         }
     }
 
@@ -13,6 +13,7 @@ class Ship {
         this.crew = this.shipClass.defaultCrew || 20;
         this.ammoType = COMBAT.AMMO_TYPES.CANNON_SHOT;
         this.isSunk = false;
+        this.customName = null; // Player-given name, saved with the fleet
 
         // For later: cargo, upgrades, etc.
     }
@@ -6,18 +6,23 @@ const GameConfig = require('../config/GameConfig');
 const { PHYSICS } = GameConfig;
 
 class Wind {
-    constructor() {
+    /**
+     * @param {function(): number} rng - Random source in [0, 1) (World passes its 'wind' stream)
+     */
+    constructor(rng = Math.random) {
+        this.rng = rng;
+
         // DESIGN CONTRACT: Wind direction convention
         // - direction = angle wind is blowing FROM (not TO)
         // - 0 radians = north, increases clockwise (matches ship rotation)
         // - Optimal sailing: ship heading ±180° from wind direction (tailwind)
         // DO NOT CHANGE: Wind efficiency calculations depend on this convention
         // TODO: Rename 'direction' to 'windSourceAngleRad' for clarity (deferred: public API)
-        this.direction = Math.random() * Math.PI * 2; // 0 to 2π radians
+        this.direction = this.rng() * Math.PI * 2; // 0 to 2π radians
         this.strength = this.randomStrength();
         this.changeTimer = 0;
         this.changeInterval = PHYSICS.WIND_CHANGE_INTERVAL_MIN +
-            Math.random() * (PHYSICS.WIND_CHANGE_INTERVAL_MAX - PHYSICS.WIND_CHANGE_INTERVAL_MIN);
+            this.rng() * (PHYSICS.WIND_CHANGE_INTERVAL_MAX - PHYSICS.WIND_CHANGE_INTERVAL_MIN);
     }
 
     randomStrength() {
@@ -25,23 +30,15 @@ class Wind {
         // WHY: 20%/40%/40% distribution is arbitrary, not data-driven
         // REFACTOR: Move to GameConfig with configurable probability weights
         // WHEN: When adding weather systems or regional wind patterns
-        const rand = Math.random();
+        const rand = this.rng();
         if (rand < 0.2) return 'LOW';      // 20% chance
         if (rand < 0.6) return 'NORMAL';   // 40% chance
         return 'FULL';                      // 40% chance
     }
 
     getStrengthModifier() {
-        // TODO: Make wind strength modifiers configurable (TECH_DEBT_008)
-        // WHY: 0.6/0.8/1.0 multipliers are magic numbers, not balanced
-        // REFACTOR: Move to PHYSICS.WIND_STRENGTH_MULTIPLIERS
-        // WHEN: When balancing wind impact on gameplay
-        switch (this.strength) {
-            case 'LOW': return 0.6;
-            case 'NORMAL': return 0.8;
-            case 'FULL': return 1.0;
-            default: return 0.8;
-        }
+        // Multipliers live in PHYSICS so the client movement prediction uses the same values
+        return PHYSICS.WIND_STRENGTH_MULTIPLIERS[this.strength] ?? PHYSICS.WIND_STRENGTH_MULTIPLIERS.NORMAL;
     }
 
     update(deltaTime) {
@@ -49,11 +46,11 @@ class Wind {
 
         if (this.changeTimer >= this.changeInterval) {
             // Change wind gradually
-            this.direction += (Math.random() - 0.5) * PHYSICS.WIND_CHANGE_RATE;
+            this.direction += (this.rng() - 0.5) * PHYSICS.WIND_CHANGE_RATE;
             this.strength = this.randomStrength();
             this.changeTimer = 0;
             this.changeInterval = PHYSICS.WIND_CHANGE_INTERVAL_MIN +
-                Math.random() * (PHYSICS.WIND_CHANGE_INTERVAL_MAX - PHYSICS.WIND_CHANGE_INTERVAL_MIN);
+                this.rng() * (PHYSICS.WIND_CHANGE_INTERVAL_MAX - PHYSICS.WIND_CHANGE_INTERVAL_MIN);
 
             console.log(`Wind changed: ${this.strength} at ${(this.direction * 180 / Math.PI).toFixed(0)}°`);
         }
@@ -3,16 +3,24 @@
  */
 
 const GameConfig = require('../config/GameConfig');
+const { systemClock } = require('../world/SimulationClock');
 
 class Wreck {
-    constructor(id, x, y, ownerId, cargo = {}) {
+    /**
+     * @param {Object} cargo - FleetCargo.serialize() of the sunk ship, salvaged in part
+     * @param {Object} options
+     * @param {number} options.gold - Gold that went down with a captain's ship (see Player.onFlagshipSunk)
+     */
+    constructor(id, x, y, ownerId, cargo = {}, clock = systemClock, rng = Math.random, options = {}) {
         this.id = id;
         this.type = 'WRECK';
         this.x = x;
         this.y = y;
-        this.rotation = Math.random() * Math.PI * 2; // Random rotation for visuals
+        this.rng = rng; // World 'loot' stream
+        this.rotation = rng() * Math.PI * 2; // Random rotation for visuals
 
-        this.spawnTime = Date.now();
+        this.clock = clock; // World simulation clock (all times below are in ms)
+        this.spawnTime = clock.nowMs();
         this.despawnTime = this.spawnTime + (GameConfig.WRECKS.DURATION_SECONDS * 1000);
 
         this.ownerId = ownerId; // Player who sunk the ship (gets first dibs)
@@ -21,19 +29,24 @@ class Wreck {
         this.toRemove = false;
 
         // Generate loot
-        this.loot = this.generateLoot(cargo);
+        this.loot = this.generateLoot(cargo, options.gold ?? 0);
     }
 
-    generateLoot(sourceCargo) {
+    generateLoot(sourceCargo, droppedGold = 0) {
         const loot = {
-            gold: Math.floor(Math.random() * (GameConfig.WRECKS.BASE_GOLD_MAX - GameConfig.WRECKS.BASE_GOLD_MIN + 1)) + GameConfig.WRECKS.BASE_GOLD_MIN,
+            gold: Math.floor(this.rng() * (GameConfig.WRECKS.BASE_GOLD_MAX - GameConfig.WRECKS.BASE_GOLD_MIN + 1)) + GameConfig.WRECKS.BASE_GOLD_MIN,
             cargo: {}
         };
 
         // Always add some wood and cloth (from ship materials)
         // Use lowercase to match economy system good IDs
-        loot.cargo.wood = Math.floor(Math.random() * 3) + GameConfig.WRECKS.MIN_WOOD;
-        loot.cargo.cloth = Math.floor(Math.random() * 2) + GameConfig.WRECKS.MIN_CLOTH;
+        loot.cargo.wood = Math.floor(this.rng() * 3) + GameConfig.WRECKS.MIN_WOOD;
+        loot.cargo.cloth = Math.floor(this.rng() * 2) + GameConfig.WRECKS.MIN_CLOTH;
+
+        // Gold that went down with a captain's ship
+        if (droppedGold > 0) {
+            loot.gold += droppedGold;
+        }
 
         // Salvage percentage of existing cargo
         if (sourceCargo && sourceCargo.goods) {
@@ -49,14 +62,14 @@ class Wreck {
     }
 
     update() {
-        if (Date.now() >= this.despawnTime) {
+        if (this.clock.nowMs() >= this.despawnTime) {
             this.toRemove = true;
         }
     }
 
     canLoot(playerId) {
         // If owner loot time hasn't expired, only owner can loot
-        if (Date.now() < this.ownerLootExpireTime) {
+        if (this.clock.nowMs() < this.ownerLootExpireTime) {
             if (playerId !== this.ownerId) {
                 return false;
             }
@@ -71,7 +84,7 @@ class Wreck {
             x: this.x,
             y: this.y,
             rotation: this.rotation,
-            isOwnerLoot: Date.now() < this.ownerLootExpireTime,
+            isOwnerLoot: this.clock.nowMs() < this.ownerLootExpireTime,
             ownerId: this.ownerId
         };
     }
@@ -81,7 +81,8 @@ class DefeatNPCsMission extends Mission {
                 targetY = this.targetY;
             } else {
                 // Pick a random direction and distance (600px if docked, 300px if at sea)
-                const angle = Math.random() * Math.PI * 2;
+                const rng = world.random.stream('missions');
+                const angle = rng() * Math.PI * 2;
                 const distance = player.dockedHarborId ? 600 : 300;
 
                 targetX = startX + Math.cos(angle) * distance;
@@ -115,12 +116,15 @@ class DefeatNPCsMission extends Mission {
      */
     transitionToCombatPhase(world, player) {
         // Spawn target pirates
+        const rng = world.random.stream('missions');
         let spawnedCount = 0;
 
-        for (let i = 0; i < this.targetCount; i++) {
+        // Only the targets still alive (a restored mission may have some defeated already)
+        const remaining = this.targetCount - this.defeatedCount;
+        for (let i = 0; i < remaining; i++) {
             // Find safe spawn for pirate near the center
-            const angle = (i / this.targetCount) * Math.PI * 2;
-            const dist = 300 + Math.random() * 200;
+            const angle = (i / remaining) * Math.PI * 2;
+            const dist = 300 + rng() * 200;
 
             const targetX = this.spawnPoint.x + Math.cos(angle) * dist;
             const targetY = this.spawnPoint.y + Math.sin(angle) * dist;
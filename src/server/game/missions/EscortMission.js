@@ -32,7 +32,7 @@ class EscortMission extends Mission {
         this.attacksSpawned = 0;
         this.maxAttacks = 2;
         this.nextAttackProgress = 0.33;
-        this.lastAttackTime = 0;
+        this.lastAttackTime = -Infinity;
         this.MIN_ATTACK_INTERVAL = 60;
 
         this.rewardKey = 'MISSION.ESCORT';
@@ -220,7 +220,7 @@ class EscortMission extends Mission {
         // Planned pirate attacks
         if (this.attacksSpawned < this.maxAttacks) {
             const progress = this.getMissionProgress(world, npc);
-            const now = Date.now() / 1000;
+            const now = world.clock.now();
             const timeSinceLastAttack = now - this.lastAttackTime;
 
             // Safety zones: don't spawn near start (< 15%) or end (> 85%)
@@ -270,12 +270,13 @@ class EscortMission extends Mission {
         if (dist === 0) return;
 
         // Spawn 2 pirates per attack
+        const rng = world.random.stream('missions');
         const piratesPerAttack = 2;
         let spawnedCount = 0;
 
         for (let i = 0; i < piratesPerAttack; i++) {
-            const spawnDist = 800 + Math.random() * 400;
-            const lateralOffset = (Math.random() - 0.5) * 300;
+            const spawnDist = 800 + rng() * 400;
+            const lateralOffset = (rng() - 0.5) * 300;
 
             const perpX = -dy / dist;
             const perpY = dx / dist;
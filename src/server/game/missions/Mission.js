@@ -3,14 +3,17 @@
  * Phase 0: Minimal scaffolding for temporary session-based missions
  */
 
+const { systemClock } = require('../world/SimulationClock');
+
 class Mission {
     constructor(id, type, playerId) {
         this.id = id;                    // Unique mission ID
         this.type = type;                // Mission type (e.g., 'SAIL_TO_HARBOR')
         this.playerId = playerId;        // Assigned player
         this.state = 'INACTIVE';         // INACTIVE, ACTIVE, SUCCESS, FAILED
-        this.startTime = null;
+        this.startTime = null;           // Simulation seconds (world clock)
         this.endTime = null;
+        this.world = null;               // Set by MissionManager.assignMission
 
         // Reward key (Phase 2: Centralized rewards)
         // Subclasses MUST set this to a valid RewardConfig key
@@ -30,7 +33,7 @@ class Mission {
     // Lifecycle
     start() {
         this.state = 'ACTIVE';
-        this.startTime = Date.now();
+        this.startTime = this.getSimulationTime();
         this.onStart();
     }
 
@@ -43,7 +46,7 @@ class Mission {
     succeed() {
         if (this.state !== 'ACTIVE') return;
         this.state = 'SUCCESS';
-        this.endTime = Date.now();
+        this.endTime = this.getSimulationTime();
         console.log(`[Mission] ${this.type} SUCCESS for player ${this.playerId}`);
         this.onSuccess();
     }
@@ -51,7 +54,7 @@ class Mission {
     fail() {
         if (this.state !== 'ACTIVE') return;
         this.state = 'FAILED';
-        this.endTime = Date.now();
+        this.endTime = this.getSimulationTime();
         console.log(`[Mission] ${this.type} FAILED for player ${this.playerId}`);
         this.onFail();
     }
@@ -59,11 +62,15 @@ class Mission {
     cancel() {
         if (this.state !== 'ACTIVE') return;
         this.state = 'CANCELLED';
-        this.endTime = Date.now();
+        this.endTime = this.getSimulationTime();
         console.log(`[Mission] ${this.type} CANCELLED for player ${this.playerId}`);
         this.onCancel();
     }
 
+    getSimulationTime() {
+        return (this.world?.clock ?? systemClock).now();
+    }
+
     // Subclass hooks
     onStart() { }
     onUpdate(world, deltaTime) { }
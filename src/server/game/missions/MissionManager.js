@@ -6,10 +6,16 @@
 class MissionManager {
     constructor(world) {
         this.world = world;
+        this.rng = world.random ? world.random.stream('missions') : Math.random;
         this.missions = new Map(); // missionId -> Mission
         this.playerMissions = new Map(); // playerId -> missionId
         this.nextMissionId = 1;
 
+        // Missions of the captains at sea in the restored world checkpoint:
+        // captain token -> saved mission record, or null for none
+        this.checkpointMissions = new Map();
+        this.checkpointSavedAt = 0; // Wall-clock ms
+
         // Configuration: Max radius for harbor mission targets (in pixels)
         // ~15000px = ~600 tiles = reasonable travel distance
         // Can be adjusted for balancing
@@ -60,7 +66,7 @@ class MissionManager {
         }
 
         // Randomly select from candidates
-        const selected = candidates[Math.floor(Math.random() * candidates.length)];
+        const selected = candidates[Math.floor(this.rng() * candidates.length)];
         return selected;
     }
 
@@ -111,7 +117,7 @@ class MissionManager {
         const templateList = templates[missionType];
         if (!templateList) return `Travel to ${harborName}`;
 
-        const template = templateList[Math.floor(Math.random() * templateList.length)];
+        const template = templateList[Math.floor(this.rng() * templateList.length)];
         return template;
     }
 
@@ -128,6 +134,7 @@ class MissionManager {
         }
 
         mission.id = `mission_${this.nextMissionId++}`;
+        mission.world = this.world;
         this.missions.set(mission.id, mission);
         this.playerMissions.set(playerId, mission.id);
         mission.start();
@@ -187,8 +194,8 @@ class MissionManager {
 
             // Clean up completed missions (Phase 0: Auto-clear after 3 seconds)
             if (mission.state === 'SUCCESS' || mission.state === 'FAILED') {
-                const timeSinceEnd = Date.now() - mission.endTime;
-                if (timeSinceEnd > 3000) { // 3 seconds after completion
+                const timeSinceEnd = mission.getSimulationTime() - mission.endTime;
+                if (timeSinceEnd > 3) { // 3 seconds after completion
                     console.log(`[MissionManager] Clearing completed mission ${mission.id} (${mission.state})`);
                     this.playerMissions.delete(mission.playerId);
                     this.missions.delete(mission.id);
@@ -198,11 +205,52 @@ class MissionManager {
     }
 
     // Get player's current mission
+    // Player resumed on a new socket id (GameLoop.resumePlayer)
+    renamePlayer(oldId, newId) {
+        const missionId = this.playerMissions.get(oldId);
+        if (!missionId) return;
+
+        this.playerMissions.delete(oldId);
+        this.playerMissions.set(newId, missionId);
+
+        const mission = this.missions.get(missionId);
+        if (mission) mission.playerId = newId;
+    }
+
     getPlayerMission(playerId) {
         const missionId = this.playerMissions.get(playerId);
         return missionId ? this.missions.get(missionId) : null;
     }
 
+    /**
+     * Keep the missions of a restored world checkpoint until their captains return
+     * @param {Object} missions - captain token -> saved mission record or null
+     * @param {number} savedAt - When the checkpoint was taken (wall-clock ms)
+     */
+    restoreCheckpointMissions(missions, savedAt) {
+        this.checkpointMissions = new Map(Object.entries(missions || {}));
+        this.checkpointSavedAt = savedAt;
+    }
+
+    /**
+     * The checkpoint's mission for a returning captain, if the checkpoint is newer
+     * than the captain's own save. A mission finished after that save is then not
+     * handed out again, and progress made since is kept. Each captain's entry is
+     * only used once.
+     * @param {string} token - Captain record key
+     * @param {Date|number|null} recordSavedAt - lastSaved of the captain's record
+     * @returns {Object|null|undefined} Mission record, null for none, undefined to keep the record's
+     */
+    takeCheckpointMission(token, recordSavedAt) {
+        if (!token || !this.checkpointMissions.has(token)) return undefined;
+
+        const mission = this.checkpointMissions.get(token);
+        this.checkpointMissions.delete(token);
+
+        const recordTime = recordSavedAt ? new Date(recordSavedAt).getTime() : 0;
+        return recordTime < this.checkpointSavedAt ? mission : undefined;
+    }
+
     // Event handlers for mission triggers
     onNPCDefeated(npcId, killerId) {
         console.log(`[MissionManager] onNPCDefeated called - NPC: ${npcId}, Killer: ${killerId}`);
@@ -267,8 +315,8 @@ class MissionManager {
         }
 
         // Mission 3: Defeat NPCs (Pirate Hunt)
-        const huntAngle = Math.random() * Math.PI * 2;
-        const huntDist = 1000 + Math.random() * 1000; // 1000-2000px (adjusted per user request)
+        const huntAngle = this.rng() * Math.PI * 2;
+        const huntDist = 1000 + this.rng() * 1000; // 1000-2000px (adjusted per user request)
         const huntX = originX + Math.cos(huntAngle) * huntDist;
         const huntY = originY + Math.sin(huntAngle) * huntDist;
 
@@ -0,0 +1,103 @@
+const GameConfig = require('../config/GameConfig');
+const { NETWORK } = GameConfig;
+
+/**
+ * InterestManager - per-player area of interest (AOI) filtering for state broadcasts
+ *
+ * Each player only receives ships, projectiles and wrecks near their own ship.
+ * The set of ships a player can see is remembered between broadcasts so that
+ * ships crossing the AOI boundary produce explicit enter/leave lists.
+ *
+ * Entering uses AOI_RADIUS, leaving uses AOI_RADIUS + AOI_LEAVE_BUFFER (hysteresis),
+ * so a ship sailing along the boundary does not flicker in and out.
+ */
+class InterestManager {
+    constructor(world, options = {}) {
+        this.world = world;
+        this.radius = options.radius ?? NETWORK.AOI_RADIUS;
+        this.leaveBuffer = options.leaveBuffer ?? NETWORK.AOI_LEAVE_BUFFER;
+
+        // Map<viewerId, Set<entityId>>
+        this.visibleSets = new Map();
+    }
+
+    /**
+     * Split one world frame (snapshot or delta) into per-player views.
+     * Players held for a reconnect get no view: nobody is there to receive it.
+     *
+     * @param {Object} frame - Output of world.getSnapshot() or world.getDelta()
+     * @returns {Map<string, {state: Object, entered: Object, left: string[], impacts: Object[]}>}
+     *   entered maps entity id -> full serialized entity, left lists entity ids,
+     *   impacts are the projectile impacts in range (sent as their own event)
+     */
+    buildViews(frame) {
+        const views = new Map();
+        const enterRadiusSq = this.radius * this.radius;
+        const leaveRadius = this.radius + this.leaveBuffer;
+        const leaveRadiusSq = leaveRadius * leaveRadius;
+
+        // Forget viewers that are no longer in the world or are held for a reconnect
+        for (const viewerId of this.visibleSets.keys()) {
+            const entity = this.world.entities[viewerId];
+            if (!entity || entity.type !== 'PLAYER' || entity.disconnectedAt) {
+                this.visibleSets.delete(viewerId);
+            }
+        }
+
+        for (const viewerId in this.world.entities) {
+            const viewer = this.world.entities[viewerId];
+            if (viewer.type !== 'PLAYER' || viewer.disconnectedAt) continue;
+
+            const self = frame.players[viewerId];
+            if (!self) continue;
+
+            const previous = this.visibleSets.get(viewerId) || new Set();
+            const visible = new Set();
+            const state = { players: {} };
+
+            for (const id in frame.players) {
+                const ship = frame.players[id];
+                const distSq = (ship.x - self.x) ** 2 + (ship.y - self.y) ** 2;
+                const limitSq = previous.has(id) ? leaveRadiusSq : enterRadiusSq;
+
+                if (id === viewerId || distSq <= limitSq) {
+                    visible.add(id);
+                    state.players[id] = ship;
+                }
+            }
+
+            // Projectiles and wrecks are replaced wholesale on every message,
+            // so a plain radius filter is enough (no enter/leave bookkeeping)
+            const inRange = (item) => (item.x - self.x) ** 2 + (item.y - self.y) ** 2 <= leaveRadiusSq;
+            if (frame.projectiles) state.projectiles = frame.projectiles.filter(inRange);
+            if (frame.wrecks) state.wrecks = frame.wrecks.filter(inRange);
+            if (frame.wind) state.wind = frame.wind;
+            const impacts = frame.impacts ? frame.impacts.filter(inRange) : [];
+
+            const entered = {};
+            for (const id of visible) {
+                if (!previous.has(id)) {
+                    entered[id] = this.world.serializeEntity(id);
+                }
+            }
+
+            const left = [];
+            for (const id of previous) {
+                if (!visible.has(id)) {
+                    left.push(id);
+                }
+            }
+
+            this.visibleSets.set(viewerId, visible);
+            views.set(viewerId, { state, entered, left, impacts });
+        }
+
+        return views;
+    }
+
+    removeViewer(viewerId) {
+        this.visibleSets.delete(viewerId);
+    }
+}
+
+module.exports = InterestManager;
@@ -0,0 +1,327 @@
+const GameConfig = require('../config/GameConfig');
+const { COMBAT } = GameConfig;
+
+/**
+ * WireProtocol - compact binary encoding for gamestate_snapshot / gamestate_delta
+ *
+ * JSON frames carry full-precision floats and long socket ids 60 times per second.
+ * The binary frame quantizes the hot fields and replaces entity ids with small
+ * per-connection handles. Clients negotiate it on join; JSON stays available
+ * as a fallback (debug tools, old clients, version mismatch).
+ *
+ * Frame layout (little-endian), version 3:
+ *
+ *   u8  version
+ *   u8  kind                      0 = snapshot, 1 = delta
+ *   u32 tick
+ *   f32 originX, f32 originY      viewer ship position, all positions are relative to it
+ *   u32 ackSeq, f32 ackAge        last input sequence applied + seconds simulated since (prediction)
+ *   f32 speed, f32 sailCooldown   viewer movement state not present in the ship records
+ *   u16 declCount                 { u16 handle, u8 byteLength, utf8 id }
+ *   u16 shipCount                 { u16 handle, i16 dx, i16 dy, u16 rotation, u16 health, u8 sailState }
+ *   u16 projectileCount           { u16 handle, i16 dx, i16 dy, u8 z, u8 ammoType }
+ *   u16 wreckCount                { u16 handle, i16 dx, i16 dy, u16 rotation, u8 flags, u16 ownerHandle }
+ *   u32 extraLength               utf8 JSON { wind, players: { handle: remainingFields } } (snapshots only)
+ *
+ * The quantization constants below are part of the protocol version:
+ * changing any of them requires bumping WIRE_VERSION and the decoder in client.js.
+ */
+
+const WIRE_VERSION = 3;
+
+const FRAME_KIND = {
+    SNAPSHOT: 0,
+    DELTA: 1
+};
+
+// 1/8 px resolution, ±4096 px around the viewer (AOI is well inside that)
+const POSITION_SCALE = 8;
+const ANGLE_SCALE = 65536 / (Math.PI * 2);
+const HEALTH_SCALE = 10;
+const Z_SCALE = 4;
+
+const WRECK_FLAG_OWNER_LOOT = 1;
+const WRECK_FLAG_HAS_OWNER = 2;
+
+const HEADER_BYTES = 1 + 1 + 4 + 4 + 4 + 4 + 4 + 4 + 4;
+const SHIP_BYTES = 2 + 2 + 2 + 2 + 2 + 1;
+const PROJECTILE_BYTES = 2 + 2 + 2 + 1 + 1;
+const WRECK_BYTES = 2 + 2 + 2 + 2 + 1 + 2;
+
+// Ship fields carried in the fixed binary record; everything else goes to the JSON extra block
+const SHIP_BINARY_FIELDS = new Set(['id', 'x', 'y', 'rotation', 'health', 'sailState']);
+
+const AMMO_TYPE_LIST = Object.keys(COMBAT.AMMO_TYPES);
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+function quantizeOffset(value, origin) {
+    return clamp(Math.round((value - origin) * POSITION_SCALE), -32768, 32767);
+}
+
+function quantizeAngle(angle) {
+    const turns = Math.round((angle || 0) * ANGLE_SCALE) % 65536;
+    return turns < 0 ? turns + 65536 : turns;
+}
+
+/**
+ * Per-connection id interning.
+ * Handles are only valid while the id keeps appearing in frames; ids missing
+ * from a frame are released and their handle may be redeclared for another id.
+ */
+class IdInterner {
+    constructor() {
+        this.handles = new Map(); // id -> handle
+        this.freeHandles = [];
+        this.nextHandle = 0;
+    }
+
+    intern(id, declarations) {
+        let handle = this.handles.get(id);
+        if (handle !== undefined) return handle;
+
+        handle = this.freeHandles.length > 0 ? this.freeHandles.pop() : this.nextHandle++;
+        if (handle > 0xFFFF) {
+            throw new Error('[WireProtocol] Out of id handles');
+        }
+        this.handles.set(id, handle);
+        declarations.push({ handle, bytes: Buffer.from(String(id), 'utf8') });
+        return handle;
+    }
+
+    releaseUnused(usedIds) {
+        for (const [id, handle] of this.handles) {
+            if (!usedIds.has(id)) {
+                this.handles.delete(id);
+                this.freeHandles.push(handle);
+            }
+        }
+    }
+}
+
+class WireEncoder {
+    constructor() {
+        this.interner = new IdInterner();
+    }
+
+    /**
+     * @param {Object} state - AOI-filtered snapshot or delta (same shape as the JSON payload)
+     * @param {boolean} isSnapshot
+     * @param {string} viewerId - Socket id of the receiving player (position origin)
+     * @param {number} tick
+     * @returns {Buffer}
+     */
+    encode(state, isSnapshot, viewerId, tick) {
+        const self = state.players[viewerId];
+        const originX = self ? self.x : 0;
+        const originY = self ? self.y : 0;
+
+        const declarations = [];
+        const usedIds = new Set();
+        const intern = (id) => {
+            usedIds.add(id);
+            return this.interner.intern(id, declarations);
+        };
+
+        const ships = [];
+        const extraPlayers = {};
+        for (const id in state.players) {
+            const ship = state.players[id];
+            const handle = intern(id);
+            ships.push({ handle, ship });
+
+            if (isSnapshot) {
+                const extra = {};
+                for (const key in ship) {
+                    if (!SHIP_BINARY_FIELDS.has(key)) extra[key] = ship[key];
+                }
+                extraPlayers[handle] = extra;
+            }
+        }
+
+        // Projectile ids are needed for client-side interpolation between frames
+        const projectiles = (state.projectiles || []).map(proj => ({
+            proj,
+            handle: intern(proj.id)
+        }));
+
+        const wrecks = (state.wrecks || []).map(wreck => ({
+            wreck,
+            handle: intern(wreck.id),
+            ownerHandle: wreck.ownerId != null ? intern(wreck.ownerId) : 0
+        }));
+
+        this.interner.releaseUnused(usedIds);
+
+        const extraBytes = isSnapshot
+            ? Buffer.from(JSON.stringify({ wind: state.wind, players: extraPlayers }), 'utf8')
+            : null;
+
+        let size = HEADER_BYTES + 2 + 2 + 2 + 2 + 4;
+        for (const decl of declarations) size += 3 + decl.bytes.length;
+        size += ships.length * SHIP_BYTES;
+        size += projectiles.length * PROJECTILE_BYTES;
+        size += wrecks.length * WRECK_BYTES;
+        if (extraBytes) size += extraBytes.length;
+
+        const buf = Buffer.alloc(size);
+        let o = 0;
+
+        o = buf.writeUInt8(WIRE_VERSION, o);
+        o = buf.writeUInt8(isSnapshot ? FRAME_KIND.SNAPSHOT : FRAME_KIND.DELTA, o);
+        o = buf.writeUInt32LE(tick >>> 0, o);
+        o = buf.writeFloatLE(originX, o);
+        o = buf.writeFloatLE(originY, o);
+
+        const ack = state.ack || {};
+        o = buf.writeUInt32LE((ack.seq || 0) >>> 0, o);
+        o = buf.writeFloatLE(ack.age || 0, o);
+        o = buf.writeFloatLE(ack.speed || 0, o);
+        o = buf.writeFloatLE(ack.sailChangeCooldown || 0, o);
+
+        o = buf.writeUInt16LE(declarations.length, o);
+        for (const decl of declarations) {
+            o = buf.writeUInt16LE(decl.handle, o);
+            o = buf.writeUInt8(decl.bytes.length, o);
+            o += decl.bytes.copy(buf, o);
+        }
+
+        o = buf.writeUInt16LE(ships.length, o);
+        for (const { handle, ship } of ships) {
+            o = buf.writeUInt16LE(handle, o);
+            o = buf.writeInt16LE(quantizeOffset(ship.x, originX), o);
+            o = buf.writeInt16LE(quantizeOffset(ship.y, originY), o);
+            o = buf.writeUInt16LE(quantizeAngle(ship.rotation), o);
+            o = buf.writeUInt16LE(clamp(Math.round((ship.health || 0) * HEALTH_SCALE), 0, 0xFFFF), o);
+            o = buf.writeUInt8(clamp(ship.sailState || 0, 0, 0xFF), o);
+        }
+
+        o = buf.writeUInt16LE(projectiles.length, o);
+        for (const { proj, handle } of projectiles) {
+            o = buf.writeUInt16LE(handle, o);
+            o = buf.writeInt16LE(quantizeOffset(proj.x, originX), o);
+            o = buf.writeInt16LE(quantizeOffset(proj.y, originY), o);
+            o = buf.writeUInt8(clamp(Math.round((proj.z || 0) * Z_SCALE), 0, 0xFF), o);
+            o = buf.writeUInt8(Math.max(0, AMMO_TYPE_LIST.indexOf(proj.ammoType)), o);
+        }
+
+        o = buf.writeUInt16LE(wrecks.length, o);
+        for (const { wreck, handle, ownerHandle } of wrecks) {
+            let flags = 0;
+            if (wreck.isOwnerLoot) flags |= WRECK_FLAG_OWNER_LOOT;
+            if (wreck.ownerId != null) flags |= WRECK_FLAG_HAS_OWNER;
+
+            o = buf.writeUInt16LE(handle, o);
+            o = buf.writeInt16LE(quantizeOffset(wreck.x, originX), o);
+            o = buf.writeInt16LE(quantizeOffset(wreck.y, originY), o);
+            o = buf.writeUInt16LE(quantizeAngle(wreck.rotation), o);
+            o = buf.writeUInt8(flags, o);
+            o = buf.writeUInt16LE(ownerHandle, o);
+        }
+
+        o = buf.writeUInt32LE(extraBytes ? extraBytes.length : 0, o);
+        if (extraBytes) o += extraBytes.copy(buf, o);
+
+        return buf;
+    }
+}
+
+/**
+ * Reference decoder (mirrors decodeWireFrame in client.js).
+ * Used by tests and headless tools; `ids` is the per-connection handle table.
+ *
+ * @param {Buffer} buf
+ * @param {Map<number, string>} ids - Mutated with the frame's id declarations
+ * @returns {{kind: string, tick: number, state: Object}}
+ */
+function decodeFrame(buf, ids) {
+    let o = 0;
+    const version = buf.readUInt8(o); o += 1;
+    if (version !== WIRE_VERSION) {
+        throw new Error(`[WireProtocol] Unsupported frame version ${version}`);
+    }
+    const kind = buf.readUInt8(o) === FRAME_KIND.SNAPSHOT ? 'snapshot' : 'delta'; o += 1;
+    const tick = buf.readUInt32LE(o); o += 4;
+    const originX = buf.readFloatLE(o); o += 4;
+    const originY = buf.readFloatLE(o); o += 4;
+    const ack = {
+        seq: buf.readUInt32LE(o),
+        age: buf.readFloatLE(o + 4),
+        speed: buf.readFloatLE(o + 8),
+        sailChangeCooldown: buf.readFloatLE(o + 12)
+    };
+    o += 16;
+
+    const declCount = buf.readUInt16LE(o); o += 2;
+    for (let i = 0; i < declCount; i++) {
+        const handle = buf.readUInt16LE(o); o += 2;
+        const length = buf.readUInt8(o); o += 1;
+        ids.set(handle, buf.toString('utf8', o, o + length)); o += length;
+    }
+
+    const state = { tick, players: {}, projectiles: [], wrecks: [], ack };
+    const shipHandles = [];
+
+    const shipCount = buf.readUInt16LE(o); o += 2;
+    for (let i = 0; i < shipCount; i++) {
+        const handle = buf.readUInt16LE(o); o += 2;
+        const id = ids.get(handle);
+        state.players[id] = {
+            id,
+            x: originX + buf.readInt16LE(o) / POSITION_SCALE,
+            y: originY + buf.readInt16LE(o + 2) / POSITION_SCALE,
+            rotation: buf.readUInt16LE(o + 4) / ANGLE_SCALE,
+            health: buf.readUInt16LE(o + 6) / HEALTH_SCALE,
+            sailState: buf.readUInt8(o + 8)
+        };
+        o += SHIP_BYTES - 2;
+        shipHandles.push(handle);
+    }
+
+    const projectileCount = buf.readUInt16LE(o); o += 2;
+    for (let i = 0; i < projectileCount; i++) {
+        state.projectiles.push({
+            id: ids.get(buf.readUInt16LE(o)),
+            x: originX + buf.readInt16LE(o + 2) / POSITION_SCALE,
+            y: originY + buf.readInt16LE(o + 4) / POSITION_SCALE,
+            z: buf.readUInt8(o + 6) / Z_SCALE,
+            ammoType: AMMO_TYPE_LIST[buf.readUInt8(o + 7)]
+        });
+        o += PROJECTILE_BYTES;
+    }
+
+    const wreckCount = buf.readUInt16LE(o); o += 2;
+    for (let i = 0; i < wreckCount; i++) {
+        const flags = buf.readUInt8(o + 8);
+        state.wrecks.push({
+            id: ids.get(buf.readUInt16LE(o)),
+            type: 'WRECK',
+            x: originX + buf.readInt16LE(o + 2) / POSITION_SCALE,
+            y: originY + buf.readInt16LE(o + 4) / POSITION_SCALE,
+            rotation: buf.readUInt16LE(o + 6) / ANGLE_SCALE,
+            isOwnerLoot: (flags & WRECK_FLAG_OWNER_LOOT) !== 0,
+            ownerId: (flags & WRECK_FLAG_HAS_OWNER) ? ids.get(buf.readUInt16LE(o + 9)) : null
+        });
+        o += WRECK_BYTES;
+    }
+
+    const extraLength = buf.readUInt32LE(o); o += 4;
+    if (extraLength > 0) {
+        const extra = JSON.parse(buf.toString('utf8', o, o + extraLength));
+        state.wind = extra.wind;
+        for (const handle of shipHandles) {
+            Object.assign(state.players[ids.get(handle)], extra.players[handle]);
+        }
+    }
+
+    return { kind, tick, state };
+}
+
+module.exports = {
+    WIRE_VERSION,
+    AMMO_TYPE_LIST,
+    WireEncoder,
+    decodeFrame
+};
@@ -262,12 +262,13 @@ function getRole(roleName) {
 /**
  * Get random ship class for a role
  * @param {string} roleName - Role name
+ * @param {function(): number} rng - Random source in [0, 1)
  * @returns {string} Ship class name
  */
-function getRandomShipClass(roleName) {
+function getRandomShipClass(roleName, rng = Math.random) {
     const role = getRole(roleName);
     const classes = role.shipClasses;
-    return classes[Math.floor(Math.random() * classes.length)];
+    return classes[Math.floor(rng() * classes.length)];
 }
 
 // ========================================
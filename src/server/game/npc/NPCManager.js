@@ -26,6 +26,7 @@ const {
 class NPCManager {
     constructor(world) {
         this.world = world;
+        this.rng = world.random ? world.random.stream('npc') : Math.random;
         this.npcs = new Map(); // id -> NPCShip
         this.npcIdCounter = 0;
     }
@@ -40,8 +41,8 @@ class NPCManager {
      */
     spawnTrader(nearX, nearY, targetHarborId = null, spawnRadius = 500) {
         // Generate spawn position (offset from player)
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 200 + Math.random() * (spawnRadius - 200); // Min 200px away
+        const angle = this.rng() * Math.PI * 2;
+        const distance = 200 + this.rng() * (spawnRadius - 200); // Min 200px away
         const spawnX = nearX + Math.cos(angle) * distance;
         const spawnY = nearY + Math.sin(angle) * distance;
 
@@ -71,7 +72,7 @@ class NPCManager {
 
         // Create NPC
         const npcId = `npc_trader_${this.npcIdCounter++}`;
-        const npc = new NPCShip(npcId, spawnX, spawnY, targetHarbor.id, 'TRADER', spawnProfile);
+        const npc = this.createNPC(npcId, spawnX, spawnY, targetHarbor.id, 'TRADER', spawnProfile);
         npc.world = this.world; // Give NPC access to world for mission hooks
 
         // Register NPC
@@ -97,7 +98,7 @@ class NPCManager {
         }
 
         const npcId = `npc_traffic_${this.npcIdCounter++}`;
-        const npc = new NPCShip(
+        const npc = this.createNPC(
             npcId,
             safeSpawn.x,
             safeSpawn.y,
@@ -111,6 +112,7 @@ class NPCManager {
         );
         npc.world = this.world;
         npc.strategicShipId = strategicShip.id;
+        npc.carriesStrategicCargo = true;
         npc.trafficKernelControlled = true;
         npc.intent = 'TRAVEL';
         npc.state = 'SAILING';
@@ -152,7 +154,7 @@ class NPCManager {
             x: safeSpawn.x,
             y: safeSpawn.y
         });
-        const npc = new NPCShip(npcId, safeSpawn.x, safeSpawn.y, targetHarbor.id, 'TRADER', escortProfile);
+        const npc = this.createNPC(npcId, safeSpawn.x, safeSpawn.y, targetHarbor.id, 'TRADER', escortProfile);
         npc.world = this.world;
         npc.strategicShipId = strategicShip.id;
         npc.trafficKernelControlled = true;
@@ -186,7 +188,7 @@ class NPCManager {
 
         const spawnProfile = this.buildNPCProfile({ role, x: safeSpawn.x, y: safeSpawn.y });
         const npcId = `npc_local_${this.npcIdCounter++}`;
-        const npc = new NPCShip(npcId, safeSpawn.x, safeSpawn.y, null, spawnProfile.role, spawnProfile);
+        const npc = this.createNPC(npcId, safeSpawn.x, safeSpawn.y, null, spawnProfile.role, spawnProfile);
         npc.world = this.world;
         npc.trafficKernelControlled = true;
         npc.intent = 'TRAVEL';
@@ -324,7 +326,7 @@ class NPCManager {
             y: spawnY
         });
         const npcId = `npc_pirate_${this.npcIdCounter++}`;
-        const npc = new NPCShip(npcId, spawnX, spawnY, null, 'PIRATE', spawnProfile);
+        const npc = this.createNPC(npcId, spawnX, spawnY, null, 'PIRATE', spawnProfile);
         npc.world = this.world; // Give NPC access to world for mission hooks
 
         // Set combat target
@@ -447,15 +449,22 @@ class NPCManager {
         const regionProfile = harborData
             ? getRegionProfileForHarbor(harborData)
             : getRegionProfileForPosition(x, y, this._getPositionHarbors());
-        const resolvedRole = role || chooseTrafficRoleForRegion(regionProfile);
+        const resolvedRole = role || chooseTrafficRoleForRegion(regionProfile, this.rng);
 
         return {
             role: resolvedRole,
             regionId: regionProfile.id,
-            shipClassName: chooseShipTypeForRegion(regionProfile, resolvedRole),
-            customName: generateUniqueShipName(regionProfile)
+            shipClassName: chooseShipTypeForRegion(regionProfile, resolvedRole, this.rng),
+            customName: generateUniqueShipName(regionProfile, undefined, this.rng)
         };
     }
+
+    /**
+     * Construct an NPCShip that rolls its spawn randomness from the world 'npc' stream
+     */
+    createNPC(id, x, y, targetHarborId, role, options = {}) {
+        return new NPCShip(id, x, y, targetHarborId, role, { ...options, rng: this.rng });
+    }
 }
 
 module.exports = NPCManager;
@@ -3,6 +3,7 @@ const GameConfig = require('../config/GameConfig');
 const { GAME, PHYSICS, COMBAT, NAVIGATION } = GameConfig;
 const { getRole, getRandomShipClass, NPCCombatOverlay } = require('./NPCBehavior');
 const NavigationUtils = require('../navigation/NavigationUtils');
+const { systemClock } = require('../world/SimulationClock');
 
 /**
  * NPCShip - Non-player ship entity
@@ -21,23 +22,26 @@ const NavigationUtils = require('../navigation/NavigationUtils');
  */
 class NPCShip {
     constructor(id, x, y, targetHarborId, role = 'TRADER', options = {}) {
+        // Random source for spawn rolls (NPCManager passes the world's 'npc' stream)
+        const rng = options.rng ?? Math.random;
+
         // Role system (Phase 3.5)
         this.roleName = role;              // String for serialization
         this.role = getRole(role);         // Role configuration object
 
         // Identity
         this.id = id;
-        this.name = options.customName || this.generateName(role);
+        this.name = options.customName || this.generateName(role, rng);
         this.type = 'NPC';
 
         // Spatial (same as Player)
         this.x = x;
         this.y = y;
-        this.rotation = Math.random() * Math.PI * 2;
+        this.rotation = rng() * Math.PI * 2;
         this.speed = 0;
 
         // Ship (selected from role's ship classes)
-        const shipClass = options.shipClassName || getRandomShipClass(role);
+        const shipClass = options.shipClassName || getRandomShipClass(role, rng);
         this.fleet = [new Ship(shipClass)];
         this.flagshipIndex = 0;
         this.isRaft = false;
@@ -55,7 +59,7 @@ class NPCShip {
         this.stateTimer = 0;
 
         // Lifecycle
-        this.spawnTime = Date.now() / 1000;
+        this.spawnTime = null; // Stamped on the first AI update (world is attached after construction)
         this.maxLifetime = 300; // 5 minutes max (auto-despawn safety)
 
         // Input state (computed by AI, not sockets)
@@ -69,8 +73,8 @@ class NPCShip {
         };
 
         // Combat (role-based initialization)
-        this.lastShotTimeLeft = 0;
-        this.lastShotTimeRight = 0;
+        this.lastShotTimeLeft = -Infinity; // Never fired: the clock starts at 0
+        this.lastShotTimeRight = -Infinity;
         // fireRate set by role (pirates get combat rate, traders get defensive rate)
         this.baseFireRate = this.role.combatCapable ? COMBAT.CANNON_FIRE_RATE : 999999;
 
@@ -112,7 +116,7 @@ class NPCShip {
 
         // Damage tracking (Phase 3.5: Retaliation)
         this.lastAttacker = null;      // ID of entity that last damaged this NPC
-        this.lastAttackTime = 0;       // Timestamp of last attack
+        this.lastAttackTime = -Infinity; // Timestamp of last attack
         this.lastLoggedHealth = null;  // Last health value we logged (for reducing spam)
         this._crewCount = this.getFleetMaxCrew(this.fleet);
 
@@ -128,10 +132,11 @@ class NPCShip {
 
         // Living world kernel
         this.strategicShipId = null;
+        this.carriesStrategicCargo = false; // The trader itself, not its convoy escort
         this.trafficKernelControlled = false;
         this.localTraffic = false;
         this.localTrafficExpiresAt = 0;
-        this.lastDamageTime = 0;
+        this.lastDamageTime = -Infinity;
         this.regionId = options.regionId || null;
     }
 
@@ -212,14 +217,14 @@ class NPCShip {
         this._crewCount = Math.max(0, this._crewCount - Math.round(amount));
     }
 
-    generateName(role) {
+    generateName(role, rng = Math.random) {
         const names = {
             TRADER: ['Merchant Vessel', 'Trading Ship', 'Cargo Runner', 'Supply Ship'],
             PIRATE: ['Pirate Scourge', 'Black Revenge', 'Sea Wolf', 'Crimson Tide', 'Dark Fortune'],
             PATROL: ['HMS Guardian', 'Royal Defender', 'Vigilant', 'Protector', 'Sentinel']
         };
         const nameList = names[role] || ['NPC Ship'];
-        return nameList[Math.floor(Math.random() * nameList.length)];
+        return nameList[Math.floor(rng() * nameList.length)];
     }
 
     assignPrecomputedRoute(routePoints, targetHarborId) {
@@ -242,7 +247,7 @@ class NPCShip {
         }
     }
 
-    assignLocalTrafficRoute(routePoints, lifetimeSeconds, nowSeconds = Date.now() / 1000) {
+    assignLocalTrafficRoute(routePoints, lifetimeSeconds, nowSeconds = this.getSimulationTime()) {
         this.localTraffic = true;
         this.localTrafficExpiresAt = nowSeconds + lifetimeSeconds;
         this.assignPrecomputedRoute(routePoints, null);
@@ -572,7 +577,7 @@ class NPCShip {
 
             // If not currently in combat, check if we were recently attacked
             if (!this.combat.active && this.lastAttacker) {
-                const now = Date.now() / 1000;
+                const now = this.getSimulationTime();
                 const RETALIATION_WINDOW = 30; // Retaliate within 30 seconds of being attacked
                 const timeSinceAttack = now - this.lastAttackTime;
 
@@ -628,7 +633,7 @@ class NPCShip {
         const SAFE_DISTANCE = 600; // Consider safe when this far from threat
 
         // Check if evade timeout or safe
-        const now = Date.now() / 1000;
+        const now = this.getSimulationTime();
         const evadeDuration = now - this.intentData.evadeStartTime;
 
         // Calculate distance to threat
@@ -1003,7 +1008,7 @@ class NPCShip {
         while (angleDiff < -Math.PI) angleDiff += 2 * Math.PI;
 
         const BROADSIDE_SECTOR = Math.PI / 18; // ±10° tolerance around 90° for firing (very strict)
-        const now = Date.now() / 1000;
+        const now = this.getSimulationTime();
 
         // Starboard firing check (Target must be approx +90° / +PI/2 relative to bow)
         // angleDiff is (TargetDir - ShipDir). If Target is Right, angleDiff ~= PI/2
@@ -1040,6 +1045,13 @@ class NPCShip {
         }
     }
 
+    /**
+     * Current simulation time in seconds (world clock; wall clock before a world is attached)
+     */
+    getSimulationTime() {
+        return (this.world?.clock ?? systemClock).now();
+    }
+
     /**
      * Take damage from projectiles
      * Simplified version of Player.takeDamage (no shields, no rafts, no kill messages)
@@ -1065,9 +1077,9 @@ class NPCShip {
         // Track last attacker for retaliation (Phase 3.5)
         if (damageSource) {
             this.lastAttacker = damageSource;
-            this.lastAttackTime = Date.now() / 1000;
+            this.lastAttackTime = this.getSimulationTime();
         }
-        this.lastDamageTime = Date.now() / 1000;
+        this.lastDamageTime = this.getSimulationTime();
 
         // Check if should flee (Phase 3.5: EVADE intent)
         const healthRatio = newHealth / this.flagship.maxHealth;
@@ -1076,7 +1088,7 @@ class NPCShip {
             this.intent = 'EVADE';
             this.intentData = {
                 evadeFrom: this.lastAttacker,  // Flee from whoever damaged us
-                evadeStartTime: Date.now() / 1000
+                evadeStartTime: this.getSimulationTime()
             };
             // Deactivate combat when fleeing
             this.combat.deactivate();
@@ -1119,9 +1131,15 @@ class NPCShip {
 
             // Create Wreck (Visual & Loot)
             if (this.world) {
-                // NPCs don't have fleetCargo yet (Phase 1), so pass empty object
+                // NPCs don't have fleetCargo yet (Phase 1). Strategic traders go down with
+                // their strategic ship's cargo: part of it is salvageable from the wreck,
+                // the rest never reaches its harbor.
                 // Wreck class will handle generating basic loot (wood/cloth + gold)
-                this.world.createWreck(this.x, this.y, damageSource, {});
+                const trafficManager = this.world.strategicTrafficManager;
+                const cargo = this.carriesStrategicCargo && trafficManager
+                    ? { goods: trafficManager.takeCargo(this.strategicShipId) }
+                    : {};
+                this.world.createWreck(this.x, this.y, damageSource, cargo);
             }
         }
     }
@@ -1134,8 +1152,11 @@ class NPCShip {
         // Check lifetime (safety despawn for independently-spawned NPCs only)
         // trafficKernelControlled NPCs (strategic routes, local traffic) are managed by
         // NPCMaterializer and may legitimately be active for much longer than maxLifetime.
+        if (this.spawnTime === null) {
+            this.spawnTime = this.getSimulationTime();
+        }
         if (!this.trafficKernelControlled) {
-            const age = (Date.now() / 1000) - this.spawnTime;
+            const age = this.getSimulationTime() - this.spawnTime;
             if (age > this.maxLifetime) {
                 console.log(`[NPC] ${this.id} exceeded max lifetime, despawning`);
                 this.state = 'DESPAWNING';
@@ -1324,8 +1345,8 @@ class NPCShip {
             navigationSkill: 1,
             nearHarbor: this.nearHarbor,
             ammoType: this.ammoType,
-            reloadLeft: Math.max(0, this.fireRate - ((Date.now() / 1000) - this.lastShotTimeLeft)),
-            reloadRight: Math.max(0, this.fireRate - ((Date.now() / 1000) - this.lastShotTimeRight)),
+            reloadLeft: Math.max(0, this.fireRate - (this.getSimulationTime() - this.lastShotTimeLeft)),
+            reloadRight: Math.max(0, this.fireRate - (this.getSimulationTime() - this.lastShotTimeRight)),
             maxReload: this.fireRate,
             regionId: this.regionId
         };
@@ -41,7 +41,7 @@ class RewardSystem {
 
         // Apply gold
         if (reward.gold > 0) {
-            player.addGold(reward.gold);
+            player.addGold(reward.gold, { source: 'REWARD', counterparty: `reward:${rewardKey}` });
 
             // Notify client of gold update
             if (player.io) {
@@ -53,7 +53,7 @@ class RewardSystem {
 
         // Apply XP
         if (reward.xp > 0) {
-            player.addXP(reward.xp);
+            player.addXP(reward.xp, { source: 'REWARD', counterparty: `reward:${rewardKey}` });
         }
 
         // Log reward event
@@ -7,6 +7,7 @@ class NPCMaterializer {
         this.strategicTrafficManager = strategicTrafficManager;
         this.npcManager = npcManager;
         this.routePlanner = routePlanner;
+        this.rng = options.rng ?? Math.random;
         this.intervalSeconds = options.intervalSeconds ?? TRAFFIC.MATERIALIZATION_INTERVAL;
         this.aoiRadius = options.aoiRadius ?? TRAFFIC.MATERIALIZATION_AOI_RADIUS;
         this.arrivalThreshold = options.arrivalThreshold ?? TRAFFIC.PROGRESS_SYNC_ARRIVAL_THRESHOLD;
@@ -85,7 +86,7 @@ class NPCMaterializer {
 
     _despawnShip(shipId, nowSeconds) {
         const activeNPC = this.activeNPCs.get(shipId);
-        const npc = this._getMaterializedNPC(shipId);
+        const npc = this._getMaterializedNPC(shipId, nowSeconds);
         const escort = this._getConvoyEscort(shipId);
 
         if (escort) {
@@ -103,7 +104,7 @@ class NPCMaterializer {
         this.strategicTrafficManager.setMaterialized(shipId, false, nowSeconds);
     }
 
-    _getMaterializedNPC(shipId) {
+    _getMaterializedNPC(shipId, nowSeconds) {
         const activeNPC = this.activeNPCs.get(shipId);
         if (!activeNPC) {
             return null;
@@ -112,7 +113,7 @@ class NPCMaterializer {
         const npc = this.world.getEntity(activeNPC.entityId);
         if (!npc) {
             this.activeNPCs.delete(shipId);
-            this.strategicTrafficManager.setMaterialized(shipId, false);
+            this.strategicTrafficManager.setMaterialized(shipId, false, nowSeconds);
             return null;
         }
 
@@ -125,7 +126,7 @@ class NPCMaterializer {
             return;
         }
 
-        const escortSpeedVariation = 0.95 + ((ship.encounterSeed ?? Math.random()) * 0.10);
+        const escortSpeedVariation = 0.95 + ((ship.encounterSeed ?? this.rng()) * 0.10);
         const escort = this.npcManager.spawnStrategicEscort({
             strategicShip: ship,
             x: escortPosition.x,
@@ -168,7 +169,7 @@ class NPCMaterializer {
         const forwardY = dy / length;
         const perpendicularX = -forwardY;
         const perpendicularY = forwardX;
-        const offsetDirection = ((ship.encounterSeed ?? Math.random()) < 0.5) ? -1 : 1;
+        const offsetDirection = ((ship.encounterSeed ?? this.rng()) < 0.5) ? -1 : 1;
         const sideOffset = 70;
         const trailingOffset = 35;
 
@@ -376,7 +377,7 @@ class NPCMaterializer {
             }
         }
 
-        const roll = Math.random();
+        const roll = this.rng();
         let pool;
         if (buckets.crossing.length > 0 && roll < 0.5) {
             pool = buckets.crossing;
@@ -390,7 +391,7 @@ class NPCMaterializer {
             pool = buckets.oncoming;
         }
 
-        const laneHeading = pool[Math.floor(Math.random() * pool.length)];
+        const laneHeading = pool[Math.floor(this.rng() * pool.length)];
         const localVariance = this._randomBetween(-Math.PI / 12, Math.PI / 12);
         return laneHeading + localVariance;
     }
@@ -525,7 +526,7 @@ class NPCMaterializer {
     }
 
     _randomBetween(min, max) {
-        return min + (Math.random() * (max - min));
+        return min + (this.rng() * (max - min));
     }
 
     _normalizeAngle(angle) {
@@ -541,11 +542,11 @@ class NPCMaterializer {
 
     _shouldRetainLocalTrafficForCombat(npc, nowSeconds) {
         const lastCombatTime = Math.max(
-            npc.lastDamageTime || 0,
-            npc.lastAttackTime || 0
+            npc.lastDamageTime ?? -Infinity,
+            npc.lastAttackTime ?? -Infinity
         );
 
-        if (lastCombatTime > 0 && (nowSeconds - lastCombatTime) <= this.localCombatRetentionSeconds) {
+        if ((nowSeconds - lastCombatTime) <= this.localCombatRetentionSeconds) {
             return true;
         }
 
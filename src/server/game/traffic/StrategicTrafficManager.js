@@ -1,5 +1,6 @@
 const GameConfig = require('../config/GameConfig');
 const { TRAFFIC } = GameConfig;
+const { isIllegalGood } = require('../entities/Goods');
 const {
     getRegionProfileForHarbor,
     chooseShipTypeForRegion,
@@ -7,10 +8,22 @@ const {
     generateUniqueShipName
 } = require('../world/RegionProfiles');
 
+/**
+ * StrategicTrafficManager - the ships sailing between harbors, on and off screen
+ *
+ * Traders carry goods: at each departure a trader loads one of its origin
+ * harbor's export goods out of that harbor's stock, and on arrival it unloads
+ * them into the destination's stock (HarborMarkets). A trader that is sunk
+ * on the way takes its cargo with it, so piracy on a lane starves the harbor
+ * at its end. Without harborMarkets (tests) ships sail empty.
+ */
 class StrategicTrafficManager {
     constructor(routePlanner, harborRegistry, options = {}) {
         this.routePlanner = routePlanner;
         this.harborRegistry = harborRegistry;
+        this.harborMarkets = options.harborMarkets ?? null;
+        this.rng = options.rng ?? Math.random;
+        this.traderCargoUnits = options.traderCargoUnits ?? TRAFFIC.TRADER_CARGO_UNITS;
         this.maxStrategicShips = options.maxStrategicShips || TRAFFIC.STRATEGIC_MAX_SHIPS;
         this.minActiveRoutes = options.minActiveRoutes || TRAFFIC.STRATEGIC_MIN_ACTIVE_ROUTES;
         this.maxActiveRoutes = options.maxActiveRoutes || TRAFFIC.STRATEGIC_MAX_ACTIVE_ROUTES;
@@ -98,9 +111,10 @@ class StrategicTrafficManager {
                     routeDistance: candidate.route.totalDistance,
                     regionId: regionProfile.id,
                     shipClassName: chooseShipTypeForRegion(regionProfile, trafficType, () => this._hashToUnit(`${seed}:ship`)),
-                    shipName: generateUniqueShipName(regionProfile),
+                    shipName: generateUniqueShipName(regionProfile, undefined, this.rng),
                     encounterType,
                     encounterSeed,
+                    cargo: {},
                     currentPosition: this.routePlanner.samplePositionOnRoute(
                         originHarborId,
                         destinationHarborId,
@@ -109,6 +123,8 @@ class StrategicTrafficManager {
                     )
                 };
 
+                // Already at sea: loaded before the world began, not out of today's stock
+                this._loadCargo(ship, this._hashToUnit(`${seed}:cargo`), false);
                 this.strategicShips.set(ship.id, ship);
             }
         }
@@ -160,6 +176,78 @@ class StrategicTrafficManager {
         this.refreshSpatialIndex();
     }
 
+    /**
+     * Route state of every strategic ship, for the world checkpoint. Positions
+     * and timestamps are left out: both are derived again on restore.
+     */
+    exportState() {
+        return {
+            shipIdCounter: this.shipIdCounter,
+            ships: this.getAllShips().map(ship => ({
+                id: ship.id,
+                type: ship.type,
+                originHarborId: ship.originHarborId,
+                destinationHarborId: ship.destinationHarborId,
+                routeNodes: [...ship.routeNodes],
+                progress: ship.progress,
+                speed: ship.speed,
+                routeDistance: ship.routeDistance,
+                regionId: ship.regionId,
+                shipClassName: ship.shipClassName,
+                shipName: ship.shipName,
+                encounterType: ship.encounterType,
+                encounterSeed: ship.encounterSeed,
+                cargo: { ...ship.cargo }
+            }))
+        };
+    }
+
+    /**
+     * Replace the current traffic with a checkpoint from exportState().
+     * All or nothing: if any ship's route no longer exists (harbors or
+     * waypoints changed since the checkpoint), the current traffic is kept.
+     * @returns {boolean} True if the checkpoint was used
+     */
+    importState(state, nowSeconds = Date.now() / 1000) {
+        // Materialized NPCs would be left without their strategic ship
+        if (this.materializedShips.size > 0) {
+            return false;
+        }
+
+        const ships = state && Array.isArray(state.ships) ? state.ships : null;
+        if (!ships || ships.length === 0 || !Number.isInteger(state.shipIdCounter)
+            || !ships.every(ship => this._isRestorableShip(ship))) {
+            return false;
+        }
+
+        this.strategicShips.clear();
+        for (const saved of ships) {
+            const ship = {
+                ...saved,
+                routeNodes: [...saved.routeNodes],
+                progress: Math.min(Math.max(saved.progress, 0), 1),
+                // Checkpoints from before traders carried goods have no cargo
+                cargo: Object.fromEntries(Object.entries(saved.cargo || {})
+                    .filter(([, quantity]) => Number.isInteger(quantity) && quantity > 0)),
+                lastUpdateTime: nowSeconds,
+                currentPosition: null
+            };
+            ship.currentPosition = this.routePlanner.samplePositionOnRoute(
+                ship.originHarborId,
+                ship.destinationHarborId,
+                ship.routeNodes,
+                ship.progress
+            );
+            this.strategicShips.set(ship.id, ship);
+        }
+
+        this.shipIdCounter = state.shipIdCounter;
+        this.updateAccumulator = 0;
+        this.initialized = true;
+        this.refreshSpatialIndex();
+        return true;
+    }
+
     getAllShips() {
         return Array.from(this.strategicShips.values());
     }
@@ -217,12 +305,29 @@ class StrategicTrafficManager {
         return ship.progress;
     }
 
+    /**
+     * Remove and return a ship's cargo (the ship was sunk)
+     * @returns {Object} goodId -> quantity
+     */
+    takeCargo(shipId) {
+        const ship = this.getShip(shipId);
+        if (!ship) {
+            return {};
+        }
+
+        const cargo = ship.cargo;
+        ship.cargo = {};
+        return cargo;
+    }
+
     handleArrival(shipId, nowSeconds = Date.now() / 1000, overflowDistance = 0) {
         const ship = this.getShip(shipId);
         if (!ship) {
             return;
         }
 
+        this._deliverCargo(ship);
+
         const previousOrigin = ship.originHarborId;
         ship.originHarborId = ship.destinationHarborId;
         ship.destinationHarborId = previousOrigin;
@@ -235,6 +340,7 @@ class StrategicTrafficManager {
             ship.routeNodes,
             ship.progress
         );
+        this._loadCargo(ship, this.rng(), true);
 
         if (overflowDistance > 0 && ship.routeDistance > 0) {
             this._advanceShipByDistance(ship, overflowDistance, nowSeconds);
@@ -283,6 +389,47 @@ class StrategicTrafficManager {
         return Array.from(nearbyShips.values());
     }
 
+    /**
+     * Load a trader with one of its origin harbor's export goods, picked by `roll`.
+     * Pirates and traders leaving harbors without exports sail empty.
+     */
+    _loadCargo(ship, roll, takeFromStock) {
+        ship.cargo = {};
+        if (!this.harborMarkets || ship.type !== 'TRADER') {
+            return;
+        }
+
+        const economy = this.harborMarkets.getEconomy(ship.originHarborId);
+        // Honest traders leave the contraband to the smugglers
+        const exports = economy
+            ? economy.goods.filter(good => good.tier === 'EXPORT' && !isIllegalGood(good.id))
+            : [];
+        if (exports.length === 0) {
+            return;
+        }
+
+        const good = exports[Math.min(exports.length - 1, Math.floor(roll * exports.length))];
+        const quantity = takeFromStock ? Math.min(this.traderCargoUnits, good.stock) : this.traderCargoUnits;
+        if (quantity <= 0) {
+            return;
+        }
+
+        if (takeFromStock) {
+            this.harborMarkets.changeStock(ship.originHarborId, good.id, -quantity);
+        }
+        ship.cargo[good.id] = quantity;
+    }
+
+    // Goods the destination does not trade are sold off the books and leave the economy
+    _deliverCargo(ship) {
+        if (this.harborMarkets) {
+            for (const [goodId, quantity] of Object.entries(ship.cargo || {})) {
+                this.harborMarkets.changeStock(ship.destinationHarborId, goodId, quantity);
+            }
+        }
+        ship.cargo = {};
+    }
+
     _advanceShipByDistance(ship, distance, nowSeconds) {
         let remainingDistance = distance;
 
@@ -353,6 +500,22 @@ class StrategicTrafficManager {
         return preferred.slice(0, routeCount);
     }
 
+    _isRestorableShip(ship) {
+        if (!ship || typeof ship.id !== 'string' || !Array.isArray(ship.routeNodes)) {
+            return false;
+        }
+        if (!this.harborMap.has(ship.originHarborId) || !this.harborMap.has(ship.destinationHarborId)) {
+            return false;
+        }
+        if (!Number.isFinite(ship.progress) || !Number.isFinite(ship.speed) || !Number.isFinite(ship.routeDistance)) {
+            return false;
+        }
+
+        // Same route as when saved: the distance changes with any harbor or waypoint move
+        const geometry = this.routePlanner.getRouteGeometry(ship.originHarborId, ship.destinationHarborId, ship.routeNodes);
+        return geometry !== null && Math.abs(geometry.totalDistance - ship.routeDistance) < 1;
+    }
+
     _hashToUnit(input) {
         let hash = 2166136261;
         for (let i = 0; i < input.length; i++) {
@@ -0,0 +1,67 @@
+/**
+ * RandomStreams - seeded random numbers for the simulation
+ *
+ * One world seed, one independent stream per subsystem ('wind', 'loot',
+ * 'traffic', ...). A stream is a plain function returning [0, 1), so it can be
+ * passed anywhere the code used Math.random (see the rng parameters in RegionProfiles).
+ *
+ * Streams are independent: extra rolls in one subsystem (e.g. more NPCs spawning)
+ * do not shift the sequence of another (e.g. wind changes). A server started with
+ * the same seed and the same inputs replays the same wind, loot, traffic and missions.
+ */
+class RandomStreams {
+    /**
+     * @param {number} seed - 32-bit unsigned world seed
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.streams = new Map(); // name -> rng function
+    }
+
+    /**
+     * Get the stream for a subsystem (created on first use, then shared)
+     * @param {string} name - Subsystem name
+     * @returns {function(): number} Generator returning floats in [0, 1)
+     */
+    stream(name) {
+        let rng = this.streams.get(name);
+        if (!rng) {
+            rng = createGenerator(hashString(name) ^ this.seed);
+            this.streams.set(name, rng);
+        }
+        return rng;
+    }
+
+    /**
+     * Fresh 32-bit seed for servers started without one
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+}
+
+/**
+ * mulberry32 - small, fast 32-bit generator (plenty for gameplay rolls)
+ */
+function createGenerator(seed) {
+    let state = seed >>> 0;
+    return function rng() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+// FNV-1a, so stream names map to well-spread sub-seeds
+function hashString(input) {
+    let hash = 2166136261;
+    for (let i = 0; i < input.length; i++) {
+        hash ^= input.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+module.exports = RandomStreams;
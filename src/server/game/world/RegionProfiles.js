@@ -9,8 +9,9 @@ const REGION_PROFILES = {
             PIRATE: ['SLOOP', 'BARQUE'],
             PATROL: ['SLOOP', 'FRIGATE']
         },
-        traderRatio: 0.85,
+        traderRatio: 0.75,
         pirateRatio: 0.15,
+        patrolRatio: 0.1,
         namePool: {
             prefixes: ['King', 'Royal', 'North', 'Crown', 'Oak', 'Stalwart'],
             nouns: ['Fortune', 'Meridian', 'Harbor', 'Voyager', 'Mariner', 'Endeavour']
@@ -24,8 +25,9 @@ const REGION_PROFILES = {
             PIRATE: ['SLOOP', 'BARQUE', 'FLUYT'],
             PATROL: ['FRIGATE', 'SPANISH_GALLEON']
         },
-        traderRatio: 0.8,
+        traderRatio: 0.7,
         pirateRatio: 0.2,
+        patrolRatio: 0.1,
         namePool: {
             prefixes: ['Santa', 'Golden', 'Nueva', 'Mar', 'Sol', 'San'],
             nouns: ['Esperanza', 'Corona', 'Viento', 'Sirena', 'Tesoro', 'Gloria']
@@ -39,8 +41,9 @@ const REGION_PROFILES = {
             PIRATE: ['SLOOP', 'BARQUE'],
             PATROL: ['BARQUE', 'FRIGATE']
         },
-        traderRatio: 0.82,
+        traderRatio: 0.74,
         pirateRatio: 0.18,
+        patrolRatio: 0.08,
         namePool: {
             prefixes: ['Belle', 'La', 'Azure', 'Coeur', 'Grand', 'Vive'],
             nouns: ['Brise', 'Aurore', 'Fortune', 'Lanterne', 'Victoire', 'Marche']
@@ -54,8 +57,9 @@ const REGION_PROFILES = {
             PIRATE: ['SLOOP', 'BARQUE'],
             PATROL: ['BARQUE', 'FRIGATE']
         },
-        traderRatio: 0.88,
+        traderRatio: 0.8,
         pirateRatio: 0.12,
+        patrolRatio: 0.08,
         namePool: {
             prefixes: ['De', 'Nieuw', 'Staten', 'Vrije', 'Wind', 'Zee'],
             nouns: ['Handel', 'Compagnie', 'Meeuw', 'Ster', 'Haven', 'Fortuin']
@@ -71,6 +75,7 @@ const REGION_PROFILES = {
         },
         traderRatio: 0.6,
         pirateRatio: 0.4,
+        patrolRatio: 0,
         namePool: {
             prefixes: ['Black', 'Rogue', 'Skull', 'Salt', 'Dead', 'Crimson'],
             nouns: ['Fortune', 'Revenge', 'Marauder', 'Current', 'Cutlass', 'Wake']
@@ -86,6 +91,7 @@ const REGION_PROFILES = {
         },
         traderRatio: 0.84,
         pirateRatio: 0.16,
+        patrolRatio: 0,
         namePool: {
             prefixes: ['Sea', 'Far', 'Blue', 'Swift', 'Deep', 'West'],
             nouns: ['Runner', 'Voyage', 'Lark', 'Horizon', 'Current', 'Trader']
@@ -133,10 +139,16 @@ function chooseShipTypeForRegion(regionProfile, role, rng = Math.random) {
     return shipTypes[Math.max(0, Math.min(shipTypes.length - 1, index))];
 }
 
+// Nation waters have patrols (they search ships for contraband, see Customs.js); pirate waters and the open sea do not
 function chooseTrafficRoleForRegion(regionProfile, rng = Math.random) {
-    if (rng() < (regionProfile?.pirateRatio ?? REGION_PROFILES.OPEN_SEA.pirateRatio)) {
+    const roll = rng();
+    const pirateRatio = regionProfile?.pirateRatio ?? REGION_PROFILES.OPEN_SEA.pirateRatio;
+    if (roll < pirateRatio) {
         return 'PIRATE';
     }
+    if (roll < pirateRatio + (regionProfile?.patrolRatio ?? 0)) {
+        return 'PATROL';
+    }
 
     return 'TRADER';
 }
@@ -0,0 +1,40 @@
+/**
+ * SimulationClock - game time that only moves when the simulation steps
+ *
+ * Timers that affect gameplay (shields, reloads, wreck despawn, NPC AI timers,
+ * traffic schedules) read this clock instead of Date.now(). GameLoop advances it
+ * by exactly one fixed step per tick, so the same inputs produce the same world
+ * regardless of timer jitter or server load.
+ *
+ * Starts at 0 on every boot: adding fixed steps to a large wall-clock value
+ * rounds differently depending on when the server started. Saves and the
+ * world checkpoint store time left, never absolute simulation time, and logs
+ * use wall-clock time.
+ */
+class SimulationClock {
+    constructor(startSeconds = 0) {
+        this.time = startSeconds;
+    }
+
+    /** @returns {number} Simulation time in seconds */
+    now() {
+        return this.time;
+    }
+
+    /** @returns {number} Simulation time in milliseconds */
+    nowMs() {
+        return this.time * 1000;
+    }
+
+    advance(deltaTime) {
+        this.time += deltaTime;
+    }
+}
+
+// Fallback for entities created outside a World (unit tests, tools): plain wall-clock time
+const systemClock = {
+    now: () => Date.now() / 1000,
+    nowMs: () => Date.now()
+};
+
+module.exports = { SimulationClock, systemClock };
@@ -0,0 +1,104 @@
+const GameConfig = require('../config/GameConfig');
+const { GAME, NETWORK } = GameConfig;
+
+/**
+ * TransformHistory - ring buffer of recent ship transforms for lag compensation
+ *
+ * A high-ping player aims at ships as they were on their screen, which is some
+ * time in the past on the server. World records every ship's pose once per step;
+ * projectile collision can then test against where a target *was* when the
+ * shooter saw it (see World.getCompensatedPose).
+ *
+ * Only the last LAG_COMPENSATION_MAX_MS of history is kept, so the buffer is a
+ * fixed-size array that is overwritten in place.
+ */
+class TransformHistory {
+    constructor(options = {}) {
+        const windowSeconds = (options.maxRewindMs ?? NETWORK.LAG_COMPENSATION_MAX_MS) / 1000;
+        const tickRate = options.tickRate ?? GAME.TICK_RATE;
+
+        // +2 so a sample at exactly the window edge still has a frame on both sides
+        this.capacity = Math.ceil(windowSeconds * tickRate) + 2;
+        this.frames = new Array(this.capacity).fill(null); // { time, poses: Map<id, {x, y, rotation}> }
+        this.head = 0;   // Next slot to write
+        this.count = 0;
+    }
+
+    /**
+     * Record the current pose of every ship
+     * @param {number} time - Simulation time (seconds)
+     * @param {Object} entities - world.entities
+     */
+    record(time, entities) {
+        const poses = new Map();
+        for (const id in entities) {
+            const ent = entities[id];
+            if (ent.type !== 'PLAYER' && ent.type !== 'NPC') continue;
+            poses.set(id, { x: ent.x, y: ent.y, rotation: ent.rotation });
+        }
+
+        this.frames[this.head] = { time, poses };
+        this.head = (this.head + 1) % this.capacity;
+        this.count = Math.min(this.count + 1, this.capacity);
+    }
+
+    /**
+     * Pose of a ship at a past time, interpolated between the recorded frames
+     * @returns {{x, y, rotation}|null} null when the time or ship is not in the buffer
+     */
+    sample(id, time) {
+        // Walk from newest to oldest
+        let newer = null;
+        for (let i = 1; i <= this.count; i++) {
+            const frame = this.frames[(this.head - i + this.capacity) % this.capacity];
+            const pose = frame.poses.get(id);
+            if (!pose) return null; // Ship did not exist yet - no history to rewind to
+
+            if (frame.time <= time) {
+                if (!newer || frame.time === time) return { ...pose };
+
+                const t = (time - frame.time) / (newer.time - frame.time);
+                const next = newer.poses.get(id);
+                return {
+                    x: lerpPosition(pose.x, next.x, t, GAME.WORLD_WIDTH),
+                    y: lerpPosition(pose.y, next.y, t, GAME.WORLD_HEIGHT),
+                    rotation: lerpAngle(pose.rotation, next.rotation, t)
+                };
+            }
+            newer = frame;
+        }
+        return null;
+    }
+
+    /**
+     * Move a ship's recorded poses to a new id (player resumed on a new socket)
+     */
+    renameId(oldId, newId) {
+        for (const frame of this.frames) {
+            if (!frame || !frame.poses.has(oldId)) continue;
+            frame.poses.set(newId, frame.poses.get(oldId));
+            frame.poses.delete(oldId);
+        }
+    }
+
+    clear() {
+        this.frames.fill(null);
+        this.head = 0;
+        this.count = 0;
+    }
+}
+
+function lerpPosition(a, b, t, worldSize) {
+    // Wrapped across the world edge between two frames: don't sweep across the map
+    if (Math.abs(b - a) > worldSize / 2) return t < 0.5 ? a : b;
+    return a + (b - a) * t;
+}
+
+function lerpAngle(a, b, t) {
+    let diff = b - a;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return a + diff * t;
+}
+
+module.exports = TransformHistory;
@@ -3,18 +3,39 @@ const Wreck = require('../entities/Wreck');
 const Wind = require('../entities/Wind');
 const Harbor = require('./Harbor');
 const GameConfig = require('../config/GameConfig');
-const { GAME, COMBAT } = GameConfig;
+const { GAME, COMBAT, NETWORK } = GameConfig;
 const WorldMap = require('./WorldMap');
 const HarborRegistry = require('./HarborRegistry');
+const HarborMarkets = require('../economy/HarborMarkets');
+const PriceHistory = require('../economy/PriceHistory');
+const Customs = require('../economy/Customs');
 const NPCManager = require('../npc/NPCManager');
 const RewardSystem = require('../progression/RewardSystem');
 const WaypointGraph = require('../navigation/WaypointGraph');
 const RoutePlanner = require('../traffic/RoutePlanner');
 const StrategicTrafficManager = require('../traffic/StrategicTrafficManager');
 const NPCMaterializer = require('../traffic/NPCMaterializer');
+const { SimulationClock } = require('./SimulationClock');
+const RandomStreams = require('./RandomStreams');
+const TransformHistory = require('./TransformHistory');
 
 class World {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {SimulationClock} options.clock - Shared simulation clock (GameLoop passes its own)
+     * @param {RandomStreams} options.random - Seeded random streams (GameLoop passes its own)
+     * @param {TransactionLedger} options.ledger - Records player gold/cargo/ship/XP changes (none if omitted)
+     */
+    constructor(options = {}) {
+        // Simulation time for all gameplay timers (advanced in update())
+        this.clock = options.clock ?? new SimulationClock();
+
+        // Seeded randomness - use this.random.stream(name), never Math.random, for gameplay rolls
+        this.random = options.random ?? new RandomStreams(RandomStreams.randomSeed());
+
+        // Player methods that change holdings write to it (economy/TransactionLedger.js)
+        this.ledger = options.ledger ?? null;
+
         // Load tile-based world map (replaces procedural generation)
         this.worldMap = new WorldMap(GAME.WORLD_MAP_PATH);
 
@@ -25,14 +46,20 @@ class World {
 
         this.entities = {};
         this.projectiles = [];
+
+        // Recent ship poses for lag-compensated projectile hits
+        this.transformHistory = new TransformHistory();
         this.projectileIdCounter = 0;
 
+        // Where projectiles ended since the last broadcast (drained by getSnapshot/getDelta)
+        this.impacts = [];
+
         // Wrecks
         this.wrecks = []; // transient list of Wreck objects
         this.wreckIdCounter = 0;
 
         // Wind system
-        this.wind = new Wind();
+        this.wind = new Wind(this.random.stream('wind'));
 
         // Load harbor registry (replaces hardcoded positions)
         // Phase 0: Economy - also loads trade profiles
@@ -41,6 +68,12 @@ class World {
             GAME.HARBOR_TRADE_PROFILES_PATH
         );
 
+        // Stock on hand at each harbor, which moves its prices
+        this.harborMarkets = new HarborMarkets(this.harborRegistry, { clock: this.clock });
+
+        // Prices captains have seen, for their price books and the route advisor
+        this.priceHistory = new PriceHistory();
+
         // Create Harbor instances from registry data
         // Pass exitDirection for orientation (stored data, no runtime detection needed)
         this.harbors = this.harborRegistry.getAllHarbors().map(data =>
@@ -53,7 +86,10 @@ class World {
 
         // Living world kernel
         this.routePlanner = new RoutePlanner(this.waypointGraph, this.harbors);
-        this.strategicTrafficManager = new StrategicTrafficManager(this.routePlanner, this.harborRegistry);
+        this.strategicTrafficManager = new StrategicTrafficManager(this.routePlanner, this.harborRegistry, {
+            rng: this.random.stream('traffic'),
+            harborMarkets: this.harborMarkets
+        });
 
         // NPC Manager (Phase 1: Trader NPCs)
         this.npcManager = new NPCManager(this);
@@ -61,9 +97,10 @@ class World {
             this,
             this.strategicTrafficManager,
             this.npcManager,
-            this.routePlanner
+            this.routePlanner,
+            { rng: this.random.stream('traffic') }
         );
-        this.strategicTrafficManager.initializeTraffic(Date.now() / 1000);
+        this.strategicTrafficManager.initializeTraffic(this.clock.now());
 
         // Reward System (Phase 2: Centralized rewards)
         this.rewardSystem = new RewardSystem(this);
@@ -72,6 +109,9 @@ class World {
         const MissionManager = require('../missions/MissionManager');
         this.missionManager = new MissionManager(this);
 
+        // Harbor and patrol searches for contraband
+        this.customs = new Customs(this, { rng: this.random.stream('customs') });
+
         // DEBUG ONLY: Track World creation for early-session collision diagnosis
         // NO gameplay behavior change
         if (COMBAT.DEBUG_INITIALIZATION) {
@@ -79,9 +119,13 @@ class World {
         }
     }
 
-    createWreck(x, y, ownerId, cargo) {
+    /**
+     * @param {Object} cargo - FleetCargo.serialize() of the sunk ship
+     * @param {Object} options - { gold } that went down with a captain's ship
+     */
+    createWreck(x, y, ownerId, cargo, options = {}) {
         const id = `wreck_${this.wreckIdCounter++}`;
-        const wreck = new Wreck(id, x, y, ownerId, cargo);
+        const wreck = new Wreck(id, x, y, ownerId, cargo, this.clock, this.random.stream('loot'), options);
         this.wrecks.push(wreck);
         console.log(`[World] Spawned wreck ${id} at (${x.toFixed(0)}, ${y.toFixed(0)})`);
         return wreck;
@@ -104,11 +148,12 @@ class World {
     }
 
     update(deltaTime) {
+        this.clock.advance(deltaTime);
+        const nowSeconds = this.clock.now();
+
         // Update Wind
         this.wind.update(deltaTime);
 
-        const nowSeconds = Date.now() / 1000;
-
         // Update abstract harbor-to-harbor traffic
         this.strategicTrafficManager.update(deltaTime, nowSeconds);
 
@@ -122,6 +167,9 @@ class World {
         // Update Missions (AFTER NPC AI, BEFORE entity movement)
         this.missionManager.update(deltaTime);
 
+        // Patrols hail and search captains at sea
+        this.customs.update(deltaTime);
+
         // Update Entities (Players + NPCs use SAME simulation core)
         for (const id in this.entities) {
             this.entities[id].update(deltaTime, this.wind, this.worldMap);
@@ -135,16 +183,26 @@ class World {
         // Resolve Ship-to-Ship Collisions (SAT-based separation)
         this.resolveShipCollisions(spatialHash, cellSize);
 
+        // Final ship poses of this step (lag compensation rewinds into these)
+        this.transformHistory.record(nowSeconds, this.entities);
+
         // Update Projectiles
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const proj = this.projectiles[i];
             proj.update(deltaTime);
 
+            // Land stops the ball: islands, peninsulas and harbors give cover
+            const shore = this.worldMap.traceLand(proj.prevX, proj.prevY, proj.x, proj.y);
+
             // Collision Detection with Rotated Rectangles
             // Use spatial hash to limit candidates to cells near the projectile.
             // The bounding-circle sqrt precheck is removed: the hash already restricts
             // candidates to the same neighbourhood more cheaply.
+            // The whole path travelled this step is tested (swept), and the earliest
+            // hull it enters wins, so a ball never passes through one ship into another.
             const candidates = this._getNearbyCells(proj.x, proj.y, cellSize, spatialHash);
+            let hit = null;
+            let target = null;
             for (const entity of candidates) {
                 // Skip owner (can't shoot yourself) and rafts (invulnerable)
                 if (entity.id === proj.ownerId) continue;
@@ -159,15 +217,27 @@ class World {
                     console.log(`[DEBUG] Testing: dist=${distance.toFixed(2)}px | Hitbox: ${hitbox.width.toFixed(1)}x${hitbox.height.toFixed(1)} | Rotation=${entity.rotation.toFixed(2)} | Ship pos=(${entity.x.toFixed(1)}, ${entity.y.toFixed(1)}) | Proj=(${proj.x.toFixed(1)}, ${proj.y.toFixed(1)})`);
                 }
 
-                // Test rotated rectangle collision
-                if (this.testRotatedRectCollision(entity, proj)) {
-                    // Pass owner ID as damage source for retaliation tracking
-                    entity.takeDamage(proj.damage, proj.ownerId, proj.damageProfile);
-                    proj.toRemove = true;
-                    break;
+                // Test rotated rectangle collision against the target as the shooter saw it
+                const pose = this.getCompensatedPose(entity, proj, nowSeconds);
+                const candidateHit = this.testRotatedRectCollision(entity, proj, pose);
+                if (candidateHit && (!hit || candidateHit.t < hit.t)) {
+                    hit = candidateHit;
+                    target = entity;
                 }
             }
 
+            if (hit && (!shore || hit.t <= shore.t)) {
+                // Pass owner ID as damage source for retaliation tracking
+                target.takeDamage(proj.damage, proj.ownerId, proj.damageProfile);
+                proj.toRemove = true;
+                this.impacts.push({ kind: 'hull', x: hit.x, y: hit.y, targetId: target.id, ammoType: proj.ammoType });
+            } else if (shore) {
+                proj.toRemove = true;
+                this.impacts.push({ kind: 'shore', x: shore.x, y: shore.y, ammoType: proj.ammoType });
+            } else if (proj.toRemove) {
+                this.impacts.push({ kind: 'water', x: proj.x, y: proj.y, ammoType: proj.ammoType });
+            }
+
             if (proj.toRemove) {
                 this.projectiles.splice(i, 1);
             }
@@ -185,7 +255,7 @@ class World {
     }
 
     /**
-     * Test collision between projectile and ship using rotated rectangle
+     * Swept collision between a projectile and a ship's rotated rectangle
      * 
      * DESIGN CONTRACT: Rotation coordinate system
      * - 0 radians = ship facing north (up, -Y direction)
@@ -193,45 +263,98 @@ class World {
      * - Transform projectile to ship-local space by rotating by -ship.rotation
      * 
      * Algorithm:
-     * 1. Translate projectile position relative to ship center
-     * 2. Rotate projectile by -ship.rotation to align with ship's axes
-     * 3. Test if rotated point is inside axis-aligned rectangle
+     * 1. Translate the projectile's step segment (prev -> current) relative to ship center
+     * 2. Rotate both ends by -ship.rotation to align with ship's axes
+     * 3. Clip the segment against the axis-aligned rectangle (Liang-Barsky)
+     * 4. The entry point of the clipped segment is the hit point
+     * 
+     * A point test at the current position alone lets a fast ball step over a
+     * narrow hull between two ticks; the segment test cannot miss it.
      * 
      * @param {Player} ship - The ship entity
-     * @param {Projectile} projectile - The projectile to test
-     * @returns {boolean} - True if collision detected
+     * @param {Projectile} projectile - The projectile to test (uses prevX/prevY and x/y)
+     * @param {{x, y, rotation}} pose - Ship transform to test against (default: current)
+     * @returns {{x: number, y: number, t: number}|null} World-space hit point and
+     *   fraction of the step (0 = prev, 1 = current) where the ball entered the hull,
+     *   or null on a miss
      */
-    testRotatedRectCollision(ship, projectile) {
+    testRotatedRectCollision(ship, projectile, pose = ship) {
         // Get hitbox dimensions from ship
         const hitbox = ship.flagship.getHitbox();
         const halfWidth = hitbox.width / 2;
         const halfHeight = hitbox.height / 2;
 
-        // Step 1: Translate projectile to ship-relative coordinates
-        const dx = projectile.x - ship.x;
-        const dy = projectile.y - ship.y;
-
-        // Step 2: Rotate projectile into ship's local coordinate system
-        // Rotate by -ship.rotation to counter the ship's rotation
-        // This makes the ship appear axis-aligned in local space
-        const cosAngle = Math.cos(-ship.rotation);
-        const sinAngle = Math.sin(-ship.rotation);
+        // Steps 1-2: Segment start and direction in ship-local space
+        const cosAngle = Math.cos(-pose.rotation);
+        const sinAngle = Math.sin(-pose.rotation);
+        const toLocal = (x, y) => {
+            const dx = x - pose.x;
+            const dy = y - pose.y;
+            return { x: dx * cosAngle - dy * sinAngle, y: dx * sinAngle + dy * cosAngle };
+        };
 
-        const localX = dx * cosAngle - dy * sinAngle;
-        const localY = dx * sinAngle + dy * cosAngle;
+        const startX = projectile.prevX ?? projectile.x;
+        const startY = projectile.prevY ?? projectile.y;
+        const start = toLocal(startX, startY);
+        const end = toLocal(projectile.x, projectile.y);
+
+        // Step 3: Clip against each slab of the rectangle
+        let tEnter = 0;
+        let tExit = 1;
+        const slabs = [
+            [start.x, end.x - start.x, halfWidth],
+            [start.y, end.y - start.y, halfHeight]
+        ];
+        for (const [origin, delta, half] of slabs) {
+            if (delta === 0) {
+                // Parallel to this slab: inside for the whole step or never
+                if (Math.abs(origin) > half) return null;
+                continue;
+            }
+            let t0 = (-half - origin) / delta;
+            let t1 = (half - origin) / delta;
+            if (t0 > t1) [t0, t1] = [t1, t0];
+            tEnter = Math.max(tEnter, t0);
+            tExit = Math.min(tExit, t1);
+            if (tEnter > tExit) return null;
+        }
 
-        // Step 3: Test against axis-aligned rectangle
-        // In local space, ship is centered at (0,0) and axis-aligned
-        // Simple rectangle containment test
-        return Math.abs(localX) <= halfWidth && Math.abs(localY) <= halfHeight;
+        // Step 4: Entry point back in world space
+        return {
+            x: startX + (projectile.x - startX) * tEnter,
+            y: startY + (projectile.y - startY) * tEnter,
+            t: tEnter
+        };
     }
 
     createProjectile(ownerId, x, y, rotation, ammoType) {
         const id = `proj_${this.projectileIdCounter++}`;
         const projectile = new Projectile(id, ownerId, x, y, rotation, undefined, ammoType);
+        projectile.rewind = this.getLagCompensation(this.entities[ownerId]);
         this.projectiles.push(projectile);
     }
 
+    /**
+     * How far back (seconds) targets are rewound for a shooter's projectiles.
+     * A player aimed at ships drawn one round trip plus the client interpolation
+     * delay in the past. NPCs fire on the server itself and get no rewind.
+     */
+    getLagCompensation(shooter) {
+        if (!shooter || shooter.type !== 'PLAYER' || !shooter.latency) return 0;
+
+        const rewindMs = shooter.latency * 1000 + NETWORK.CLIENT_INTERPOLATION_DELAY_MS;
+        return Math.min(rewindMs, NETWORK.LAG_COMPENSATION_MAX_MS) / 1000;
+    }
+
+    /**
+     * Target pose to test a projectile against: rewound by the projectile's lag
+     * compensation when history is available, otherwise the current pose.
+     */
+    getCompensatedPose(ship, projectile, nowSeconds) {
+        if (!projectile.rewind) return ship;
+        return this.transformHistory.sample(ship.id, nowSeconds - projectile.rewind) ?? ship;
+    }
+
     addEntity(entity) {
         this.entities[entity.id] = entity;
 
@@ -245,12 +368,50 @@ class World {
 
     removeEntity(id) {
         delete this.entities[id];
+        this.customs.removePlayer(id);
     }
 
     getEntity(id) {
         return this.entities[id];
     }
 
+    /**
+     * Re-key an entity and every reference to it. Player ids are socket ids,
+     * so a player who reconnects on a new socket keeps their ship, cannonballs
+     * in flight, wreck claims, mission and the NPCs fighting them.
+     */
+    renameEntity(oldId, newId) {
+        const entity = this.entities[oldId];
+        if (!entity || oldId === newId) return false;
+
+        delete this.entities[oldId];
+        entity.id = newId;
+        this.entities[newId] = entity;
+        this.transformHistory.renameId(oldId, newId);
+        this.missionManager.renamePlayer(oldId, newId);
+        this.customs.renamePlayer(oldId, newId);
+
+        for (const projectile of this.projectiles) {
+            if (projectile.ownerId === oldId) projectile.ownerId = newId;
+        }
+        for (const wreck of this.wrecks) {
+            if (wreck.ownerId === oldId) wreck.ownerId = newId;
+        }
+
+        for (const id in this.entities) {
+            const other = this.entities[id];
+            if (other.lastDamageSource?.playerId === oldId) other.lastDamageSource.playerId = newId;
+            if (other.boardingTarget?.playerId === oldId) other.boardingTarget.playerId = newId;
+            if (other.type !== 'NPC') continue;
+
+            if (other.combatTarget === oldId) other.combatTarget = newId;
+            if (other.combat?.target === oldId) other.combat.target = newId;
+            if (other.lastAttacker === oldId) other.lastAttacker = newId;
+            if (other.intentData?.evadeFrom === oldId) other.intentData.evadeFrom = newId;
+        }
+        return true;
+    }
+
     getWreck(id) {
         return this.wrecks.find(w => w.id === id);
     }
@@ -262,33 +423,58 @@ class World {
         }
     }
 
+    /**
+     * Hand over the impacts recorded since the last call.
+     * Several steps can run per broadcast, so impacts are collected across steps
+     * and sent exactly once.
+     */
+    takeImpacts() {
+        const impacts = this.impacts;
+        this.impacts = [];
+        return impacts;
+    }
+
     getSnapshot() {
         const state = {
             players: {},
             projectiles: this.projectiles.map(p => p.serialize()),
             wrecks: this.wrecks.map(w => w.serialize()),
+            impacts: this.takeImpacts(),
             wind: this.wind.serialize()
         };
         for (const id in this.entities) {
             // Include both PLAYER and NPC entities
             // NPCs serialize identically to players for client rendering
             if (this.entities[id].type === 'PLAYER' || this.entities[id].type === 'NPC') {
-                state.players[id] = this.entities[id].serialize();
-
-                // Add mission data for players only (Phase 0: Mission scaffolding)
-                if (this.entities[id].type === 'PLAYER') {
-                    state.players[id].mission = this.missionManager.serializeForPlayer(id);
-                }
+                state.players[id] = this.serializeEntity(id);
             }
         }
         return state;
     }
 
+    /**
+     * Full snapshot representation of a single ship entity.
+     * Used by getSnapshot() and by interest management when a ship enters a player's view.
+     */
+    serializeEntity(id) {
+        const entity = this.entities[id];
+        if (!entity) return null;
+
+        const data = entity.serialize();
+
+        // Add mission data for players only (Phase 0: Mission scaffolding)
+        if (entity.type === 'PLAYER') {
+            data.mission = this.missionManager.serializeForPlayer(id);
+        }
+        return data;
+    }
+
     getDelta() {
         const state = {
             players: {},
             projectiles: this.projectiles.map(p => p.serialize()),
-            wrecks: this.wrecks.map(w => w.serialize())
+            wrecks: this.wrecks.map(w => w.serialize()),
+            impacts: this.takeImpacts()
         };
         for (const id in this.entities) {
             const e = this.entities[id];
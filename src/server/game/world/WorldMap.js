@@ -182,6 +182,56 @@ class WorldMap {
         return terrain === TERRAIN.WATER || terrain === TERRAIN.SHALLOW;
     }
 
+    /**
+     * Find where a straight segment first enters a LAND tile
+     * Walks every tile the segment touches (grid traversal), so a fast
+     * projectile cannot skip over a one-tile island between two ticks.
+     * @param {number} x0 - Segment start X (world)
+     * @param {number} y0 - Segment start Y (world)
+     * @param {number} x1 - Segment end X (world)
+     * @param {number} y1 - Segment end Y (world)
+     * @returns {{x: number, y: number, t: number}|null} Entry point and fraction
+     *   along the segment (0 = start, 1 = end), or null if the path stays on water
+     */
+    traceLand(x0, y0, x1, y1) {
+        let { tileX, tileY } = this.worldToTile(x0, y0);
+        if (this.getTileByGrid(tileX, tileY) === TERRAIN.LAND) {
+            return { x: x0, y: y0, t: 0 };
+        }
+
+        const end = this.worldToTile(x1, y1);
+        const dx = x1 - x0;
+        const dy = y1 - y0;
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+
+        // Fraction of the segment at which the next vertical / horizontal tile edge is crossed
+        let tNextX = stepX === 0 ? Infinity : ((tileX + (stepX > 0 ? 1 : 0)) * this.tileSize - x0) / dx;
+        let tNextY = stepY === 0 ? Infinity : ((tileY + (stepY > 0 ? 1 : 0)) * this.tileSize - y0) / dy;
+        const tStepX = stepX === 0 ? Infinity : this.tileSize / Math.abs(dx);
+        const tStepY = stepY === 0 ? Infinity : this.tileSize / Math.abs(dy);
+
+        while (tileX !== end.tileX || tileY !== end.tileY) {
+            let t;
+            if (tNextX < tNextY) {
+                t = tNextX;
+                tNextX += tStepX;
+                tileX += stepX;
+            } else {
+                t = tNextY;
+                tNextY += tStepY;
+                tileY += stepY;
+            }
+            if (t > 1) break; // Rounding at the end tile
+
+            if (this.getTileByGrid(tileX, tileY) === TERRAIN.LAND) {
+                return { x: x0 + dx * t, y: y0 + dy * t, t };
+            }
+        }
+
+        return null;
+    }
+
     /**
      * Get map dimensions in world coordinates
      * @returns {{width: number, height: number}}
@@ -1,10 +1,17 @@
+require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const GameLoop = require('./game/GameLoop');
+const { GAME } = require('./game/config/GameConfig');
 const ChangelogParser = require('./utils/ChangelogParser');
 const DatabaseService = require('./database/DatabaseService');
+const { canUseEvent } = require('./admin/Roles');
+const { createAdminApi } = require('./admin/AdminApi');
+const SanctionList = require('./admin/SanctionList');
+const AccountService = require('./accounts/AccountService');
+const { createAccountsApi } = require('./accounts/AccountsApi');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,18 +22,17 @@ const changelogParser = new ChangelogParser(path.join(__dirname, '../../docs/met
 const recentChangelogs = changelogParser.getRecent(3); // Fetch last 3 versions
 
 const PORT = process.env.PORT || 3000;
-const MAX_PLAYERS = 20; // Server capacity limit
+const MAX_PLAYERS = Number(process.env.MAX_PLAYERS) || 20; // Server capacity limit (raised by the load test)
 
-// Player tracking
-let playerCount = 0;
+// Disconnect reasons that look like a dropped connection rather than leaving or being kicked;
+// those players are held for a reconnect (GameLoop.holdPlayer)
+const RECONNECTABLE_REASONS = new Set(['transport close', 'transport error', 'ping timeout']);
 
-// Ban system
-// To ban a player, add their IP address to this set
-// Example: bannedIPs.add('123.45.67.89');
-const bannedIPs = new Set([
-    // Add banned IPs here, one per line
-    // '123.45.67.89',
-]);
+// Bans and mutes by player token and/or IP (persisted, managed through the admin API)
+const sanctions = new SanctionList();
+
+// Player accounts and their captains over HTTP, session checked in the socket handshake
+const accounts = new AccountService();
 
 // Chat system
 const playerChatCooldowns = new Map(); // Track last message time per player
@@ -34,60 +40,259 @@ const playerChatCooldowns = new Map(); // Track last message time per player
 // Serve static files from the public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
+// WORLD_SEED replays wind, loot, traffic and mission rolls; anything but an integer
+// is ignored and the world gets its default (random) seed
+const WORLD_SEED = process.env.WORLD_SEED !== undefined && process.env.WORLD_SEED.trim() !== ''
+    ? Number(process.env.WORLD_SEED)
+    : undefined;
+if (process.env.WORLD_SEED !== undefined && !Number.isInteger(WORLD_SEED)) {
+    console.warn(`[GameLoop] Ignoring WORLD_SEED "${process.env.WORLD_SEED}": not an integer`);
+}
+
 // Initialize Game Loop
-const gameLoop = new GameLoop(io);
+const gameLoop = new GameLoop(io, {
+    seed: Number.isInteger(WORLD_SEED) ? WORLD_SEED : undefined,
+    reconnectGraceMs: process.env.RECONNECT_GRACE_SECONDS !== undefined
+        ? Number(process.env.RECONNECT_GRACE_SECONDS) * 1000
+        : undefined
+});
 gameLoop.start();
 
+app.use('/api/accounts', createAccountsApi({
+    accounts,
+    isCaptainAtSea: (captainId) => gameLoop.findPlayerByToken(captainId) !== null
+}));
+
+// Local admin API (kick, ban, teleport, spawn, gold, broadcast, roles)
+if (process.env.ADMIN_SECRET) {
+    app.use('/admin/api', createAdminApi({ gameLoop, io, secret: process.env.ADMIN_SECRET, sanctions }));
+    console.log('[Admin] Admin API enabled at /admin/api (localhost only)');
+} else {
+    console.warn('[Admin] ADMIN_SECRET not found in .env. Admin API is disabled.');
+}
+
+// Graceful shutdown: restart warning, then a bulk save of every player
+const SHUTDOWN_WARNING_SECONDS = process.env.SHUTDOWN_WARNING_SECONDS !== undefined
+    ? Number(process.env.SHUTDOWN_WARNING_SECONDS)
+    : GAME.SHUTDOWN_WARNING_SECONDS;
+const SHUTDOWN_SAVE_TIMEOUT_MS = Number(process.env.SHUTDOWN_SAVE_TIMEOUT_MS) || GAME.SHUTDOWN_SAVE_TIMEOUT_MS;
+const SHUTDOWN_REMINDERS = [30, 20, 10, 5, 3, 2, 1]; // Seconds left at which the warning is repeated
+
 let isShuttingDown = false;
+let skipShutdownCountdown = null; // Set while the countdown runs
 
-function shutdown(signal) {
-    if (isShuttingDown) return;
+function announce(text) {
+    io.emit('chatMessage', {
+        type: 'system',
+        timestamp: Date.now(),
+        text
+    });
+    console.log(`[Chat] ${text}`);
+}
+
+function runShutdownCountdown(seconds) {
+    return new Promise((resolve) => {
+        let remaining = seconds;
+        let interval = null;
+        const finish = () => {
+            clearInterval(interval);
+            skipShutdownCountdown = null;
+            resolve();
+        };
+        skipShutdownCountdown = finish;
+
+        announce(`⚠️ Server restarting in ${seconds}s. Your ship and cargo will be saved.`);
+        interval = setInterval(() => {
+            remaining--;
+            if (remaining <= 0) {
+                finish();
+            } else if (SHUTDOWN_REMINDERS.includes(remaining)) {
+                announce(`⚠️ Server restarting in ${remaining}s`);
+            }
+        }, 1000);
+    });
+}
+
+/**
+ * Warn players, freeze the world, save everyone, then exit.
+ * A second signal skips the rest of the countdown but still saves.
+ */
+async function shutdown(signal) {
+    if (isShuttingDown) {
+        if (skipShutdownCountdown) {
+            console.log(`[Shutdown] Received ${signal} again, skipping the countdown`);
+            skipShutdownCountdown();
+        }
+        return;
+    }
     isShuttingDown = true;
 
-    console.log(`[Shutdown] Received ${signal}. Stopping game loop and closing server...`);
-    gameLoop.stop();
+    const hardLimitMs = SHUTDOWN_WARNING_SECONDS * 1000 + SHUTDOWN_SAVE_TIMEOUT_MS + 5000;
+    setTimeout(() => {
+        console.error(`[Shutdown] Forced exit after ${hardLimitMs / 1000} seconds`);
+        process.exit(1);
+    }, hardLimitMs).unref();
+
+    console.log(`[Shutdown] Received ${signal}. Warning players, then saving and closing server...`);
+    if (SHUTDOWN_WARNING_SECONDS > 0 && gameLoop.getPlayerCount() > 0) {
+        await runShutdownCountdown(SHUTDOWN_WARNING_SECONDS);
+    }
+
+    gameLoop.freezePlayers();
 
-    server.close(() => {
+    if (DatabaseService.isConnected) {
+        const { saved, failed, timedOut } = await gameLoop.saveAllPlayers(SHUTDOWN_SAVE_TIMEOUT_MS);
+        console.log(`[Shutdown] Saved ${saved.length} players`);
+        if (failed.length > 0) {
+            const why = timedOut ? `no answer within ${SHUTDOWN_SAVE_TIMEOUT_MS}ms` : 'write failed';
+            console.error(`[Shutdown] ${failed.length} players were NOT saved (${why}):`);
+            failed.forEach(player => console.error(`[Shutdown]   ${player.name} (${player.token})`));
+        }
+        if (!(await gameLoop.ledger.flush())) {
+            console.error(`[Shutdown] ${gameLoop.ledger.pending.length} ledger entries were NOT saved`);
+        }
+        if (!(await gameLoop.saveWorldCheckpoint())) {
+            console.error('[Shutdown] World checkpoint was NOT saved');
+        }
+    } else {
+        console.warn('[Shutdown] Database not connected, player progress was not saved');
+    }
+    await DatabaseService.close(); // The file store writes its final snapshot here
+
+    // Closes every socket and the HTTP server
+    io.close(() => {
         console.log('[Shutdown] Server closed cleanly');
         process.exit(0);
     });
-
-    setTimeout(() => {
-        console.error('[Shutdown] Forced exit after 5 seconds');
-        process.exit(1);
-    }, 5000).unref();
 }
 
 process.on('SIGINT', () => shutdown('SIGINT'));
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 
+// Logged-in clients send their session token in the handshake (auth.session).
+// No token: guest, plays without saves. Bad or expired token: refused, the
+// client clears it and asks the player to log in again.
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.session;
+    if (!token) {
+        socket.data.account = null;
+        return next();
+    }
+
+    const session = accounts.verifySession(token);
+    if (!session) return next(new Error('invalid_session'));
+
+    socket.data.account = session;
+    next();
+});
+
 io.on('connection', (socket) => {
     // Get client IP address (handle reverse proxy on Render.com)
-    // X-Forwarded-For header contains the real client IP when behind a proxy
+    // X-Forwarded-For header contains the real client IP when behind a proxy.
+    // Use the last entry, the one the proxy added: earlier ones come from the client.
     const forwardedFor = socket.handshake.headers['x-forwarded-for'];
-    const clientIP = forwardedFor ? forwardedFor.split(',')[0].trim() : socket.handshake.address;
+    const clientIP = forwardedFor ? forwardedFor.split(',').pop().trim() : socket.handshake.address;
 
     console.log(`Socket connected: ${socket.id} from IP: ${clientIP}, waiting for player name...`);
+    socket.data.clientIP = clientIP; // Admin API bans by IP
+
+    // Tell a banned client why and for how long, then drop it
+    const rejectBanned = (ban) => {
+        console.log(`[BAN] Rejected ${socket.id} from IP: ${clientIP} (${ban.reason || 'no reason'})`);
+        socket.emit('banned', {
+            reason: ban.reason || 'You have been banned from this server.',
+            expiresAt: ban.expiresAt,
+            remainingMs: sanctions.remainingMs(ban)
+        });
+        socket.disconnect();
+    };
+
+    // Privileged events: checked against the player's role on every call (see admin/Roles.js)
+    const onPrivileged = (event, handler) => {
+        socket.on(event, (...args) => {
+            const player = gameLoop.world.getEntity(socket.id);
+            if (!player) return;
+
+            if (!canUseEvent(player.role, event)) {
+                console.warn(`[Admin] Denied ${event} from ${player.name} (role: ${player.role})`);
+                socket.emit('chatMessage', {
+                    type: 'system',
+                    timestamp: Date.now(),
+                    text: '⛔ You are not allowed to use that command.'
+                });
+                return;
+            }
+            handler(player, ...args);
+        });
+    };
 
     // Send latest changelog data to client
     if (recentChangelogs && recentChangelogs.length > 0) {
         socket.emit('changelogData', recentChangelogs);
     }
 
-    // Check if IP is banned
-    if (bannedIPs.has(clientIP)) {
-        console.log(`[BAN] Rejected banned IP: ${clientIP} (Socket: ${socket.id})`);
-        socket.emit('banned', {
-            reason: 'You have been banned from this server.'
-        });
-        socket.disconnect();
+    // Check if IP is banned (token bans are checked once the client sends it)
+    const ipBan = sanctions.find('ban', { ip: clientIP });
+    if (ipBan) {
+        rejectBanned(ipBan);
         return;
     }
 
     // Wait for player to set their name before adding to game
     socket.on('setPlayerName', async (data) => {
-        // Check if server is full
-        if (playerCount >= MAX_PLAYERS) {
+        if (!data || gameLoop.world.getEntity(socket.id)) return; // Already playing on this socket
+
+        if (isShuttingDown) {
+            socket.emit('server_full', {
+                message: 'Server is restarting. Please try again in a minute.',
+                maxPlayers: MAX_PLAYERS
+            });
+            socket.disconnect();
+            return;
+        }
+
+        const rejectJoin = (reason) => {
+            socket.emit('nameRejected', { reason });
+            socket.disconnect();
+        };
+
+        let playerName = data.name || 'Anonymous';
+        const customSpawn = data.spawn || null;  // Optional {x, y} for testing
+
+        // Logged in: sail the chosen captain, which must belong to the verified
+        // account (data.token from older clients is ignored). Guests get no token
+        // and no saves, and cannot use a name a saved captain holds.
+        const account = socket.data.account;
+        let playerToken = null;
+        try {
+            if (account) {
+                const captain = await accounts.getCaptain(account.accountId, data.captainId);
+                if (!captain) {
+                    rejectJoin('Choose one of your captains, or create a new one.');
+                    return;
+                }
+                playerName = captain.name;
+                playerToken = captain.id;
+            } else if (await accounts.isCaptainNameTaken(playerName)) {
+                rejectJoin('That name belongs to a saved captain. Please choose another name.');
+                return;
+            }
+        } catch (error) {
+            console.error(`[Accounts] Could not check the captain for ${socket.id}:`, error);
+            rejectJoin('Could not load your captain. Please try again.');
+            return;
+        }
+
+        // One captain per account at sea. One that only lost its connection
+        // gives way to the new choice; one still playing does not.
+        const otherCaptain = account ? gameLoop.findPlayerByAccount(account.accountId) : null;
+        if (otherCaptain && otherCaptain.token !== playerToken && !gameLoop.releaseHeldPlayer(otherCaptain.id)) {
+            rejectJoin(`${otherCaptain.name} of this account is already at sea.`);
+            return;
+        }
+
+        // Check if server is full (a returning player still has their slot)
+        if (gameLoop.getPlayerCount() >= MAX_PLAYERS && !gameLoop.findPlayerByToken(playerToken)) {
             console.log(`Server full (${MAX_PLAYERS}/${MAX_PLAYERS}). Rejecting ${socket.id}`);
             socket.emit('server_full', {
                 message: 'Server is full. Please try again later.',
@@ -97,28 +302,55 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const playerName = data.name || 'Anonymous';
-        const playerToken = data.token || null;
-        const customSpawn = data.spawn || null;  // Optional {x, y} for testing
+        const ban = sanctions.find('ban', { token: playerToken, ip: clientIP });
+        if (ban) {
+            rejectBanned(ban);
+            return;
+        }
 
-        // Try to add player (includes validation)
-        const success = await gameLoop.addPlayer(socket, playerName, playerToken, customSpawn);
+        // Try to add player (includes validation). A save this server cannot
+        // read (written by a newer version) refuses the join; the captain never
+        // enters the world, so nothing is saved over the record.
+        let success;
+        try {
+            success = await gameLoop.addPlayer(socket, playerName, playerToken, customSpawn, account ? account.accountId : null);
+        } catch (error) {
+            console.error(`[DB] Could not restore "${playerName}" for ${socket.id}:`, error.message);
+            rejectJoin('Could not load your captain on this server. Please try again later.');
+            return;
+        }
 
         if (success) {
-            playerCount++;
+            // Binary state frames if the client supports our protocol version, JSON otherwise
+            gameLoop.negotiateWireFormat(socket, data.wire);
+
             // Log IP address on successful join
-            console.log(`[JOIN] Player "${playerName}" (${socket.id}) joined from IP: ${clientIP}`);
-            console.log(`Player count: ${playerCount}/${MAX_PLAYERS}`);
+            console.log(`[JOIN] Player "${playerName}" (${socket.id}) joined from IP: ${clientIP} as ${account ? `account ${account.username}` : 'guest'}`);
+            console.log(`Player count: ${gameLoop.getPlayerCount()}/${MAX_PLAYERS}`);
         }
         // If not successful, addPlayer already handled disconnect
     });
 
-    socket.on('disconnect', () => {
-        // Only decrement if player was actually added to game
+    socket.on('disconnect', (reason) => {
+        // Only if the player was actually added to game (and not since resumed on another socket)
         const player = gameLoop.world.entities[socket.id];
+        if (isShuttingDown) return; // Everyone was saved by shutdown()
+
         if (player) {
-            playerCount--;
-            console.log(`Player disconnected: ${socket.id} (${playerCount}/${MAX_PLAYERS})`);
+            // Clean up chat cooldown
+            playerChatCooldowns.delete(socket.id);
+
+            // Connection lost: keep the ship for a while so the player can resume it
+            if (RECONNECTABLE_REASONS.has(reason) && gameLoop.holdPlayer(socket.id)) {
+                io.emit('chatMessage', {
+                    type: 'system',
+                    timestamp: Date.now(),
+                    text: `📡 ${player.name} lost connection`
+                });
+                return;
+            }
+
+            console.log(`Player disconnected: ${socket.id} (${reason})`);
 
             // Emit leave message to all players
             const leaveMessage = {
@@ -130,9 +362,7 @@ io.on('connection', (socket) => {
             console.log(`[Chat] ${leaveMessage.text}`);
 
             gameLoop.removePlayer(socket.id);
-
-            // Clean up chat cooldown
-            playerChatCooldowns.delete(socket.id);
+            console.log(`Player count: ${gameLoop.getPlayerCount()}/${MAX_PLAYERS}`);
         } else {
             console.log(`Socket disconnected before joining: ${socket.id}`);
         }
@@ -142,6 +372,10 @@ io.on('connection', (socket) => {
         gameLoop.handleInput(socket.id, data);
     });
 
+    socket.on('latency_pong', (data) => {
+        gameLoop.handleLatencyPong(socket.id, data);
+    });
+
     socket.on('enterHarbor', () => {
         gameLoop.handleEnterHarbor(socket);
     });
@@ -158,31 +392,10 @@ io.on('connection', (socket) => {
         gameLoop.handleCloseHarbor(socket.id);
     });
 
-    // DEBUG: Teleport command for harbor positioning
-    // ⚠️ WARNING: REMOVE THIS BEFORE PRODUCTION
-    socket.on('debug_teleport', (data) => {
-        const player = gameLoop.world.getEntity(socket.id);
-        if (!player) return;
-
-        const { x, y } = data;
-
-        // Validate coordinates
-        if (!Number.isFinite(x) || !Number.isFinite(y)) {
-            console.warn('[DEBUG] Invalid teleport coordinates:', data);
-            return;
-        }
-
-        // Clamp to world bounds
-        const { GAME } = require('./game/config/GameConfig'); // Access GAME namespace
-        const clampedX = Math.max(0, Math.min(x, GAME.WORLD_WIDTH));
-        const clampedY = Math.max(0, Math.min(y, GAME.WORLD_HEIGHT));
-
-        console.log(`[DEBUG] Teleporting ${player.name} to (${clampedX}, ${clampedY})`);
-
-        player.x = clampedX;
-        player.y = clampedY;
-        player.velocityX = 0;
-        player.velocityY = 0;
+    // Teleport (harbor positioning tool, moderators checking reports)
+    onPrivileged('debug_teleport', (player, data) => {
+        if (!data) return;
+        gameLoop.teleportPlayer(player.id, data.x, data.y);
     });
 
     socket.on('switchFlagship', (shipClass) => {
@@ -203,26 +416,36 @@ io.on('connection', (socket) => {
         gameLoop.handleSellGood(socket.id, data.harborId, data.goodId, data.quantity);
     });
 
+    // Harbor bank
+    socket.on('depositGold', (data) => {
+        if (!data) return;
+        gameLoop.handleDepositGold(socket.id, data.harborId, data.amount);
+    });
+
+    socket.on('withdrawGold', (data) => {
+        if (!data) return;
+        gameLoop.handleWithdrawGold(socket.id, data.harborId, data.amount);
+    });
+
+    // Price book and route advisor
+    socket.on('requestPriceBook', () => {
+        gameLoop.handleRequestPriceBook(socket.id);
+    });
+
     // Loot Wreck
     socket.on('lootWreck', (wreckId) => {
         gameLoop.handleLootWreck(socket, wreckId);
     });
 
     // NPC Spawn: N key (spawn single trader near player)
-    socket.on('spawnNPC', () => {
-        const player = gameLoop.world.getEntity(socket.id);
-        if (!player) return;
-
+    onPrivileged('spawnNPC', (player) => {
         console.log(`[NPC] ${player.name} requested NPC spawn`);
         gameLoop.world.npcManager.spawnTrader(player.x, player.y);
     });
 
     // DEBUG: Spawn multiple NPCs (command: /spawn_npcs N)
-    socket.on('debug_spawn_npcs', (data) => {
-        const player = gameLoop.world.getEntity(socket.id);
-        if (!player) return;
-
-        const count = parseInt(data.count) || 1;
+    onPrivileged('debug_spawn_npcs', (player, data) => {
+        const count = parseInt(data && data.count) || 1;
         const maxSpawn = 10; // Safety limit
         const actualCount = Math.min(count, maxSpawn);
 
@@ -234,15 +457,13 @@ io.on('connection', (socket) => {
     });
 
     // Combat NPC Spawn: P key (spawn single pirate near player)
-    socket.on('spawnCombatNPC', () => {
-        const player = gameLoop.world.getEntity(socket.id);
-        if (!player) return;
-
+    onPrivileged('spawnCombatNPC', (player) => {
         console.log(`[COMBAT] ${player.name} requested pirate spawn`);
 
         // Generate random position 400-800px away
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 400 + Math.random() * 400;
+        const rng = gameLoop.world.random.stream('npc');
+        const angle = rng() * Math.PI * 2;
+        const distance = 400 + rng() * 400;
         const targetX = player.x + Math.cos(angle) * distance;
         const targetY = player.y + Math.sin(angle) * distance;
 
@@ -257,11 +478,8 @@ io.on('connection', (socket) => {
     });
 
     // DEBUG: Spawn multiple pirates (command: /spawn_pirates N)
-    socket.on('debug_spawn_pirates', (data) => {
-        const player = gameLoop.world.getEntity(socket.id);
-        if (!player) return;
-
-        const count = parseInt(data.count) || 1;
+    onPrivileged('debug_spawn_pirates', (player, data) => {
+        const count = parseInt(data && data.count) || 1;
         const maxSpawn = 10; // Safety limit
         const actualCount = Math.min(count, maxSpawn);
 
@@ -300,6 +518,17 @@ io.on('connection', (socket) => {
         }
         playerChatCooldowns.set(socket.id, now);
 
+        const mute = sanctions.find('mute', { token: player.token, ip: clientIP });
+        if (mute) {
+            console.log(`[Chat] ${player.name}: Muted, message dropped`);
+            socket.emit('chatMessage', {
+                type: 'system',
+                timestamp: now,
+                text: `🔇 You are muted (${SanctionList.describeRemaining(sanctions.remainingMs(mute))})${mute.reason ? `: ${mute.reason}` : ''}`
+            });
+            return;
+        }
+
         // Create chat message
         const chatMessage = {
             type: 'player',
@@ -316,9 +545,8 @@ io.on('connection', (socket) => {
     });
 
     // DEBUG: Start Mission (Phase 0: Mission scaffolding)
-    socket.on('debug_start_mission', (data) => {
-        const player = gameLoop.world.getEntity(socket.id);
-        if (!player) return;
+    onPrivileged('debug_start_mission', (player, data) => {
+        if (!data) return;
 
         const SailToHarborMission = require('./game/missions/SailToHarborMission');
         const StayInAreaMission = require('./game/missions/StayInAreaMission');
@@ -492,8 +720,9 @@ function findNextClosestHarbor(player, world) {
 
 // Helper: Find nearby area for testing (500-1000 pixels away)
 function findNearbyArea(player) {
-    const angle = Math.random() * Math.PI * 2;
-    const distance = 500 + Math.random() * 500; // 500-1000 pixels
+    const rng = gameLoop.world.random.stream('missions');
+    const angle = rng() * Math.PI * 2;
+    const distance = 500 + rng() * 500; // 500-1000 pixels
 
     return {
         x: player.x + Math.cos(angle) * distance,
@@ -504,7 +733,9 @@ function findNearbyArea(player) {
 async function startServer() {
     // Attempt database connection before accepting players
     await DatabaseService.connect();
-    
+    await sanctions.load();
+    await gameLoop.restoreWorldCheckpoint();
+
     server.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
     });
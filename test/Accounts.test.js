@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { hashPassword, verifyPassword } = require('../src/server/accounts/Passwords');
+const { createSessionToken, verifySessionToken } = require('../src/server/accounts/SessionTokens');
+const AccountService = require('../src/server/accounts/AccountService');
+const { createAccountsApi } = require('../src/server/accounts/AccountsApi');
+const MemoryStore = require('../src/server/database/stores/MemoryStore');
+
+const SECRET = 'test-session-secret';
+
+// DatabaseService surface backed by a MemoryStore
+function createDb() {
+    return Object.assign(new MemoryStore(), { isConnected: true });
+}
+
+test('Passwords are salted and only verify with the right password', async () => {
+    const first = await hashPassword('correct horse');
+    const second = await hashPassword('correct horse');
+    assert.notEqual(first, second);
+    assert.match(first, /^scrypt\$16384\$8\$1\$/);
+
+    assert.equal(await verifyPassword('correct horse', first), true);
+    assert.equal(await verifyPassword('correct horse', second), true);
+    assert.equal(await verifyPassword('wrong horse', first), false);
+    assert.equal(await verifyPassword('correct horse', 'plaintext'), false);
+});
+
+test('Session tokens reject tampering, other secrets and expiry', () => {
+    const account = { accountId: 'acc-1', username: 'Anne' };
+    const token = createSessionToken(account, { secret: SECRET, ttlMs: 1000, now: 5000 });
+
+    assert.deepEqual(verifySessionToken(token, { secret: SECRET, now: 5999 }), {
+        accountId: 'acc-1', username: 'Anne', expiresAt: 6000
+    });
+    assert.equal(verifySessionToken(token, { secret: SECRET, now: 6000 }), null);
+    assert.equal(verifySessionToken(token, { secret: 'other-secret', now: 5500 }), null);
+
+    const [version, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'acc-2', name: 'Mary', iat: 5000, exp: 99999 })).toString('base64url');
+    assert.equal(verifySessionToken(`${version}.${forged}.${signature}`, { secret: SECRET, now: 5500 }), null);
+    assert.equal(verifySessionToken('garbage', { secret: SECRET, now: 5500 }), null);
+});
+
+test('AccountService registers, logs in and links an earlier anonymous save once', async () => {
+    const db = createDb();
+    await db.savePlayer({ token: 'browser-token', name: 'Anne', gold: 900 });
+    const accounts = new AccountService({ db, secret: SECRET });
+
+    await assert.rejects(accounts.register({ username: 'a', password: 'longenough' }), { status: 400 });
+    await assert.rejects(accounts.register({ username: 'Anne_B', password: 'short' }), { status: 400 });
+
+    const registered = await accounts.register({ username: 'Anne_B', password: 'longenough', legacyToken: 'browser-token' });
+    assert.equal(registered.username, 'Anne_B');
+    const session = accounts.verifySession(registered.session);
+    assert.deepEqual(await accounts.listCaptains(session.accountId), [
+        { id: 'browser-token', name: 'Anne', level: 1, gold: null, shipClass: null }
+    ]);
+    assert.equal(await accounts.isCaptainNameTaken('anne'), true); // Claiming reserves the name
+
+    // Usernames are unique regardless of case, and a linked save cannot be claimed again
+    await assert.rejects(accounts.register({ username: 'anne_b', password: 'longenough' }), { status: 409 });
+    const thief = await accounts.register({ username: 'Thief', password: 'longenough', legacyToken: 'browser-token' });
+    assert.deepEqual(await accounts.listCaptains(accounts.verifySession(thief.session).accountId), []);
+
+    const loggedIn = await accounts.login({ username: 'ANNE_B', password: 'longenough' });
+    assert.equal(loggedIn.username, 'Anne_B');
+    assert.equal(accounts.verifySession(loggedIn.session).accountId, session.accountId);
+    await assert.rejects(accounts.login({ username: 'Anne_B', password: 'wrongpassword' }), { status: 401 });
+    await assert.rejects(accounts.login({ username: 'Nobody', password: 'longenough' }), { status: 401 });
+
+    const offline = new AccountService({ db: { isConnected: false }, secret: SECRET });
+    await assert.rejects(offline.login({ username: 'Anne_B', password: 'longenough' }), { status: 503 });
+});
+
+test('Captains are per account, limited in number and unique by name server-wide', async () => {
+    const db = createDb();
+    const accounts = new AccountService({ db, secret: SECRET });
+
+    const trader = await accounts.createCaptain('acc-1', '  Anne Bonny ');
+    assert.deepEqual(trader, { id: trader.id, name: 'Anne Bonny', level: 1, gold: null, shipClass: null });
+    const pirate = await accounts.createCaptain('acc-1', 'Black Anne');
+
+    // Names belong to one captain only, regardless of case and account
+    await assert.rejects(accounts.createCaptain('acc-2', 'anne bonny'), { status: 409 });
+    await assert.rejects(accounts.createCaptain('acc-2', 'x'), { status: 400 });
+    assert.equal(await accounts.isCaptainNameTaken('ANNE BONNY'), true);
+    assert.equal(await accounts.isCaptainNameTaken('Mary Read'), false);
+
+    // A captain only loads for its own account
+    assert.equal((await accounts.getCaptain('acc-1', pirate.id)).name, 'Black Anne');
+    assert.equal(await accounts.getCaptain('acc-2', pirate.id), null);
+    assert.equal(await accounts.getCaptain('acc-1', undefined), null);
+
+    // After the first save the list shows the flagship and purse
+    await db.savePlayer({ token: trader.id, name: 'Anne Bonny', x: 10, y: 20, gold: 750, level: 3, flagshipIndex: 0, fleet: [{ classId: 2 }] });
+    assert.deepEqual((await accounts.listCaptains('acc-1')).map(captain => [captain.name, captain.gold, captain.shipClass, captain.level]), [
+        ['Anne Bonny', 750, 'Sloop', 3],
+        ['Black Anne', null, null, 1]
+    ]);
+
+    for (const name of ['Third', 'Fourth', 'Fifth']) {
+        await accounts.createCaptain('acc-1', name);
+    }
+    await assert.rejects(accounts.createCaptain('acc-1', 'Sixth'), { status: 400 });
+
+    // Deleting frees the name; other accounts cannot delete
+    await assert.rejects(accounts.deleteCaptain('acc-2', trader.id), { status: 404 });
+    await accounts.deleteCaptain('acc-1', trader.id);
+    assert.equal(await accounts.isCaptainNameTaken('Anne Bonny'), false);
+    assert.equal((await accounts.createCaptain('acc-2', 'Anne Bonny')).name, 'Anne Bonny');
+});
+
+test('Accounts API answers with sessions and limits failed attempts per IP', async () => {
+    const accounts = new AccountService({ db: createDb(), secret: SECRET });
+    const app = express();
+    app.use('/api/accounts', createAccountsApi({ accounts }));
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/accounts`;
+    const post = async (path, body) => {
+        const response = await fetch(base + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        const registered = await post('/register', { username: 'Mary', password: 'longenough' });
+        assert.equal(registered.status, 200);
+        assert.ok(accounts.verifySession(registered.body.session));
+
+        assert.equal((await post('/register', { username: 'Mary', password: 'longenough' })).status, 409);
+        assert.equal((await post('/login', { username: 'Mary', password: 'longenough' })).status, 200);
+
+        for (let i = 0; i < 9; i++) {
+            assert.equal((await post('/login', { username: 'Mary', password: 'wrongpassword' })).status, 401);
+        }
+        const blocked = await post('/login', { username: 'Mary', password: 'longenough' });
+        assert.equal(blocked.status, 429);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('Accounts API limits by the address the proxy saw, for the length of the window', async () => {
+    const accounts = new AccountService({ db: createDb(), secret: SECRET });
+    const clock = { now: 0 };
+    const app = express();
+    app.use('/api/accounts', createAccountsApi({ accounts, now: () => clock.now }));
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/accounts`;
+    const login = async (forwardedFor) => {
+        const response = await fetch(base + '/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor },
+            body: JSON.stringify({ username: 'Nobody', password: 'wrongpassword' })
+        });
+        return response.status;
+    };
+
+    try {
+        for (let i = 0; i < 10; i++) {
+            assert.equal(await login(`10.0.0.${i}, 203.0.113.7`), 401);
+        }
+        // Changing the entries the client wrote does not help
+        assert.equal(await login('198.51.100.1, 203.0.113.7'), 429);
+        assert.equal(await login('198.51.100.1, 203.0.113.8'), 401);
+
+        clock.now = 15 * 60 * 1000;
+        assert.equal(await login('203.0.113.7'), 401);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('Accounts API captain routes need a session and keep captains at sea', async () => {
+    const accounts = new AccountService({ db: createDb(), secret: SECRET });
+    const atSea = new Set();
+    const app = express();
+    app.use('/api/accounts', createAccountsApi({ accounts, isCaptainAtSea: (id) => atSea.has(id) }));
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/api/accounts/captains`;
+    const { session } = await accounts.register({ username: 'Mary', password: 'longenough' });
+    const request = async (method, path, body, token = session) => {
+        const response = await fetch(base + path, {
+            method,
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        assert.equal((await request('GET', '', null, 'forged')).status, 401);
+
+        const created = await request('POST', '', { name: 'Mary Read' });
+        assert.equal(created.status, 200);
+        assert.equal((await request('POST', '', { name: 'mary read' })).status, 409);
+
+        const listed = await request('GET', '');
+        assert.deepEqual(listed.body.captains.map(captain => captain.id), [created.body.captain.id]);
+
+        atSea.add(created.body.captain.id);
+        assert.equal((await request('DELETE', `/${created.body.captain.id}`)).status, 409);
+        atSea.clear();
+        assert.equal((await request('DELETE', `/${created.body.captain.id}`)).status, 200);
+        assert.equal((await request('DELETE', `/${created.body.captain.id}`)).status, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { createAdminApi } = require('../src/server/admin/AdminApi');
+const { ROLES, hasRole, canUseEvent } = require('../src/server/admin/Roles');
+const SanctionList = require('../src/server/admin/SanctionList');
+const { TransactionLedger } = require('../src/server/game/economy/TransactionLedger');
+
+const SECRET = 'test-secret';
+
+function createPlayer(id, name) {
+    return {
+        id, name, token: `token-${id}`, type: 'PLAYER', role: ROLES.PLAYER, x: 100, y: 200, gold: 0, inHarbor: false,
+        addGold(amount) { this.gold += amount; }
+    };
+}
+
+// Minimal GameLoop surface the API talks to
+function createGameLoop(players) {
+    const kicked = [];
+    const released = [];
+    return {
+        kicked,
+        released,
+        world: { entities: Object.fromEntries(players.map(p => [p.id, p])) },
+        findPlayer(query) {
+            return players.find(p => p.id === query || p.name.toLowerCase() === query.toLowerCase()) || null;
+        },
+        findPlayerByToken(token) {
+            return players.find(p => p.token === token) || null;
+        },
+        setPlayerRole(id, role) { this.world.entities[id].role = role; return true; },
+        kickPlayer(id, reason) {
+            if (this.world.entities[id].disconnectedAt) return false; // No socket while held for a reconnect
+            kicked.push({ id, reason });
+            return true;
+        },
+        releaseHeldPlayer(id) {
+            if (!this.world.entities[id].disconnectedAt) return false;
+            released.push(id);
+            return true;
+        }
+    };
+}
+
+async function withApi(gameLoop, run) {
+    const emitted = [];
+    const io = {
+        emit: (event, data) => emitted.push({ event, data }),
+        to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) }),
+        sockets: { sockets: new Map([['s1', { data: { clientIP: '10.0.0.7' } }]]) }
+    };
+    const sanctions = new SanctionList({
+        db: { loadSanctions: async () => [], saveSanction: async () => true, deleteSanction: async () => true }
+    });
+    const app = express();
+    app.use('/admin/api', createAdminApi({ gameLoop, io, secret: SECRET, sanctions }));
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/admin/api`;
+
+    const call = async (method, path, body, secret = SECRET) => {
+        const response = await fetch(base + path, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${secret}` },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    try {
+        await run(call, { emitted, sanctions });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('Roles are ordered and gate privileged socket events', () => {
+    assert.equal(hasRole(ROLES.ADMIN, ROLES.MODERATOR), true);
+    assert.equal(hasRole(ROLES.PLAYER, ROLES.MODERATOR), false);
+    assert.equal(hasRole('superuser', ROLES.MODERATOR), false); // Unknown roles count as player
+
+    assert.equal(canUseEvent(ROLES.PLAYER, 'debug_teleport'), false);
+    assert.equal(canUseEvent(ROLES.MODERATOR, 'debug_teleport'), true);
+    assert.equal(canUseEvent(ROLES.MODERATOR, 'spawnCombatNPC'), false);
+    assert.equal(canUseEvent(ROLES.ADMIN, 'debug_spawn_pirates'), true);
+    assert.equal(canUseEvent(ROLES.PLAYER, 'input'), true); // Not privileged
+});
+
+test('Admin API rejects a wrong secret and validates requests', async () => {
+    const gameLoop = createGameLoop([createPlayer('s1', 'Anne Bonny')]);
+
+    await withApi(gameLoop, async (call) => {
+        assert.equal((await call('GET', '/players', null, 'wrong')).status, 401);
+        assert.equal((await call('POST', '/gold', { player: 'Nobody', amount: 10 })).status, 404);
+        assert.equal((await call('POST', '/gold', { player: 'Anne Bonny', amount: -5 })).status, 400);
+        assert.equal((await call('POST', '/role', { player: 'Anne Bonny', role: 'king' })).status, 400);
+    });
+});
+
+test('Admin API kicks connected players and refuses held ones', async () => {
+    const held = Object.assign(createPlayer('s2', 'Mary Read'), { disconnectedAt: 1000 });
+    const gameLoop = createGameLoop([createPlayer('s1', 'Anne Bonny'), held]);
+
+    await withApi(gameLoop, async (call) => {
+        assert.deepEqual((await call('POST', '/kick', { player: 'Anne Bonny', reason: 'Spamming' })).body, { ok: true });
+        assert.deepEqual(await call('POST', '/kick', { player: 'Mary Read' }), {
+            status: 409, body: { error: 'Mary Read is not connected' }
+        });
+        assert.deepEqual(gameLoop.kicked, [{ id: 's1', reason: 'Spamming' }]);
+    });
+});
+
+test('Admin API removes the ship of a banned captain held for a reconnect', async () => {
+    const held = Object.assign(createPlayer('s2', 'Mary Read'), { disconnectedAt: 1000 });
+    const gameLoop = createGameLoop([held]);
+
+    await withApi(gameLoop, async (call, { sanctions }) => {
+        const ban = await call('POST', '/ban', { player: 'Mary Read', reason: 'Griefing' });
+        assert.equal(ban.body.ok, true);
+        assert.deepEqual(gameLoop.kicked, []);
+        assert.deepEqual(gameLoop.released, ['s2']);
+        assert.ok(sanctions.find('ban', { token: 'token-s2' }));
+    });
+});
+
+test('Admin API grants gold, sets roles and broadcasts', async () => {
+    const anne = createPlayer('s1', 'Anne Bonny');
+    const gameLoop = createGameLoop([anne]);
+
+    await withApi(gameLoop, async (call, { emitted }) => {
+        const players = await call('GET', '/players');
+        assert.deepEqual(players.body.players.map(p => [p.name, p.role]), [['Anne Bonny', 'player']]);
+
+        assert.deepEqual((await call('POST', '/gold', { player: 'anne bonny', amount: 500 })).body, { ok: true, gold: 500 });
+        assert.equal(anne.needsSave, true);
+
+        await call('POST', '/role', { player: 's1', role: 'moderator' });
+        assert.equal(anne.role, ROLES.MODERATOR);
+
+        await call('POST', '/broadcast', { message: 'Restart in 5 minutes' });
+        assert.equal(emitted[0].event, 'chatMessage');
+        assert.equal(emitted[0].data.type, 'system');
+        assert.match(emitted[0].data.text, /Restart in 5 minutes/);
+    });
+});
+
+test('Admin API bans and mutes by token and IP, and lifts them again', async () => {
+    const gameLoop = createGameLoop([createPlayer('s1', 'Anne Bonny')]);
+
+    await withApi(gameLoop, async (call, { emitted, sanctions }) => {
+        assert.equal((await call('POST', '/ban', { reason: 'No target' })).status, 400);
+        assert.equal((await call('POST', '/mute', { player: 'Anne Bonny', minutes: -1 })).status, 400);
+
+        const ban = await call('POST', '/ban', { player: 'Anne Bonny', reason: 'Griefing', minutes: 60 });
+        assert.equal(ban.body.sanction.token, 'token-s1');
+        assert.equal(ban.body.sanction.ip, '10.0.0.7');
+        assert.deepEqual(gameLoop.kicked, [{ id: 's1', reason: 'Griefing (1h 0m remaining)' }]);
+        assert.ok(sanctions.find('ban', { ip: '10.0.0.7' }));
+
+        // Offline players are addressed by token
+        await call('POST', '/mute', { token: 'token-s2', reason: 'Spam' });
+        const list = await call('GET', '/sanctions');
+        assert.deepEqual(list.body.sanctions.map(s => [s.type, s.remaining]), [['ban', '1h 0m'], ['mute', 'permanent']]);
+
+        assert.deepEqual((await call('POST', '/unban', { ip: '10.0.0.7' })).body, { ok: true, lifted: 1 });
+        assert.equal((await call('POST', '/unban', { ip: '10.0.0.7' })).status, 404);
+
+        const muteId = list.body.sanctions[1].id;
+        assert.equal((await call('DELETE', `/sanctions/${muteId}`)).status, 200);
+        assert.equal(sanctions.list().length, 0);
+
+        // Muting an online player tells them
+        await call('POST', '/mute', { player: 's1', minutes: 5 });
+        assert.equal(emitted.at(-1).room, 's1');
+        assert.match(emitted.at(-1).data.text, /muted \(5m remaining\)/);
+    });
+});
+
+test('Admin API lists ledger entries by captain and time, and checks the balances', async () => {
+    let now = 1000;
+    const ledger = new TransactionLedger({ db: { isConnected: false }, now: () => now });
+    const gameLoop = Object.assign(createGameLoop([createPlayer('s1', 'Anne Bonny')]), { ledger });
+    const captain = { token: 'offline-captain', name: 'Mary Read' };
+    ledger.record(captain, { kind: 'GOLD', delta: 100, balance: 100, source: 'LOOT', counterparty: 'wreck:3' });
+    now = 2000;
+    ledger.record(captain, { kind: 'GOLD', delta: -40, balance: 160, source: 'REPAIR' }); // 100 appeared from nowhere
+
+    await withApi(gameLoop, async (call) => {
+        assert.equal((await call('GET', '/ledger')).status, 400);
+        assert.equal((await call('GET', '/ledger?player=Nobody')).status, 404);
+        assert.equal((await call('GET', '/ledger?captain=offline-captain&from=yesterday')).status, 400);
+        assert.equal((await call('GET', '/ledger?captain=offline-captain&limit=0')).status, 400);
+
+        const all = await call('GET', '/ledger?captain=offline-captain');
+        assert.deepEqual(all.body.entries.map(entry => entry.source), ['LOOT', 'REPAIR']);
+        const later = await call('GET', `/ledger?captain=offline-captain&from=${new Date(1500).toISOString()}`);
+        assert.deepEqual(later.body.entries.map(entry => entry.source), ['REPAIR']);
+
+        const check = await call('GET', '/ledger/check?captain=offline-captain');
+        assert.equal(check.body.online, false);
+        assert.equal(check.body.entries, 2);
+        assert.deepEqual(check.body.balances.GOLD, { gold: 160 });
+        assert.deepEqual(check.body.issues.map(issue => [issue.expected, issue.actual]), [[100, 200]]);
+    });
+});
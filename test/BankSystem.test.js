@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const BankSystem = require('../src/server/game/economy/BankSystem');
+const { TransactionLedger, ledgerState, checkLedger } = require('../src/server/game/economy/TransactionLedger');
+const Player = require('../src/server/game/entities/Player');
+const Wreck = require('../src/server/game/entities/Wreck');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+
+const HARBORS = {
+    port_royal: { id: 'port_royal', services: { bank: true } },
+    tortuga: { id: 'tortuga', services: { bank: false } }
+};
+
+const bank = new BankSystem({ getHarborById: (id) => HARBORS[id] || null });
+
+function createCaptain(world, gold) {
+    const player = new Player('s1', 'Anne Bonny', 'FLUYT', null, world);
+    player.token = 'captain-1';
+    player.addGold(gold, { source: 'ADMIN', counterparty: 'admin' });
+    player.inHarbor = true;
+    player.dockedHarborId = 'port_royal';
+    return player;
+}
+
+test('Captains deposit and withdraw gold at harbors with a bank, recorded on both sides of the ledger', () => {
+    const ledger = new TransactionLedger({ db: { isConnected: false } });
+    const player = createCaptain({ ledger }, 1000);
+
+    assert.deepEqual(bank.deposit(player, 'port_royal', 600), {
+        success: true, message: 'Deposited 600 gold. Balance: 600 gold.', amount: 600
+    });
+    assert.equal(bank.withdraw(player, 'port_royal', 700).message, 'Your account only holds 600 gold.');
+    assert.equal(bank.withdraw(player, 'port_royal', -1).amount, 600); // -1: the whole balance
+    assert.equal(bank.deposit(player, 'port_royal', -1).amount, 1000); // -1: all gold aboard
+    assert.deepEqual([player.gold, player.bankGold], [0, 1000]);
+
+    assert.equal(bank.deposit(player, 'port_royal', -1).message, 'You have no gold aboard to deposit.');
+    assert.equal(bank.withdraw(player, 'port_royal', 1.5).message, 'Invalid amount.');
+    player.dockedHarborId = 'tortuga';
+    assert.equal(bank.withdraw(player, 'tortuga', 100).message, 'This harbor has no bank.');
+    assert.equal(bank.withdraw(player, 'port_royal', 100).message, 'You must be docked at this harbor to use its bank.');
+
+    assert.deepEqual(ledger.pending.slice(1, 3).map(entry => [entry.kind, entry.delta, entry.balance, entry.source, entry.counterparty]), [
+        ['GOLD', -600, 400, 'BANK', 'harbor:port_royal'],
+        ['BANK', 600, 600, 'BANK', 'harbor:port_royal']
+    ]);
+    const { issues, balances } = checkLedger(ledger.pending, ledgerState(player));
+    assert.deepEqual(issues, []);
+    assert.deepEqual(balances.BANK, { bank: 1000 });
+});
+
+test('A sunk flagship takes part of the gold aboard into its wreck, banked gold stays safe', () => {
+    const clock = new SimulationClock(0);
+    const wrecks = [];
+    const world = {
+        ledger: new TransactionLedger({ db: { isConnected: false } }),
+        clock,
+        getEntity: () => null,
+        createWreck(x, y, ownerId, cargo, options) {
+            const wreck = new Wreck(`wreck_${wrecks.length}`, x, y, ownerId, cargo, clock, () => 0, options);
+            wrecks.push(wreck);
+            return wreck;
+        }
+    };
+    const player = createCaptain(world, 1000);
+    bank.deposit(player, 'port_royal', 600);
+    player.inHarbor = false;
+
+    player.onFlagshipSunk();
+
+    // 25% of the 400 aboard; the wreck adds it to its base gold (rng 0: BASE_GOLD_MIN)
+    assert.deepEqual([player.gold, player.bankGold, player.isRaft], [300, 600, true]);
+    assert.equal(wrecks[0].loot.gold, 10 + 100);
+    assert.deepEqual(world.ledger.pending.slice(-2).map(entry => [entry.kind, entry.delta, entry.balance, entry.source]), [
+        ['GOLD', -100, 300, 'SUNK'],
+        ['SHIP', -1, 0, 'SUNK']
+    ]);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Customs = require('../src/server/game/economy/Customs');
+const EconomySystem = require('../src/server/game/economy/EconomySystem');
+const HarborMarkets = require('../src/server/game/economy/HarborMarkets');
+const Player = require('../src/server/game/entities/Player');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+
+const HARBORS = {
+    port_royal: { id: 'port_royal', name: 'Port Royal', nation: 'england', defenses: 'fort', harborTradeId: 'COLONIAL_CAPITAL' },
+    tortuga: { id: 'tortuga', name: 'Tortuga', nation: 'pirates', defenses: 'none', harborTradeId: 'PIRATE_HAVEN' }
+};
+
+// The parts of World that Customs reads, with chat and state messages collected per player
+function createWorld(roll = 0) {
+    const messages = [];
+    const world = {
+        clock: new SimulationClock(0),
+        entities: {},
+        harborRegistry: { getHarborById: (id) => HARBORS[id] || null },
+        getEntity(id) {
+            return this.entities[id];
+        }
+    };
+    world.customs = new Customs(world, { rng: () => roll });
+    world.io = { to: (id) => ({ emit: (event, data) => messages.push({ id, event, data }) }) };
+    return { world, messages };
+}
+
+function createSmuggler(world, id, contraband, gold) {
+    const player = new Player(id, `Captain ${id}`, 'FLUYT', null);
+    player.io = world.io;
+    player.gold = gold;
+    player.addCargo('contraband', contraband);
+    player.addCargo('rum', 5);
+    world.entities[id] = player;
+    return player;
+}
+
+test('Harbors outside the black markets search docking smugglers by their defenses', () => {
+    const { world, messages } = createWorld(0.5);
+    const player = createSmuggler(world, 's1', 10, 1500);
+
+    // Pirate havens never search; Port Royal's fort searches on a roll below 0.6
+    assert.equal(world.customs.inspectAtHarbor(player, 'tortuga'), null);
+    assert.deepEqual(world.customs.inspectAtHarbor(player, 'port_royal'), {
+        goods: { contraband: 10 }, units: 10, fine: 1500 // 10 * 100 * 2 = 2000, capped at the captain's gold
+    });
+    assert.equal(player.fleetCargo.getQuantity('contraband'), 0);
+    assert.equal(player.fleetCargo.getQuantity('rum'), 5);
+    assert.equal(player.gold, 0);
+    assert.match(messages.find(m => m.event === 'chatMessage').data.text, /harbor master of Port Royal found 10 Contraband/);
+
+    // Nothing left to find: no search
+    assert.equal(world.customs.inspectAtHarbor(player, 'port_royal'), null);
+
+    const { world: luckyWorld } = createWorld(0.7);
+    const lucky = createSmuggler(luckyWorld, 's2', 10, 1500);
+    assert.equal(luckyWorld.customs.inspectAtHarbor(lucky, 'port_royal'), null);
+    assert.equal(lucky.fleetCargo.getQuantity('contraband'), 10);
+});
+
+test('Patrols hail captains at sea, search those who stay and lose those who run', () => {
+    const { world, messages } = createWorld();
+    world.entities.npc_1 = { id: 'npc_1', type: 'NPC', roleName: 'PATROL', name: 'Vigilant', regionId: 'ENGLISH_WATERS', state: 'SAILING', x: 0, y: 0 };
+    const stays = createSmuggler(world, 's1', 5, 10000);
+    stays.x = 300;
+    stays.y = 0;
+    const runs = createSmuggler(world, 's2', 5, 10000);
+    runs.x = -500;
+    runs.y = 0;
+
+    world.customs.update(1);
+    assert.deepEqual([...world.customs.hails.keys()], ['s1', 's2']);
+
+    runs.x = -2000;
+    world.clock.advance(10);
+    world.customs.update(1);
+
+    assert.equal(stays.fleetCargo.getQuantity('contraband'), 0);
+    assert.equal(stays.gold, 10000 - 5 * 100 * 1.5);
+    assert.equal(runs.fleetCargo.getQuantity('contraband'), 5);
+    assert.ok(messages.some(m => m.id === 's2' && /slipped away from the Vigilant/.test(m.data.text)));
+
+    // A searched captain is left alone for the cooldown, even after reconnecting
+    world.entities.s3 = stays;
+    delete world.entities.s1;
+    stays.id = 's3';
+    world.customs.renamePlayer('s1', 's3');
+    world.customs.update(1);
+    assert.equal(world.customs.hails.has('s3'), false);
+});
+
+test('Patrols leave captains held for a reconnect or shielded alone', () => {
+    const { world } = createWorld();
+    world.entities.npc_1 = { id: 'npc_1', type: 'NPC', roleName: 'PATROL', name: 'Vigilant', regionId: 'ENGLISH_WATERS', state: 'SAILING', x: 0, y: 0 };
+    const held = createSmuggler(world, 's1', 5, 10000);
+    held.x = 300;
+    held.y = 0;
+    const shielded = createSmuggler(world, 's2', 5, 10000);
+    shielded.x = 300;
+    shielded.y = 0;
+    shielded.shieldEndTime = Infinity;
+    const hailed = createSmuggler(world, 's3', 5, 10000);
+    hailed.x = 300;
+    hailed.y = 0;
+
+    held.holdForReconnect();
+    world.customs.update(1);
+    assert.deepEqual([...world.customs.hails.keys()], ['s3']);
+
+    // Dropping out while hailed drops the hail instead of searching an empty helm
+    hailed.holdForReconnect();
+    world.clock.advance(10);
+    world.customs.update(1);
+
+    assert.equal(world.customs.hails.size, 0);
+    for (const player of [held, shielded, hailed]) {
+        assert.equal(player.fleetCargo.getQuantity('contraband'), 5);
+        assert.equal(player.gold, 10000);
+    }
+});
+
+test('Illegal goods trade only at black markets', () => {
+    const goods = [{ id: 'contraband', name: 'Contraband', buyPrice: 120, tier: 'EXPORT' }];
+    const registry = {
+        getHarborEconomy: (harborId) => ({ goods, profileId: HARBORS[harborId].harborTradeId, profileName: '' })
+    };
+    const economy = new EconomySystem(new HarborMarkets(registry, { clock: new SimulationClock(0) }));
+    const player = new Player('s1', 'Anne Bonny', 'FLUYT', null);
+    player.inHarbor = true;
+    player.gold = 1000;
+
+    player.dockedHarborId = 'tortuga';
+    assert.equal(economy.buyGood(player, 'tortuga', 'contraband', 2).success, true);
+
+    player.dockedHarborId = 'port_royal';
+    assert.deepEqual(economy.sellGood(player, 'port_royal', 'contraband', 2), {
+        success: false, message: 'Contraband can only be traded at pirate havens.'
+    });
+});
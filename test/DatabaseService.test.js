@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DatabaseService = require('../src/server/database/DatabaseService');
+const PlayerModel = require('../src/server/database/models/PlayerModel');
+const MongoStore = require('../src/server/database/stores/MongoStore');
+const FileStore = require('../src/server/database/stores/FileStore');
+
+test('DatabaseService.savePlayers upserts in one unordered bulk write and splits failures', async () => {
+    const originalBulkWrite = PlayerModel.bulkWrite;
+    const players = [{ token: 'a', name: 'Anne' }, { token: 'b', name: 'Mary' }, { token: 'c', name: 'Jack' }];
+
+    try {
+        assert.equal(DatabaseService.isConnected, false);
+        assert.deepEqual(await DatabaseService.savePlayers(players), { saved: [], failed: ['a', 'b', 'c'] });
+
+        DatabaseService.store = new MongoStore('mongodb://unused');
+        let call = null;
+        PlayerModel.bulkWrite = async (operations, options) => {
+            call = { operations, options };
+        };
+        assert.deepEqual(await DatabaseService.savePlayers(players), { saved: ['a', 'b', 'c'], failed: [] });
+        assert.equal(call.options.ordered, false);
+        assert.deepEqual(call.operations[1].updateOne.filter, { token: 'b' });
+        assert.equal(call.operations[1].updateOne.upsert, true);
+        assert.equal(call.operations[1].updateOne.update.$set.name, 'Mary');
+        assert.ok(call.operations[1].updateOne.update.$set.lastSaved instanceof Date);
+
+        PlayerModel.bulkWrite = async () => {
+            throw Object.assign(new Error('E11000'), { writeErrors: [{ index: 1 }] });
+        };
+        assert.deepEqual(await DatabaseService.savePlayers(players), { saved: ['a', 'c'], failed: ['b'] });
+
+        PlayerModel.bulkWrite = async () => {
+            throw new Error('connection reset');
+        };
+        assert.deepEqual(await DatabaseService.savePlayers(players), { saved: [], failed: ['a', 'b', 'c'] });
+    } finally {
+        PlayerModel.bulkWrite = originalBulkWrite;
+        DatabaseService.store = null;
+    }
+});
+
+test('DatabaseService saves and loads players and sanctions with the memory backend', async () => {
+    try {
+        assert.equal(await DatabaseService.connect({ backend: 'bogus' }), false);
+        assert.equal(await DatabaseService.connect({ backend: 'memory' }), true);
+        assert.equal(DatabaseService.isConnected, true);
+
+        assert.equal(await DatabaseService.loadPlayer('t1', 'Anne'), null);
+        assert.equal(await DatabaseService.setPlayerRole('t1', 'admin'), false); // No record yet
+
+        const saved = { token: 't1', name: 'Anne', x: 10, y: 20, gold: 500, cargo: { RUM: 3 } };
+        assert.equal(await DatabaseService.savePlayer(saved), true);
+        saved.cargo.RUM = 99; // The store keeps its own copy
+        assert.equal(await DatabaseService.setPlayerRole('t1', 'moderator'), true);
+        await DatabaseService.savePlayer({ token: 't1', name: 'Anne', x: 30, y: 40, gold: 700, cargo: { RUM: 3 } });
+
+        const loaded = await DatabaseService.loadPlayer('t1', 'Anne Bonny');
+        assert.equal(loaded.name, 'Anne Bonny');
+        assert.equal(loaded.role, 'moderator'); // Saves do not overwrite the role
+        assert.equal(loaded.gold, 700);
+        assert.deepEqual(loaded.cargo, { RUM: 3 });
+
+        await DatabaseService.saveSanction({ id: 's1', type: 'ban', token: 't2', ip: null, expiresAt: null });
+        await DatabaseService.saveSanction({ id: 's2', type: 'mute', token: 't3', ip: null, expiresAt: Date.now() - 1 });
+        assert.deepEqual((await DatabaseService.loadSanctions()).map(sanction => sanction.id), ['s1']);
+        await DatabaseService.deleteSanction('s1');
+        assert.deepEqual(await DatabaseService.loadSanctions(), []);
+    } finally {
+        await DatabaseService.close();
+    }
+    assert.equal(DatabaseService.isConnected, false);
+});
+
+test('FileStore keeps data across restarts by replaying its log', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wop-store-'));
+    try {
+        const first = new FileStore(dir, { compactEvery: 3 });
+        await first.connect();
+        await first.savePlayer({ token: 't1', name: 'Mary', gold: 100 });
+        await first.setPlayerRole('t1', 'admin');
+        await first.saveSanction({ id: 's1', type: 'ban', token: 't9', ip: '10.0.0.1', expiresAt: null });
+        await first.savePlayer({ token: 't2', name: 'Jack', gold: 5 }); // After the first compaction
+        await first.saveLedgerEntries([{ captain: 't2', at: 10, seq: 0, kind: 'GOLD', item: null, delta: 5, balance: 5, source: 'ADMIN' }]);
+        await first.saveWorldCheckpoint({ version: 1, savedAt: 10, wrecks: [] });
+        await first.writes;
+
+        // A crash halfway through an append leaves an incomplete last line
+        fs.appendFileSync(path.join(dir, 'store.log'), '{"op":"player","data":{"tok');
+
+        const second = new FileStore(dir);
+        await second.connect();
+        const mary = await second.loadPlayer('t1', 'Mary');
+        assert.equal(mary.gold, 100);
+        assert.equal(mary.role, 'admin');
+        assert.equal((await second.loadPlayer('t2', 'Jack')).gold, 5);
+        assert.deepEqual((await second.loadSanctions()).map(sanction => sanction.ip), ['10.0.0.1']);
+
+        await second.deleteSanction('s1');
+        await second.close();
+        assert.equal(fs.readFileSync(path.join(dir, 'store.log'), 'utf8'), '');
+
+        // The ledger has its own file and stays out of the snapshot
+        const readLedgerFile = () => fs.readFileSync(path.join(dir, 'ledger.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(readLedgerFile().map(entry => entry.balance), [5]);
+        assert.equal('ledger' in JSON.parse(fs.readFileSync(path.join(dir, 'store.json'), 'utf8')), false);
+
+        // Entries from an older store's log move to the ledger file, once; an
+        // incomplete last ledger line is dropped before anything is appended to it
+        const olderOp = { op: 'ledger', entries: [
+            { captain: 't2', at: 10, seq: 0, kind: 'GOLD', item: null, delta: 5, balance: 5, source: 'ADMIN' },
+            { captain: 't2', at: 5, seq: 0, kind: 'GOLD', item: null, delta: 3, balance: 3, source: 'ADMIN' }
+        ] };
+        fs.appendFileSync(path.join(dir, 'store.log'), JSON.stringify(olderOp) + '\n');
+        fs.appendFileSync(path.join(dir, 'ledger.log'), '{"captain":"t2","at":');
+
+        const third = new FileStore(dir);
+        await third.connect();
+        assert.equal(third.players.size, 2);
+        assert.deepEqual((await third.queryLedger({ captain: 't2' })).map(entry => entry.balance), [3, 5]);
+        assert.deepEqual(readLedgerFile().map(entry => entry.balance), [5, 3]);
+        await third.saveLedgerEntries([{ captain: 't2', at: 20, seq: 0, kind: 'GOLD', item: null, delta: 1, balance: 6, source: 'ADMIN' }]);
+        await third.writes;
+        assert.deepEqual(readLedgerFile().map(entry => entry.balance), [5, 3, 6]);
+        assert.deepEqual(await third.loadWorldCheckpoint(), { version: 1, savedAt: 10, wrecks: [] });
+        assert.deepEqual(await third.loadSanctions(), []);
+        await third.close();
+
+        // Corruption before the last line is an error, not silently dropped data
+        fs.writeFileSync(path.join(dir, 'store.log'), 'not json\n{"op":"unsanction","id":"x"}\n');
+        await assert.rejects(new FileStore(dir).connect(), /Corrupt entry on line 1/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
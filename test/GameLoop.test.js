@@ -1,6 +1,8 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+
 function loadGameLoopWithMocks() {
     const gameLoopPath = require.resolve('../src/server/game/GameLoop');
     const dependencyPaths = {
@@ -25,6 +27,8 @@ function loadGameLoopWithMocks() {
             this.entities = {};
             this.projectiles = [];
             this.harborRegistry = {};
+            this.harborMarkets = { getEconomy: () => null };
+            this.priceHistory = { record() {}, now: () => 0 };
             this.harbors = [];
             this.worldMap = {
                 isWater() {
@@ -57,6 +61,13 @@ function loadGameLoopWithMocks() {
         getEntity(id) {
             return this.entities[id];
         }
+
+        renameEntity(oldId, newId) {
+            const entity = this.entities[oldId];
+            delete this.entities[oldId];
+            entity.id = newId;
+            this.entities[newId] = entity;
+        }
     }
 
     class MockPlayer {
@@ -87,6 +98,29 @@ function loadGameLoopWithMocks() {
         }
     }
 
+    const mockShipClasses = {
+        SLOOP: {
+            name: 'Sloop',
+            health: 100,
+            spriteWidth: 80,
+            spriteHeight: 160,
+            spriteRotation: 0,
+            spriteFile: 'sloop.png',
+            hitboxWidthFactor: 0.5,
+            hitboxHeightFactor: 0.8
+        },
+        BRIG: {
+            name: 'Brig',
+            health: 200,
+            spriteWidth: 100,
+            spriteHeight: 200,
+            spriteRotation: 0,
+            spriteFile: 'brig.png',
+            hitboxWidthFactor: 0.5,
+            hitboxHeightFactor: 0.8
+        }
+    };
+
     class MockEconomySystem {
         constructor() {}
     }
@@ -110,15 +144,37 @@ function loadGameLoopWithMocks() {
         exports: {
             GAME: {
                 TICK_RATE: 20,
+                SIMULATION_SUBSTEPS: 1,
+                MAX_STEPS_PER_FRAME: 5,
                 HARBOR_SPAWN_DISTANCE: 300,
                 PERFORMANCE_LOG_INTERVAL_MS: 10000,
                 MAX_TICK_TIME_MS: 16.67
             },
+            PHYSICS: {
+                ACCELERATION: 20,
+                DECELERATION: 10,
+                SAIL_CHANGE_COOLDOWN: 0.5,
+                WIND_STRENGTH_MULTIPLIERS: { LOW: 0.6, NORMAL: 0.8, FULL: 1.0 }
+            },
             COMBAT: {
                 DEBUG_INITIALIZATION: false,
+                AMMO_TYPES: {
+                    CANNON_SHOT: 'CANNON_SHOT',
+                    CHAIN_SHOT: 'CHAIN_SHOT'
+                },
                 PROJECTILE_BALL_RADIUS: 6,
                 PROJECTILE_SHADOW_RADIUS: 9,
                 HARBOR_EXIT_SHIELD_DURATION: 10
+            },
+            NETWORK: {
+                SNAPSHOT_INTERVAL_TICKS: 10,
+                AOI_RADIUS: 2500,
+                AOI_LEAVE_BUFFER: 250,
+                CLIENT_INTERPOLATION_DELAY_MS: 100,
+                LAG_COMPENSATION_MAX_MS: 250,
+                LATENCY_PING_INTERVAL_TICKS: 120,
+                LATENCY_SMOOTHING: 0.25,
+                RECONNECT_GRACE_MS: 30000
             }
         }
     };
@@ -145,17 +201,8 @@ function loadGameLoopWithMocks() {
         filename: dependencyPaths.shipClass,
         loaded: true,
         exports: {
-            SHIP_CLASSES: {
-                SLOOP: {
-                    name: 'Sloop',
-                    spriteWidth: 80,
-                    spriteHeight: 160,
-                    spriteRotation: 0,
-                    spriteFile: 'sloop.png',
-                    hitboxWidthFactor: 0.5,
-                    hitboxHeightFactor: 0.8
-                }
-            }
+            SHIP_CLASSES: mockShipClasses,
+            getShipClass: (shipClassName) => mockShipClasses[shipClassName]
         }
     };
 
@@ -174,7 +221,7 @@ function loadGameLoopWithMocks() {
     return { GameLoop, restore };
 }
 
-test('GameLoop.stop clears both timers and is idempotent', () => {
+test('GameLoop.stop clears every timer and is idempotent', () => {
     const { GameLoop, restore } = loadGameLoopWithMocks();
     const io = { emit() {} };
     const loop = new GameLoop(io);
@@ -197,23 +244,28 @@ test('GameLoop.stop clears both timers and is idempotent', () => {
     try {
         loop.start();
 
-        assert.equal(scheduled.length, 2);
-        assert.equal(scheduled[0].delay, 50);
-        assert.equal(scheduled[1].delay, 10000);
+        assert.deepEqual(scheduled.map(timer => timer.delay), [50, 10000, 60000, 10000, 60000]);
         assert.equal(loop.interval, scheduled[0].handle);
         assert.equal(loop.monitoringInterval, scheduled[1].handle);
+        assert.equal(loop.autosaveInterval, scheduled[2].handle);
+        assert.equal(loop.ledgerFlushInterval, scheduled[3].handle);
+        assert.equal(loop.worldCheckpointInterval, scheduled[4].handle);
 
         loop.start();
-        assert.equal(scheduled.length, 2);
+        assert.equal(scheduled.length, 5);
 
         loop.stop();
 
-        assert.deepEqual(cleared, [scheduled[0].handle, scheduled[1].handle]);
+        const handles = scheduled.map(timer => timer.handle);
+        assert.deepEqual(cleared, handles);
         assert.equal(loop.interval, null);
         assert.equal(loop.monitoringInterval, null);
+        assert.equal(loop.autosaveInterval, null);
+        assert.equal(loop.ledgerFlushInterval, null);
+        assert.equal(loop.worldCheckpointInterval, null);
 
         loop.stop();
-        assert.deepEqual(cleared, [scheduled[0].handle, scheduled[1].handle]);
+        assert.deepEqual(cleared, handles);
     } finally {
         global.setInterval = originalSetInterval;
         global.clearInterval = originalClearInterval;
@@ -304,7 +356,7 @@ test('GameLoop.addPlayer adds a valid player and emits bootstrap data', () => {
 
         assert.deepEqual(
             socket.emitted.map(({ event }) => event),
-            ['map_data', 'shipMetadata', 'combatConfig']
+            ['map_data', 'shipMetadata', 'combatConfig', 'physicsConfig']
         );
 
         assert.equal(ioEvents.length, 1);
@@ -402,6 +454,7 @@ test('GameLoop.handleCloseHarbor undocks player, leaves room, and grants exit sh
         inHarbor: true,
         dockedHarborId: 'nassau',
         nearHarbor: 'nassau',
+        visitedHarbors: {},
         x: 0,
         y: 0,
         shieldEndTime: 0
@@ -420,8 +473,7 @@ test('GameLoop.handleCloseHarbor undocks player, leaves room, and grants exit sh
         removed.push({ playerId, harborId });
     };
 
-    const originalNow = Date.now;
-    Date.now = () => 5000;
+    loop.clock = new SimulationClock(5);
 
     try {
         loop.handleCloseHarbor('p1');
@@ -433,8 +485,234 @@ test('GameLoop.handleCloseHarbor undocks player, leaves room, and grants exit sh
         assert.equal(player.x, 1300);
         assert.equal(player.y, 2000);
         assert.equal(player.shieldEndTime, 15);
+    } finally {
+        restore();
+    }
+});
+
+test('GameLoop.handleSwitchFlagship records the old and new flagship in the ledger', () => {
+    const { GameLoop, restore } = loadGameLoopWithMocks();
+    const loop = new GameLoop({ emit() {} });
+    const entries = [];
+    const sloop = { shipClass: { name: 'Sloop' } };
+    const escort = { shipClass: { name: 'Sloop' } };
+    const player = {
+        id: 'p1',
+        inHarbor: true,
+        dockedHarborId: 'nassau',
+        nearHarbor: 'nassau',
+        fleet: [sloop, escort],
+        flagshipIndex: 0,
+        clampCrewCount() {},
+        // Same count rule as Player.recordShipChange
+        recordShipChange(shipClassName, delta, reason) {
+            const balance = this.fleet.filter(ship => ship.shipClass.name === shipClassName).length;
+            entries.push({ item: shipClassName, delta, balance, ...reason });
+        }
+    };
+    loop.world.entities.p1 = player;
+
+    try {
+        loop.handleSwitchFlagship('p1', 'BRIG');
+
+        assert.deepEqual(player.fleet.map(ship => ship.shipClass.name), ['Brig', 'Sloop']);
+        assert.equal(player.fleet[1], escort);
+        assert.deepEqual(entries, [
+            { item: 'Sloop', delta: -1, balance: 1, source: 'SHIPYARD', counterparty: 'harbor:nassau' },
+            { item: 'Brig', delta: 1, balance: 1, source: 'SHIPYARD', counterparty: 'harbor:nassau' }
+        ]);
+    } finally {
+        restore();
+    }
+});
+
+test('GameLoop.advanceSimulation runs fixed steps regardless of timer jitter', () => {
+    const { GameLoop, restore } = loadGameLoopWithMocks();
+    const loop = new GameLoop({ emit() {} });
+    const deltas = [];
+    const broadcasts = [];
+    loop.world.update = (deltaTime) => deltas.push(deltaTime);
+    loop.broadcastState = (isSnapshot) => broadcasts.push(isSnapshot);
+
+    try {
+        // 20 Hz loop: 0.05s steps. Frames arrive early, late and bunched.
+        const frames = [0.03, 0.04, 0.11, 0.0, 0.06, 0.07];
+        const steps = frames.map(frameTime => loop.advanceSimulation(frameTime));
+
+        assert.deepEqual(steps, [0, 1, 2, 0, 1, 2]);
+        assert.equal(deltas.length, 6);
+        assert.ok(deltas.every(deltaTime => deltaTime === 0.05));
+        assert.equal(loop.tickCount, 6);
+
+        // One broadcast per call that simulated something
+        assert.equal(broadcasts.length, 4);
+    } finally {
+        restore();
+    }
+});
+
+test('GameLoop.advanceSimulation sub-steps and caps catch-up after a stall', () => {
+    const { GameLoop, restore } = loadGameLoopWithMocks();
+    const loop = new GameLoop({ emit() {} });
+    const deltas = [];
+    const broadcasts = [];
+    loop.world.update = (deltaTime) => deltas.push(deltaTime);
+    loop.broadcastState = (isSnapshot) => broadcasts.push(isSnapshot);
+    loop.substeps = 2;
+
+    try {
+        // 2 seconds of backlog = 40 steps, but only MAX_STEPS_PER_FRAME run
+        assert.equal(loop.advanceSimulation(2), 5);
+        assert.equal(deltas.length, 10);
+        assert.ok(deltas.every(deltaTime => deltaTime === 0.025));
+        assert.equal(loop.accumulator, 0);
+
+        // Snapshot is flagged when any step in the batch hits the snapshot interval
+        loop.advanceSimulation(0.25);
+        assert.deepEqual(broadcasts, [false, true]);
+    } finally {
+        restore();
+    }
+});
+
+test('GameLoop.handleLatencyPong smooths round-trip time and ignores bad replies', () => {
+    const { GameLoop, restore } = loadGameLoopWithMocks();
+    const loop = new GameLoop({ emit() {} });
+    const player = { id: 'p1', type: 'PLAYER', latency: 0 };
+    loop.world.entities.p1 = player;
+
+    const originalNow = Date.now;
+    Date.now = () => 10000;
+
+    try {
+        loop.handleLatencyPong('p1', { t: 9900 });
+        assert.equal(player.latency, 0.1);
+
+        loop.handleLatencyPong('p1', { t: 9700 });
+        assert.ok(Math.abs(player.latency - (0.1 + (0.3 - 0.1) * 0.25)) < 1e-9);
+
+        const before = player.latency;
+        loop.handleLatencyPong('p1', { t: 20000 });   // From the future
+        loop.handleLatencyPong('p1', { t: 'soon' });
+        loop.handleLatencyPong('ghost', { t: 9900 });
+        assert.equal(player.latency, before);
     } finally {
         Date.now = originalNow;
         restore();
     }
 });
+
+test('GameLoop holds dropped players and resumes them on a new socket with the same token', async () => {
+    const { GameLoop, restore } = loadGameLoopWithMocks();
+    const ioEvents = [];
+    const io = {
+        emit(event, payload) {
+            ioEvents.push({ event, payload });
+        },
+        sockets: { sockets: new Map() }
+    };
+    const loop = new GameLoop(io);
+    const harborData = [];
+    loop.sendHarborData = (socketId, player, harbor) => harborData.push({ socketId, harborId: harbor.id });
+    loop.broadcastHarborOccupants = () => {};
+
+    const player = {
+        id: 'old-socket',
+        name: 'Anne Bonny',
+        type: 'PLAYER',
+        token: 'token-1',
+        dockedHarborId: 'nassau',
+        fleet: [],
+        fleetCargo: { goods: {} },
+        disconnectedAt: null,
+        holdForReconnect(now) { this.disconnectedAt = now; },
+        resumeControl() { this.disconnectedAt = null; }
+    };
+    loop.world.entities['old-socket'] = player;
+    loop.world.entities.guest = { id: 'guest', name: 'Guest', type: 'PLAYER', token: null };
+    loop.world.harbors = [{ id: 'nassau', name: 'Nassau' }];
+    loop.harborOccupants.set('nassau', new Set(['old-socket']));
+
+    const socket = {
+        id: 'new-socket',
+        emitted: [],
+        joined: [],
+        emit(event, payload) { this.emitted.push({ event, payload }); },
+        join(room) { this.joined.push(room); }
+    };
+
+    try {
+        assert.equal(loop.holdPlayer('guest', 1000), false); // No token, nothing to resume
+        assert.equal(loop.holdPlayer('old-socket', 1000), true);
+        assert.equal(player.disconnectedAt, 1000);
+
+        loop.releaseExpiredPlayers(30999);
+        assert.equal(loop.world.entities['old-socket'], player);
+        assert.equal(loop.getPlayerCount(), 2);
+
+        // Different name on the form: the token decides, no duplicate-name rejection
+        assert.equal(await loop.addPlayer(socket, 'Someone Else', 'token-1'), true);
+        assert.equal(loop.world.entities['new-socket'], player);
+        assert.equal(loop.world.entities['old-socket'], undefined);
+        assert.equal(player.disconnectedAt, null);
+        assert.equal(loop.heldPlayers.size, 0);
+        assert.deepEqual([...loop.harborOccupants.get('nassau')], ['new-socket']);
+        assert.deepEqual(socket.joined, ['harbor_nassau']);
+        assert.deepEqual(harborData, [{ socketId: 'new-socket', harborId: 'nassau' }]);
+        assert.equal(socket.emitted[0].event, 'map_data');
+        assert.match(ioEvents.at(-1).payload.text, /Anne Bonny reconnected/);
+
+        // Not back in time: removed with a leave message
+        loop.holdPlayer('new-socket', 2000);
+        loop.releaseExpiredPlayers(32000);
+        assert.equal(loop.world.entities['new-socket'], undefined);
+        assert.equal(loop.heldPlayers.size, 0);
+        assert.match(ioEvents.at(-1).payload.text, /Anne Bonny left the game/);
+    } finally {
+        restore();
+    }
+});
+
+test('GameLoop.saveAllPlayers bulk-saves players and reports failures and timeouts', async () => {
+    const { GameLoop, restore } = loadGameLoopWithMocks();
+    const DatabaseService = require('../src/server/database/DatabaseService');
+    const originalSavePlayers = DatabaseService.savePlayers;
+    const loop = new GameLoop({ emit() {} });
+
+    const createPlayer = (id, token, extra = {}) => ({
+        id, token, name: id, type: 'PLAYER', x: 10, y: 20, gold: 5, isRaft: false, inHarbor: false,
+        fleet: [], fleetCargo: { goods: {} }, speed: 3, sailState: 2, inputs: { left: true },
+        ...extra
+    });
+    loop.world.entities.anne = createPlayer('anne', 'token-anne', { needsSave: true });
+    loop.world.entities.mary = createPlayer('mary', 'token-mary');
+    loop.world.entities.raft = createPlayer('raft', 'token-raft', { isRaft: true });
+    loop.world.entities.guest = createPlayer('guest', null);
+
+    try {
+        loop.freezePlayers();
+        assert.equal(loop.world.entities.anne.speed, 0);
+        assert.equal(loop.world.entities.anne.sailState, 0);
+        assert.equal(loop.world.entities.anne.inputs.left, false);
+
+        let batch = null;
+        DatabaseService.savePlayers = async (list) => {
+            batch = list;
+            return { saved: ['token-anne'], failed: ['token-mary'] };
+        };
+        const result = await loop.saveAllPlayers(1000);
+        assert.deepEqual(batch.map(data => data.token), ['token-anne', 'token-mary']); // No rafts, no guests
+        assert.deepEqual(result.saved.map(p => p.name), ['anne']);
+        assert.deepEqual(result.failed.map(p => p.name), ['mary']);
+        assert.equal(result.timedOut, false);
+        assert.equal(loop.world.entities.anne.needsSave, false);
+
+        DatabaseService.savePlayers = () => new Promise(() => {}); // Database never answers
+        const stalled = await loop.saveAllPlayers(10);
+        assert.equal(stalled.timedOut, true);
+        assert.deepEqual(stalled.failed.map(p => p.name), ['anne', 'mary']);
+    } finally {
+        DatabaseService.savePlayers = originalSavePlayers;
+        restore();
+    }
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HarborMarkets = require('../src/server/game/economy/HarborMarkets');
+const EconomySystem = require('../src/server/game/economy/EconomySystem');
+const Player = require('../src/server/game/entities/Player');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+
+// HarborRegistry.getHarborEconomy for one trading harbor: rum is its export, sugar its import
+const registry = {
+    getHarborEconomy(harborId) {
+        if (harborId !== 'tortuga') return null;
+        return {
+            profileId: 'caribbean_port',
+            profileName: 'Caribbean Port',
+            goods: [
+                { id: 'rum', name: 'Rum', category: 'LUXURY', space: 1, buyPrice: 50, sellPrice: 38, tier: 'EXPORT' },
+                { id: 'sugar', name: 'Sugar', category: 'FOOD', space: 1, buyPrice: 30, sellPrice: 23, tier: 'IMPORT' }
+            ]
+        };
+    }
+};
+
+function createMarkets() {
+    const clock = new SimulationClock(0);
+    return { clock, markets: new HarborMarkets(registry, { clock }) };
+}
+
+test('Harbor prices rise as stock runs down and recover with it over time', () => {
+    const { clock, markets } = createMarkets();
+
+    const rum = markets.getEconomy('tortuga').goods[0];
+    assert.deepEqual([rum.buyPrice, rum.sellPrice, rum.stock, rum.baseline, rum.capacity], [50, 37, 400, 400, 1200]);
+    assert.equal(markets.getEconomy('port_royal'), null);
+
+    // A large purchase is priced unit by unit, so it costs more than 100 times the listed price
+    assert.equal(markets.quoteBuy('tortuga', 'rum', 100), 5355);
+    // Selling the same goods back returns the margin (75%), give or take per-unit rounding
+    markets.changeStock('tortuga', 'rum', -100);
+    assert.equal(markets.quoteSell('tortuga', 'rum', 100), 4018);
+    markets.changeStock('tortuga', 'rum', 100);
+
+    // Emptied: the next unit is at the price ceiling and none can be bought
+    markets.changeStock('tortuga', 'sugar', -80);
+    const sugar = markets.getEconomy('tortuga').goods[1];
+    assert.deepEqual([sugar.stock, sugar.buyPrice], [0, 75]);
+    assert.equal(markets.quoteBuy('tortuga', 'sugar', 1), null);
+    assert.equal(markets.getMaxAffordable('tortuga', 'sugar', 1000, 100), 0);
+
+    // Half-way back after STOCK_RECOVERY_SECONDS * ln 2, untouched goods stay at baseline
+    clock.advance(1800 * Math.LN2);
+    assert.equal(markets.getStock('tortuga', 'sugar'), 40);
+    assert.equal(markets.getStock('tortuga', 'rum'), 400);
+
+    // Warehouse room is bounded by capacity
+    assert.equal(markets.getSellCapacity('tortuga', 'rum'), 800);
+    assert.equal(markets.quoteSell('tortuga', 'rum', 801), null);
+});
+
+test('Harbor stock survives a checkpoint round trip and skips goods that are no longer traded', () => {
+    const { markets } = createMarkets();
+    markets.changeStock('tortuga', 'rum', -150);
+
+    const state = JSON.parse(JSON.stringify(markets.exportState()));
+    assert.deepEqual(state, { tortuga: { rum: 250, sugar: 80 } });
+
+    const { markets: restored } = createMarkets();
+    assert.equal(restored.importState({ ...state, port_royal: { rum: 5 }, tortuga: { ...state.tortuga, sugar: 9999, coffee: 3 } }), 1);
+    assert.equal(restored.getStock('tortuga', 'rum'), 250);
+    assert.equal(restored.getStock('tortuga', 'sugar'), 240); // Clamped to capacity
+    assert.equal(restored.getStock('tortuga', 'coffee'), 0);
+});
+
+test('EconomySystem trades against harbor stock and warehouse room', () => {
+    const { markets } = createMarkets();
+    const economy = new EconomySystem(markets);
+    const player = new Player('s1', 'Anne Bonny', 'FLUYT', null);
+    player.inHarbor = true;
+    player.dockedHarborId = 'tortuga';
+    player.gold = 10000;
+
+    markets.changeStock('tortuga', 'sugar', -75);
+    assert.deepEqual(economy.buyGood(player, 'tortuga', 'sugar', 10), {
+        success: false, message: 'Only 5 Sugar left in stock.'
+    });
+
+    // Buy Max takes what is left, here all at the price ceiling
+    const bought = economy.buyGood(player, 'tortuga', 'sugar', -1);
+    assert.equal(bought.success, true);
+    assert.deepEqual(bought.cargoAdded, { goodId: 'sugar', quantity: 5 });
+    assert.equal(bought.goldSpent, 5 * 75);
+    assert.equal(markets.getStock('tortuga', 'sugar'), 0);
+    assert.equal(economy.buyGood(player, 'tortuga', 'sugar', 1).message, 'Sugar is sold out here.');
+
+    // Selling refills the stock; a full warehouse refuses more
+    assert.equal(economy.sellGood(player, 'tortuga', 'sugar', 5).success, true);
+    assert.equal(markets.getStock('tortuga', 'sugar'), 5);
+    markets.changeStock('tortuga', 'rum', 800);
+    player.addCargo('rum', 3);
+    assert.equal(economy.sellGood(player, 'tortuga', 'rum', 1).message, 'The harbor warehouse is full of Rum.');
+    assert.equal(player.fleetCargo.getQuantity('rum'), 3);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const InterestManager = require('../src/server/game/network/InterestManager');
+
+function createWorld(entities) {
+    return {
+        entities,
+        serializeEntity(id) {
+            return { id, full: true };
+        }
+    };
+}
+
+function frameFrom(entities) {
+    const frame = { players: {}, projectiles: [], wrecks: [] };
+    for (const id in entities) {
+        frame.players[id] = { id, x: entities[id].x, y: entities[id].y };
+    }
+    return frame;
+}
+
+test('InterestManager filters ships, projectiles and wrecks to the AOI of each player', () => {
+    const entities = {
+        p1: { id: 'p1', type: 'PLAYER', x: 0, y: 0 },
+        p2: { id: 'p2', type: 'PLAYER', x: 5000, y: 0 },
+        npc: { id: 'npc', type: 'NPC', x: 900, y: 0 }
+    };
+    const manager = new InterestManager(createWorld(entities), { radius: 1000, leaveBuffer: 100 });
+    const frame = frameFrom(entities);
+    frame.projectiles = [{ x: 50, y: 0 }, { x: 4950, y: 0 }];
+    frame.wrecks = [{ id: 'w1', x: 5100, y: 0 }];
+    frame.impacts = [{ kind: 'water', x: 4900, y: 0 }];
+
+    const views = manager.buildViews(frame);
+
+    assert.deepEqual(Object.keys(views.get('p1').state.players).sort(), ['npc', 'p1']);
+    assert.deepEqual(views.get('p1').state.projectiles, [{ x: 50, y: 0 }]);
+    assert.deepEqual(views.get('p1').state.wrecks, []);
+
+    assert.deepEqual(Object.keys(views.get('p2').state.players), ['p2']);
+    assert.deepEqual(views.get('p2').state.projectiles, [{ x: 4950, y: 0 }]);
+    assert.deepEqual(views.get('p2').state.wrecks, [{ id: 'w1', x: 5100, y: 0 }]);
+    assert.deepEqual(views.get('p1').impacts, []);
+    assert.deepEqual(views.get('p2').impacts, [{ kind: 'water', x: 4900, y: 0 }]);
+
+    assert.deepEqual(Object.keys(views.get('p1').entered).sort(), ['npc', 'p1']);
+    assert.deepEqual(views.get('p1').entered.npc, { id: 'npc', full: true });
+    assert.equal(views.has('npc'), false);
+});
+
+test('InterestManager reports enter/leave once and keeps boundary ships with hysteresis', () => {
+    const entities = {
+        p1: { id: 'p1', type: 'PLAYER', x: 0, y: 0 },
+        npc: { id: 'npc', type: 'NPC', x: 1200, y: 0 }
+    };
+    const manager = new InterestManager(createWorld(entities), { radius: 1000, leaveBuffer: 100 });
+
+    let view = manager.buildViews(frameFrom(entities)).get('p1');
+    assert.deepEqual(Object.keys(view.entered), ['p1']);
+    assert.deepEqual(view.left, []);
+
+    entities.npc.x = 950;
+    view = manager.buildViews(frameFrom(entities)).get('p1');
+    assert.deepEqual(Object.keys(view.entered), ['npc']);
+
+    // Inside the leave buffer: still visible, no events
+    entities.npc.x = 1050;
+    view = manager.buildViews(frameFrom(entities)).get('p1');
+    assert.deepEqual(view.entered, {});
+    assert.deepEqual(view.left, []);
+    assert.ok(view.state.players.npc);
+
+    entities.npc.x = 1150;
+    view = manager.buildViews(frameFrom(entities)).get('p1');
+    assert.deepEqual(view.left, ['npc']);
+    assert.equal(view.state.players.npc, undefined);
+
+    // Despawned entities leave as well
+    entities.npc.x = 10;
+    manager.buildViews(frameFrom(entities));
+    delete entities.npc;
+    view = manager.buildViews(frameFrom(entities)).get('p1');
+    assert.deepEqual(view.left, ['npc']);
+});
+
+test('InterestManager forgets players that left the world', () => {
+    const entities = {
+        p1: { id: 'p1', type: 'PLAYER', x: 0, y: 0 }
+    };
+    const manager = new InterestManager(createWorld(entities), { radius: 1000, leaveBuffer: 100 });
+
+    manager.buildViews(frameFrom(entities));
+    assert.equal(manager.visibleSets.has('p1'), true);
+
+    delete entities.p1;
+    const views = manager.buildViews(frameFrom(entities));
+    assert.equal(views.size, 0);
+    assert.equal(manager.visibleSets.has('p1'), false);
+});
+
+test('InterestManager builds no view for players held for a reconnect', () => {
+    const entities = {
+        p1: { id: 'p1', type: 'PLAYER', x: 0, y: 0, disconnectedAt: null },
+        p2: { id: 'p2', type: 'PLAYER', x: 100, y: 0, disconnectedAt: null }
+    };
+    const manager = new InterestManager(createWorld(entities), { radius: 1000, leaveBuffer: 100 });
+    manager.buildViews(frameFrom(entities));
+
+    entities.p2.disconnectedAt = 1000;
+    const views = manager.buildViews(frameFrom(entities));
+    assert.deepEqual([...views.keys()], ['p1']);
+    assert.equal(manager.visibleSets.has('p2'), false);
+
+    // Their ship stays in the world for everyone else
+    assert.ok(views.get('p1').state.players.p2);
+});
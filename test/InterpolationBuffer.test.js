@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { InterpolationBuffer, INTERPOLATION_DELAY_MS } = require('../src/public/js/InterpolationBuffer');
+
+function createBuffer() {
+    const buffer = new InterpolationBuffer();
+    buffer.setPhysics({ tickRate: 60, worldWidth: 1000, worldHeight: 1000 });
+    return buffer;
+}
+
+function frame(x, rotation, projectileX) {
+    return {
+        players: { npc_1: { x, y: 100, rotation } },
+        projectiles: projectileX === undefined ? [] : [{ id: 'proj_1', x: projectileX, y: 50, z: 0 }]
+    };
+}
+
+test('InterpolationBuffer renders remote ships between the bracketing frames', () => {
+    const buffer = createBuffer();
+
+    // Two frames 6 ticks (100 ms) apart, received exactly on time
+    buffer.push(frame(100, 0), 600, 10000);
+    buffer.push(frame(200, 1), 606, 10100);
+
+    // 150 ms after the first frame arrived = 50 ms of render time past it
+    const bracket = buffer.getBracket(10000 + INTERPOLATION_DELAY_MS + 50);
+    const pose = buffer.samplePlayer(bracket, 'npc_1');
+
+    assert.ok(Math.abs(pose.x - 150) < 1e-6);
+    assert.equal(pose.y, 100);
+    assert.ok(Math.abs(pose.rotation - 0.5) < 1e-6);
+});
+
+test('InterpolationBuffer holds the newest frame when packets stall', () => {
+    const buffer = createBuffer();
+    buffer.push(frame(100, 0), 600, 10000);
+    buffer.push(frame(200, 0), 606, 10100);
+
+    const bracket = buffer.getBracket(15000);
+    assert.equal(buffer.samplePlayer(bracket, 'npc_1').x, 200);
+});
+
+test('InterpolationBuffer snaps across the world edge and only lerps known projectiles', () => {
+    const buffer = createBuffer();
+    buffer.push(frame(995, 0, 10), 600, 10000);
+    buffer.push(frame(5, 0, 30), 606, 10100);
+
+    const bracket = buffer.getBracket(10000 + INTERPOLATION_DELAY_MS + 50);
+    assert.equal(buffer.samplePlayer(bracket, 'npc_1').x, 5);
+
+    const projectiles = buffer.sampleProjectiles(bracket);
+    assert.equal(projectiles.length, 1);
+    assert.equal(projectiles[0].id, 'proj_1');
+    assert.ok(Math.abs(projectiles[0].x - 20) < 1e-6);
+
+    // A projectile fired after the render time is not drawn yet
+    buffer.push({ players: {}, projectiles: [{ id: 'proj_2', x: 0, y: 0, z: 0 }] }, 612, 10200);
+    const later = buffer.getBracket(10200 + INTERPOLATION_DELAY_MS - 50);
+    assert.deepEqual(buffer.sampleProjectiles(later), []);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameConfig = require('../src/server/game/config/GameConfig');
+const Player = require('../src/server/game/entities/Player');
+const Projectile = require('../src/server/game/entities/Projectile');
+const World = require('../src/server/game/world/World');
+const TransformHistory = require('../src/server/game/world/TransformHistory');
+
+const { NETWORK } = GameConfig;
+
+function createShip(id, x, y) {
+    const ship = new Player(id, id, 'SLOOP', null, { harbors: [] });
+    ship.x = x;
+    ship.y = y;
+    ship.rotation = 0;
+    return ship;
+}
+
+// World methods under test, without loading the real map
+function createWorld(entities) {
+    const world = Object.create(World.prototype);
+    world.entities = entities;
+    world.projectiles = [];
+    world.projectileIdCounter = 0;
+    world.transformHistory = new TransformHistory({ maxRewindMs: 250, tickRate: 60 });
+    return world;
+}
+
+test('TransformHistory interpolates past poses and forgets frames outside the window', () => {
+    const history = new TransformHistory({ maxRewindMs: 100, tickRate: 10 });
+    const ship = { type: 'NPC', x: 0, y: 0, rotation: 0 };
+
+    for (let tick = 0; tick <= 10; tick++) {
+        ship.x = tick * 10;
+        history.record(tick / 10, { npc_1: ship });
+    }
+
+    assert.deepEqual(history.sample('npc_1', 1.0), { x: 100, y: 0, rotation: 0 });
+    assert.ok(Math.abs(history.sample('npc_1', 0.95).x - 95) < 1e-9);
+
+    // Capacity is window (1 frame) + 2, older frames are overwritten
+    assert.equal(history.capacity, 3);
+    assert.equal(history.sample('npc_1', 0.5), null);
+    assert.equal(history.sample('unknown', 1.0), null);
+});
+
+test('World rewinds targets by the shooter latency, capped by the compensation window', () => {
+    const shooter = createShip('shooter', 0, 0);
+    const world = createWorld({ shooter });
+
+    assert.equal(world.getLagCompensation(shooter), 0); // Not measured yet
+
+    shooter.latency = 0.08;
+    assert.ok(Math.abs(world.getLagCompensation(shooter) - (0.08 + NETWORK.CLIENT_INTERPOLATION_DELAY_MS / 1000)) < 1e-9);
+
+    shooter.latency = 2;
+    assert.equal(world.getLagCompensation(shooter), NETWORK.LAG_COMPENSATION_MAX_MS / 1000);
+
+    assert.equal(world.getLagCompensation({ type: 'NPC', latency: 0.2 }), 0);
+
+    world.createProjectile('shooter', 0, 0, 0);
+    assert.equal(world.projectiles[0].rewind, NETWORK.LAG_COMPENSATION_MAX_MS / 1000);
+});
+
+test('A broadside that hit on the shooter screen hits the rewound target on the server', () => {
+    const target = createShip('target', 1000, 1000);
+    const world = createWorld({ target });
+
+    // Target sails east at 120 px/s for one second of history
+    for (let tick = 0; tick <= 60; tick++) {
+        target.x = 1000 + tick * 2;
+        world.transformHistory.record(tick / 60, world.entities);
+    }
+
+    // Ball lands on the hull where the target was 0.2s ago (x = 1096), clear of its current hull (x = 1120)
+    const ball = new Projectile('proj_0', 'shooter', 1091, 1000, 0);
+
+    assert.equal(world.testRotatedRectCollision(target, ball), null);
+
+    ball.rewind = 0.2;
+    const pose = world.getCompensatedPose(target, ball, 1);
+    assert.ok(Math.abs(pose.x - 1096) < 1e-9);
+    assert.ok(world.testRotatedRectCollision(target, ball, pose));
+});
+
+test('A fast ball that steps over a thin hull between ticks still hits, at the hull edge', () => {
+    // Sloop hitbox is 22 px wide: the ball jumps from 20 px west of its centre to 20 px east
+    const target = createShip('target', 1000, 1000);
+    const world = createWorld({ target });
+    const ball = new Projectile('proj_0', 'shooter', 980, 1000, 0, 800);
+    ball.update(0.05);
+    assert.ok(ball.prevX < 989 && ball.x > 1011);
+
+    const hit = world.testRotatedRectCollision(target, ball);
+    const halfWidth = target.flagship.getHitbox().width / 2;
+    assert.ok(Math.abs(hit.x - (1000 - halfWidth)) < 1e-9);
+    assert.equal(hit.y, 1000);
+    assert.ok(hit.t > 0 && hit.t < 1);
+
+    // Same step one hull length further north passes the bow by
+    ball.prevY = ball.y = 1000 - target.flagship.getHitbox().height;
+    assert.equal(world.testRotatedRectCollision(target, ball), null);
+});
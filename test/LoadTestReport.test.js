@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const LoadTestReport = require('../tools/loadtest/LoadTestReport');
+const { parsePerformanceLine, percentile } = LoadTestReport;
+
+function fakeBot(stats) {
+    return {
+        stats: {
+            joinedAt: 0, rejected: false, frames: 0, trades: 0, bytesReceived: 0, bytesSent: 0,
+            inputAckMs: [], pingMs: [], transactionMs: [], ...stats
+        }
+    };
+}
+
+test('parsePerformanceLine reads GameLoop.logPerformance output and ignores other lines', () => {
+    assert.deepEqual(
+        parsePerformanceLine('[Performance] Avg tick: 0.42ms | Max: 3.10ms | Players: 100 | NPCs: 35 | Projectiles: 12'),
+        { avgTick: 0.42, maxTick: 3.1, players: 100, npcs: 35, projectiles: 12 }
+    );
+    assert.equal(parsePerformanceLine('[JOIN] Player "Bot 001" joined'), null);
+
+    assert.equal(percentile([5, 1, 4, 2, 3], 50), 3);
+    assert.equal(percentile([5, 1, 4, 2, 3], 95), 5);
+    assert.equal(percentile([], 50), null);
+});
+
+test('LoadTestReport aggregates bandwidth per joined bot and latency across bots', () => {
+    const report = new LoadTestReport();
+    report.addServerLine('[Performance] Avg tick: 0.50ms | Max: 2.00ms | Players: 2 | NPCs: 0 | Projectiles: 0');
+    report.addServerLine('[Performance] Avg tick: 1.50ms | Max: 6.00ms | Players: 2 | NPCs: 0 | Projectiles: 0');
+
+    report.addBot(fakeBot({ joinedAt: 0, bytesReceived: 10000, bytesSent: 1000, inputAckMs: [10, 20], frames: 600 }));
+    report.addBot(fakeBot({ joinedAt: 5000, bytesReceived: 10000, bytesSent: 500, inputAckMs: [30], trades: 2 }));
+    report.addBot(fakeBot({ joinedAt: null, rejected: true }));
+
+    const result = report.build(10000);
+
+    assert.deepEqual(result.bots, { started: 3, joined: 2, rejected: 1 });
+    assert.equal(result.ticks.maxTick, 6);
+    assert.equal(result.ticks.avgTick.max, 1.5);
+    assert.equal(result.bandwidth.rxBytesPerSecond.avg, 1500); // 1000 B/s and 2000 B/s
+    assert.equal(result.bandwidth.rxBytesPerSecond.max, 2000);
+    assert.deepEqual(result.latency.inputAck, { count: 3, p50: 20, p95: 30, max: 30 });
+    assert.equal(result.latency.transaction, null);
+    assert.equal(result.trades, 2);
+    assert.match(report.format(result), /Input -> ack:  p50 20\.0ms/);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseArgs, buildServerEnv } = require('../tools/loadtest/run');
+
+test('The load test server keeps everything in memory, whatever the developer environment says', () => {
+    const options = { ...parseArgs(['--bots', '50', '--seed', '7']), adminSecret: 'secret' };
+    const env = buildServerEnv(options, {
+        DB_BACKEND: 'mongo',
+        MONGODB_URI: 'mongodb+srv://example',
+        DB_FILE_DIR: './data',
+        PATH: '/usr/bin'
+    });
+
+    assert.equal(env.DB_BACKEND, 'memory');
+    assert.equal(env.PORT, '3100');
+    assert.equal(env.MAX_PLAYERS, '50');
+    assert.equal(env.WORLD_SEED, '7');
+    assert.equal(env.ADMIN_SECRET, 'secret');
+    assert.equal(env.PATH, '/usr/bin');
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Player = require('../src/server/game/entities/Player');
+const Ship = require('../src/server/game/entities/Ship');
+const MissionManager = require('../src/server/game/missions/MissionManager');
+const SailToHarborMission = require('../src/server/game/missions/SailToHarborMission');
+const StayInAreaMission = require('../src/server/game/missions/StayInAreaMission');
+const DefeatNPCsMission = require('../src/server/game/missions/DefeatNPCsMission');
+const EscortMission = require('../src/server/game/missions/EscortMission');
+const {
+    CURRENT_VERSION, migrate, serializePlayer, deserializePlayer
+} = require('../src/server/database/PlayerStateSerializer');
+
+function createWorld(simTime = 100) {
+    const world = { harbors: [], clock: { now: () => simTime } };
+    world.missionManager = new MissionManager(world);
+    return world;
+}
+
+// What a save looks like after a trip through the database
+const throughDatabase = (data) => JSON.parse(JSON.stringify(data));
+
+test('Player state survives a save and load unchanged', () => {
+    const world = createWorld();
+    const player = new Player('p1', 'Grace O\'Malley', 'SLOOP', null, world);
+    player.token = 'token-1';
+    player.gold = 4200;
+    player.bankGold = 2500;
+    player.visitedHarbors = { tortuga: 1700000000000 };
+    player.xp = 900;
+    player.level = 4;
+    player.rotation = 1.25;
+
+    const frigate = new Ship('FRIGATE');
+    frigate.customName = 'Queen of Connacht';
+    player.fleet[0].health = 40;
+    player.fleet[0].sailIntegrity = 65;
+    player.fleet.push(frigate);
+    player.fleetCargo.setFleet(player.fleet);
+    player.flagshipIndex = 1;
+    player.fleetCargo.goods = { RUM: 12, WOOD: 30 };
+    player._crewCount = 50;
+    player.selectedAmmoType = 'CHAIN_SHOT';
+    player.shieldEndTime = 103.5;
+
+    const hunt = new DefeatNPCsMission(null, 'p1', 3, 500, 600);
+    world.missionManager.assignMission('p1', hunt);
+    hunt.spawnPoint = { x: 510, y: 590 };
+    hunt.defeatedCount = 1;
+
+    const saved = throughDatabase(serializePlayer(player, { missionManager: world.missionManager }));
+    assert.equal(saved.schemaVersion, CURRENT_VERSION);
+    assert.equal(saved.shieldRemaining, 3.5);
+    assert.equal(saved.fleet[1].customName, 'Queen of Connacht');
+
+    const loadWorld = createWorld(2000); // Simulation clock restarts with the server
+    const loaded = new Player('p2', 'Grace O\'Malley', 'FLUYT', null, loadWorld);
+    loaded.token = 'token-1';
+    deserializePlayer(saved, loaded, { missionManager: loadWorld.missionManager });
+
+    assert.equal(loaded.flagship.shipClass.name, frigate.shipClass.name);
+    assert.equal(loaded.fleet[0].health, 40);
+    assert.equal(loaded.bankGold, 2500);
+    assert.equal(loaded.fleetCargo.fleet, loaded.fleet);
+    assert.equal(loaded.shieldEndTime, 2003.5);
+    assert.equal(loaded.ammoType, 'CHAIN_SHOT');
+
+    const mission = loadWorld.missionManager.getPlayerMission('p2');
+    assert.equal(mission.state, 'ACTIVE');
+    assert.equal(mission.phase, 'DEPARTURE');
+    assert.equal(mission.defeatedCount, 1);
+
+    loaded.id = 'p1';
+    loadWorld.missionManager.renamePlayer('p2', 'p1');
+    assert.deepEqual(throughDatabase(serializePlayer(loaded, { missionManager: loadWorld.missionManager })), saved);
+});
+
+test('Every mission type round-trips, and finished missions are not saved', () => {
+    const missions = [
+        new SailToHarborMission(null, 'p1', 'harbor_7', 'Tortuga'),
+        new StayInAreaMission(null, 'p1', 100, 200, 150, 30),
+        new DefeatNPCsMission(null, 'p1', 3, 400, 500),
+        new EscortMission(null, 'p1', 'harbor_2', 'Port Royal', 900)
+    ];
+
+    for (const mission of missions) {
+        const world = createWorld();
+        const player = new Player('p1', 'Mary Read', 'SLOOP', null, world);
+        world.missionManager.assignMission('p1', mission);
+
+        const saved = throughDatabase(serializePlayer(player, { missionManager: world.missionManager }));
+        assert.equal(saved.mission.type, mission.type);
+
+        const loadWorld = createWorld();
+        const loaded = new Player('p1', 'Mary Read', 'SLOOP', null, loadWorld);
+        deserializePlayer(saved, loaded, { missionManager: loadWorld.missionManager });
+
+        const again = serializePlayer(loaded, { missionManager: loadWorld.missionManager });
+        assert.deepEqual(throughDatabase(again.mission), saved.mission);
+
+        mission.succeed();
+        assert.equal(serializePlayer(player, { missionManager: world.missionManager }).mission, null);
+    }
+});
+
+test('Docked players are saved without the harbor shield and load at the harbor', () => {
+    const world = createWorld();
+    const player = new Player('p1', 'Jack Rackham', 'SLOOP', null, world);
+    player.inHarbor = true;
+    player.dockedHarborId = 'harbor_3';
+    player.shieldEndTime = Infinity;
+
+    const saved = serializePlayer(player);
+    assert.equal(saved.shieldRemaining, 0);
+    assert.equal(saved.spawnMode, 'HARBOR');
+    assert.equal(saved.mission, null);
+
+    const harborRegistry = {
+        getHarborById: (id) => (id === 'harbor_3' ? { id, tileX: 10, tileY: 20 } : null)
+    };
+    const loaded = new Player('p2', 'Jack Rackham', 'SLOOP', null, createWorld());
+    deserializePlayer(throughDatabase(saved), loaded, { harborRegistry });
+
+    assert.equal(loaded.shieldEndTime, 0);
+    assert.equal(loaded.x, 10 * 25);
+    assert.equal(loaded.y, 20 * 25);
+});
+
+test('Version 1 saves migrate their fleet[0] cargo to the fleet hold', () => {
+    const legacy = {
+        token: 'token-old',
+        name: 'Calico Jack',
+        role: 'moderator',
+        x: 300,
+        y: 400,
+        spawnMode: 'AT_SEA',
+        gold: 1500,
+        xp: 10,
+        level: 1,
+        crewCount: 25,
+        fleet: [
+            { classId: 2, hullHP: 80, sailIntegrity: 90, cargo: { SUGAR: 5 } },
+            { classId: 4, hullHP: 150, sailIntegrity: 100, cargo: {} }
+        ]
+    };
+
+    const migrated = migrate(legacy);
+    assert.equal(migrated.schemaVersion, CURRENT_VERSION);
+    assert.deepEqual(migrated.cargo, { SUGAR: 5 });
+    assert.equal('cargo' in migrated.fleet[0], false);
+    assert.equal(legacy.fleet[0].cargo.SUGAR, 5); // Input left untouched
+
+    const player = new Player('p1', 'Calico Jack', 'FLUYT', null, createWorld());
+    deserializePlayer(legacy, player);
+    assert.equal(player.role, 'moderator');
+    assert.equal(player.fleet.length, 2);
+    assert.equal(player.flagshipIndex, 0);
+    assert.deepEqual(player.fleetCargo.goods, { SUGAR: 5 });
+    assert.equal(player.ammoType, 'CANNON_SHOT');
+
+    assert.throws(() => migrate({ ...legacy, schemaVersion: CURRENT_VERSION + 1 }), /newer than this server/);
+});
+
+test('Version 2 saves get an empty bank account and price book', () => {
+    const saved = { token: 'token-2', name: 'Anne Bonny', schemaVersion: 2, x: 300, y: 400, gold: 800, fleet: [], cargo: {} };
+
+    const migrated = migrate(saved);
+    assert.equal(migrated.schemaVersion, 3);
+    assert.equal(migrated.bankGold, 0);
+    assert.deepEqual(migrated.visitedHarbors, {});
+
+    // Written by a server that already had banks but not the version bump: kept
+    const early = migrate({ ...saved, bankGold: 250, visitedHarbors: { nassau: 1700000000000 } });
+    assert.equal(early.bankGold, 250);
+    assert.deepEqual(early.visitedHarbors, { nassau: 1700000000000 });
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RandomStreams = require('../src/server/game/world/RandomStreams');
+const Wind = require('../src/server/game/entities/Wind');
+const Wreck = require('../src/server/game/entities/Wreck');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+
+function take(rng, count) {
+    return Array.from({ length: count }, () => rng());
+}
+
+test('RandomStreams replays the same sequence for the same seed and stream', () => {
+    const a = new RandomStreams(1234);
+    const b = new RandomStreams(1234);
+    const values = take(a.stream('wind'), 20);
+
+    assert.deepEqual(take(b.stream('wind'), 20), values);
+    assert.ok(values.every(value => value >= 0 && value < 1));
+
+    // Different seed, different world
+    assert.notDeepEqual(take(new RandomStreams(1235).stream('wind'), 20), values);
+});
+
+test('RandomStreams keeps subsystems independent of each other', () => {
+    const quiet = new RandomStreams(99);
+    const busy = new RandomStreams(99);
+
+    // Heavy use of one stream must not shift another
+    take(busy.stream('traffic'), 500);
+
+    assert.deepEqual(take(busy.stream('loot'), 10), take(quiet.stream('loot'), 10));
+    assert.equal(busy.stream('loot'), busy.stream('loot'));
+    assert.notDeepEqual(take(new RandomStreams(99).stream('wind'), 10), take(new RandomStreams(99).stream('loot'), 10));
+});
+
+test('Wind and wreck loot are reproducible from a seed', () => {
+    const build = () => {
+        const random = new RandomStreams(42);
+        const clock = new SimulationClock(0);
+        const wind = new Wind(random.stream('wind'));
+        for (let i = 0; i < 60 * 120; i++) {
+            wind.update(1 / 60);
+        }
+        const wreck = new Wreck('wreck_0', 0, 0, 'p1', { goods: { rum: 10 } }, clock, random.stream('loot'));
+        return { wind: wind.serialize(), loot: wreck.loot, rotation: wreck.rotation };
+    };
+
+    assert.deepEqual(build(), build());
+});
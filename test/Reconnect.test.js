@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Player = require('../src/server/game/entities/Player');
+const World = require('../src/server/game/world/World');
+const TransformHistory = require('../src/server/game/world/TransformHistory');
+const MissionManager = require('../src/server/game/missions/MissionManager');
+const Mission = require('../src/server/game/missions/Mission');
+const Customs = require('../src/server/game/economy/Customs');
+
+// World methods under test, without loading the real map
+function createWorld(entities) {
+    const world = Object.create(World.prototype);
+    world.entities = entities;
+    world.projectiles = [];
+    world.wrecks = [];
+    world.transformHistory = new TransformHistory({ maxRewindMs: 250, tickRate: 60 });
+    world.missionManager = new MissionManager(world);
+    world.customs = new Customs(world);
+    return world;
+}
+
+test('Held players are shielded and strike their sails until they resume', () => {
+    const player = new Player('p1', 'Anne Bonny', 'SLOOP', null, { harbors: [] });
+    player.handleInput({ seq: 42, left: true, sailUp: true, shootLeft: true });
+
+    player.holdForReconnect(1000);
+    assert.equal(player.hasActiveShield(), true);
+    assert.deepEqual(player.inputs, {
+        left: false, right: false, sailUp: false, sailDown: true, shootLeft: false, shootRight: false
+    });
+
+    const health = player.flagship.health;
+    player.takeDamage(50, 'p2');
+    assert.equal(player.flagship.health, health);
+
+    player.resumeControl();
+    assert.equal(player.disconnectedAt, null);
+    assert.equal(player.hasActiveShield(), false);
+    assert.equal(player.inputs.sailDown, false);
+    assert.equal(player.lastInputSeq, 0); // New client numbers inputs from 1 again
+});
+
+test('World.renameEntity moves a player and every reference to it', () => {
+    const player = { id: 'old', type: 'PLAYER', x: 0, y: 0, rotation: 0 };
+    const rival = { id: 'rival', type: 'PLAYER', lastDamageSource: { type: 'player', playerId: 'old' } };
+    const pirate = {
+        id: 'npc_1', type: 'NPC', combatTarget: 'old', lastAttacker: 'old',
+        combat: { target: 'old' }, intentData: { evadeFrom: 'old' }
+    };
+    const world = createWorld({ old: player, rival, npc_1: pirate });
+    world.transformHistory.record(1, world.entities);
+    world.projectiles.push({ id: 'proj_0', ownerId: 'old' }, { id: 'proj_1', ownerId: 'rival' });
+    world.wrecks.push({ id: 'wreck_0', ownerId: 'old' });
+    world.missionManager.assignMission('old', new Mission(null, 'TEST', 'old'));
+
+    assert.equal(world.renameEntity('old', 'new'), true);
+
+    assert.equal(world.entities.new, player);
+    assert.equal(world.entities.old, undefined);
+    assert.equal(player.id, 'new');
+    assert.deepEqual(world.projectiles.map(p => p.ownerId), ['new', 'rival']);
+    assert.equal(world.wrecks[0].ownerId, 'new');
+    assert.equal(rival.lastDamageSource.playerId, 'new');
+    assert.equal(pirate.combatTarget, 'new');
+    assert.equal(pirate.combat.target, 'new');
+    assert.equal(pirate.lastAttacker, 'new');
+    assert.equal(pirate.intentData.evadeFrom, 'new');
+    assert.equal(world.missionManager.getPlayerMission('new').playerId, 'new');
+    assert.equal(world.missionManager.getPlayerMission('old'), null);
+    assert.ok(world.transformHistory.sample('new', 1));
+
+    assert.equal(world.renameEntity('missing', 'other'), false);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SanctionList = require('../src/server/admin/SanctionList');
+
+// In-memory stand-in for DatabaseService's sanction methods
+function createStore(saved = []) {
+    const rows = new Map(saved.map(sanction => [sanction.id, sanction]));
+    return {
+        rows,
+        loadSanctions: async () => [...rows.values()],
+        saveSanction: async (sanction) => { rows.set(sanction.id, sanction); return true; },
+        deleteSanction: async (id) => rows.delete(id)
+    };
+}
+
+test('SanctionList matches on token or IP and expires sanctions', async () => {
+    let now = 1000000;
+    const db = createStore();
+    const sanctions = new SanctionList({ db, now: () => now });
+
+    const ban = await sanctions.add({ type: 'ban', token: 'abc', ip: '10.0.0.1', reason: 'Griefing', durationMs: 10 * 60000 });
+    await sanctions.add({ type: 'mute', ip: '10.0.0.2' });
+
+    assert.equal(sanctions.find('ban', { token: 'abc' }), ban);
+    assert.equal(sanctions.find('ban', { token: 'other', ip: '10.0.0.1' }), ban); // Same IP, new token
+    assert.equal(sanctions.find('ban', { token: null, ip: null }), null);
+    assert.equal(sanctions.find('ban', { ip: '10.0.0.2' }), null); // Muted, not banned
+    assert.ok(sanctions.find('mute', { ip: '10.0.0.2' }));
+    assert.equal(db.rows.size, 2);
+
+    now += 4 * 60000;
+    assert.equal(sanctions.remainingMs(ban), 6 * 60000);
+    assert.equal(SanctionList.describeRemaining(sanctions.remainingMs(ban)), '6m remaining');
+
+    now += 6 * 60000;
+    assert.equal(sanctions.find('ban', { token: 'abc' }), null);
+    assert.equal(sanctions.list().length, 1); // The permanent mute stays
+
+    await assert.rejects(sanctions.add({ type: 'ban', reason: 'Nobody' }), /token or an IP/);
+    await assert.rejects(sanctions.add({ type: 'jail', token: 'abc' }), /Unknown sanction type/);
+});
+
+test('SanctionList reloads active sanctions and lifts them from the store', async () => {
+    const now = 5000000;
+    const db = createStore([
+        { id: 'a', type: 'ban', token: 'abc', ip: null, reason: '', createdBy: 'admin', createdAt: 0, expiresAt: null },
+        { id: 'b', type: 'ban', token: 'def', ip: null, reason: '', createdBy: 'admin', createdAt: 0, expiresAt: now - 1 }
+    ]);
+    const sanctions = new SanctionList({ db, now: () => now });
+    await sanctions.load();
+
+    assert.deepEqual(sanctions.list().map(s => s.id), ['a']);
+    assert.equal(await sanctions.lift('ban', { token: 'abc' }), 1);
+    assert.equal(db.rows.has('a'), false);
+    assert.equal(await sanctions.remove('a'), false);
+});
+
+test('formatRemaining', () => {
+    assert.equal(SanctionList.formatRemaining(null), 'permanent');
+    assert.equal(SanctionList.formatRemaining(45000), '45s');
+    assert.equal(SanctionList.formatRemaining(200 * 60000), '3h 20m');
+    assert.equal(SanctionList.formatRemaining(52 * 3600000), '2d 4h');
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameConfig = require('../src/server/game/config/GameConfig');
+const Player = require('../src/server/game/entities/Player');
+const Wind = require('../src/server/game/entities/Wind');
+const ShipPredictor = require('../src/public/js/ShipPredictor');
+
+const { GAME, PHYSICS } = GameConfig;
+
+// Same shape as GameLoop.sendPhysicsConfig()
+function createPhysicsConfig() {
+    return {
+        tickRate: GAME.TICK_RATE,
+        substeps: GAME.SIMULATION_SUBSTEPS,
+        worldWidth: GAME.WORLD_WIDTH,
+        worldHeight: GAME.WORLD_HEIGHT,
+        acceleration: PHYSICS.ACCELERATION,
+        deceleration: PHYSICS.DECELERATION,
+        sailChangeCooldown: PHYSICS.SAIL_CHANGE_COOLDOWN,
+        shallowWaterSpeedMultiplier: PHYSICS.SHALLOW_WATER_SPEED_MULTIPLIER,
+        windStrengthMultipliers: PHYSICS.WIND_STRENGTH_MULTIPLIERS,
+        windAnglePoorMax: PHYSICS.WIND_ANGLE_POOR_MAX,
+        windAngleModerateMax: PHYSICS.WIND_ANGLE_MODERATE_MAX,
+        windAngleGoodMax: PHYSICS.WIND_ANGLE_GOOD_MAX,
+        windEfficiencyPoor: PHYSICS.WIND_EFFICIENCY_POOR,
+        windEfficiencyModerate: PHYSICS.WIND_EFFICIENCY_MODERATE,
+        windEfficiencyGood: PHYSICS.WIND_EFFICIENCY_GOOD,
+        windEfficiencyExcellent: PHYSICS.WIND_EFFICIENCY_EXCELLENT,
+        speedToKnotsMultiplier: PHYSICS.SPEED_TO_KNOTS_MULTIPLIER
+    };
+}
+
+// 40x40 tiles of 25px: deep water, a shallow band at tileY 20-24 and land from tileY 30
+function createTilemap() {
+    const tiles = [];
+    for (let y = 0; y < 40; y++) {
+        tiles.push(new Array(40).fill(y >= 30 ? 2 : (y >= 20 && y < 25 ? 1 : 0)));
+    }
+    return { width: 40, height: 40, tileSize: 25, tiles };
+}
+
+function createServerWorldMap(tilemap) {
+    const terrain = (x, y) => ShipPredictor.prototype.getTerrain(tilemap, x, y);
+    return {
+        isWater: (x, y) => terrain(x, y) === 0,
+        isLand: (x, y) => terrain(x, y) === 2
+    };
+}
+
+function createPlayer() {
+    const player = new Player('p1', 'Tester', 'SLOOP', null, { harbors: [] });
+    player.x = 500;
+    player.y = 300;
+    player.rotation = Math.PI; // Heading south, toward shallows and land
+    return player;
+}
+
+function createEnv(player, wind, tilemap) {
+    return {
+        wind: wind.serialize(),
+        tilemap,
+        ship: {
+            maxSpeed: player.maxSpeed,
+            turnSpeed: player.turnSpeed,
+            sailSpeedMultiplier: player.flagship.getSailSpeedMultiplier()
+        }
+    };
+}
+
+const INPUT_SCRIPT = [
+    { steps: 40, inputs: { sailUp: true } },
+    { steps: 200, inputs: {} },
+    { steps: 30, inputs: { right: true } },
+    { steps: 400, inputs: { left: true, sailDown: true } },
+    { steps: 300, inputs: {} }
+];
+
+test('ShipPredictor.simulate matches server Player.update movement step for step', () => {
+    const tilemap = createTilemap();
+    const worldMap = createServerWorldMap(tilemap);
+    const wind = new Wind();
+    wind.direction = 0.3;
+    wind.strength = 'FULL';
+
+    const player = createPlayer();
+    player.flagship.sailIntegrity = 70;
+
+    const predictor = new ShipPredictor();
+    predictor.setPhysics(createPhysicsConfig());
+    const env = createEnv(player, wind, tilemap);
+    const state = {
+        x: player.x,
+        y: player.y,
+        rotation: player.rotation,
+        speed: 0,
+        sailState: 0,
+        sailChangeCooldown: 0
+    };
+
+    const dt = 1 / GAME.TICK_RATE;
+    for (const { steps, inputs } of INPUT_SCRIPT) {
+        player.handleInput(inputs);
+        for (let i = 0; i < steps; i++) {
+            player.update(dt, wind, worldMap);
+            predictor.simulate(state, player.inputs, dt, env);
+
+            assert.ok(Math.abs(state.x - player.x) < 1e-9);
+            assert.ok(Math.abs(state.y - player.y) < 1e-9);
+            assert.ok(Math.abs(state.rotation - player.rotation) < 1e-9);
+            assert.ok(Math.abs(state.speed - player.speed) < 1e-9);
+            assert.equal(state.sailState, player.sailState);
+        }
+    }
+
+    // The script really exercised shallow water and land blocking
+    assert.ok(player.y > 20 * 25);
+});
+
+test('ShipPredictor.reconcile replays the unacknowledged part of pending inputs', () => {
+    const tilemap = createTilemap();
+    const wind = new Wind();
+    wind.direction = Math.PI;
+    wind.strength = 'NORMAL';
+    const player = createPlayer();
+
+    const predictor = new ShipPredictor();
+    predictor.setPhysics(createPhysicsConfig());
+    const env = createEnv(player, wind, tilemap);
+    const server = { x: 500, y: 300, rotation: 0, sailState: 2 };
+
+    const first = predictor.recordInput({ right: true });
+    predictor.pending[0].duration = 0.5;
+    predictor.recordInput({});
+    predictor.pending[1].duration = 0.25;
+
+    // Server applied 0.2s of the first input: expect 0.3s more turning, then 0.25s straight
+    predictor.reconcile(server, { seq: first, age: 0.2, speed: 30, sailChangeCooldown: 0 }, env);
+
+    const expected = { ...server, speed: 30, sailChangeCooldown: 0 };
+    let remaining = 0.3;
+    while (remaining > 1e-6) {
+        const dt = Math.min(predictor.fixedStep, remaining);
+        predictor.simulate(expected, { right: true }, dt, env);
+        remaining -= dt;
+    }
+    remaining = 0.25;
+    while (remaining > 1e-6) {
+        const dt = Math.min(predictor.fixedStep, remaining);
+        predictor.simulate(expected, {}, dt, env);
+        remaining -= dt;
+    }
+
+    assert.ok(Math.abs(predictor.state.rotation - expected.rotation) < 1e-9);
+    assert.ok(Math.abs(predictor.state.x - expected.x) < 1e-9);
+    assert.ok(predictor.state.rotation > 0);
+    assert.equal(predictor.pending.length, 2);
+
+    // Once the second input is acked, the first one is dropped for good
+    predictor.reconcile(server, { seq: first + 1, age: 0.25, speed: 30, sailChangeCooldown: 0 }, env);
+    assert.equal(predictor.pending.length, 1);
+    assert.equal(predictor.state.x, server.x);
+});
+
+test('Player.handleInput records the input sequence and update() ages it', () => {
+    const player = createPlayer();
+    const tilemap = createTilemap();
+    const wind = new Wind();
+
+    player.handleInput({ sailUp: true, seq: 7 });
+    player.update(0.1, wind, createServerWorldMap(tilemap));
+    player.update(0.1, wind, createServerWorldMap(tilemap));
+
+    const ack = player.serializeInputAck();
+    assert.equal(ack.seq, 7);
+    assert.ok(Math.abs(ack.age - 0.2) < 1e-9);
+    assert.equal(ack.speed, player.speed);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GameConfig = require('../src/server/game/config/GameConfig');
+const Player = require('../src/server/game/entities/Player');
+const Wreck = require('../src/server/game/entities/Wreck');
+const Mission = require('../src/server/game/missions/Mission');
+const MissionManager = require('../src/server/game/missions/MissionManager');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+
+const { COMBAT, WRECKS } = GameConfig;
+
+test('Wreck despawn and owner loot follow the injected clock, not wall time', () => {
+    const clock = new SimulationClock(1000);
+    const wreck = new Wreck('wreck_1', 0, 0, 'killer', {}, clock);
+
+    assert.equal(wreck.canLoot('someone_else'), false);
+    assert.equal(wreck.serialize().isOwnerLoot, true);
+
+    clock.advance(WRECKS.OWNER_LOOT_DURATION);
+    assert.equal(wreck.canLoot('someone_else'), true);
+
+    wreck.update();
+    assert.equal(wreck.toRemove, false);
+
+    clock.advance(WRECKS.DURATION_SECONDS);
+    wreck.update();
+    assert.equal(wreck.toRemove, true);
+});
+
+test('Player shields and reload timers use the world clock', () => {
+    const clock = new SimulationClock(500);
+    const player = new Player('p1', 'Tester', 'SLOOP', null, { harbors: [], clock });
+
+    player.shieldEndTime = clock.now() + COMBAT.HARBOR_EXIT_SHIELD_DURATION;
+    assert.equal(player.hasActiveShield(), true);
+
+    // Ammo toggle restarts both reloads at the current simulation time
+    player.handleInput({ toggleAmmo: true });
+    assert.equal(player.lastShotTimeLeft, 500);
+    assert.equal(player.lastShotTimeRight, 500);
+
+    clock.advance(COMBAT.HARBOR_EXIT_SHIELD_DURATION);
+    assert.equal(player.hasActiveShield(), false);
+});
+
+test('The clock starts at 0 and a new ship has its guns loaded from the first step', () => {
+    const clock = new SimulationClock();
+    assert.equal(clock.now(), 0);
+
+    const player = new Player('p1', 'Tester', 'SLOOP', null, { harbors: [], clock });
+    const state = player.serialize();
+    assert.equal(state.reloadLeft, 0);
+    assert.equal(state.reloadRight, 0);
+});
+
+test('Missions are timed and cleared by the world clock', () => {
+    const clock = new SimulationClock(200);
+    const manager = new MissionManager({ clock });
+    const mission = manager.assignMission('p1', new Mission(null, 'TEST', 'p1'));
+    assert.equal(mission.startTime, 200);
+
+    clock.advance(30);
+    mission.fail();
+    assert.equal(mission.endTime, 230);
+
+    // Cleared 3 simulated seconds after it ended
+    clock.advance(3);
+    manager.update(1 / 60);
+    assert.equal(manager.getPlayerMission('p1'), mission);
+    clock.advance(0.5);
+    manager.update(1 / 60);
+    assert.equal(manager.getPlayerMission('p1'), null);
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const HarborMarkets = require('../src/server/game/economy/HarborMarkets');
+const PriceHistory = require('../src/server/game/economy/PriceHistory');
+const TradeAdvisor = require('../src/server/game/economy/TradeAdvisor');
+const Player = require('../src/server/game/entities/Player');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+
+// Rum is made at Tortuga and wanted at Nassau and Havana; Havana pays more but is four times as far
+const ECONOMIES = {
+    tortuga: [{ id: 'rum', name: 'Rum', space: 1, buyPrice: 50, tier: 'EXPORT' }],
+    nassau: [{ id: 'rum', name: 'Rum', space: 1, buyPrice: 80, tier: 'IMPORT' }],
+    havana: [{ id: 'rum', name: 'Rum', space: 1, buyPrice: 100, tier: 'IMPORT' }]
+};
+const DISTANCES = { nassau: 2000, havana: 8000 };
+
+// The parts of World the advisor reads, with a wall clock the test moves
+function createWorld() {
+    const time = { now: 0 };
+    const harborRegistry = {
+        getHarborById: (id) => (ECONOMIES[id] ? { id, name: id[0].toUpperCase() + id.slice(1) } : null),
+        getHarborEconomy: (id) => (ECONOMIES[id] ? { profileId: 'TEST', profileName: 'Test', goods: ECONOMIES[id] } : null)
+    };
+    const world = {
+        harborRegistry,
+        harborMarkets: new HarborMarkets(harborRegistry, { clock: new SimulationClock(0) }),
+        priceHistory: new PriceHistory({ now: () => time.now }),
+        routePlanner: { getRoute: (from, to) => ({ totalDistance: DISTANCES[to] }) }
+    };
+    return { world, time, advisor: new TradeAdvisor(world) };
+}
+
+function dock(player, harborId) {
+    player.inHarbor = true;
+    player.dockedHarborId = harborId;
+}
+
+test('Price history keeps the first and latest sample of a window and only as many as configured', () => {
+    const { world, time } = createWorld();
+    const economy = (price) => ({ goods: [{ id: 'rum', buyPrice: price, sellPrice: price - 10, stock: 400 }] });
+
+    world.priceHistory.record('nassau', economy(80));
+    time.now = 100 * 1000; // Same 10 minute window: kept after the first
+    world.priceHistory.record('nassau', economy(85));
+    time.now = 200 * 1000; // Replaces the latest, never the first
+    world.priceHistory.record('nassau', economy(88));
+    time.now = 700 * 1000;
+    world.priceHistory.record('nassau', economy(90));
+
+    assert.deepEqual(world.priceHistory.getSamples('nassau'), [
+        { at: 0, prices: { rum: { buy: 80, sell: 70, stock: 400 } } },
+        { at: 200000, prices: { rum: { buy: 88, sell: 78, stock: 400 } } },
+        { at: 700000, prices: { rum: { buy: 90, sell: 80, stock: 400 } } }
+    ]);
+    assert.equal(world.priceHistory.getLatest('nassau', 199999).prices.rum.buy, 80);
+    assert.equal(world.priceHistory.getLatest('nassau', 599999).prices.rum.buy, 88);
+    assert.equal(world.priceHistory.getLatest('havana'), null);
+
+    for (let i = 2; i < 80; i++) {
+        time.now = i * 600 * 1000;
+        world.priceHistory.record('nassau', economy(90));
+    }
+    assert.equal(world.priceHistory.getSamples('nassau').length, 72);
+    assert.equal(world.priceHistory.getSamples('nassau')[0].at, 8 * 600000);
+});
+
+test('A captain never sees prices observed after their visit in the same window', () => {
+    const { world, time, advisor } = createWorld();
+    const first = new Player('s1', 'Anne Bonny', 'FLUYT', null);
+    const second = new Player('s2', 'Mary Read', 'FLUYT', null);
+
+    dock(first, 'nassau');
+    advisor.recordVisit(first, 'nassau');
+    first.inHarbor = false;
+
+    // Rum floods Nassau, and another captain docks before the window ends
+    time.now = 599 * 1000;
+    world.harborMarkets.changeStock('nassau', 'rum', 160);
+    dock(second, 'nassau');
+    advisor.recordVisit(second, 'nassau');
+    second.inHarbor = false;
+
+    const firstBook = advisor.getPriceBook(first);
+    assert.deepEqual(firstBook[0].samples.map(sample => sample.at), [0]);
+    assert.equal(firstBook[0].samples[0].prices.rum.sell, 60);
+    assert.equal(advisor.getPriceBook(second)[0].samples.length, 2);
+    assert.ok(advisor.getPriceBook(second)[0].samples[1].prices.rum.sell < 60);
+});
+
+test('Captains know the prices of harbors they visited, as of their visit, and get routes ranked by profit per distance', () => {
+    const { world, time, advisor } = createWorld();
+    const player = new Player('s1', 'Anne Bonny', 'FLUYT', null); // 80 cargo
+    const other = new Player('s2', 'Mary Read', 'FLUYT', null);
+    player.gold = 100000;
+
+    dock(player, 'nassau');
+    advisor.recordVisit(player, 'nassau');
+    dock(player, 'havana');
+    advisor.recordVisit(player, 'havana');
+
+    // Someone else floods Nassau with rum after our visit: we do not know
+    time.now = 3600 * 1000;
+    world.harborMarkets.changeStock('nassau', 'rum', 160);
+    dock(other, 'nassau');
+    advisor.recordVisit(other, 'nassau');
+
+    dock(player, 'tortuga');
+    advisor.recordVisit(player, 'tortuga');
+    const book = advisor.getPriceBook(player);
+    assert.deepEqual(book.map(entry => [entry.harborId, entry.samples.length]), [['tortuga', 1], ['nassau', 1], ['havana', 1]]);
+    assert.equal(book[1].samples[0].prices.rum.sell, 60);
+    assert.equal(advisor.getPriceBook(other)[0].samples.length, 2);
+
+    // 80 rum bought here unit by unit; sold at the prices last seen there
+    const cost = world.harborMarkets.quoteBuy('tortuga', 'rum', 80);
+    const routes = advisor.rankRoutes(player, 'tortuga');
+    assert.deepEqual(routes.map(route => [route.destinationId, route.units, route.cost, route.revenue, route.distance]), [
+        ['nassau', 80, cost, 80 * 60, 2000],
+        ['havana', 80, cost, 80 * 75, 8000]
+    ]);
+    assert.equal(routes[0].profitPerDistance, Math.round((80 * 60 - cost) / 2));
+
+    // Only what fits next to the cargo aboard, and only what the captain can pay for
+    player.fleetCargo.addGood('rum', 30);
+    assert.deepEqual(advisor.rankRoutes(player, 'tortuga').map(route => route.units), [50, 50]);
+    player.gold = world.harborMarkets.quoteBuy('tortuga', 'rum', 20);
+    assert.deepEqual(advisor.rankRoutes(player, 'tortuga').map(route => route.units), [20, 20]);
+
+    // The harbor we are docked at is never a destination, and harbors we never visited are unknown
+    assert.deepEqual(advisor.rankRoutes(other, 'nassau'), []);
+});
@@ -4,6 +4,8 @@ const assert = require('node:assert/strict');
 const RoutePlanner = require('../src/server/game/traffic/RoutePlanner');
 const StrategicTrafficManager = require('../src/server/game/traffic/StrategicTrafficManager');
 const NPCMaterializer = require('../src/server/game/traffic/NPCMaterializer');
+const HarborMarkets = require('../src/server/game/economy/HarborMarkets');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
 
 function createTestRoutePlanner() {
     const waypointGraph = {
@@ -94,6 +96,60 @@ test('StrategicTrafficManager advances ships and reverses route direction on arr
     assert.ok(Math.abs(ship.progress - 0.05) < 1e-9);
 });
 
+test('StrategicTrafficManager traders carry export goods between harbor stocks and lose them when sunk', () => {
+    const routePlanner = createTestRoutePlanner();
+    const goods = {
+        origin: [{ id: 'rum', buyPrice: 50, tier: 'EXPORT' }, { id: 'sugar', buyPrice: 30, tier: 'STANDARD' }],
+        destination: [{ id: 'rum', buyPrice: 50, tier: 'IMPORT' }, { id: 'sugar', buyPrice: 30, tier: 'EXPORT' }]
+    };
+    const harborRegistry = {
+        getAllHarbors() {
+            return [
+                { id: 'origin', x: -100, y: 0 },
+                { id: 'destination', x: 100, y: 200 }
+            ];
+        },
+        getHarborEconomy: (harborId) => ({ goods: goods[harborId] })
+    };
+    const harborMarkets = new HarborMarkets(harborRegistry, { clock: new SimulationClock(0) });
+    const manager = new StrategicTrafficManager(routePlanner, harborRegistry, {
+        harborMarkets,
+        minActiveRoutes: 1,
+        maxActiveRoutes: 1,
+        minStrategicShips: 1,
+        maxStrategicShips: 1,
+        maxStrategicShipsAbsolute: 1,
+        minRouteDistance: 1
+    });
+
+    manager.initializeTraffic(10);
+    const ship = manager.getAllShips()[0];
+    ship.type = 'TRADER';
+    ship.originHarborId = 'origin';
+    ship.destinationHarborId = 'destination';
+    ship.cargo = { rum: 40 };
+
+    // Unloads into the destination, then loads the destination's export for the way back
+    manager.handleArrival(ship.id, 11);
+    assert.equal(harborMarkets.getStock('destination', 'rum'), 120);
+    assert.deepEqual(ship.cargo, { sugar: 40 });
+    assert.equal(harborMarkets.getStock('destination', 'sugar'), 360);
+
+    // Sunk on the way: the sugar never arrives
+    assert.deepEqual(manager.takeCargo(ship.id), { sugar: 40 });
+    manager.handleArrival(ship.id, 12);
+    assert.equal(harborMarkets.getStock('origin', 'sugar'), 200);
+    assert.deepEqual(ship.cargo, { rum: 40 });
+    assert.equal(harborMarkets.getStock('origin', 'rum'), 360);
+
+    // Cargo is part of the traffic checkpoint
+    assert.deepEqual(manager.exportState().ships[0].cargo, { rum: 40 });
+
+    ship.type = 'PIRATE';
+    manager.handleArrival(ship.id, 13);
+    assert.deepEqual(ship.cargo, {});
+});
+
 test('StrategicTrafficManager returns nearby ships from spatial grid cells only', () => {
     const routePlanner = createTestRoutePlanner();
     const harborRegistry = {
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Player = require('../src/server/game/entities/Player');
+const { TransactionLedger, ledgerState, checkLedger } = require('../src/server/game/economy/TransactionLedger');
+const MemoryStore = require('../src/server/database/stores/MemoryStore');
+
+// DatabaseService surface for the ledger, backed by a MemoryStore; `failing` simulates an outage
+function createDb() {
+    const store = new MemoryStore();
+    return {
+        store,
+        isConnected: true,
+        failing: false,
+        async saveLedgerEntries(entries) {
+            if (this.failing) return false;
+            await store.saveLedgerEntries(entries);
+            return true;
+        },
+        queryLedger: (filter) => store.queryLedger(filter)
+    };
+}
+
+function createCaptain(ledger, token = 'captain-1') {
+    const player = new Player('s1', 'Anne Bonny', 'FLUYT', null, { ledger });
+    player.token = token;
+    return player;
+}
+
+test('Player holdings changes are recorded as typed entries with source and counterparty', () => {
+    let now = 1000;
+    const ledger = new TransactionLedger({ db: { isConnected: false }, now: () => now++ });
+    const player = createCaptain(ledger);
+    player.dockedHarborId = 'tortuga';
+    const trade = { source: 'TRADE', counterparty: 'harbor:tortuga' };
+
+    player.addGold(500, { source: 'ADMIN', counterparty: 'admin' });
+    player.removeGold(120, trade);
+    assert.equal(player.addCargo('rum', 4, trade), true);
+    assert.equal(player.removeCargo('rum', 10, trade), false); // Not enough: no change, no entry
+    assert.equal(player.removeCargo('rum', 1, trade), true);
+    player.addXP(150, { source: 'REWARD', counterparty: 'reward:MISSION.ESCORT' });
+
+    assert.deepEqual(ledger.pending.map(entry => [entry.kind, entry.item, entry.delta, entry.balance, entry.source]), [
+        ['GOLD', null, 500, 500, 'ADMIN'],
+        ['GOLD', null, -120, 380, 'TRADE'],
+        ['CARGO', 'rum', 4, 4, 'TRADE'],
+        ['CARGO', 'rum', -1, 3, 'TRADE'],
+        ['XP', null, 150, 150, 'REWARD']
+    ]);
+    assert.deepEqual(ledger.pending[1], {
+        captain: 'captain-1', playerName: 'Anne Bonny', at: 1001, seq: 1, kind: 'GOLD', item: null,
+        delta: -120, balance: 380, source: 'TRADE', counterparty: 'harbor:tortuga', harborId: 'tortuga'
+    });
+
+    // Guests are never saved, so they are not recorded either
+    const guest = createCaptain(ledger, null);
+    guest.addGold(50);
+    assert.equal(ledger.pending.length, 5);
+});
+
+test('checkLedger recomputes balances and finds changes made outside the ledger', () => {
+    const ledger = new TransactionLedger({ db: { isConnected: false } });
+    const player = createCaptain(ledger);
+    player.addGold(300, { source: 'LOOT', counterparty: 'wreck:7' });
+    player.addCargo('wood', 2, { source: 'LOOT', counterparty: 'wreck:7' });
+
+    const clean = checkLedger(ledger.pending, ledgerState(player));
+    assert.deepEqual(clean.issues, []);
+    assert.deepEqual(clean.balances.GOLD, { gold: 300 });
+    assert.deepEqual(clean.balances.CARGO, { wood: 2 });
+    assert.deepEqual(clean.untracked, [{ kind: 'SHIP', item: 'Fluyt', amount: 1 }]); // Starting ship, never recorded
+
+    // A duplicated payout that skipped the ledger shows up at the next entry and in the holdings
+    player.gold += 300;
+    player.removeGold(100, { source: 'REPAIR', counterparty: 'harbor:nassau' });
+    player.fleetCargo.goods.wood += 5;
+
+    const { issues } = checkLedger(ledger.pending, ledgerState(player));
+    assert.deepEqual(issues.map(issue => [issue.kind, issue.item, issue.expected, issue.actual]), [
+        ['GOLD', 'gold', 300, 600],
+        ['CARGO', 'wood', 2, 7]
+    ]);
+    assert.match(issues[0].reason, /changed by 300 outside the ledger before this REPAIR entry/);
+});
+
+test('TransactionLedger writes in batches, keeps failed batches and answers queries by time range', async () => {
+    let now = 0;
+    const db = createDb();
+    const ledger = new TransactionLedger({ db, batchSize: 3, now: () => now });
+    const player = createCaptain(ledger);
+    const other = createCaptain(ledger, 'captain-2');
+
+    now = 1000;
+    player.addGold(10, { source: 'ADMIN' });
+    other.addGold(20, { source: 'ADMIN' });
+    assert.equal(db.store.ledger.length, 0); // Below the batch size: still buffered
+    now = 2000;
+    player.addGold(30, { source: 'ADMIN' });
+    await ledger.flush();
+    assert.equal(db.store.ledger.length, 3);
+    assert.equal(ledger.pending.length, 0);
+
+    db.failing = true;
+    now = 3000;
+    player.removeGold(5, { source: 'CREW' });
+    assert.equal(await ledger.flush(), false);
+    assert.equal(ledger.pending.length, 1); // Kept for the next attempt
+    db.failing = false;
+
+    // Queries flush first, so nothing recorded is missing from the answer
+    const all = await ledger.query({ captain: 'captain-1' });
+    assert.deepEqual(all.map(entry => entry.balance), [10, 40, 35]);
+    const window = await ledger.query({ captain: 'captain-1', from: 1500, to: 3000, limit: 1 });
+    assert.deepEqual(window.map(entry => entry.at), [2000]);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { WIRE_VERSION, WireEncoder, decodeFrame } = require('../src/server/game/network/WireProtocol');
+
+// version + kind + tick + origin + ack block
+const DECL_COUNT_OFFSET = 1 + 1 + 4 + 8 + 16;
+
+function createSnapshot() {
+    return {
+        players: {
+            'socket-abcdefghijklmnop': {
+                id: 'socket-abcdefghijklmnop',
+                name: 'Anne Bonny',
+                x: 41525.37,
+                y: 10500.81,
+                rotation: 1.2345,
+                health: 187.6,
+                sailState: 2,
+                shipClassName: 'Fluyt',
+                cargo: { goods: { RUM: 4 } },
+                mission: null
+            },
+            'npc_42': {
+                id: 'npc_42',
+                name: 'La Esperanza',
+                x: 42610.02,
+                y: 9050.5,
+                rotation: 5.9,
+                health: 300,
+                sailState: 1,
+                shipClassName: 'Barque'
+            }
+        },
+        projectiles: [{ id: 'proj_1', x: 41600.4, y: 10480.2, z: 7.3, ammoType: 'CHAIN_SHOT' }],
+        wrecks: [{ id: 'wreck_7', type: 'WRECK', x: 41000, y: 10000, rotation: 0.5, isOwnerLoot: true, ownerId: 'npc_42' }],
+        wind: { direction: 2.1, strength: 0.8 },
+        ack: { seq: 17, age: 0.05, speed: 42.5, sailChangeCooldown: 0.25 }
+    };
+}
+
+test('WireEncoder snapshot round-trips within quantization error and keeps non-hot fields', () => {
+    const encoder = new WireEncoder();
+    const ids = new Map();
+    const snapshot = createSnapshot();
+
+    const buf = encoder.encode(snapshot, true, 'socket-abcdefghijklmnop', 120);
+    const frame = decodeFrame(buf, ids);
+
+    assert.equal(buf.readUInt8(0), WIRE_VERSION);
+    assert.equal(frame.kind, 'snapshot');
+    assert.equal(frame.tick, 120);
+    assert.equal(frame.state.tick, 120);
+    assert.deepEqual(frame.state.wind, snapshot.wind);
+    assert.equal(frame.state.ack.seq, 17);
+    assert.ok(Math.abs(frame.state.ack.age - 0.05) < 1e-6);
+    assert.equal(frame.state.ack.speed, 42.5);
+    assert.equal(frame.state.ack.sailChangeCooldown, 0.25);
+
+    for (const id in snapshot.players) {
+        const original = snapshot.players[id];
+        const decoded = frame.state.players[id];
+        assert.ok(Math.abs(decoded.x - original.x) <= 0.07);
+        assert.ok(Math.abs(decoded.y - original.y) <= 0.07);
+        assert.ok(Math.abs(decoded.rotation - original.rotation) <= 0.0001);
+        assert.ok(Math.abs(decoded.health - original.health) <= 0.05);
+        assert.equal(decoded.sailState, original.sailState);
+        assert.equal(decoded.name, original.name);
+        assert.equal(decoded.shipClassName, original.shipClassName);
+    }
+    assert.deepEqual(frame.state.players['socket-abcdefghijklmnop'].cargo, { goods: { RUM: 4 } });
+
+    const [projectile] = frame.state.projectiles;
+    assert.equal(projectile.id, 'proj_1');
+    assert.equal(projectile.ammoType, 'CHAIN_SHOT');
+    assert.ok(Math.abs(projectile.z - 7.3) <= 0.125);
+
+    const [wreck] = frame.state.wrecks;
+    assert.equal(wreck.id, 'wreck_7');
+    assert.equal(wreck.ownerId, 'npc_42');
+    assert.equal(wreck.isOwnerLoot, true);
+
+    assert.ok(buf.length < Buffer.byteLength(JSON.stringify(snapshot)));
+});
+
+test('WireEncoder declares ids once and recycles handles of ids that left the frame', () => {
+    const encoder = new WireEncoder();
+    const ids = new Map();
+    const snapshot = createSnapshot();
+    const viewer = 'socket-abcdefghijklmnop';
+
+    const first = encoder.encode(snapshot, false, viewer, 1);
+    decodeFrame(first, ids);
+    assert.equal(first.readUInt16LE(DECL_COUNT_OFFSET), 4); // viewer, npc_42, proj_1, wreck_7
+
+    const second = encoder.encode(snapshot, false, viewer, 2);
+    assert.equal(second.readUInt16LE(DECL_COUNT_OFFSET), 0);
+    assert.ok(second.length < first.length);
+
+    delete snapshot.players.npc_42;
+    snapshot.wrecks = [];
+    decodeFrame(encoder.encode(snapshot, false, viewer, 3), ids);
+
+    snapshot.players.npc_99 = { id: 'npc_99', x: 41500, y: 10500, rotation: 0, health: 100, sailState: 0 };
+    const fourth = encoder.encode(snapshot, false, viewer, 4);
+    const frame = decodeFrame(fourth, ids);
+
+    assert.equal(fourth.readUInt16LE(DECL_COUNT_OFFSET), 1);
+    assert.ok(frame.state.players.npc_99);
+    assert.ok(encoder.interner.nextHandle <= 4);
+});
+
+test('decodeFrame rejects frames from another protocol version', () => {
+    const buf = new WireEncoder().encode(createSnapshot(), false, 'socket-abcdefghijklmnop', 1);
+    buf.writeUInt8(WIRE_VERSION + 1, 0);
+
+    assert.throws(() => decodeFrame(buf, new Map()), /Unsupported frame version/);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Wind = require('../src/server/game/entities/Wind');
+const Wreck = require('../src/server/game/entities/Wreck');
+const RoutePlanner = require('../src/server/game/traffic/RoutePlanner');
+const StrategicTrafficManager = require('../src/server/game/traffic/StrategicTrafficManager');
+const MissionManager = require('../src/server/game/missions/MissionManager');
+const HarborMarkets = require('../src/server/game/economy/HarborMarkets');
+const PriceHistory = require('../src/server/game/economy/PriceHistory');
+const SailToHarborMission = require('../src/server/game/missions/SailToHarborMission');
+const { SimulationClock } = require('../src/server/game/world/SimulationClock');
+const RandomStreams = require('../src/server/game/world/RandomStreams');
+const {
+    CHECKPOINT_VERSION, createWorldCheckpoint, restoreWorldCheckpoint
+} = require('../src/server/database/WorldCheckpoint');
+
+// The parts of World a checkpoint touches, on a two-harbor map. Moving the
+// destination harbor changes the route, as a new map would.
+function createWorld({ seed = 1, startSeconds = 1000, destinationY = 200 } = {}) {
+    const harbors = [
+        { id: 'origin', x: -100, y: 0 },
+        { id: 'destination', x: 100, y: destinationY }
+    ];
+    const waypointGraph = {
+        nodes: new Map([
+            ['A', { id: 'A', x: 0, y: 0 }],
+            ['B', { id: 'B', x: 100, y: 0 }],
+            ['C', { id: 'C', x: 100, y: 100 }]
+        ]),
+        findRoute() {
+            return [...this.nodes.values()];
+        }
+    };
+    const clock = new SimulationClock(startSeconds);
+    const random = new RandomStreams(seed);
+    const strategicTrafficManager = new StrategicTrafficManager(
+        new RoutePlanner(waypointGraph, harbors),
+        { getAllHarbors: () => harbors },
+        { minActiveRoutes: 1, maxActiveRoutes: 1, minStrategicShips: 2, maxStrategicShips: 2, maxStrategicShipsAbsolute: 2, minRouteDistance: 1 }
+    );
+    strategicTrafficManager.initializeTraffic(clock.now());
+    const harborEconomy = { goods: [{ id: 'rum', buyPrice: 50, tier: 'EXPORT' }] };
+    const harborMarkets = new HarborMarkets(
+        { getHarborEconomy: (harborId) => (harborId === 'origin' ? harborEconomy : null) },
+        { clock }
+    );
+
+    const world = {
+        clock,
+        random,
+        entities: {},
+        wrecks: [],
+        wreckIdCounter: 0,
+        wind: new Wind(random.stream('wind')),
+        strategicTrafficManager,
+        harborMarkets,
+        priceHistory: new PriceHistory({ now: () => 1200000 })
+    };
+    world.missionManager = new MissionManager(world);
+    return world;
+}
+
+// What a checkpoint looks like after a trip through the database
+const throughDatabase = (data) => JSON.parse(JSON.stringify(data));
+
+test('A world checkpoint brings back wrecks, traffic, wind and captain missions after a restart', () => {
+    const before = createWorld();
+    before.wreckIdCounter = 4;
+    before.wrecks.push(new Wreck('wreck_3', 500, 600, 'killer-socket', { goods: { rum: 10 } }, before.clock, before.random.stream('loot')));
+    before.clock.advance(30); // 90 of the wreck's 120 seconds left
+    before.wind.changeTimer = 12;
+    before.strategicTrafficManager.getAllShips()[0].progress = 0.4;
+    before.harborMarkets.changeStock('origin', 'rum', -150);
+    before.priceHistory.record('origin', before.harborMarkets.getEconomy('origin'));
+
+    before.entities.s1 = { id: 's1', type: 'PLAYER', token: 'captain-1' };
+    before.entities.s2 = { id: 's2', type: 'PLAYER', token: 'captain-2' };
+    before.entities.s3 = { id: 's3', type: 'PLAYER', token: null }; // Guest
+    before.missionManager.assignMission('s1', new SailToHarborMission(null, 's1', 'nassau', 'Nassau'));
+    before.missionManager.assignMission('s3', new SailToHarborMission(null, 's3', 'nassau', 'Nassau'));
+
+    const checkpoint = throughDatabase(createWorldCheckpoint(before, { now: 50000 }));
+    assert.equal(checkpoint.version, CHECKPOINT_VERSION);
+    assert.deepEqual(Object.keys(checkpoint.missions.captains), ['captain-1', 'captain-2']);
+
+    // A new process: different clock, different seed, its own fresh traffic
+    const after = createWorld({ seed: 2, startSeconds: 0 });
+    assert.deepEqual(restoreWorldCheckpoint(after, checkpoint), {
+        savedAt: 50000, wind: true, wrecks: 1, traffic: true, markets: 1, prices: 1, missions: 1
+    });
+
+    const wreck = after.wrecks[0];
+    assert.equal(wreck.id, 'wreck_3');
+    assert.deepEqual(wreck.loot, before.wrecks[0].loot);
+    assert.equal(wreck.despawnTime - after.clock.nowMs(), 90000);
+    assert.equal(wreck.canLoot('someone-else'), true); // The killer's socket is gone, so is the claim
+    assert.equal(after.wreckIdCounter, 4);
+
+    assert.deepEqual(
+        { direction: after.wind.direction, strength: after.wind.strength, changeTimer: after.wind.changeTimer },
+        { direction: before.wind.direction, strength: before.wind.strength, changeTimer: 12 }
+    );
+
+    const ships = after.strategicTrafficManager.getAllShips();
+    assert.deepEqual(ships.map(ship => [ship.id, ship.shipName, ship.progress]),
+        before.strategicTrafficManager.getAllShips().map(ship => [ship.id, ship.shipName, ship.progress]));
+    assert.ok(ships[0].currentPosition);
+    assert.equal(ships[0].lastUpdateTime, after.clock.now());
+
+    assert.equal(after.harborMarkets.getStock('origin', 'rum'), 250);
+    assert.deepEqual(after.priceHistory.getSamples('origin'), before.priceHistory.getSamples('origin'));
+
+    // Captains get their mission back once, unless they saved after the checkpoint
+    assert.equal(after.missionManager.nextMissionId, 3);
+    assert.equal(after.missionManager.takeCheckpointMission('captain-1', new Date(40000)).targetHarborId, 'nassau');
+    assert.equal(after.missionManager.takeCheckpointMission('captain-1', new Date(40000)), undefined);
+    assert.equal(after.missionManager.takeCheckpointMission('captain-2', 40000), null);
+
+    after.missionManager.restoreCheckpointMissions(checkpoint.missions.captains, checkpoint.savedAt);
+    assert.equal(after.missionManager.takeCheckpointMission('captain-1', new Date(60000)), undefined);
+});
+
+test('Incompatible checkpoints are discarded and a changed map drops only the traffic', () => {
+    const before = createWorld();
+    before.wrecks.push(new Wreck('wreck_0', 500, 600, null, {}, before.clock, before.random.stream('loot')));
+    const checkpoint = throughDatabase(createWorldCheckpoint(before, { now: 50000 }));
+
+    const fresh = createWorld({ seed: 2 });
+    assert.equal(restoreWorldCheckpoint(fresh, { ...checkpoint, version: CHECKPOINT_VERSION + 1 }), null);
+    assert.equal(restoreWorldCheckpoint(fresh, null), null);
+    assert.equal(fresh.wrecks.length, 0);
+
+    const moved = createWorld({ seed: 2, destinationY: 400 });
+    const freshShips = moved.strategicTrafficManager.getAllShips();
+    const restored = restoreWorldCheckpoint(moved, checkpoint);
+    assert.equal(restored.traffic, false);
+    assert.equal(restored.wrecks, 1);
+    assert.deepEqual(moved.strategicTrafficManager.getAllShips(), freshShips);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WorldMap = require('../src/server/game/world/WorldMap');
+const { TERRAIN } = WorldMap;
+
+// 6x3 map of 10 px tiles with a one-tile island at (3, 1)
+function createMap() {
+    const map = Object.create(WorldMap.prototype);
+    map.width = 6;
+    map.height = 3;
+    map.tileSize = 10;
+    map.tiles = Array.from({ length: 3 }, () => new Array(6).fill(TERRAIN.WATER));
+    map.tiles[1][3] = TERRAIN.LAND;
+    return map;
+}
+
+test('traceLand stops a segment at the edge of the first land tile it crosses', () => {
+    const map = createMap();
+
+    // Jumps clean over the island in one step: still blocked at its west edge
+    const shore = map.traceLand(5, 15, 55, 15);
+    assert.equal(shore.x, 30);
+    assert.equal(shore.y, 15);
+    assert.ok(Math.abs(shore.t - 0.5) < 1e-9);
+
+    // Diagonal path entering through the island's top edge
+    const diagonal = map.traceLand(25, 5, 45, 25);
+    assert.ok(Math.abs(diagonal.x - 30) < 1e-9);
+    assert.ok(Math.abs(diagonal.y - 10) < 1e-9);
+});
+
+test('traceLand returns null for paths that stay on water', () => {
+    const map = createMap();
+
+    assert.equal(map.traceLand(5, 5, 55, 5), null);      // Passes north of the island
+    assert.equal(map.traceLand(12, 15, 28, 15), null);   // Stops short of it
+    assert.equal(map.traceLand(12, 15, 12, 15), null);   // Did not move
+});
@@ -0,0 +1,306 @@
+const { io } = require('socket.io-client');
+const { WIRE_VERSION, decodeFrame } = require('../../src/server/game/network/WireProtocol');
+
+/**
+ * BotClient - one headless player for load testing
+ *
+ * Joins like the browser client (setPlayerName, binary wire format, echoes
+ * latency pings) and then plays one of the behaviors below. Every bot keeps
+ * its own counters; LoadTestReport aggregates them when the run ends.
+ *
+ * Behaviors:
+ * - random:   new random steering/sail/fire input every 0.3-0.8s
+ * - scripted: fixed sail-and-broadside pattern (same load every run)
+ * - trader:   teleport next to a harbor, dock, buy and sell one good, undock, sail, repeat
+ *             (teleporting needs the moderator role, the runner grants it on join)
+ */
+
+const BEHAVIORS = ['random', 'scripted', 'trader'];
+
+// Scripted pattern: one entry per second, repeated
+const SCRIPT = [
+    { sailUp: true },
+    { sailUp: true },
+    { left: true },
+    { left: true },
+    { shootLeft: true },
+    {},
+    { right: true },
+    { right: true },
+    { shootRight: true },
+    { sailDown: true }
+];
+
+const TRADER_SAIL_SECONDS = 8; // Time at sea between two harbor visits
+const JOIN_TIMEOUT_MS = 10000;
+
+class BotClient {
+    /**
+     * @param {number} index - Bot number (used for its name)
+     * @param {Object} options
+     * @param {string} options.url - Server URL
+     * @param {string} options.behavior - One of BEHAVIORS
+     * @param {function(): number} [options.rng] - Random source (seeded by the runner)
+     * @param {function(BotClient): Promise} [options.onJoin] - Awaited after joining, before the behavior starts
+     */
+    constructor(index, options) {
+        this.index = index;
+        this.name = `Bot ${String(index).padStart(3, '0')}`;
+        this.url = options.url;
+        this.behavior = options.behavior;
+        this.rng = options.rng ?? Math.random;
+        this.onJoin = options.onJoin ?? null;
+
+        this.socket = null;
+        this.wireIds = new Map(); // Binary wire handle table
+        this.harbors = [];
+        this.inputSeq = 0;
+        this.pendingInputs = new Map(); // seq -> sent time (ms)
+        this.pendingTransaction = null; // sent time (ms) of the buy/sell awaiting a reply
+        this.tradeGood = null;          // Good being bought and sold back (trader)
+        this.tradeHarborId = null;
+        this.tradeStep = null;          // 'buy' | 'sell'
+        this.timers = new Set();
+        this.stopped = false;
+
+        this.stats = {
+            joinedAt: null,
+            rejected: false,
+            disconnected: false,
+            frames: 0,
+            trades: 0,
+            bytesReceived: 0,
+            bytesSent: 0,
+            inputAckMs: [],
+            pingMs: [],
+            transactionMs: []
+        };
+    }
+
+    /**
+     * Connect and join. Resolves once the server accepted or rejected the bot.
+     */
+    start() {
+        return new Promise((resolve) => {
+            const socket = io(this.url, { transports: ['websocket'], forceNew: true, reconnection: false });
+            this.socket = socket;
+
+            // Count every engine.io packet both ways (state frames, events, heartbeats)
+            socket.io.on('open', () => {
+                const engine = socket.io.engine;
+                engine.on('packet', (packet) => { this.stats.bytesReceived += packetSize(packet); });
+                engine.on('packetCreate', (packet) => { this.stats.bytesSent += packetSize(packet); });
+            });
+
+            socket.on('connect', () => {
+                socket.emit('setPlayerName', {
+                    name: this.name,
+                    wire: { format: 'binary', version: WIRE_VERSION }
+                });
+            });
+
+            const reject = () => {
+                if (this.stats.joinedAt !== null || this.stats.rejected) return;
+                clearTimeout(joinTimeout);
+                this.stats.rejected = true;
+                socket.disconnect();
+                resolve(false);
+            };
+            // A server that never answers counts as a rejection
+            const joinTimeout = setTimeout(reject, JOIN_TIMEOUT_MS);
+
+            socket.on('map_data', async (data) => {
+                clearTimeout(joinTimeout);
+                this.harbors = data.harbors || [];
+                this.stats.joinedAt = Date.now();
+                if (this.onJoin) await this.onJoin(this);
+                this.startBehavior();
+                resolve(true);
+            });
+
+            socket.on('nameRejected', reject);
+            socket.on('server_full', reject);
+            socket.on('banned', reject);
+            socket.on('connect_error', reject);
+
+            socket.on('disconnect', () => {
+                this.stats.disconnected = true;
+                this.clearTimers();
+            });
+
+            socket.on('wire_format', (data) => {
+                if (data.format !== 'binary') this.wireIds = null;
+            });
+            socket.on('gamestate_snapshot', (payload) => this.onFrame(payload));
+            socket.on('gamestate_delta', (payload) => this.onFrame(payload));
+
+            socket.on('latency_ping', (data) => {
+                // Same machine as the server, so the wall clocks agree
+                this.stats.pingMs.push(Date.now() - data.t);
+                socket.emit('latency_pong', data);
+            });
+
+            socket.on('harborData', (data) => this.onHarborData(data));
+            socket.on('transactionResult', () => this.onTransactionResult());
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+        this.clearTimers();
+        if (this.socket) this.socket.disconnect();
+    }
+
+    onFrame(payload) {
+        this.stats.frames++;
+        const state = this.wireIds
+            ? decodeFrame(Buffer.isBuffer(payload) ? payload : Buffer.from(payload), this.wireIds).state
+            : payload;
+        if (!state.ack) return;
+
+        // Every input up to the acknowledged sequence number has now been simulated
+        const now = Date.now();
+        for (const [seq, sentAt] of this.pendingInputs) {
+            if (seq > state.ack.seq) continue;
+            this.stats.inputAckMs.push(now - sentAt);
+            this.pendingInputs.delete(seq);
+        }
+    }
+
+    sendInput(input) {
+        const seq = ++this.inputSeq;
+        this.pendingInputs.set(seq, Date.now());
+        this.socket.emit('input', { ...input, seq });
+    }
+
+    // ===== Behaviors =====
+
+    startBehavior() {
+        if (this.behavior === 'scripted') {
+            let step = 0;
+            this.every(1000, () => this.sendInput(SCRIPT[step++ % SCRIPT.length]));
+        } else if (this.behavior === 'trader') {
+            this.visitHarbor();
+        } else {
+            this.sailRandomly();
+        }
+    }
+
+    sailRandomly() {
+        const decide = () => {
+            this.sendInput({
+                left: this.rng() < 0.3,
+                right: this.rng() < 0.3,
+                sailUp: this.rng() < 0.2,
+                sailDown: this.rng() < 0.05,
+                shootLeft: this.rng() < 0.1,
+                shootRight: this.rng() < 0.1
+            });
+            this.after(300 + this.rng() * 500, decide);
+        };
+        decide();
+    }
+
+    visitHarbor() {
+        if (this.harbors.length === 0) {
+            this.sailRandomly();
+            return;
+        }
+
+        // Just off the harbor entrance, inside its interaction radius
+        const harbor = this.harbors[Math.floor(this.rng() * this.harbors.length)];
+        const exit = harbor.exitDirection || { x: 0, y: 0 };
+        this.socket.emit('debug_teleport', {
+            x: harbor.x + exit.x * harbor.radius * 0.5,
+            y: harbor.y + exit.y * harbor.radius * 0.5
+        });
+
+        // nearHarbor is only updated by the next simulation step
+        this.after(250, () => this.socket.emit('enterHarbor'));
+    }
+
+    onHarborData(data) {
+        if (this.behavior !== 'trader' || this.tradeGood) return;
+
+        const goods = (data.economy && data.economy.goods) || [];
+        if (goods.length === 0) {
+            this.leaveHarbor();
+            return;
+        }
+
+        // Buy the cheapest good, then sell it straight back
+        this.tradeGood = goods.reduce((a, b) => (b.buyPrice < a.buyPrice ? b : a));
+        this.tradeHarborId = data.harborId;
+        this.tradeStep = 'buy';
+        this.pendingTransaction = Date.now();
+        this.socket.emit('buyGood', { harborId: data.harborId, goodId: this.tradeGood.id, quantity: 1 });
+    }
+
+    onTransactionResult() {
+        if (this.pendingTransaction === null) return;
+        this.stats.transactionMs.push(Date.now() - this.pendingTransaction);
+        this.pendingTransaction = null;
+
+        if (this.tradeStep === 'buy') {
+            this.tradeStep = 'sell';
+            this.pendingTransaction = Date.now();
+            this.socket.emit('sellGood', { harborId: this.tradeHarborId, goodId: this.tradeGood.id, quantity: 1 });
+        } else {
+            this.stats.trades++;
+            this.leaveHarbor();
+        }
+    }
+
+    leaveHarbor() {
+        this.tradeGood = null;
+        this.socket.emit('closeHarbor');
+        this.sendInput({ sailUp: true });
+
+        // Sail for a while with random steering, then head for another harbor
+        const sailUntil = Date.now() + TRADER_SAIL_SECONDS * 1000;
+        const steer = () => {
+            if (Date.now() >= sailUntil) {
+                this.visitHarbor();
+                return;
+            }
+            this.sendInput({ left: this.rng() < 0.3, right: this.rng() < 0.3 });
+            this.after(500, steer);
+        };
+        this.after(500, steer);
+    }
+
+    // ===== Timers (all cleared on stop/disconnect) =====
+
+    after(ms, fn) {
+        if (this.stopped) return;
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+    }
+
+    every(ms, fn) {
+        if (this.stopped) return;
+        const timer = setInterval(fn, ms);
+        this.timers.add(timer);
+    }
+
+    clearTimers() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+            clearInterval(timer);
+        }
+        this.timers.clear();
+    }
+}
+
+function packetSize(packet) {
+    const data = packet.data;
+    if (data === undefined || data === null) return 1; // Packet type only (ping/pong)
+    if (typeof data === 'string') return 1 + Buffer.byteLength(data);
+    return data.byteLength ?? 0;
+}
+
+module.exports = BotClient;
+module.exports.BEHAVIORS = BEHAVIORS;
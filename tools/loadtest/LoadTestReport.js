@@ -0,0 +1,124 @@
+/**
+ * LoadTestReport - collects bot and server measurements and prints the summary
+ *
+ * Bots push raw samples (latencies in ms, byte counts); the runner feeds in the
+ * server's own [Performance] lines. Everything is summarized once at the end,
+ * so nothing here runs on the hot path of a bot.
+ */
+
+// Matches GameLoop.logPerformance output
+const PERFORMANCE_LINE = /\[Performance\] Avg tick: ([\d.]+)ms \| Max: ([\d.]+)ms \| Players: (\d+) \| NPCs: (\d+) \| Projectiles: (\d+)/;
+
+/**
+ * Parse one server log line
+ * @returns {{avgTick, maxTick, players, npcs, projectiles}|null} null for other lines
+ */
+function parsePerformanceLine(line) {
+    const match = PERFORMANCE_LINE.exec(line);
+    if (!match) return null;
+    return {
+        avgTick: Number(match[1]),
+        maxTick: Number(match[2]),
+        players: Number(match[3]),
+        npcs: Number(match[4]),
+        projectiles: Number(match[5])
+    };
+}
+
+/**
+ * Nearest-rank percentile of an unsorted sample list
+ * @param {number[]} values
+ * @param {number} p - 0..100
+ */
+function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarize(values) {
+    if (values.length === 0) return null;
+    return {
+        count: values.length,
+        p50: percentile(values, 50),
+        p95: percentile(values, 95),
+        max: Math.max(...values)
+    };
+}
+
+class LoadTestReport {
+    constructor() {
+        this.performance = []; // Parsed [Performance] lines, in order
+        this.bots = [];        // BotClient instances
+    }
+
+    addServerLine(line) {
+        const sample = parsePerformanceLine(line);
+        if (sample) this.performance.push(sample);
+        return sample;
+    }
+
+    addBot(bot) {
+        this.bots.push(bot);
+    }
+
+    /**
+     * @param {number} endedAt - When the bots were stopped (ms); bandwidth is
+     *   averaged over each bot's own time in the game
+     */
+    build(endedAt = Date.now()) {
+        const joined = this.bots.filter(b => b.stats.joinedAt !== null);
+        const collect = (key) => joined.flatMap(b => b.stats[key]);
+        const seconds = (bot) => Math.max(1, endedAt - bot.stats.joinedAt) / 1000;
+
+        const rxRates = joined.map(b => b.stats.bytesReceived / seconds(b));
+        const txRates = joined.map(b => b.stats.bytesSent / seconds(b));
+        const average = (values) => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+        return {
+            bots: { started: this.bots.length, joined: joined.length, rejected: this.bots.filter(b => b.stats.rejected).length },
+            ticks: {
+                samples: this.performance.length,
+                avgTick: summarize(this.performance.map(s => s.avgTick)),
+                maxTick: this.performance.length ? Math.max(...this.performance.map(s => s.maxTick)) : null,
+                peakPlayers: this.performance.length ? Math.max(...this.performance.map(s => s.players)) : null
+            },
+            bandwidth: {
+                rxBytesPerSecond: { avg: average(rxRates), max: rxRates.length ? Math.max(...rxRates) : null },
+                txBytesPerSecond: { avg: average(txRates), max: txRates.length ? Math.max(...txRates) : null }
+            },
+            latency: {
+                inputAck: summarize(collect('inputAckMs')),
+                serverPing: summarize(collect('pingMs')),
+                transaction: summarize(collect('transactionMs'))
+            },
+            frames: joined.reduce((sum, b) => sum + b.stats.frames, 0),
+            trades: joined.reduce((sum, b) => sum + b.stats.trades, 0)
+        };
+    }
+
+    /**
+     * Human-readable summary, one metric per line
+     */
+    format(report) {
+        const ms = (s) => s ? `p50 ${s.p50.toFixed(1)}ms | p95 ${s.p95.toFixed(1)}ms | max ${s.max.toFixed(1)}ms (${s.count} samples)` : 'no samples';
+        const kb = (v) => v === null ? 'n/a' : `${(v / 1024).toFixed(1)} KB/s`;
+        const { bots, ticks, bandwidth, latency } = report;
+
+        return [
+            `Bots:          ${bots.joined}/${bots.started} joined${bots.rejected ? ` (${bots.rejected} rejected)` : ''}`,
+            `Tick time:     ${ticks.avgTick ? `avg p50 ${ticks.avgTick.p50.toFixed(2)}ms | avg max ${ticks.avgTick.max.toFixed(2)}ms | worst tick ${ticks.maxTick.toFixed(2)}ms (${ticks.samples} samples, peak ${ticks.peakPlayers} players)` : 'no [Performance] samples (run longer than the log interval)'}`,
+            `Download:      avg ${kb(bandwidth.rxBytesPerSecond.avg)} | max ${kb(bandwidth.rxBytesPerSecond.max)} per client`,
+            `Upload:        avg ${kb(bandwidth.txBytesPerSecond.avg)} | max ${kb(bandwidth.txBytesPerSecond.max)} per client`,
+            `Input -> ack:  ${ms(latency.inputAck)}`,
+            `Server -> bot: ${ms(latency.serverPing)}`,
+            `Trade reply:   ${ms(latency.transaction)}`,
+            `Frames: ${report.frames} | Trades: ${report.trades}`
+        ].join('\n');
+    }
+}
+
+module.exports = LoadTestReport;
+module.exports.parsePerformanceLine = parsePerformanceLine;
+module.exports.percentile = percentile;
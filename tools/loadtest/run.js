@@ -0,0 +1,205 @@
+/**
+ * Load test runner - starts the game server locally and connects N headless bots
+ *
+ * Usage:
+ *   npm run loadtest -- --bots 100 --duration 60
+ *
+ * Options:
+ *   --bots N          Number of bots (default 20)
+ *   --duration S      Seconds to run once all bots have joined (default 60)
+ *   --behavior B      random | scripted | trader | mixed (default mixed: round-robin)
+ *   --ramp MS         Delay between two bot joins (default 100)
+ *   --port P          Port for the spawned server (default 3100)
+ *   --seed N          Seed for bot decisions (WORLD_SEED is passed to the server too)
+ *   --verbose         Echo server output
+ *
+ * Tick times come from the server's own [Performance] log lines
+ * (GameLoop.logPerformance, every PERFORMANCE_LOG_INTERVAL_MS), so runs should
+ * last at least a few log intervals.
+ *
+ * The server keeps everything in memory (DB_BACKEND=memory): bot captains,
+ * their ledger entries and the world checkpoint saved on shutdown never reach
+ * the database configured in .env.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+
+const BotClient = require('./BotClient');
+const LoadTestReport = require('./LoadTestReport');
+const RandomStreams = require('../../src/server/game/world/RandomStreams');
+
+const SERVER_PATH = path.join(__dirname, '../../src/server/server.js');
+const SERVER_START_TIMEOUT_MS = 30000;
+const SERVER_STOP_TIMEOUT_MS = 10000;
+
+function parseArgs(argv) {
+    const options = { bots: 20, duration: 60, behavior: 'mixed', ramp: 100, port: 3100, seed: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (key === 'verbose') {
+            options.verbose = true;
+        } else if (key in options) {
+            const value = argv[++i];
+            options[key] = key === 'behavior' ? value : Number(value);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (options.behavior !== 'mixed' && !BotClient.BEHAVIORS.includes(options.behavior)) {
+        throw new Error(`Unknown behavior "${options.behavior}" (expected mixed, ${BotClient.BEHAVIORS.join(', ')})`);
+    }
+    return options;
+}
+
+/**
+ * Environment of the spawned server. Variables set here win over .env (dotenv
+ * does not override them), so the memory backend keeps the run local.
+ */
+function buildServerEnv(options, baseEnv = process.env) {
+    const env = {
+        ...baseEnv,
+        PORT: String(options.port),
+        MAX_PLAYERS: String(options.bots),
+        ADMIN_SECRET: options.adminSecret,
+        DB_BACKEND: 'memory', // Never save bots to a real database
+        SHUTDOWN_WARNING_SECONDS: '0' // No restart countdown for bots
+    };
+    if (options.seed !== null) env.WORLD_SEED = String(options.seed);
+    return env;
+}
+
+/**
+ * Spawn src/server/server.js and resolve once it listens
+ */
+function startServer(options, report) {
+    return new Promise((resolve, reject) => {
+        const env = buildServerEnv(options);
+
+        const child = spawn(process.execPath, [SERVER_PATH], {
+            cwd: path.join(__dirname, '../..'),
+            env,
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+
+        const timeout = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`Server did not start within ${SERVER_START_TIMEOUT_MS / 1000}s`));
+        }, SERVER_START_TIMEOUT_MS);
+
+        const recentLines = []; // Shown if the server dies during startup
+        const onLine = (line) => {
+            if (options.verbose) console.log(`  [server] ${line}`);
+            recentLines.push(line);
+            if (recentLines.length > 20) recentLines.shift();
+
+            const sample = report.addServerLine(line);
+            if (sample) {
+                console.log(`[LoadTest] Server tick avg ${sample.avgTick.toFixed(2)}ms, max ${sample.maxTick.toFixed(2)}ms with ${sample.players} players`);
+            }
+            if (line.includes(`Server running on port ${options.port}`)) {
+                clearTimeout(timeout);
+                resolve(child);
+            }
+        };
+        readline.createInterface({ input: child.stdout }).on('line', onLine);
+        readline.createInterface({ input: child.stderr }).on('line', onLine);
+
+        child.on('exit', (code) => {
+            clearTimeout(timeout);
+            reject(new Error(`Server exited early with code ${code}:\n${recentLines.join('\n')}`));
+        });
+    });
+}
+
+/**
+ * Ask the server for a graceful shutdown, force it after a timeout
+ */
+function stopServer(child) {
+    return new Promise((resolve) => {
+        if (child.exitCode !== null) {
+            resolve();
+            return;
+        }
+        const force = setTimeout(() => child.kill('SIGKILL'), SERVER_STOP_TIMEOUT_MS);
+        child.once('exit', () => {
+            clearTimeout(force);
+            resolve();
+        });
+        child.kill('SIGINT');
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Trader bots teleport to harbors, which needs the moderator role
+ */
+async function grantModerator(options, bot) {
+    try {
+        const response = await fetch(`http://localhost:${options.port}/admin/api/role`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${options.adminSecret}` },
+            body: JSON.stringify({ player: bot.name, role: 'moderator' })
+        });
+        if (!response.ok) {
+            console.warn(`[LoadTest] Could not grant moderator to ${bot.name}: ${response.status}`);
+        }
+    } catch (error) {
+        console.warn(`[LoadTest] Could not grant moderator to ${bot.name}: ${error.message}`);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    options.adminSecret = crypto.randomBytes(16).toString('hex'); // Only this run knows it
+    const report = new LoadTestReport();
+    const streams = new RandomStreams(options.seed ?? RandomStreams.randomSeed());
+
+    console.log(`[LoadTest] Starting server on port ${options.port}...`);
+    const server = await startServer(options, report);
+
+    const url = `http://localhost:${options.port}`;
+    const bots = [];
+    try {
+        console.log(`[LoadTest] Connecting ${options.bots} bots (${options.behavior})...`);
+        const joins = [];
+        for (let i = 0; i < options.bots; i++) {
+            const behavior = options.behavior === 'mixed'
+                ? BotClient.BEHAVIORS[i % BotClient.BEHAVIORS.length]
+                : options.behavior;
+            const bot = new BotClient(i + 1, {
+                url,
+                behavior,
+                rng: streams.stream(`bot_${i + 1}`),
+                onJoin: behavior === 'trader' ? (joined) => grantModerator(options, joined) : null
+            });
+            bots.push(bot);
+            report.addBot(bot);
+            joins.push(bot.start());
+            await sleep(options.ramp);
+        }
+        const joined = (await Promise.all(joins)).filter(Boolean).length;
+        console.log(`[LoadTest] ${joined}/${options.bots} bots joined, running for ${options.duration}s`);
+
+        await sleep(options.duration * 1000);
+    } finally {
+        const endedAt = Date.now();
+        bots.forEach(bot => bot.stop());
+        await stopServer(server);
+
+        console.log('\n=== Load test results ===');
+        console.log(report.format(report.build(endedAt)));
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('[LoadTest] Failed:', error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseArgs, buildServerEnv, startServer };